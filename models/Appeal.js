@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const APPEAL_STATUSES = Object.freeze({
+  OPEN: 'open',         // 出品者が申し立て、運営の回答待ち
+  ACCEPTED: 'accepted', // 運営が認めて公開停止を解除した
+  REJECTED: 'rejected', // 運営が認めず、公開停止のまま
+  RESOLVED: 'resolved'  // 回答する前に運営が停止解除・承認した（申し立て一覧からの回答は不要になった）
+});
+
+const APPEAL_MESSAGE_MIN_LENGTH = 10;
+const APPEAL_MESSAGE_MAX_LENGTH = 2000;
+const APPEAL_RESPONSE_MAX_LENGTH = 2000;
+
+// 公開停止（却下・運営による停止）された作品への出品者の異議申し立て。回答待ちは1作品につき1件まで
+const AppealSchema = new mongoose.Schema({
+  item: { type: mongoose.Schema.Types.ObjectId, ref: 'Item', required: true },
+  seller: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  status: { type: String, enum: Object.values(APPEAL_STATUSES), default: APPEAL_STATUSES.OPEN },
+  message: { type: String, required: true, trim: true, maxlength: APPEAL_MESSAGE_MAX_LENGTH },
+  saleStatusReason: { type: String, default: '' }, // 申し立て時点の公開停止の理由（manual:rejected など）
+  response: { type: String, default: '', maxlength: APPEAL_RESPONSE_MAX_LENGTH }, // 運営の回答（出品者に見せる）
+  respondedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  respondedAt: { type: Date, default: null },
+  notifiedAt: { type: Date, default: null }, // 結果をメールで知らせた日時（送れなかったときは null）
+}, { timestamps: true });
+
+AppealSchema.index({ item: 1 }, { unique: true, partialFilterExpression: { status: APPEAL_STATUSES.OPEN } });
+AppealSchema.index({ status: 1, createdAt: -1 });
+AppealSchema.index({ item: 1, createdAt: -1 });
+
+AppealSchema.statics.STATUSES = APPEAL_STATUSES;
+AppealSchema.statics.MESSAGE_MIN_LENGTH = APPEAL_MESSAGE_MIN_LENGTH;
+AppealSchema.statics.MESSAGE_MAX_LENGTH = APPEAL_MESSAGE_MAX_LENGTH;
+AppealSchema.statics.RESPONSE_MAX_LENGTH = APPEAL_RESPONSE_MAX_LENGTH;
+
+module.exports = mongoose.model('Appeal', AppealSchema);
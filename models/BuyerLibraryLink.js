@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// 購入者ライブラリのマジックリンク（1回限り）。token そのものは保存せず SHA-256 のみ持つ
+const BuyerLibraryLinkSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true, index: true },
+  email: { type: String, required: true, lowercase: true, trim: true, index: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+}, { timestamps: true });
+
+// TTLインデックス（期限が来たら自動削除）
+BuyerLibraryLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('BuyerLibraryLink', BuyerLibraryLinkSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const DISCOUNT_TYPES = Object.freeze({
+  PERCENT: 'percent',
+  FIXED: 'fixed' // 円引き
+});
+
+// 出品者が発行する割引コード。items が空なら出品者の全作品に使える
+const DiscountCodeSchema = new mongoose.Schema({
+  seller: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  code: { type: String, required: true, uppercase: true, trim: true, match: /^[A-Z0-9_-]{3,32}$/ },
+  type: { type: String, enum: Object.values(DISCOUNT_TYPES), required: true },
+  value: { type: Number, required: true, min: 1 },
+  expiresAt: { type: Date, default: null },
+  maxRedemptions: { type: Number, default: null, min: 1 },
+  redemptionCount: { type: Number, default: 0, min: 0 },
+  items: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Item' }], default: [] },
+  isActive: { type: Boolean, default: true },
+}, { timestamps: true });
+
+DiscountCodeSchema.index({ seller: 1, code: 1 }, { unique: true });
+
+DiscountCodeSchema.pre('validate', function(next) {
+  if (!Number.isInteger(this.value)) {
+    this.invalidate('value', '割引額は整数で入力してください。');
+  }
+  if (this.type === DISCOUNT_TYPES.PERCENT && this.value > 99) {
+    this.invalidate('value', '割引率は1〜99%で入力してください。');
+  }
+  next();
+});
+
+DiscountCodeSchema.statics.TYPES = DISCOUNT_TYPES;
+
+// 割引後の価格（最低価格 minPrice は下回らない）
+DiscountCodeSchema.statics.applyTo = function applyTo(discount, price, minPrice) {
+  const base = Number(price || 0);
+  const off = discount.type === DISCOUNT_TYPES.PERCENT
+    ? Math.floor(base * discount.value / 100)
+    : Number(discount.value || 0);
+  const finalPrice = Math.max(minPrice, base - off);
+  return { finalPrice: Math.min(base, finalPrice), discountAmount: Math.max(0, base - finalPrice) };
+};
+
+module.exports = mongoose.model('DiscountCode', DiscountCodeSchema);
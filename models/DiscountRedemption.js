@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// 割引コードの利用実績（決済完了 Webhook で sessionId 単位に1件）
+const DiscountRedemptionSchema = new mongoose.Schema({
+  discountCode: { type: mongoose.Schema.Types.ObjectId, ref: 'DiscountCode', required: true, index: true },
+  seller: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  item: { type: mongoose.Schema.Types.ObjectId, ref: 'Item', required: true },
+  sessionId: { type: String, required: true, unique: true },
+  paymentIntentId: { type: String, default: '' },
+  originalAmount: { type: Number, required: true, min: 0 },
+  discountAmount: { type: Number, required: true, min: 0 },
+  amount: { type: Number, required: true, min: 0 },
+  redeemedAt: { type: Date, required: true, default: Date.now },
+}, { timestamps: true });
+
+module.exports = mongoose.model('DiscountRedemption', DiscountRedemptionSchema);
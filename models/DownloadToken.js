@@ -7,6 +7,10 @@ const DownloadTokenSchema = new mongoose.Schema({
   usedOnce: { type: Boolean, default: false },
   // 追加: Stripe セッションIDで冪等化（Webhook と /success の二重発行防止）
   sessionId: { type: String, index: true, unique: true, sparse: true },
+  // 購入者ライブラリから再発行したトークンは sessionId を持たず、購入履歴を参照する
+  purchase: { type: mongoose.Schema.Types.ObjectId, ref: 'PurchaseRecord', index: true },
+  // 返金・チャージバックで失効させたトークン（期限内でも使えない）
+  revokedAt: { type: Date, default: null },
 }, { timestamps: true });
 
 module.exports = mongoose.model('DownloadToken', DownloadTokenSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+const EDITION_RESERVATION_STATUSES = Object.freeze({
+  RESERVED: 'reserved',   // Checkout Session 作成時に1点確保
+  CONVERTED: 'converted', // 決済完了で販売済みに振替
+  RELEASED: 'released'    // 期限切れ・決済失敗で確保を戻した
+});
+
+// 限定販売の在庫確保。Item.editionReserved の増減をこの状態遷移1回につき1回に限定する
+const EditionReservationSchema = new mongoose.Schema({
+  item: { type: mongoose.Schema.Types.ObjectId, ref: 'Item', required: true, index: true },
+  sessionId: { type: String, default: '', index: true },
+  status: {
+    type: String,
+    enum: Object.values(EDITION_RESERVATION_STATUSES),
+    default: EDITION_RESERVATION_STATUSES.RESERVED,
+    index: true
+  },
+  expiresAt: { type: Date, required: true }, // Checkout Session の expires_at
+  convertedAt: { type: Date, default: null },
+  releasedAt: { type: Date, default: null },
+  releaseReason: { type: String, default: '' }, // session_expired / payment_failed / checkout_failed / stale
+}, { timestamps: true });
+
+EditionReservationSchema.statics.STATUSES = EDITION_RESERVATION_STATUSES;
+
+module.exports = mongoose.model('EditionReservation', EditionReservationSchema);
@@ -7,6 +7,144 @@ const ITEM_SALE_STATUSES = Object.freeze({
   BLOCKED: 'blocked'
 });
 
+// 出品直後の画像処理（Job の process_upload）の状態。processing の間は販売ページを出さない
+const ITEM_PROCESSING_STATUSES = Object.freeze({
+  READY: 'ready',
+  PROCESSING: 'processing',
+  FAILED: 'failed'
+});
+
+const ITEM_LISTING_TYPES = Object.freeze({
+  SINGLE: 'single',
+  BUNDLE: 'bundle'
+});
+
+const LICENSE_PRESETS = Object.freeze(['standard', 'editorial', 'commercial-lite', 'exclusive']);
+// 追加ライセンス枠に使えるプリセット（exclusive は1名限定のため他ライセンスと併売しない）
+const LICENSE_TIER_PRESETS = Object.freeze(LICENSE_PRESETS.filter((preset) => preset !== 'exclusive'));
+
+// 1出品で複数ライセンスを価格別に販売する場合の追加枠。基本枠は licensePreset + price
+const LicenseTierSchema = new mongoose.Schema(
+  {
+    preset: { type: String, enum: LICENSE_TIER_PRESETS, required: true },
+    price: {
+      type: Number,
+      required: true,
+      min: 100,
+      validate: { validator: Number.isInteger, message: 'Price must be an integer amount in JPY' }
+    }
+  },
+  { _id: false }
+);
+
+// fixed=固定価格 / pay_what_you_want=price を最低額として購入者が金額を決める
+const ITEM_PRICING_MODES = Object.freeze({
+  FIXED: 'fixed',
+  PAY_WHAT_YOU_WANT: 'pay_what_you_want'
+});
+
+const PRICE_SCHEDULE_STATUSES = Object.freeze({
+  SCHEDULED: 'scheduled',
+  ACTIVE: 'active',
+  ENDED: 'ended',
+  CANCELED: 'canceled'
+});
+
+// 期間限定セール。開始時にスケジューラが price を salePrice に切り替え、終了時に regularPrice へ戻す
+const PriceScheduleSchema = new mongoose.Schema(
+  {
+    salePrice: { type: Number, required: true, min: 100 },
+    startsAt: { type: Date, required: true },
+    endsAt: { type: Date, required: true },
+    regularPrice: { type: Number, default: null }, // 開始時点の通常価格（scheduled の間は null）
+    status: {
+      type: String,
+      enum: Object.values(PRICE_SCHEDULE_STATUSES),
+      default: PRICE_SCHEDULE_STATUSES.SCHEDULED
+    }
+  },
+  { _id: false }
+);
+
+// 販売ページ用プレビューの見せ方。mosaic=全面モザイク / blur=ぼかし / lowres=低解像度サムネイル / crop=一部だけ切り出し
+const PREVIEW_STYLE_MODES = Object.freeze({
+  MOSAIC: 'mosaic',
+  BLUR: 'blur',
+  LOW_RES: 'lowres',
+  CROP: 'crop'
+});
+
+const PREVIEW_CROP_REGIONS = Object.freeze(['center', 'top', 'bottom', 'left', 'right']);
+
+// previewStyle 未設定（導入前の出品）は従来どおり中程度の全面モザイク + SAMPLE 透かし
+const PREVIEW_STYLE_DEFAULTS = Object.freeze({
+  mode: PREVIEW_STYLE_MODES.MOSAIC,
+  strength: 3,
+  cropRegion: 'center',
+  watermarkText: '',
+  watermarkLogoPath: '',
+  watermarkLogoS3Key: ''
+});
+
+const PreviewStyleSchema = new mongoose.Schema(
+  {
+    mode: { type: String, enum: Object.values(PREVIEW_STYLE_MODES), default: PREVIEW_STYLE_DEFAULTS.mode },
+    // 1（弱い）〜5（強い）。モザイクの粗さ・ぼかし量・サムネイルの小ささ・切り出しの狭さに対応
+    strength: {
+      type: Number,
+      min: 1,
+      max: 5,
+      default: PREVIEW_STYLE_DEFAULTS.strength,
+      validate: { validator: Number.isInteger, message: 'Preview strength must be an integer' }
+    },
+    cropRegion: { type: String, enum: PREVIEW_CROP_REGIONS, default: PREVIEW_STYLE_DEFAULTS.cropRegion },
+    // 透かしの文字（空なら SAMPLE）。ロゴがあればロゴを優先
+    watermarkText: { type: String, default: '', trim: true, maxlength: 24 },
+    watermarkLogoPath: { type: String, default: '' },
+    watermarkLogoS3Key: { type: String, default: '' }
+  },
+  { _id: false }
+);
+
+// まとめ売り（bundle）の2枚目以降。1枚目は従来どおり Item 直下の filePath/s3Key/previewPath を使う
+const BundleFileSchema = new mongoose.Schema(
+  {
+    filePath: { type: String, default: '' },
+    s3Key: { type: String, default: '' },
+    previewPath: { type: String, required: true },
+    mimeType: { type: String, required: true },
+    animated: { type: Boolean, default: false } // GIF/WebP のアニメーション（全コマのまま配布）
+  },
+  { _id: false }
+);
+
+// 知覚ハッシュが近い別の出品（出品・差し替え時に検出）。sameOwner は同じ出品者の二重出品、それ以外は転載の疑い
+const DuplicateMatchSchema = new mongoose.Schema(
+  {
+    item: { type: mongoose.Schema.Types.ObjectId, ref: 'Item', required: true },
+    slug: { type: String, default: '' },
+    distance: { type: Number, required: true, min: 0 }, // 64bit のうち異なるビット数
+    sameOwner: { type: Boolean, default: false },
+    detectedAt: { type: Date, required: true }
+  },
+  { _id: false }
+);
+
+// 差し替え前の原本（購入済みの人には購入時点の版を配布し続ける）
+const OriginalVersionSchema = new mongoose.Schema(
+  {
+    version: { type: Number, required: true, min: 1 },
+    filePath: { type: String, default: '' },
+    s3Key: { type: String, default: '' },
+    mimeType: { type: String, required: true },
+    animated: { type: Boolean, default: false },
+    listingType: { type: String, enum: Object.values(ITEM_LISTING_TYPES), default: ITEM_LISTING_TYPES.SINGLE },
+    bundleFiles: { type: [BundleFileSchema], default: [] },
+    replacedAt: { type: Date, required: true }
+  },
+  { _id: false }
+);
+
 const ItemSchema = new mongoose.Schema(
   {
     slug: { type: String, required: true, unique: true, index: true },
@@ -21,6 +159,11 @@ price: {
   }
 }, // jpyは最小単位=1円
     currency: { type: String, default: 'jpy', lowercase: true, trim: true },
+    pricingMode: {
+      type: String,
+      enum: Object.values(ITEM_PRICING_MODES),
+      default: ITEM_PRICING_MODES.FIXED
+    },
 
     // S3を使わないときだけ必須（ローカル原本）
     filePath: {
@@ -37,6 +180,23 @@ price: {
 
     mimeType: { type: String, required: true },
 
+    // 1枚目がアニメーション（GIF/WebP）か。販売ページでは animatedPreviewPath の動くプレビューを出す
+    // （previewPath・OGP・Stripe 用の画像は1コマ目から作る静止画のまま）
+    animated: { type: Boolean, default: false },
+    animatedPreviewPath: { type: String, default: '' },
+
+    // 出品形式（single=1枚売り / bundle=複数枚を1リンクでまとめ売り）
+    listingType: {
+      type: String,
+      enum: Object.values(ITEM_LISTING_TYPES),
+      default: ITEM_LISTING_TYPES.SINGLE
+    },
+    bundleFiles: { type: [BundleFileSchema], default: [] },
+
+    // 原本の版（差し替えるたびに +1）。旧版は originalHistory に残す
+    originalVersion: { type: Number, default: 1, min: 1 },
+    originalHistory: { type: [OriginalVersionSchema], default: [] },
+
     creatorName: { type: String, default: '' },
     createdBySecret: { type: String, default: '' }, // 非ログイン運用のバックドア互換
 
@@ -51,9 +211,10 @@ price: {
     // ── ライセンス情報 ──
     licensePreset: {
       type: String,
-      enum: ['standard', 'editorial', 'commercial-lite', 'exclusive'],
+      enum: LICENSE_PRESETS,
       default: 'standard'
     },
+    licenseTiers: { type: [LicenseTierSchema], default: [] },
     // クレジット表記はプラットフォーム方針として常に不要
     requireCredit: {
       type: Boolean,
@@ -64,6 +225,8 @@ price: {
     licenseNotes: { type: String, default: '' },
     aiGenerated: { type: Boolean, default: false },
     aiModelName: { type: String, default: '' },
+    // ライセンス関連項目（licensePreset/licenseNotes/aiGenerated/aiModelName）の版。改訂履歴は LicenseRevision
+    licenseRevision: { type: Number, default: 1, min: 1 },
     saleStatus: {
       type: String,
       enum: Object.values(ITEM_SALE_STATUSES),
@@ -72,6 +235,37 @@ price: {
     saleStatusReason: { type: String, default: '' },
     saleStatusUpdatedAt: { type: Date, default: null },
 
+    // 未設定（導入前の出品）は ready とみなす
+    processingStatus: {
+      type: String,
+      enum: Object.values(ITEM_PROCESSING_STATUSES),
+      default: ITEM_PROCESSING_STATUSES.READY
+    },
+    processingError: { type: String, default: '' },
+
+    // 作業用画像の知覚ハッシュ（1枚目 + bundleFiles の順）。perceptualHashBands は近いハッシュを引くための索引
+    perceptualHashes: { type: [String], default: [] },
+    perceptualHashBands: { type: [String], default: [] },
+    duplicateMatches: { type: [DuplicateMatchSchema], default: [] },
+
+    priceSchedule: { type: PriceScheduleSchema, default: null },
+
+    previewStyle: { type: PreviewStyleSchema, default: null },
+
+    // 限定販売数（null=無制限）。exclusive ライセンスは常に1点限り
+    editionLimit: {
+      type: Number,
+      default: null,
+      min: 1,
+      validate: {
+        validator: (v) => v === null || Number.isInteger(v),
+        message: 'Edition limit must be an integer'
+      }
+    },
+    editionReserved: { type: Number, default: 0, min: 0 }, // 決済中（Checkout Session 有効期間中）の確保数
+    editionSold: { type: Number, default: 0, min: 0 },     // 決済完了数
+    soldOutAt: { type: Date, default: null },
+
     isDeleted: { type: Boolean, default: false, index: true },
     deletedAt: { type: Date, default: null }
   },
@@ -84,6 +278,11 @@ ItemSchema.pre('validate', function (next) {
     return next(new Error('Either filePath or s3Key is required'));
   }
 
+  const missingBundleOriginal = (this.bundleFiles || []).some((file) => !file.filePath && !file.s3Key);
+  if (missingBundleOriginal) {
+    return next(new Error('Each bundle file requires filePath or s3Key'));
+  }
+
   if (!this.saleStatus) {
     this.saleStatus = ITEM_SALE_STATUSES.PUBLISHED;
   }
@@ -92,8 +291,155 @@ ItemSchema.pre('validate', function (next) {
 });
 
 ItemSchema.statics.SALE_STATUSES = ITEM_SALE_STATUSES;
+ItemSchema.statics.LISTING_TYPES = ITEM_LISTING_TYPES;
+ItemSchema.statics.PROCESSING_STATUSES = ITEM_PROCESSING_STATUSES;
+ItemSchema.statics.processingStatusOf = function processingStatusOf(item = {}) {
+  return item.processingStatus || ITEM_PROCESSING_STATUSES.READY;
+};
+ItemSchema.statics.isProcessed = function isProcessed(item = {}) {
+  return this.processingStatusOf(item) === ITEM_PROCESSING_STATUSES.READY;
+};
+// 同じ出品者の既存の出品とほぼ同じ画像（出品者への注意表示用）
+ItemSchema.statics.sameOwnerDuplicatesOf = function sameOwnerDuplicatesOf(item = {}) {
+  return (item.duplicateMatches || []).filter((match) => match.sameOwner);
+};
+// 他の出品者の作品とほぼ同じ画像（転載の疑い。運営の審査画面で見比べる）
+ItemSchema.statics.crossOwnerDuplicatesOf = function crossOwnerDuplicatesOf(item = {}) {
+  return (item.duplicateMatches || []).filter((match) => !match.sameOwner);
+};
+ItemSchema.statics.isBundle = function isBundle(item = {}) {
+  return item.listingType === ITEM_LISTING_TYPES.BUNDLE && Array.isArray(item.bundleFiles) && item.bundleFiles.length > 0;
+};
+// 配布対象の原本一覧（1枚目 + bundleFiles）。単品は常に1件
+ItemSchema.statics.deliveryFilesOf = function deliveryFilesOf(item = {}) {
+  const cover = {
+    filePath: item.filePath || '',
+    s3Key: item.s3Key || '',
+    previewPath: item.previewPath || '',
+    mimeType: item.mimeType || '',
+    animated: !!item.animated
+  };
+  if (!this.isBundle(item)) return [cover];
+  return [cover, ...item.bundleFiles.map((file) => ({
+    filePath: file.filePath || '',
+    s3Key: file.s3Key || '',
+    previewPath: file.previewPath || '',
+    mimeType: file.mimeType || '',
+    animated: !!file.animated
+  }))];
+};
+// 配布する原本のどれかがアニメーションか（販売ページの表示用）
+ItemSchema.statics.hasAnimation = function hasAnimation(item = {}) {
+  return this.deliveryFilesOf(item).some((file) => file.animated);
+};
+ItemSchema.statics.currentOriginalVersionOf = function currentOriginalVersionOf(item = {}) {
+  return item.originalVersion || 1;
+};
+// 指定した版の原本で配布項目（filePath/s3Key/mimeType/animated/listingType/bundleFiles）を差し替えた作品。
+// version が空（差し替え機能の導入前の購入）は 1 とみなす。現行版・不明な版はそのまま返す
+ItemSchema.statics.atOriginalVersion = function atOriginalVersion(item = {}, version = null) {
+  const target = Number(version) || 1;
+  if (target === this.currentOriginalVersionOf(item)) return item;
+  const snapshot = (item.originalHistory || []).find((entry) => entry.version === target);
+  if (!snapshot) return item;
+  const base = typeof item.toObject === 'function' ? item.toObject() : item;
+  return {
+    ...base,
+    filePath: snapshot.filePath || '',
+    s3Key: snapshot.s3Key || '',
+    mimeType: snapshot.mimeType,
+    animated: !!snapshot.animated,
+    listingType: snapshot.listingType,
+    bundleFiles: snapshot.bundleFiles || []
+  };
+};
+// 現行版と旧版すべての原本（透かし照合の参照用）
+ItemSchema.statics.allDeliveryFilesOf = function allDeliveryFilesOf(item = {}) {
+  return [
+    ...this.deliveryFilesOf(item),
+    ...(item.originalHistory || []).flatMap((snapshot) => this.deliveryFilesOf({ ...snapshot, previewPath: item.previewPath }))
+  ];
+};
+ItemSchema.statics.currentLicenseRevisionOf = function currentLicenseRevisionOf(item = {}) {
+  return item.licenseRevision || 1;
+};
+ItemSchema.statics.LICENSE_PRESETS = LICENSE_PRESETS;
+ItemSchema.statics.LICENSE_TIER_PRESETS = LICENSE_TIER_PRESETS;
+// 購入できるライセンス枠（基本枠 + 追加枠）を価格の安い順で返す。基本枠の price は item.price
+ItemSchema.statics.licenseTiersOf = function licenseTiersOf(item = {}) {
+  const baseKey = item.licensePreset || 'standard';
+  const base = { key: baseKey, price: item.price, isBase: true };
+  if (baseKey === 'exclusive') return [base];
+  const extras = (item.licenseTiers || [])
+    .filter((tier) => tier.preset !== baseKey && LICENSE_TIER_PRESETS.includes(tier.preset))
+    .map((tier) => ({ key: tier.preset, price: tier.price, isBase: false }));
+  return [base, ...extras].sort((a, b) => a.price - b.price);
+};
+ItemSchema.statics.findLicenseTier = function findLicenseTier(item = {}, key) {
+  return this.licenseTiersOf(item).find((tier) => tier.key === key) || null;
+};
+ItemSchema.statics.PRICING_MODES = ITEM_PRICING_MODES;
+ItemSchema.statics.isPayWhatYouWant = function isPayWhatYouWant(item = {}) {
+  return item.pricingMode === ITEM_PRICING_MODES.PAY_WHAT_YOU_WANT;
+};
+ItemSchema.statics.PRICE_SCHEDULE_STATUSES = PRICE_SCHEDULE_STATUSES;
+// 期間内のセール情報（スケジューラの切替が遅れても購入時点の価格を優先する）。期間外なら null
+ItemSchema.statics.activeSaleOf = function activeSaleOf(item = {}, now = new Date()) {
+  const schedule = item.priceSchedule;
+  if (!schedule) return null;
+  if (![PRICE_SCHEDULE_STATUSES.SCHEDULED, PRICE_SCHEDULE_STATUSES.ACTIVE].includes(schedule.status)) return null;
+  const at = now.getTime();
+  if (at < new Date(schedule.startsAt).getTime() || at >= new Date(schedule.endsAt).getTime()) return null;
+  const regularPrice = Number(schedule.regularPrice || item.price);
+  if (!(schedule.salePrice < regularPrice)) return null;
+  return { salePrice: schedule.salePrice, regularPrice, startsAt: schedule.startsAt, endsAt: schedule.endsAt };
+};
+// 購入時に請求する価格。セール終了後にスケジューラが未反映でも通常価格に戻す
+ItemSchema.statics.effectivePriceOf = function effectivePriceOf(item = {}, now = new Date()) {
+  const sale = this.activeSaleOf(item, now);
+  if (sale) return sale.salePrice;
+  const schedule = item.priceSchedule;
+  if (schedule?.status === PRICE_SCHEDULE_STATUSES.ACTIVE && schedule.regularPrice) return schedule.regularPrice;
+  return item.price;
+};
+// 販売上限。null は無制限
+ItemSchema.statics.editionLimitOf = function editionLimitOf(item = {}) {
+  if (item.licensePreset === 'exclusive') return 1;
+  const limit = Number(item.editionLimit);
+  return Number.isInteger(limit) && limit > 0 ? limit : null;
+};
+// 残り（決済中の確保分を除く）。無制限なら null
+ItemSchema.statics.editionsRemainingOf = function editionsRemainingOf(item = {}) {
+  const limit = this.editionLimitOf(item);
+  if (limit === null) return null;
+  return Math.max(0, limit - Number(item.editionSold || 0) - Number(item.editionReserved || 0));
+};
+ItemSchema.statics.isSoldOut = function isSoldOut(item = {}) {
+  if (item.soldOutAt) return true;
+  const limit = this.editionLimitOf(item);
+  return limit !== null && Number(item.editionSold || 0) >= limit;
+};
+ItemSchema.statics.PREVIEW_STYLE_MODES = PREVIEW_STYLE_MODES;
+ItemSchema.statics.PREVIEW_CROP_REGIONS = PREVIEW_CROP_REGIONS;
+ItemSchema.statics.previewStyleOf = function previewStyleOf(item = {}) {
+  const style = item.previewStyle || {};
+  return {
+    mode: Object.values(PREVIEW_STYLE_MODES).includes(style.mode) ? style.mode : PREVIEW_STYLE_DEFAULTS.mode,
+    strength: Number.isInteger(style.strength) && style.strength >= 1 && style.strength <= 5
+      ? style.strength
+      : PREVIEW_STYLE_DEFAULTS.strength,
+    cropRegion: PREVIEW_CROP_REGIONS.includes(style.cropRegion) ? style.cropRegion : PREVIEW_STYLE_DEFAULTS.cropRegion,
+    watermarkText: style.watermarkText || '',
+    watermarkLogoPath: style.watermarkLogoPath || '',
+    watermarkLogoS3Key: style.watermarkLogoS3Key || ''
+  };
+};
 ItemSchema.statics.resolveSaleStatus = function resolveSaleStatus(item = {}) {
   return item.saleStatus || ITEM_SALE_STATUSES.PUBLISHED;
 };
 
+ItemSchema.index({ perceptualHashBands: 1 });
+ItemSchema.index({ 'priceSchedule.status': 1, 'priceSchedule.startsAt': 1 });
+ItemSchema.index({ 'priceSchedule.status': 1, 'priceSchedule.endsAt': 1 });
+
 module.exports = mongoose.model('Item', ItemSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const JOB_TYPES = Object.freeze({
+  PROCESS_UPLOAD: 'process_upload' // 出品直後の画像処理（原本のメタデータ除去・審査・プレビュー作成）
+});
+
+const JOB_STATUSES = Object.freeze({
+  QUEUED: 'queued',       // runAt 以降に実行待ち（失敗後の再試行待ちも含む）
+  RUNNING: 'running',     // ワーカーが lockedAt に取得して実行中
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'        // maxAttempts 回失敗して諦めた
+});
+
+// 再試行の間隔（30秒から倍々、最大30分）
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const RETRY_MAX_DELAY_MS = 30 * 60 * 1000;
+
+// MongoDB を使ったジョブキュー。ワーカーは runAt の早い順に1件ずつ status を running にして取得する
+const JobSchema = new mongoose.Schema({
+  type: { type: String, enum: Object.values(JOB_TYPES), required: true },
+  status: { type: String, enum: Object.values(JOB_STATUSES), default: JOB_STATUSES.QUEUED },
+  item: { type: mongoose.Schema.Types.ObjectId, ref: 'Item', default: null },
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+  attempts: { type: Number, default: 0, min: 0 },
+  maxAttempts: { type: Number, default: 5, min: 1 },
+  runAt: { type: Date, required: true, default: Date.now },
+  lockedAt: { type: Date, default: null },
+  lockedBy: { type: String, default: '' },
+  lastError: { type: String, default: '' },
+  finishedAt: { type: Date, default: null },
+}, { timestamps: true, minimize: false });
+
+JobSchema.index({ status: 1, runAt: 1 });
+JobSchema.index({ item: 1, createdAt: -1 });
+
+JobSchema.statics.TYPES = JOB_TYPES;
+JobSchema.statics.STATUSES = JOB_STATUSES;
+// attempts 回目の失敗の後、次に実行するまでの待ち時間
+JobSchema.statics.retryDelayMsOf = function retryDelayMsOf(attempts = 1) {
+  return Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1));
+};
+
+module.exports = mongoose.model('Job', JobSchema);
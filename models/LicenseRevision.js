@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// 出品後に編集できるライセンス関連の項目
+const LICENSE_REVISION_FIELDS = Object.freeze(['licensePreset', 'licenseNotes', 'aiGenerated', 'aiModelName']);
+
+const LicenseTermsSchema = new mongoose.Schema(
+  {
+    licensePreset: { type: String, default: 'standard' },
+    licenseNotes: { type: String, default: '' },
+    aiGenerated: { type: Boolean, default: false },
+    aiModelName: { type: String, default: '' }
+  },
+  { _id: false }
+);
+
+// 作品ごとのライセンス条件の改訂履歴。revision は改訂後の版（Item.licenseRevision と同じ番号）
+// 購入者には PurchaseRecord.licenseRevision の版の条件を示すため、before に改訂前の内容を残す
+const LicenseRevisionSchema = new mongoose.Schema({
+  item: { type: mongoose.Schema.Types.ObjectId, ref: 'Item', required: true },
+  seller: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  revision: { type: Number, required: true, min: 2 },
+  before: { type: LicenseTermsSchema, required: true },
+  after: { type: LicenseTermsSchema, required: true },
+  changedFields: { type: [String], enum: LICENSE_REVISION_FIELDS, default: [] },
+  saleStatusBefore: { type: String, default: '' },
+  saleStatusAfter: { type: String, default: '' },
+  moderationReason: { type: String, default: '' },
+  actorUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  changedAt: { type: Date, required: true, default: Date.now },
+}, { timestamps: true });
+
+LicenseRevisionSchema.index({ item: 1, revision: 1 }, { unique: true });
+
+LicenseRevisionSchema.statics.FIELDS = LICENSE_REVISION_FIELDS;
+LicenseRevisionSchema.statics.termsOf = function termsOf(source = {}) {
+  return {
+    licensePreset: source.licensePreset || 'standard',
+    licenseNotes: source.licenseNotes || '',
+    aiGenerated: !!source.aiGenerated,
+    aiModelName: source.aiModelName || ''
+  };
+};
+
+module.exports = mongoose.model('LicenseRevision', LicenseRevisionSchema);
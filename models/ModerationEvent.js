@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const MODERATION_EVENT_TYPES = Object.freeze({
+  AUTO: 'auto',       // 出品・原本の差し替え・ライセンス条件の編集時の自動判定
+  APPROVE: 'approve', // 運営が審査中の作品を承認
+  REJECT: 'reject',   // 運営が審査中の作品を却下（blocked）
+  BLOCK: 'block',     // 運営が公開中の作品を公開停止
+  UNBLOCK: 'unblock', // 運営が公開停止を解除（異議申し立てを認めた場合も）
+  APPEAL: 'appeal',   // 旧形式の申し立ての記録（表示のためだけに残す。新しい申し立ては SELLER_APPEAL）
+  APPEAL_REJECTED: 'appeal_rejected', // 運営が異議申し立てを認めなかった（公開停止のまま）
+  SELLER_APPEAL: 'seller_appeal'      // 出品者が公開停止に異議を申し立てた（actorUser は出品者）
+});
+
+// 出品者の操作による記録（actorUser は運営ではなく出品者）
+const SELLER_EVENT_TYPES = Object.freeze([MODERATION_EVENT_TYPES.APPEAL, MODERATION_EVENT_TYPES.SELLER_APPEAL]);
+
+const MODERATION_EVENT_SOURCES = Object.freeze({
+  UPLOAD: 'upload',                     // 出品直後の画像処理（process_upload ジョブ）
+  REPLACE_ORIGINAL: 'replace_original', // 出品者による原本の差し替え
+  LICENSE_EDIT: 'license_edit',         // 出品者によるライセンス条件の編集（文字だけ審査し直す）
+  ADMIN: 'admin',                       // 管理画面での操作
+  APPEAL: 'appeal'                      // 異議申し立て（出品者の申し立てと運営の回答）
+});
+
+// 画像審査のプロバイダ1つ分の判定（utils/imageModeration.js の verdict）。scores はプロバイダが返した値そのまま
+const ImageVerdictSchema = new mongoose.Schema(
+  {
+    image: { type: Number, default: 0, min: 0 }, // 審査した作業用画像の番号（アニメーションの途中・最後のコマも1枚と数える）
+    provider: { type: String, default: '' },
+    decision: { type: String, default: '' },
+    reason: { type: String, default: '' },
+    categories: { type: mongoose.Schema.Types.Mixed, default: {} },
+    scores: { type: mongoose.Schema.Types.Mixed, default: {} }
+  },
+  { _id: false }
+);
+
+// 作品ごとの審査履歴。saleStatusReason は最新の理由で上書きされるため、判断の経緯はこちらに残す
+const ModerationEventSchema = new mongoose.Schema({
+  item: { type: mongoose.Schema.Types.ObjectId, ref: 'Item', required: true },
+  seller: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  type: { type: String, enum: Object.values(MODERATION_EVENT_TYPES), required: true },
+  source: { type: String, enum: Object.values(MODERATION_EVENT_SOURCES), required: true },
+  saleStatusBefore: { type: String, default: '' },
+  saleStatusAfter: { type: String, default: '' },
+  reason: { type: String, default: '' },      // その時点で saleStatusReason に入れた値
+  textReason: { type: String, default: '' },  // 文字のキーワード判定（一致なしは no_keyword_match）
+  imageVerdicts: { type: [ImageVerdictSchema], default: [] },
+  actorUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // 自動判定は null。申し立ては出品者
+  note: { type: String, default: '', maxlength: 2000 }, // 運営のメモ（任意）。申し立てでは申し立て文・運営の回答
+}, { timestamps: true });
+
+ModerationEventSchema.index({ item: 1, createdAt: -1 });
+
+ModerationEventSchema.statics.TYPES = MODERATION_EVENT_TYPES;
+ModerationEventSchema.statics.SOURCES = MODERATION_EVENT_SOURCES;
+ModerationEventSchema.statics.isSellerEvent = function isSellerEvent(event = {}) {
+  return SELLER_EVENT_TYPES.includes(event.type);
+};
+ModerationEventSchema.statics.NOTE_MAX_LENGTH = 2000;
+
+module.exports = mongoose.model('ModerationEvent', ModerationEventSchema);
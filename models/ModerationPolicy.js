@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const KEYWORD_ACTIONS = Object.freeze({
+  REVIEW: 'review', // 審査待ち（under_review）にする
+  BLOCK: 'block'    // 出品の時点で公開停止（blocked）にする
+});
+
+const KEYWORD_MATCH_MODES = Object.freeze({
+  SUBSTRING: 'substring', // 部分一致（NFKC・小文字にそろえてから比べる）
+  WORD: 'word',           // 前後が文字・数字でないときだけ一致（"jk" が "jkt" に当たらない）
+  REGEX: 'regex'          // 正規表現（大文字小文字は区別しない）
+});
+
+// 設定は1件だけ（key: default）。無いときは server.js の既定値（従来の REVIEW_KEYWORDS と env のしきい値）を使う
+const POLICY_KEY = 'default';
+
+const KeywordRuleSchema = new mongoose.Schema(
+  {
+    keyword: { type: String, required: true, trim: true, maxlength: 200 },
+    action: { type: String, enum: Object.values(KEYWORD_ACTIONS), default: KEYWORD_ACTIONS.REVIEW },
+    matchMode: { type: String, enum: Object.values(KEYWORD_MATCH_MODES), default: KEYWORD_MATCH_MODES.SUBSTRING }
+  },
+  { _id: false }
+);
+
+const CategoryThresholdSchema = new mongoose.Schema(
+  {
+    category: { type: String, required: true, trim: true, maxlength: 64 }, // 正規化した分類名（sexual, sexual_minors, violence など）
+    threshold: { type: Number, required: true, min: 0, max: 1 }
+  },
+  { _id: false }
+);
+
+// 出品審査の方針。管理画面（/admin/moderation）から編集し、再デプロイなしで次の出品から効く
+const ModerationPolicySchema = new mongoose.Schema({
+  key: { type: String, default: POLICY_KEY, unique: true },
+  keywords: { type: [KeywordRuleSchema], default: [] },
+  // 画像審査（openai）のスコアのしきい値。ここに無い sexual/nudity 系は OPENAI_IMAGE_REVIEW_SCORE_THRESHOLD
+  categoryThresholds: { type: [CategoryThresholdSchema], default: [] },
+  // キーワード判定の前に文字から取り除く語（"jk" を含むが問題のない固有名詞など）
+  allowTerms: { type: [String], default: [] },
+  // キーワードの review を適用しない販売者（block は適用する）
+  trustedSellers: { type: [mongoose.Schema.Types.ObjectId], ref: 'User', default: [] },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+}, { timestamps: true });
+
+ModerationPolicySchema.statics.KEYWORD_ACTIONS = KEYWORD_ACTIONS;
+ModerationPolicySchema.statics.KEYWORD_MATCH_MODES = KEYWORD_MATCH_MODES;
+ModerationPolicySchema.statics.POLICY_KEY = POLICY_KEY;
+
+module.exports = mongoose.model('ModerationPolicy', ModerationPolicySchema);
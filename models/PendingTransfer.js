@@ -21,8 +21,14 @@ const PendingTransferSchema = new mongoose.Schema({
   expiredAt: { type: Date },
   expirationReason: { type: String, default: '' },
 
-  // ★追加：状態管理（queued=保留, transferred=送金済, expired=失効）
-  status: { type: String, enum: ['queued', 'transferred', 'expired'], default: 'queued', index: true },
+  // ★追加：状態管理（queued=保留, transferred=送金済, expired=失効, canceled=返金/CBで送金取消, reversed=送金後に全額取り戻し）
+  status: { type: String, enum: ['queued', 'transferred', 'expired', 'canceled', 'reversed'], default: 'queued', index: true },
+
+  // 返金・チャージバック時の取り戻し（transfer reversal）
+  reversedAmount: { type: Number, default: 0 },
+  reversalIds: { type: [String], default: [] },
+  reversedAt: { type: Date },
+  canceledAt: { type: Date },
 
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
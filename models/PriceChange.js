@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+const PRICE_CHANGE_REASONS = Object.freeze({
+  MANUAL: 'manual',             // 出品者が編集画面で変更
+  SALE_START: 'sale_start',     // スケジューラがセール価格へ切替
+  SALE_END: 'sale_end',         // スケジューラが通常価格へ戻した
+  SALE_CANCELED: 'sale_canceled' // セール中に出品者が取り消して通常価格へ戻した
+});
+
+// 作品ごとの価格変更履歴（監査・ダッシュボード表示用）
+const PriceChangeSchema = new mongoose.Schema({
+  item: { type: mongoose.Schema.Types.ObjectId, ref: 'Item', required: true },
+  seller: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  fromPrice: { type: Number, required: true, min: 0 },
+  toPrice: { type: Number, required: true, min: 0 },
+  reason: { type: String, enum: Object.values(PRICE_CHANGE_REASONS), required: true },
+  actorUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // スケジューラ実行時は null
+  changedAt: { type: Date, required: true, default: Date.now },
+}, { timestamps: true });
+
+PriceChangeSchema.index({ item: 1, changedAt: -1 });
+
+PriceChangeSchema.statics.REASONS = PRICE_CHANGE_REASONS;
+
+module.exports = mongoose.model('PriceChange', PriceChangeSchema);
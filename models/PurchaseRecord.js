@@ -1,5 +1,20 @@
 const mongoose = require('mongoose');
 
+const PURCHASE_STATUSES = Object.freeze({
+  PAID: 'paid',
+  PARTIALLY_REFUNDED: 'partially_refunded',
+  REFUNDED: 'refunded',
+  DISPUTED: 'disputed',
+  DISPUTE_LOST: 'dispute_lost'
+});
+
+// この状態の購入はダウンロードさせない（トークン失効・ライブラリでも再発行しない）
+const ACCESS_REVOKED_STATUSES = Object.freeze([
+  PURCHASE_STATUSES.REFUNDED,
+  PURCHASE_STATUSES.DISPUTED,
+  PURCHASE_STATUSES.DISPUTE_LOST
+]);
+
 const PurchaseRecordSchema = new mongoose.Schema({
   seller: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
   item: { type: mongoose.Schema.Types.ObjectId, ref: 'Item', required: true, index: true },
@@ -7,6 +22,54 @@ const PurchaseRecordSchema = new mongoose.Schema({
   paymentIntentId: { type: String, default: '', index: true },
   amount: { type: Number, required: true, min: 0 },
   purchasedAt: { type: Date, required: true, default: Date.now, index: true },
+  // 購入したライセンス枠（Item.licensePreset と同じキー）。空は導入前の購入＝出品時の licensePreset
+  licenseTier: { type: String, default: '' },
+  // ライセンス証明書の照合コード（/license/verify/:code）。導入前の購入は証明書の初回発行時に付与
+  certificateCode: { type: String },
+  // 購入時点のライセンス条件の版（Item.licenseRevision）。空は改訂機能の導入前の購入＝版1
+  licenseRevision: { type: Number, default: null },
+  // 購入時点の原本の版（Item.originalVersion）。空は差し替え機能の導入前の購入＝版1
+  originalVersion: { type: Number, default: null },
+  // 配布した原本に埋め込む不可視透かしの ID（32bit）。初回ダウンロード時に付与
+  watermarkId: { type: Number },
+  // 透かしを入れられないまま原本を配布した最後の日時と理由（animated: アニメーション画像 / unsupported_format / embed_failed）
+  watermarkSkippedAt: { type: Date, default: null },
+  watermarkSkipReason: { type: String, default: '' },
+  // Checkout で入力された購入者メール（小文字化）。購入者ライブラリの照合キー
+  buyerEmail: { type: String, default: '', lowercase: true, trim: true, index: true },
+  // ライブラリからのダウンロードトークン再発行回数（固定ウィンドウでレート制限）
+  libraryTokenWindowStartedAt: { type: Date, default: null },
+  libraryTokenCount: { type: Number, default: 0, min: 0 },
+
+  // 返金・チャージバック（charge.refunded / charge.dispute.* Webhook で更新）
+  status: {
+    type: String,
+    enum: Object.values(PURCHASE_STATUSES),
+    default: PURCHASE_STATUSES.PAID,
+    index: true
+  },
+  refundedAmount: { type: Number, default: 0, min: 0 },   // Stripe の amount_refunded（累計）
+  refundedAt: { type: Date, default: null },
+  disputeId: { type: String, default: '' },
+  disputeStatus: { type: String, default: '' },           // Stripe の dispute.status（won / lost など）
+  disputedAt: { type: Date, default: null },
+  disputeClosedAt: { type: Date, default: null },
+  sellerReversedAmount: { type: Number, default: 0, min: 0 }, // 販売者の取り分から差し引いた額（保留分の減額 + 送金の取り戻し）
 }, { timestamps: true });
 
+PurchaseRecordSchema.index(
+  { certificateCode: 1 },
+  { unique: true, partialFilterExpression: { certificateCode: { $type: 'string' } } }
+);
+
+PurchaseRecordSchema.index(
+  { watermarkId: 1 },
+  { unique: true, partialFilterExpression: { watermarkId: { $type: 'number' } } }
+);
+
+PurchaseRecordSchema.statics.STATUSES = PURCHASE_STATUSES;
+PurchaseRecordSchema.statics.isAccessRevoked = function isAccessRevoked(record = {}) {
+  return ACCESS_REVOKED_STATUSES.includes(record.status);
+};
+
 module.exports = mongoose.model('PurchaseRecord', PurchaseRecordSchema);
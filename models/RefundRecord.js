@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+const REFUND_ACTOR_TYPES = Object.freeze({
+  SELLER: 'seller',
+  ADMIN: 'admin',
+  STRIPE: 'stripe' // Stripe ダッシュボード等、アプリ外で行われた返金（Webhook で検知）
+});
+
+// 返金の監査ログ。誰が・なぜ・いつ返金したかを残す（1 Stripe Refund = 1 レコード）
+const RefundRecordSchema = new mongoose.Schema({
+  purchase: { type: mongoose.Schema.Types.ObjectId, ref: 'PurchaseRecord', required: true, index: true },
+  seller: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  item: { type: mongoose.Schema.Types.ObjectId, ref: 'Item', required: true },
+  paymentIntentId: { type: String, default: '', index: true },
+  stripeRefundId: { type: String, required: true, unique: true },
+  amount: { type: Number, required: true, min: 0 },
+  stripeStatus: { type: String, default: '' }, // succeeded / pending / failed など
+  actorType: { type: String, enum: Object.values(REFUND_ACTOR_TYPES), required: true },
+  actorUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  reason: { type: String, default: '' },       // Stripe の reason（requested_by_customer / duplicate / fraudulent）
+  note: { type: String, default: '', maxlength: 500 },
+  refundedAt: { type: Date, required: true, default: Date.now },
+}, { timestamps: true });
+
+RefundRecordSchema.statics.ACTOR_TYPES = REFUND_ACTOR_TYPES;
+
+module.exports = mongoose.model('RefundRecord', RefundRecordSchema);
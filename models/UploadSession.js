@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const UPLOAD_SESSION_STATUSES = Object.freeze({
+  UPLOADING: 'uploading', // チャンクを受け取り中（UPLOAD_DIR/chunks/<_id>/ に置く）。S3 はブラウザの PUT 待ち
+  ASSEMBLED: 'assembled', // 全チャンクを結合済み（S3 は置かれたことを確認済み）。POST /upload で使える
+  CONSUMED: 'consumed'    // POST /upload に渡して出品の原本になった
+});
+
+const UPLOAD_SESSION_STORAGES = Object.freeze({
+  DISK: 'disk', // 分割アップロードでアプリサーバの UPLOAD_DIR に結合する
+  S3: 's3'      // ブラウザが署名付きURLで S3/R2 の s3Key へ直接 PUT する（チャンクは使わない）
+});
+
+const UploadChunkSchema = new mongoose.Schema(
+  {
+    index: { type: Number, required: true, min: 0 },
+    size: { type: Number, required: true, min: 1 },
+    sha256: { type: String, default: '' } // 受信時に照合したチャンクのハッシュ。結合時にもう一度確かめる
+  },
+  { _id: false }
+);
+
+// 分割アップロード（init → チャンクごとの PUT → finalize）または S3 への直接アップロードの1ファイル分。
+// 通信が切れても receivedChunks にあるチャンクは送り直さずに再開できる。expiresAt を過ぎたものは掃除で消す
+const UploadSessionSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  status: { type: String, enum: Object.values(UPLOAD_SESSION_STATUSES), default: UPLOAD_SESSION_STATUSES.UPLOADING },
+  storage: { type: String, enum: Object.values(UPLOAD_SESSION_STORAGES), default: UPLOAD_SESSION_STORAGES.DISK },
+  fileName: { type: String, default: '' },
+  mimeType: { type: String, default: '' }, // ブラウザの申告値。実体の形式は POST /upload で検査する
+  size: { type: Number, required: true, min: 1 },
+  chunkSize: { type: Number, required: true, min: 1 },
+  chunkCount: { type: Number, required: true, min: 1 },
+  receivedChunks: { type: [UploadChunkSchema], default: [] },
+  filePath: { type: String, default: '' },
+  s3Key: { type: String, default: '' }, // storage: s3 の受け取り先（incoming/ 配下。出品時に originals/ へ複製して消す）
+  sha256: { type: String, default: '' }, // 結合後のファイル全体のハッシュ
+  assembledAt: { type: Date, default: null },
+  consumedAt: { type: Date, default: null },
+  expiresAt: { type: Date, required: true },
+}, { timestamps: true });
+
+UploadSessionSchema.index({ owner: 1, createdAt: -1 });
+UploadSessionSchema.index({ status: 1, expiresAt: 1 });
+
+UploadSessionSchema.statics.STATUSES = UPLOAD_SESSION_STATUSES;
+UploadSessionSchema.statics.STORAGES = UPLOAD_SESSION_STORAGES;
+UploadSessionSchema.statics.receivedIndexesOf = function receivedIndexesOf(session) {
+  return (session?.receivedChunks || []).map((chunk) => chunk.index).sort((a, b) => a - b);
+};
+
+module.exports = mongoose.model('UploadSession', UploadSessionSchema);
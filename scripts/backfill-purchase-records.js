@@ -12,6 +12,8 @@ const PurchaseRecord = mongoose.models.PurchaseRecord || mongoose.model('Purchas
   paymentIntentId: { type: String, default: '', index: true },
   amount: { type: Number, required: true, min: 0 },
   purchasedAt: { type: Date, required: true, default: Date.now, index: true },
+  buyerEmail: { type: String, default: '', lowercase: true, trim: true, index: true },
+  licenseTier: { type: String, default: '' },
 }, { timestamps: true }));
 
 function parseArgs(argv) {
@@ -30,6 +32,11 @@ function parseArgs(argv) {
   return { dryRun, limit, createdGte, createdLte };
 }
 
+function pickBuyerEmail(session) {
+  const email = pickString(session.customer_details?.email, session.customer_email).toLowerCase();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? email : '';
+}
+
 function pickString(...values) {
   for (const value of values) {
     if (typeof value === 'string' && value.trim()) return value.trim();
@@ -101,6 +108,7 @@ async function resolveSellerAndItem(session) {
     itemId: String(item._id),
     sellerId: seller,
     amount: Number.isFinite(session.amount_total) ? Number(session.amount_total) : Number(item.price || 0),
+    licenseTier: pickString(sessionMeta.licenseTier, piMeta.licenseTier),
     paymentIntentId,
   };
 }
@@ -121,6 +129,8 @@ async function run() {
     dryRun: options.dryRun,
     scannedSessions: 0,
     alreadyRecorded: 0,
+    buyerEmailFillable: 0,
+    buyerEmailFilled: 0,
     creatable: 0,
     created: 0,
     unresolved: 0,
@@ -133,9 +143,18 @@ async function run() {
 
     for (const session of sessions) {
       const sessionId = session.id;
-      const existing = await PurchaseRecord.findOne({ sessionId }).select('_id').lean();
+      const buyerEmail = pickBuyerEmail(session);
+      const existing = await PurchaseRecord.findOne({ sessionId }).select('_id buyerEmail').lean();
       if (existing) {
         summary.alreadyRecorded += 1;
+        // 購入者ライブラリ導入前の履歴にはメールが無いので補完する
+        if (buyerEmail && !existing.buyerEmail) {
+          summary.buyerEmailFillable += 1;
+          if (!options.dryRun) {
+            await PurchaseRecord.updateOne({ _id: existing._id }, { $set: { buyerEmail } });
+            summary.buyerEmailFilled += 1;
+          }
+        }
         continue;
       }
 
@@ -158,7 +177,9 @@ async function run() {
             sessionId,
             paymentIntentId: resolved.paymentIntentId || '',
             amount: resolved.amount,
-            purchasedAt: Number(session.created) ? new Date(Number(session.created) * 1000) : new Date()
+            purchasedAt: Number(session.created) ? new Date(Number(session.created) * 1000) : new Date(),
+            buyerEmail,
+            licenseTier: resolved.licenseTier
           }
         },
         { upsert: true }
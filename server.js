@@ -28,17 +28,47 @@ const GoogleStrategy = require('passport-google-oauth20').Strategy;
 const Item = require('./models/Item');
 const DownloadToken = require('./models/DownloadToken');
 const PurchaseRecord = require('./models/PurchaseRecord');
+const BuyerLibraryLink = require('./models/BuyerLibraryLink');
+const RefundRecord = require('./models/RefundRecord');
+const PriceChange = require('./models/PriceChange');
+const LicenseRevision = require('./models/LicenseRevision');
+const EditionReservation = require('./models/EditionReservation');
+const DiscountCode = require('./models/DiscountCode');
+const DiscountRedemption = require('./models/DiscountRedemption');
 const User = require('./models/User');
 
 const PendingTransfer = require('./models/PendingTransfer');
+const Job = require('./models/Job');
+const UploadSession = require('./models/UploadSession');
+const ModerationPolicy = require('./models/ModerationPolicy');
+const ModerationEvent = require('./models/ModerationEvent');
+const Appeal = require('./models/Appeal');
 const {
   PLATFORM_FEE_DISPLAY,
   PLATFORM_FEE_DISPLAY_EN,
   calculateRevenueSplit,
 } = require('./utils/revenue');
 const { detectInAppBrowser } = require('./utils/inAppBrowser');
+const { createMailer } = require('./utils/mailer');
+const { createImageModerator, normalizeCategoryKey } = require('./utils/imageModeration');
+const { compileKeywordRule, compileModerationPolicy, evaluateTextModeration } = require('./utils/moderationPolicy');
+const { renderLicenseCertificatePdf } = require('./utils/licenseCertificate');
+const { createForensicWatermark, generateWatermarkId } = require('./utils/forensicWatermark');
+const {
+  describeOriginalImage,
+  extensionOfImageMimeType,
+  normalizeImageMimeType,
+  sanitizeOriginalImage,
+} = require('./utils/originalImage');
+const {
+  MAX_INDEXED_DISTANCE,
+  closestDistance,
+  hashBandsOf,
+  perceptualHashOf,
+} = require('./utils/perceptualHash');
 
 const FileType = require('file-type'); // ★ 追加：実体MIME検査（CJSはfromFileを使う）
+const archiver = require('archiver'); // ZIP 一括ダウンロード（ストリーミング生成）
 
 const app = express();
 // Render環境でのメモリ急増を抑えるため、Sharpのキャッシュ/並列度を制限
@@ -86,6 +116,15 @@ const MIN_PRICE = 100;
 if (process.env.MIN_PRICE && Number(process.env.MIN_PRICE) != MIN_PRICE) {
   console.warn(`[WARN] MIN_PRICE=${process.env.MIN_PRICE} は無視されます（固定 ${MIN_PRICE}円）`);
 }
+// 価格自由（pay what you want）で購入者が入力できる上限（誤入力で高額決済にならないように）
+const PWYW_MAX_PRICE = Math.min(99999999, Math.max(1000, Number(process.env.PWYW_MAX_PRICE || '100000') || 100000));
+
+// まとめ売り（bundle）で1リンクに含められる最大枚数
+const BUNDLE_MAX_FILES = (() => {
+  const value = Number(process.env.BUNDLE_MAX_FILES || '10');
+  if (!Number.isFinite(value)) return 10;
+  return Math.max(2, Math.min(20, Math.floor(value)));
+})();
 
 const ProcessedEvent = mongoose.models.ProcessedEvent || mongoose.model('ProcessedEvent', new mongoose.Schema({
   eventId: { type: String, unique: true, index: true },
@@ -135,9 +174,9 @@ function toNumberLocale(lng) {
   return (lng === 'en') ? 'en-US' : 'ja-JP';
 }
 
-// 出品時に選ばれた licensePreset を販売ページ表示用に整形
-function licenseViewOf(item) {
-  const key = item.licensePreset || 'standard';
+// 出品時に選ばれた licensePreset（またはライセンス枠のキー）を販売ページ表示用に整形
+function licenseViewOf(item, presetKey) {
+  const key = presetKey || item.licensePreset || 'standard';
   const map = {
     'editorial': {
       key, label: '商用不可',
@@ -171,11 +210,32 @@ function dashboardItemView(item) {
   return {
     ...item,
     saleStatus: Item.resolveSaleStatus(item),
+    processingStatus: Item.processingStatusOf(item),
     previewPath: dashboardPreviewPath(item),
-    saleUrl: saleUrlFor(item)
+    saleUrl: saleUrlFor(item),
+    isBundle: Item.isBundle(item),
+    fileCount: Item.deliveryFilesOf(item).length,
+    edition: editionViewOf(item)
   };
 }
 
+// bundle の2枚目以降のプレビュー名（index は 1 始まり。0 は従来の `${slug}-preview.jpg`）
+function bundlePreviewNameFor(slug, index) {
+  return `${slug}-${index}-preview.jpg`;
+}
+
+// アニメーション（GIF/WebP）の表紙に付ける、販売ページ用の動くプレビュー
+function animatedPreviewNameFor(slug) {
+  return `${slug}-preview-anim.webp`;
+}
+
+// 販売ページ・商品名に付ける「N枚セット」表記
+function bundleLabelOf(item, lng = 'ja') {
+  if (!Item.isBundle(item)) return '';
+  const count = Item.deliveryFilesOf(item).length;
+  return lng === 'en' ? `Set of ${count} images` : `${count}枚セット`;
+}
+
 function pickEditableItemFields(body = {}) {
   const next = {};
 
@@ -191,6 +251,22 @@ function pickEditableItemFields(body = {}) {
     next.price = priceNum;
   }
 
+  if (typeof body.pricingMode !== 'undefined') {
+    if (!Object.values(Item.PRICING_MODES).includes(body.pricingMode)) {
+      throw new Error('価格の決め方を選択してください。');
+    }
+    next.pricingMode = body.pricingMode;
+  }
+
+  if (typeof body.editionLimit !== 'undefined') {
+    const raw = String(body.editionLimit).trim();
+    const limitNum = Number(raw);
+    if (raw && (!Number.isInteger(limitNum) || limitNum < 1 || limitNum > 100000)) {
+      throw new Error('限定数は1〜100000の整数で入力してください（無制限は空欄）。');
+    }
+    next.editionLimit = raw ? limitNum : null;
+  }
+
   if (!next.title) {
     throw new Error('タイトルは必須です。');
   }
@@ -198,6 +274,32 @@ function pickEditableItemFields(body = {}) {
   return next;
 }
 
+// 購入したライセンス枠。枠導入前の購入は出品時の licensePreset
+function licenseKeyOfPurchase(record, item) {
+  return record?.licenseTier || item?.licensePreset || 'standard';
+}
+
+// 編集画面の追加ライセンス枠（licenseTierPrices[preset]=価格、空欄は販売しない）
+function parseLicenseTierPrices(body = {}, item) {
+  const raw = body.licenseTierPrices;
+  if (typeof raw === 'undefined') return undefined;
+  if (!raw || typeof raw !== 'object') throw new Error('ライセンス別価格の入力が正しくありません。');
+  if (item.licensePreset === 'exclusive') return [];
+
+  const tiers = [];
+  for (const preset of Item.LICENSE_TIER_PRESETS) {
+    if (preset === item.licensePreset) continue;
+    const value = String(raw[preset] ?? '').trim();
+    if (!value) continue;
+    const price = Number(value);
+    if (!Number.isInteger(price) || price < MIN_PRICE) {
+      throw new Error(`「${licenseViewOf(item, preset).label}」の価格は${MIN_PRICE}円以上の整数で入力してください。`);
+    }
+    tiers.push({ preset, price });
+  }
+  return tiers;
+}
+
 async function findOwnedItem(itemId, userId) {
   if (!mongoose.Types.ObjectId.isValid(String(itemId))) return null;
   const item = await Item.findOne({ _id: itemId, ownerUser: userId, isDeleted: { $ne: true } }).lean();
@@ -207,7 +309,29 @@ async function findOwnedItem(itemId, userId) {
 const CREATOR_SECRET = process.env.CREATOR_SECRET || 'changeme';
 const DOWNLOAD_TOKEN_TTL_MIN = Number(process.env.DOWNLOAD_TOKEN_TTL_MIN || '10');
 const DOWNLOAD_TOKEN_TTL_MS = DOWNLOAD_TOKEN_TTL_MIN * 60 * 1000;
-const DOWNLOAD_TOKEN_EXPIRED_MESSAGE = '購入後10分の有効期限が切れました。';
+const DOWNLOAD_TOKEN_EXPIRED_MESSAGE = '購入後10分の有効期限が切れました。<br><a href="/library">購入履歴</a>から、購入時のメールアドレスでダウンロードリンクを再発行できます。';
+const DOWNLOAD_TOKEN_REVOKED_MESSAGE = '返金またはチャージバックの手続きにより、このダウンロードリンクは無効になりました。';
+// 購入者ライブラリ（マジックリンクで購入履歴を開き、ダウンロードトークンを再発行）
+const LIBRARY_LINK_TTL_MIN = Math.max(5, Number(process.env.LIBRARY_LINK_TTL_MIN || '30') || 30);
+const LIBRARY_SESSION_TTL_MIN = Math.max(5, Number(process.env.LIBRARY_SESSION_TTL_MIN || '60') || 60);
+const LIBRARY_LINK_MAX_PER_HOUR = Math.max(1, Number(process.env.LIBRARY_LINK_MAX_PER_HOUR || '3') || 3);
+const LIBRARY_TOKENS_PER_PURCHASE_PER_DAY = Math.max(1, Number(process.env.LIBRARY_TOKENS_PER_PURCHASE_PER_DAY || '5') || 5);
+const LIBRARY_TOKEN_WINDOW_MS = 24 * 60 * 60 * 1000;
+// 購入ごとの透かしは原本と展開後の画素をまるごとメモリに載せて埋め込むため、大きさと同時に埋め込む数を絞る。
+// 上限を超える原本は読み込まず、透かしなしでそのまま（ストリームで）配布する
+const FORENSIC_WATERMARK_MAX_BYTES = Math.max(1, Number(process.env.FORENSIC_WATERMARK_MAX_BYTES || String(25 * 1024 * 1024)) || 25 * 1024 * 1024);
+const FORENSIC_WATERMARK_MAX_PIXELS = Math.max(1, Number(process.env.FORENSIC_WATERMARK_MAX_PIXELS || '25000000') || 25000000);
+const FORENSIC_WATERMARK_CONCURRENCY = Math.max(1, Number(process.env.FORENSIC_WATERMARK_CONCURRENCY || '2') || 2);
+const mailer = createMailer({
+  transport: process.env.MAIL_TRANSPORT || 'console',
+  from: process.env.MAIL_FROM || process.env.CONTACT_EMAIL || 'Instant-Sale.sup@outlook.jp',
+  outboxDir: process.env.MAIL_OUTBOX_DIR || path.join(ROOT_DIR, 'mail-outbox'),
+  httpEndpoint: process.env.MAIL_HTTP_ENDPOINT || '',
+  httpToken: process.env.MAIL_HTTP_TOKEN || '',
+});
+if (isProd && mailer.transport !== 'http') {
+  console.warn(`[WARN] MAIL_TRANSPORT=${mailer.transport} は開発用です。購入者ライブラリのログインメールは送信されません。`);
+}
 const SESSION_SECRET = process.env.SESSION_SECRET || 'change_me';
 const GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID || '';
 const GOOGLE_CLIENT_SECRET = process.env.GOOGLE_CLIENT_SECRET || '';
@@ -221,6 +345,14 @@ const DEFAULT_PRODUCT_DESC =
 const stripe = STRIPE_SECRET_KEY ? new Stripe(STRIPE_SECRET_KEY) : null;
 const DEFAULT_ITEM_SALE_STATUS = Item.SALE_STATUSES.PUBLISHED;
 const IMAGE_REVIEW_MODE = String(process.env.IMAGE_REVIEW_MODE || 'stub').toLowerCase();
+// 画像審査のプロバイダ（カンマ区切りで順に実行。例: local,openai）。未指定なら IMAGE_REVIEW_MODE の1つだけ
+const IMAGE_REVIEW_PROVIDERS = String(process.env.IMAGE_REVIEW_PROVIDERS || IMAGE_REVIEW_MODE)
+  .split(',')
+  .map((name) => name.trim().toLowerCase())
+  .filter(Boolean);
+// 複数プロバイダの判定のまとめ方: any / all / fallback（utils/imageModeration.js）
+const IMAGE_REVIEW_COMBINE = String(process.env.IMAGE_REVIEW_COMBINE || 'any').toLowerCase();
+const IMAGE_REVIEW_LOCAL_SKIN_RATIO_THRESHOLD = Number(process.env.IMAGE_REVIEW_LOCAL_SKIN_RATIO_THRESHOLD || '0.4');
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY || '';
 const OPENAI_IMAGE_REVIEW_TIMEOUT_MS = Number(process.env.OPENAI_IMAGE_REVIEW_TIMEOUT_MS || '7000');
 const OPENAI_IMAGE_REVIEW_MODEL = 'omni-moderation-latest';
@@ -231,7 +363,14 @@ const OPENAI_IMAGE_REVIEW_MAX_SIDE = Number(process.env.OPENAI_IMAGE_REVIEW_MAX_
 const OPENAI_IMAGE_REVIEW_JPEG_QUALITY = Number(process.env.OPENAI_IMAGE_REVIEW_JPEG_QUALITY || '75');
 const WORKING_IMAGE_MAX_SIDE = Number(process.env.WORKING_IMAGE_MAX_SIDE || '3072');
 const WORKING_IMAGE_JPEG_QUALITY = Number(process.env.WORKING_IMAGE_JPEG_QUALITY || '85');
-const REVIEW_KEYWORDS = Object.freeze([
+// 知覚ハッシュの距離（64bit 中の異なるビット数）がこれ以下なら同じ画像とみなす（索引の都合で最大 7）
+const DUPLICATE_IMAGE_MAX_DISTANCE = (() => {
+  const value = Number(process.env.DUPLICATE_IMAGE_MAX_DISTANCE || '6');
+  if (!Number.isFinite(value)) return 6;
+  return Math.max(0, Math.min(MAX_INDEXED_DISTANCE, Math.floor(value)));
+})();
+// 出品審査の方針がまだ保存されていないときのキーワード（すべて review・部分一致）
+const DEFAULT_REVIEW_KEYWORDS = Object.freeze([
   'r18',
   '18禁',
   'エロ',
@@ -252,31 +391,71 @@ const REVIEW_KEYWORDS = Object.freeze([
   '中出し',
 ]);
 
-function normalizeForSaleStatusReview(value) {
-  return String(value || '')
-    .normalize('NFKC')
-    .toLowerCase()
-    .trim();
+// 出品審査の方針（/admin/moderation で編集）。Web とワーカーは別プロセスなので、読み込んだものを短い間だけ使い回す
+const MODERATION_POLICY_CACHE_MS = 60 * 1000;
+let moderationPolicyCache = null; // { policy, loadedAt }
+
+function defaultModerationPolicyDoc() {
+  return {
+    keywords: DEFAULT_REVIEW_KEYWORDS.map((keyword) => ({
+      keyword,
+      action: ModerationPolicy.KEYWORD_ACTIONS.REVIEW,
+      matchMode: ModerationPolicy.KEYWORD_MATCH_MODES.SUBSTRING
+    })),
+    categoryThresholds: [],
+    allowTerms: [],
+    trustedSellers: []
+  };
 }
 
-function resolveInitialSaleStatus({ title, licenseNotes, aiModelName } = {}) {
-  const reviewTargets = [
-    { field: 'title', value: title },
-    { field: 'licenseNotes', value: licenseNotes },
-    { field: 'aiModelName', value: aiModelName }
-  ];
+async function loadModerationPolicyDoc() {
+  const doc = await ModerationPolicy.findOne({ key: ModerationPolicy.POLICY_KEY }).lean();
+  return doc || defaultModerationPolicyDoc();
+}
+
+async function getModerationPolicy() {
+  if (moderationPolicyCache && Date.now() - moderationPolicyCache.loadedAt < MODERATION_POLICY_CACHE_MS) {
+    return moderationPolicyCache.policy;
+  }
+  let policy;
+  try {
+    policy = compileModerationPolicy(await loadModerationPolicyDoc());
+  } catch (e) {
+    console.error('[moderation:policy] load failed', e);
+    // 読めないときは直前の方針（無ければ既定）で審査を続ける
+    if (moderationPolicyCache) return moderationPolicyCache.policy;
+    policy = compileModerationPolicy(defaultModerationPolicyDoc());
+  }
+  moderationPolicyCache = { policy, loadedAt: Date.now() };
+  return policy;
+}
 
-  for (const target of reviewTargets) {
-    const normalizedValue = normalizeForSaleStatusReview(target.value);
-    if (!normalizedValue) continue;
+function invalidateModerationPolicyCache() {
+  moderationPolicyCache = null;
+}
 
-    const matchedKeyword = REVIEW_KEYWORDS.find((keyword) => normalizedValue.includes(keyword));
-    if (matchedKeyword) {
-      return {
-        status: Item.SALE_STATUSES.UNDER_REVIEW,
-        reason: `${target.field}:${matchedKeyword}`
-      };
-    }
+// 文字の項目のキーワード判定。block のキーワードは blocked、review は under_review（sellerId が信頼済みの販売者なら review は見逃す）
+function resolveInitialSaleStatus({ title, licenseNotes, aiModelName, sellerId } = {}, policy) {
+  const match = evaluateTextModeration(policy, {
+    fields: [
+      { field: 'title', value: title },
+      { field: 'licenseNotes', value: licenseNotes },
+      { field: 'aiModelName', value: aiModelName }
+    ],
+    sellerId
+  });
+
+  if (match.action === ModerationPolicy.KEYWORD_ACTIONS.BLOCK) {
+    return {
+      status: Item.SALE_STATUSES.BLOCKED,
+      reason: `block:${match.field}:${match.keyword}`
+    };
+  }
+  if (match.action === ModerationPolicy.KEYWORD_ACTIONS.REVIEW) {
+    return {
+      status: Item.SALE_STATUSES.UNDER_REVIEW,
+      reason: `${match.field}:${match.keyword}`
+    };
   }
 
   return {
@@ -285,18 +464,6 @@ function resolveInitialSaleStatus({ title, licenseNotes, aiModelName } = {}) {
   };
 }
 
-function resolveImageReviewResizeMaxSide() {
-  const fallbackMaxSide = 1536;
-  if (!Number.isFinite(OPENAI_IMAGE_REVIEW_MAX_SIDE)) return fallbackMaxSide;
-  return Math.max(512, Math.min(4096, Math.floor(OPENAI_IMAGE_REVIEW_MAX_SIDE)));
-}
-
-function resolveImageReviewJpegQuality() {
-  const fallbackQuality = 75;
-  if (!Number.isFinite(OPENAI_IMAGE_REVIEW_JPEG_QUALITY)) return fallbackQuality;
-  return Math.max(40, Math.min(90, Math.floor(OPENAI_IMAGE_REVIEW_JPEG_QUALITY)));
-}
-
 function resolveWorkingImageMaxSide() {
   const fallbackMaxSide = 3072;
   if (!Number.isFinite(WORKING_IMAGE_MAX_SIDE)) return fallbackMaxSide;
@@ -309,12 +476,14 @@ function resolveWorkingImageJpegQuality() {
   return Math.max(60, Math.min(95, Math.floor(WORKING_IMAGE_JPEG_QUALITY)));
 }
 
-async function createWorkingImageBufferFromPath(filePath) {
+// page はアニメーションのコマ番号（既定は1コマ目）。filePath の代わりに原本のバッファも渡せる
+async function createWorkingImageBufferFromPath(filePath, { page = 0 } = {}) {
   const workingMaxSide = resolveWorkingImageMaxSide();
   const workingJpegQuality = resolveWorkingImageJpegQuality();
   const originalMetadata = await sharp(filePath).metadata();
-  const { data: workingBuffer, info: workingInfo } = await sharp(filePath)
+  const { data: workingBuffer, info: workingInfo } = await sharp(filePath, { page })
     .rotate()
+    .flatten({ background: '#ffffff' }) // 透過 PNG/WebP の原本でも透過部分を黒くしない
     .resize({
       width: workingMaxSide,
       height: workingMaxSide,
@@ -326,12 +495,15 @@ async function createWorkingImageBufferFromPath(filePath) {
       mozjpeg: true,
     })
     .toBuffer({ resolveWithObject: true });
+  // 二重出品・転載の検出用（作業用画像は向きの補正・透過の塗りつぶし済みなので、原本の形式の違いに左右されない）
+  const perceptualHash = await perceptualHashOf(workingBuffer);
 
   console.info('[upload:image] prepared working image', {
     original: `${originalMetadata.width || '?'}x${originalMetadata.height || '?'}`,
     working: `${workingInfo.width || '?'}x${workingInfo.height || '?'}`,
     workingMaxSide,
     workingJpegQuality,
+    perceptualHash,
   });
 
   return {
@@ -340,218 +512,261 @@ async function createWorkingImageBufferFromPath(filePath) {
     originalMetadata,
     workingMaxSide,
     workingJpegQuality,
+    perceptualHash,
   };
 }
 
-async function resolveImageReviewDecision(filePath, options = {}) {
-  const source = options.source || 'original';
+// 出品・差し替え共通：原本ごとの作業用画像（1コマ目）を書き出し、書き出したパスを workingImagePaths に積む。
+// アニメーションは途中と最後のコマも審査用に書き出す（1コマ目だけ無難な絵にして審査をすり抜けるのを防ぐ）
+// 戻り値の perceptualHashes は原本ごと（1コマ目）の知覚ハッシュ
+async function prepareWorkingImagesForOriginals(files, originalFormats, workingImagePaths) {
+  const workingBuffers = [];
+  const perceptualHashes = [];
+  for (const [index, file] of files.entries()) {
+    const { workingBuffer, perceptualHash } = await createWorkingImageBufferFromPath(file.path);
+    const workingPath = `${file.path}.working.jpg`;
+    await writeFileAtomic(workingPath, workingBuffer);
+    workingImagePaths.push(workingPath);
+    workingBuffers.push(workingBuffer);
+    perceptualHashes.push(perceptualHash);
+
+    const frameCount = originalFormats[index]?.animated ? originalFormats[index].frameCount : 1;
+    const reviewPages = [...new Set([Math.floor(frameCount / 2), frameCount - 1])].filter((page) => page > 0);
+    for (const page of reviewPages) {
+      const { workingBuffer: frameBuffer } = await createWorkingImageBufferFromPath(file.path, { page });
+      const framePath = `${file.path}.frame-${page}.jpg`;
+      await writeFileAtomic(framePath, frameBuffer);
+      workingImagePaths.push(framePath);
+    }
+  }
+  return { workingBuffers, perceptualHashes };
+}
+
+const imageModerator = (() => {
+  const moderatorOptions = {
+    openai: {
+      apiKey: OPENAI_API_KEY,
+      model: OPENAI_IMAGE_REVIEW_MODEL,
+      timeoutMs: OPENAI_IMAGE_REVIEW_TIMEOUT_MS,
+      scoreThreshold: OPENAI_IMAGE_REVIEW_SCORE_THRESHOLD,
+      maxSide: OPENAI_IMAGE_REVIEW_MAX_SIDE,
+      jpegQuality: OPENAI_IMAGE_REVIEW_JPEG_QUALITY,
+    },
+    local: {
+      skinRatioThreshold: Number.isFinite(IMAGE_REVIEW_LOCAL_SKIN_RATIO_THRESHOLD) ? IMAGE_REVIEW_LOCAL_SKIN_RATIO_THRESHOLD : 0.4,
+    },
+  };
+  try {
+    return createImageModerator({ providers: IMAGE_REVIEW_PROVIDERS, combine: IMAGE_REVIEW_COMBINE, options: moderatorOptions });
+  } catch (error) {
+    console.warn(`[image-review] ${error.message} (IMAGE_REVIEW_PROVIDERS="${IMAGE_REVIEW_PROVIDERS.join(',')}" IMAGE_REVIEW_COMBINE="${IMAGE_REVIEW_COMBINE}"). Falling back to stub.`);
+    return createImageModerator({ providers: ['stub'] });
+  }
+})();
 
+// 作業用画像（filePath）と文字の項目をプロバイダに渡して審査する。戻り値は { shouldReview, reason, verdicts }
+async function resolveImageReviewDecision(filePath, { source = 'original', text = {}, scoreThresholds = {} } = {}) {
   if (!filePath) {
-    return { shouldReview: true, reason: 'image:path_missing' };
+    return { shouldReview: true, reason: 'image:path_missing', verdicts: [] };
+  }
+  const image = await fsp.readFile(filePath);
+  const decision = await imageModerator.review({ image, text, source, scoreThresholds });
+  if (imageModerator.providers.length > 1) {
+    console.info('[image-review] combined decision', {
+      combine: imageModerator.combine,
+      shouldReview: decision.shouldReview,
+      reason: decision.reason,
+      verdicts: decision.verdicts.map((verdict) => `${verdict.provider}:${verdict.decision}`),
+    });
   }
+  return decision;
+}
 
-  if (IMAGE_REVIEW_MODE === 'stub') {
-    return { shouldReview: false, reason: 'image:stub_no_review' };
+// filePaths を渡すと（bundle 出品）全画像を順に審査し、1枚でも要審査なら under_review にする。
+// 文字に block のキーワードがあれば、画像は審査せずに blocked
+async function resolveInitialSaleModerationDecision({ title, licenseNotes, aiModelName, sellerId, filePath, filePaths, imageSource = "original" } = {}) {
+  const policy = await getModerationPolicy();
+  const textDecision = resolveInitialSaleStatus({ title, licenseNotes, aiModelName, sellerId }, policy);
+  if (textDecision.status === Item.SALE_STATUSES.BLOCKED) {
+    return { ...textDecision, textReason: textDecision.reason, imageVerdicts: [] };
   }
+  const imagePaths = Array.isArray(filePaths) && filePaths.length ? filePaths : [filePath];
 
-  if (IMAGE_REVIEW_MODE === 'openai') {
+  const imageDecisions = [];
+  for (const imagePath of imagePaths) {
+    let imageDecision = { shouldReview: false, reason: 'image:not_checked' };
     try {
-      if (!OPENAI_API_KEY) {
-        console.warn('[image-review] OPENAI_API_KEY is not set.');
-        return { shouldReview: true, reason: 'image:image_check_failed' };
-      }
-
-      const maxSide = resolveImageReviewResizeMaxSide();
-      const jpegQuality = resolveImageReviewJpegQuality();
-      const originalMetadata = await sharp(filePath).metadata();
-      const { data: reviewImageBuffer, info: reviewImageInfo } = await sharp(filePath)
-        .rotate()
-        .resize({
-          width: maxSide,
-          height: maxSide,
-          fit: 'inside',
-          withoutEnlargement: true,
-        })
-        .jpeg({
-          quality: jpegQuality,
-          mozjpeg: true,
-        })
-        .toBuffer({ resolveWithObject: true });
-      const base64Image = reviewImageBuffer.toString('base64');
-      const imageDataUrl = `data:image/jpeg;base64,${base64Image}`;
-      console.info('[image-review] prepared moderation image', {
-        source,
-        original: `${originalMetadata.width || '?'}x${originalMetadata.height || '?'}`,
-        review: `${reviewImageInfo.width || '?'}x${reviewImageInfo.height || '?'}`,
-        maxSide,
-        jpegQuality,
-      });
-
-      const controller = new AbortController();
-      const timeoutMs = Number.isFinite(OPENAI_IMAGE_REVIEW_TIMEOUT_MS) && OPENAI_IMAGE_REVIEW_TIMEOUT_MS > 0
-        ? OPENAI_IMAGE_REVIEW_TIMEOUT_MS
-        : 7000;
-      const timeout = setTimeout(() => controller.abort(), timeoutMs);
-
-      let response;
-      try {
-        response = await fetch('https://api.openai.com/v1/moderations', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            Authorization: `Bearer ${OPENAI_API_KEY}`,
-          },
-          body: JSON.stringify({
-            model: OPENAI_IMAGE_REVIEW_MODEL,
-            input: [
-              {
-                type: 'image_url',
-                image_url: {
-                  url: imageDataUrl,
-                },
-              }
-            ],
-          }),
-          signal: controller.signal,
-        });
-      } finally {
-        clearTimeout(timeout);
-      }
-
-      if (!response.ok) {
-        const bodyText = await response.text().catch(() => '');
-        const requestId = response.headers.get('x-request-id') || '';
-        console.error(
-          `[image-review] OpenAI moderation API failed: ${response.status} ${response.statusText} request_id=${requestId}`,
-          bodyText
-        );
-        return { shouldReview: true, reason: 'image:image_check_failed' };
-      }
-
-      const moderation = await response.json();
-      const requestId = response.headers.get('x-request-id') || '';
-      console.info(`[image-review] OpenAI moderation API success: request_id=${requestId}`);
-      const result = moderation?.results?.[0];
-      if (!result || typeof result !== 'object') {
-        console.error('[image-review] invalid moderation response', moderation);
-        return { shouldReview: true, reason: 'image:image_check_failed' };
-      }
-
-      const categories = result.categories && typeof result.categories === 'object' ? result.categories : {};
-      const categoryScores = result.category_scores && typeof result.category_scores === 'object'
-        ? result.category_scores
-        : {};
-      const isFlagged = !!result.flagged;
-
-      const sexualOrNudityCategoryKeys = Object.keys(categories).filter((key) => {
-        const normalizedKey = String(key).toLowerCase();
-        return normalizedKey.includes('sexual') || normalizedKey.includes('nudity');
-      });
-      const flaggedSexualOrNudityCategoryKeys = sexualOrNudityCategoryKeys.filter((key) => !!categories[key]);
-
-      const highSexualOrNudityScoreKey = Object.keys(categoryScores).find((key) => {
-        const normalizedKey = String(key).toLowerCase();
-        const score = Number(categoryScores[key]);
-        return (
-          (normalizedKey.includes('sexual') || normalizedKey.includes('nudity')) &&
-          Number.isFinite(score) &&
-          score >= OPENAI_IMAGE_REVIEW_SCORE_THRESHOLD
-        );
-      });
-
-      const reviewSummary = {
-        request_id: requestId,
-        flagged: isFlagged,
-        categories: flaggedSexualOrNudityCategoryKeys,
-        category_scores: sexualOrNudityCategoryKeys.reduce((acc, key) => {
-          const score = Number(categoryScores[key]);
-          if (Number.isFinite(score)) {
-            acc[key] = Number(score.toFixed(4));
-          }
-          return acc;
-        }, {}),
-      };
-      const logReviewDecision = (reason) => {
-        console.info('[image-review] review decision', { ...reviewSummary, reason });
-      };
-
-      const sexualFlaggedCategoryKey = flaggedSexualOrNudityCategoryKeys.find((key) => {
-        const normalizedKey = String(key).toLowerCase();
-        return normalizedKey.includes('sexual');
-      });
-      if (sexualFlaggedCategoryKey) {
-        const reason = `image:sexual_flagged:${sexualFlaggedCategoryKey}`;
-        logReviewDecision(reason);
-        return { shouldReview: true, reason };
-      }
-
-      const nudityFlaggedCategoryKey = flaggedSexualOrNudityCategoryKeys.find((key) => {
-        const normalizedKey = String(key).toLowerCase();
-        return normalizedKey.includes('nudity');
+      imageDecision = await resolveImageReviewDecision(imagePath, {
+        source: imageSource,
+        text: { title, licenseNotes, aiModelName },
+        scoreThresholds: policy.scoreThresholds
       });
-      if (nudityFlaggedCategoryKey) {
-        const reason = `image:nudity_flagged:${nudityFlaggedCategoryKey}`;
-        logReviewDecision(reason);
-        return { shouldReview: true, reason };
-      }
-
-      if (highSexualOrNudityScoreKey) {
-        const normalizedKey = String(highSexualOrNudityScoreKey).toLowerCase();
-        const reason = normalizedKey.includes('nudity')
-          ? `image:nudity_score_high:${highSexualOrNudityScoreKey}`
-          : `image:sexual_score_high:${highSexualOrNudityScoreKey}`;
-        logReviewDecision(reason);
-        return { shouldReview: true, reason };
-      }
-
-      if (isFlagged) {
-        const reason = 'image:openai_flagged';
-        logReviewDecision(reason);
-        return { shouldReview: true, reason };
-      }
-
-      return { shouldReview: false, reason: 'image:openai_no_review' };
     } catch (error) {
-      const errorMessage = error?.name === 'AbortError' ? 'timeout' : error;
-      console.error('[image-review] openai moderation failed', errorMessage);
-      return { shouldReview: true, reason: 'image:image_check_failed' };
+      console.error('[image-review] failed', error);
+      imageDecision = { shouldReview: true, reason: 'image:image_check_failed' };
     }
+    imageDecisions.push(imageDecision);
   }
-
-  console.warn(`[image-review] unknown IMAGE_REVIEW_MODE="${IMAGE_REVIEW_MODE}". Falling back to stub.`);
-  return { shouldReview: false, reason: 'image:stub_no_review' };
+  // 審査履歴（ModerationEvent）に残すプロバイダごとの判定とスコア
+  const imageVerdicts = imageDecisions.flatMap((imageDecision, image) => (
+    imageDecision.verdicts?.length
+      ? imageDecision.verdicts.map((verdict) => ({ image, ...verdict }))
+      : [{ image, provider: '', decision: imageDecision.shouldReview ? 'error' : 'pass', reason: imageDecision.reason }]
+  ));
+
+  return { ...saleModerationStatusOf(textDecision, imageDecisions), textReason: textDecision.reason, imageVerdicts };
 }
 
-async function resolveInitialSaleModerationDecision({ title, licenseNotes, aiModelName, filePath, imageSource = "original" } = {}) {
-  const textDecision = resolveInitialSaleStatus({ title, licenseNotes, aiModelName });
-
-  let imageDecision = { shouldReview: false, reason: 'image:not_checked' };
-  try {
-    imageDecision = await resolveImageReviewDecision(filePath, { source: imageSource });
-  } catch (error) {
-    console.error('[image-review] failed', error);
-    imageDecision = { shouldReview: true, reason: 'image:image_check_failed' };
+// 文字の判定と画像ごとの判定（{ shouldReview, reason }）から { status, reason } を決める（出品時の審査と方針の試算で共通）
+function saleModerationStatusOf(textDecision, imageDecisions) {
+  if (textDecision.status === Item.SALE_STATUSES.BLOCKED) {
+    return { status: textDecision.status, reason: textDecision.reason };
   }
-
   const reasons = [];
   if (textDecision.status === Item.SALE_STATUSES.UNDER_REVIEW && textDecision.reason) {
     reasons.push(textDecision.reason);
   }
-  if (imageDecision.shouldReview && imageDecision.reason) {
-    reasons.push(imageDecision.reason);
+  for (const imageDecision of imageDecisions) {
+    if (imageDecision.shouldReview && imageDecision.reason && !reasons.includes(imageDecision.reason)) {
+      reasons.push(imageDecision.reason);
+    }
   }
+  return reasons.length > 0
+    ? { status: Item.SALE_STATUSES.UNDER_REVIEW, reason: reasons.join('|') }
+    : { status: DEFAULT_ITEM_SALE_STATUS, reason: 'auto_pass:text_and_image' };
+}
 
-  if (reasons.length > 0) {
-    return {
-      status: Item.SALE_STATUSES.UNDER_REVIEW,
-      reason: reasons.join('|')
-    };
+// 知覚ハッシュが近い他の出品を全作品から探す（削除済みと自分自身は除く）。距離の近い順
+async function findPerceptualDuplicates(item, perceptualHashes) {
+  const bands = hashBandsOf(perceptualHashes);
+  if (!bands.length) return [];
+  const candidates = await Item.find({
+    _id: { $ne: item._id },
+    isDeleted: { $ne: true },
+    perceptualHashBands: { $in: bands }
+  })
+    .select('slug ownerUser perceptualHashes')
+    .limit(2000)
+    .lean();
+
+  const detectedAt = new Date();
+  return candidates
+    .map((candidate) => ({ candidate, distance: closestDistance(perceptualHashes, candidate.perceptualHashes) }))
+    .filter(({ distance }) => distance !== null && distance <= DUPLICATE_IMAGE_MAX_DISTANCE)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, 10)
+    .map(({ candidate, distance }) => ({
+      item: candidate._id,
+      slug: candidate.slug,
+      distance,
+      sameOwner: !!item.ownerUser && String(candidate.ownerUser || '') === String(item.ownerUser),
+      detectedAt
+    }));
+}
+
+// 他の出品者の作品とほぼ同じ画像は、審査結果に関わらず（blocked を除く）under_review にして dup:<相手の slug> を理由に足す。
+// 同じ出品者の二重出品は止めずに、出品者へ注意を出すだけ（Item.duplicateMatches に残す）
+function applyDuplicateModerationDecision(moderation, duplicateMatches) {
+  const crossOwner = duplicateMatches.find((match) => !match.sameOwner);
+  if (!crossOwner || moderation.status === Item.SALE_STATUSES.BLOCKED) return moderation;
+  const reasons = moderation.status === Item.SALE_STATUSES.UNDER_REVIEW && moderation.reason
+    ? moderation.reason.split('|')
+    : [];
+  reasons.push(`dup:${crossOwner.slug}`);
+  return { ...moderation, status: Item.SALE_STATUSES.UNDER_REVIEW, reason: reasons.join('|') };
+}
+
+// 審査履歴を1件残す。履歴の書き込みに失敗しても、審査・運営の操作そのものは止めない
+async function recordModerationEvent({ item, type, source, saleStatusBefore, saleStatusAfter, reason = '', moderation = null, actorUser = null, note = '' }) {
+  try {
+    await ModerationEvent.create({
+      item: item._id,
+      seller: item.ownerUser || null,
+      type,
+      source,
+      saleStatusBefore: saleStatusBefore || '',
+      saleStatusAfter: saleStatusAfter || '',
+      reason: reason || moderation?.reason || '',
+      textReason: moderation?.textReason || '',
+      imageVerdicts: moderation?.imageVerdicts || [],
+      actorUser,
+      note: String(note || '').trim().slice(0, ModerationEvent.NOTE_MAX_LENGTH)
+    });
+  } catch (e) {
+    console.error('[moderation:event] record failed', { item: String(item._id), type, message: e?.message || e });
   }
+}
 
-  return {
-    status: DEFAULT_ITEM_SALE_STATUS,
-    reason: 'auto_pass:text_and_image'
-  };
+const MODERATION_EVENT_TYPE_LABELS = Object.freeze({
+  auto: '自動判定',
+  approve: '承認',
+  reject: '却下',
+  block: '公開停止',
+  unblock: '停止解除',
+  appeal: '異議申し立て',
+  appeal_rejected: '申し立てを認めず',
+  seller_appeal: '出品者の異議申し立て'
+});
+const MODERATION_EVENT_SOURCE_LABELS = Object.freeze({
+  upload: '出品',
+  replace_original: '原本の差し替え',
+  license_edit: 'ライセンス条件の編集',
+  admin: '管理画面',
+  appeal: '異議申し立て'
+});
+const SALE_STATUS_LABELS = Object.freeze({
+  published: '公開中',
+  under_review: '審査中',
+  blocked: '公開停止中'
+});
+const MODERATION_VERDICT_LABELS = Object.freeze({ pass: '問題なし', review: '要審査', error: '失敗' });
+
+// 作品ごとの審査履歴（新しい順、1作品あたり perItem 件まで）を管理画面の表示用に組み立てる
+async function loadModerationTimelines(itemIds, { perItem = 20 } = {}) {
+  const timelines = new Map();
+  if (!itemIds.length) return timelines;
+  const events = await ModerationEvent.find({ item: { $in: itemIds } })
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(itemIds.length * perItem)
+    .lean();
+  const actorIds = [...new Set(events.map((event) => String(event.actorUser || '')).filter(Boolean))];
+  const actors = actorIds.length ? await User.find({ _id: { $in: actorIds } }).select('name email').lean() : [];
+  const actorMap = new Map(actors.map((actor) => [String(actor._id), actor]));
+
+  for (const event of events) {
+    const key = String(event.item);
+    if (!timelines.has(key)) timelines.set(key, []);
+    const rows = timelines.get(key);
+    if (rows.length >= perItem) continue;
+    const actor = event.actorUser ? actorMap.get(String(event.actorUser)) : null;
+    rows.push({
+      at: event.createdAt,
+      label: `${MODERATION_EVENT_TYPE_LABELS[event.type] || event.type}（${MODERATION_EVENT_SOURCE_LABELS[event.source] || event.source}）`,
+      statusChange: event.saleStatusBefore === event.saleStatusAfter
+        ? SALE_STATUS_LABELS[event.saleStatusAfter] || event.saleStatusAfter || '-'
+        : `${SALE_STATUS_LABELS[event.saleStatusBefore] || event.saleStatusBefore || '-'} → ${SALE_STATUS_LABELS[event.saleStatusAfter] || event.saleStatusAfter || '-'}`,
+      reason: event.reason || '',
+      textReason: event.textReason || '',
+      actorName: !event.actorUser
+        ? ''
+        : ModerationEvent.isSellerEvent(event)
+          ? `出品者 ${actor?.name || actor?.email || '(不明)'}`
+          : actor?.name || actor?.email || '不明な管理者',
+      note: event.note || '',
+      verdicts: (event.imageVerdicts || []).map((verdict) => ({
+        label: `画像${Number(verdict.image || 0) + 1} ${verdict.provider || '-'}: ${MODERATION_VERDICT_LABELS[verdict.decision] || verdict.decision || '-'}`,
+        reason: verdict.reason || '',
+        // スコアの高い順に3つまで
+        scores: Object.entries(verdict.scores || {})
+          .filter(([, score]) => Number.isFinite(Number(score)))
+          .sort((a, b) => Number(b[1]) - Number(a[1]))
+          .slice(0, 3)
+          .map(([category, score]) => `${category} ${Number(score).toFixed(3)}`)
+          .join(', ')
+      }))
+    });
+  }
+  return timelines;
 }
 
 const DAYS_180_MS = 1000 * 60 * 60 * 24 * 180;
@@ -599,7 +814,7 @@ async function getTransferEligibility(stripeAccountId) {
 }
 
 // ====== S3 (S3/R2 互換) ======
-const { S3Client, PutObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, HeadObjectCommand, CopyObjectCommand } = require('@aws-sdk/client-s3');
 const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
 
 const S3_ENDPOINT = process.env.S3_ENDPOINT || undefined; // AWS の場合は undefined でOK
@@ -623,6 +838,27 @@ const s3 = (S3_BUCKET)
   : null;
 if (!S3_BUCKET) console.warn('[WARN] S3_BUCKET 未設定。オブジェクト保存は動きません。');
 
+// 出品画像をブラウザから S3/R2 へ直接 PUT する（署名付きURL）。アプリサーバは受け取らず、バケット上で検査・処理する。
+// バケットの CORS でサイトのオリジンからの PUT を許可しておくこと（docs/direct-s3-upload.md）
+const DIRECT_S3_UPLOAD_ENABLED = !!s3 && process.env.DIRECT_S3_UPLOAD === '1';
+// ブラウザから見たエンドポイント（MinIO をコンテナで動かすときなど、サーバからの S3_ENDPOINT と違う場合だけ）
+const S3_DIRECT_UPLOAD_ENDPOINT = process.env.S3_DIRECT_UPLOAD_ENDPOINT || S3_ENDPOINT;
+const DIRECT_S3_UPLOAD_URL_TTL_SEC = 15 * 60;
+const DIRECT_S3_UPLOAD_ORIGIN = S3_DIRECT_UPLOAD_ENDPOINT ? new URL(S3_DIRECT_UPLOAD_ENDPOINT).origin : 'https://*.amazonaws.com';
+const s3UploadSigner = DIRECT_S3_UPLOAD_ENABLED
+  ? new S3Client({
+      region: S3_REGION,
+      endpoint: S3_DIRECT_UPLOAD_ENDPOINT,
+      forcePathStyle: !!S3_DIRECT_UPLOAD_ENDPOINT,
+      // 既定だと空の本文の CRC32 が署名URLに入り、ブラウザからの PUT が必ず失敗する
+      requestChecksumCalculation: 'WHEN_REQUIRED',
+      credentials: {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID || '',
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || '',
+      },
+    })
+  : null;
+
 if (!STRIPE_SECRET_KEY) {
   console.warn('[WARN] STRIPE_SECRET_KEY が未設定です。決済は動きません。');
 }
@@ -803,7 +1039,12 @@ app.use(helmet({
         "https://js.stripe.com"
       ],
       "img-src": ["'self'", "data:", "blob:", "https:", "http:"],
-      "connect-src": ["'self'", "https://api.stripe.com", "https://r.stripe.com"],
+      "connect-src": [
+        "'self'",
+        "https://api.stripe.com",
+        "https://r.stripe.com",
+        ...(DIRECT_S3_UPLOAD_ENABLED ? [DIRECT_S3_UPLOAD_ORIGIN] : [])  // 出品画像の直接アップロード先
+      ],
       "frame-src": [
         "'self'",
         "https://js.stripe.com",
@@ -1131,7 +1372,7 @@ async function getOwnedItemSummary(userId) {
   const [items, totalCount] = await Promise.all([
     Item.find({ ownerUser: ownerObjectId, isDeleted: { $ne: true } })
       .sort({ createdAt: -1, _id: -1 })
-      .select('slug title price currency creatorName previewPath ownerUser createdAt updatedAt saleStatus')
+      .select('slug title price currency creatorName previewPath ownerUser createdAt updatedAt saleStatus processingStatus licensePreset editionLimit editionSold editionReserved soldOutAt')
       .lean(),
     Item.countDocuments({ ownerUser: ownerObjectId, isDeleted: { $ne: true } })
   ]);
@@ -1140,17 +1381,24 @@ async function getOwnedItemSummary(userId) {
   const salesRows = itemIds.length
     ? await PurchaseRecord.aggregate([
       { $match: { seller: ownerObjectId, item: { $in: itemIds } } },
-      { $group: { _id: '$item', salesCount: { $sum: 1 } } }
+      {
+        $group: {
+          _id: '$item',
+          salesCount: { $sum: 1 },
+          refundCount: {
+            $sum: { $cond: [{ $in: ['$status', [PurchaseRecord.STATUSES.REFUNDED, PurchaseRecord.STATUSES.DISPUTED, PurchaseRecord.STATUSES.DISPUTE_LOST]] }, 1, 0] }
+          }
+        }
+      }
     ])
     : [];
-  const salesCountByItemId = new Map(
-    salesRows.map((row) => [String(row._id), Number(row.salesCount || 0)])
-  );
+  const salesRowByItemId = new Map(salesRows.map((row) => [String(row._id), row]));
 
   return {
     items: items.map((item) => dashboardItemView({
       ...item,
-      salesCount: salesCountByItemId.get(String(item._id)) || 0
+      salesCount: Number(salesRowByItemId.get(String(item._id))?.salesCount || 0),
+      refundCount: Number(salesRowByItemId.get(String(item._id))?.refundCount || 0)
     })),
     totalCount
   };
@@ -1164,8 +1412,8 @@ function dashboardBaseView(req, extra = {}) {
     lng,
     locale,
     minPrice: MIN_PRICE,
-    editableFields: ['title', 'price'],
-    nonEditableFields: ['previewPath', 'filePath', 's3Key', 'licensePreset', 'licenseNotes', 'requireCredit', 'mimeType'],
+    editableFields: ['title', 'price', 'editionLimit'],
+    nonEditableFields: ['previewPath', 'filePath', 's3Key', 'requireCredit', 'mimeType'],
     ...extra
   };
 }
@@ -1347,6 +1595,10 @@ async function processQueuedPendingTransfersForSeller({ sellerId, stripeAccountI
     }
 
     const revenueSplit = calcRevenueSplit(latest.grossAmount);
+    // 一部返金で減額済みの保留は、減額後の amount を上限にする
+    if (Number.isFinite(latest.amount) && latest.amount < revenueSplit.sellerAmount) {
+      revenueSplit.sellerAmount = Math.max(0, latest.amount);
+    }
     if (revenueSplit.sellerAmount <= 0) {
       await PendingTransfer.updateOne(
         { _id: latest._id, status: 'queued' },
@@ -1401,147 +1653,862 @@ async function processQueuedPendingTransfersForSeller({ sellerId, stripeAccountI
   return results;
 }
 
-/* ====== FS準備 ====== */
-const ensureDir = async (dir) => {
-  try { await fsp.mkdir(dir, { recursive: true }); } catch {}
+// ====== 返金・チャージバック（charge.refunded / charge.dispute.*） ======
+const PURCHASE_STATUS_LABELS = {
+  paid: '支払い済み',
+  partially_refunded: '一部返金',
+  refunded: '返金済み',
+  disputed: 'チャージバック対応中',
+  dispute_lost: 'チャージバック（敗訴）'
 };
 
-ensureDir(UPLOAD_DIR);
-ensureDir(PREVIEW_DIR);
-
-const createTiledWatermarkSvg = ({ width, height, alpha = 0.22 }) => Buffer.from(`
-  <svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
-    <defs>
-      <pattern id="wm-tile" width="280" height="180" patternUnits="userSpaceOnUse" patternTransform="rotate(-18)">
-        <text x="18" y="112" fill="rgba(255,255,255,${alpha})" font-size="46" font-weight="700" font-family="Arial, sans-serif">SAMPLE</text>
-      </pattern>
-    </defs>
-    <rect width="100%" height="100%" fill="url(#wm-tile)" />
-  </svg>
-`);
+const PENDING_TRANSFER_STATUS_LABELS = {
+  queued: '送金保留中',
+  transferred: '送金済み',
+  expired: '失効',
+  canceled: '送金取消',
+  reversed: '送金取り戻し済み'
+};
 
-async function renderSalePreviewBufferFromOriginalBuffer(originalBuffer) {
-  const previewBase = await sharp(originalBuffer).rotate().toBuffer();
-  const previewMeta = await sharp(previewBase).metadata();
-  const pw = Math.max(1, previewMeta.width || 1);
-  const ph = Math.max(1, previewMeta.height || 1);
-  const mosaicBlock = Math.max(12, Math.round(Math.max(pw, ph) / 90));
-  const downW = Math.max(1, Math.round(pw / mosaicBlock));
-  const downH = Math.max(1, Math.round(ph / mosaicBlock));
-  const previewWatermarkSvg = createTiledWatermarkSvg({ width: pw, height: ph, alpha: 0.24 });
-  return sharp(previewBase)
-    .resize(downW, downH, { fit: 'fill', kernel: sharp.kernel.nearest })
-    .resize(pw, ph, { fit: 'fill', kernel: sharp.kernel.nearest })
-    .composite([{ input: previewWatermarkSvg }])
-    .jpeg({ quality: 85 })
-    .toBuffer();
+function stripeIdOf(value) {
+  if (!value) return '';
+  return typeof value === 'string' ? value : String(value.id || '');
 }
 
-async function s3BodyToBuffer(body) {
-  if (!body) throw new Error('S3 object body is empty');
-  if (Buffer.isBuffer(body)) return body;
-  if (typeof body.transformToByteArray === 'function') {
-    return Buffer.from(await body.transformToByteArray());
+async function findPurchaseRecordByPaymentIntent(paymentIntentId) {
+  if (!paymentIntentId) return null;
+  const record = await PurchaseRecord.findOne({ paymentIntentId });
+  if (record) return record;
+
+  // paymentIntentId 未保存の古い履歴は Checkout Session から引き直す
+  const sessions = await stripe.checkout.sessions.list({ payment_intent: paymentIntentId, limit: 1 });
+  const sessionId = sessions?.data?.[0]?.id;
+  if (!sessionId) return null;
+  const bySession = await PurchaseRecord.findOne({ sessionId });
+  if (bySession && !bySession.paymentIntentId) {
+    await PurchaseRecord.updateOne({ _id: bySession._id, paymentIntentId: '' }, { $set: { paymentIntentId } });
+    bySession.paymentIntentId = paymentIntentId;
   }
-  const chunks = [];
-  for await (const chunk of body) chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
-  return Buffer.concat(chunks);
+  return bySession;
 }
 
-async function writeFileAtomic(targetPath, data) {
-  const tmpPath = `${targetPath}.tmp-${Date.now()}-${process.pid}-${nanoid(6)}`;
-  await fsp.writeFile(tmpPath, data);
-  await fsp.rename(tmpPath, targetPath);
+async function revokeDownloadTokensForPurchase(record, now = new Date()) {
+  const result = await DownloadToken.updateMany(
+    { $or: [{ sessionId: record.sessionId }, { purchase: record._id }], revokedAt: null },
+    { $set: { revokedAt: now } }
+  );
+  return result.modifiedCount || 0;
 }
 
-async function loadOriginalBufferForItem(item) {
-  if (s3 && item?.s3Key) {
-    const obj = await s3.send(new GetObjectCommand({ Bucket: S3_BUCKET, Key: item.s3Key }));
-    return s3BodyToBuffer(obj.Body);
-  }
-  const filePath = String(item?.filePath || '').trim();
-  if (!filePath) throw new Error('original not found');
-  return fsp.readFile(filePath);
+// transfer の残額（amount - amount_reversed）が target になるまで取り戻す。
+// idempotencyKey は目標額ごとに固定なので、Webhook の再送でも二重に取り戻さない
+async function reverseTransferToTarget(transferId, { keepRatio, originalAmount = null, reason }) {
+  const transfer = await stripe.transfers.retrieve(transferId);
+  const base = originalAmount ?? Number(transfer.amount || 0);
+  const target = Math.max(0, Math.floor(base * keepRatio));
+  const remaining = Number(transfer.amount || 0) - Number(transfer.amount_reversed || 0);
+  const delta = remaining - target;
+  if (delta <= 0) return { reversal: null, reversedAmount: 0, remaining, target, base };
+
+  const reversal = await stripe.transfers.createReversal(transferId, {
+    amount: delta,
+    metadata: { reason }
+  }, {
+    idempotencyKey: `transfer_reversal_${transferId}_${target}`
+  });
+  console.info('[refund] transfer reversed', { transferId, amount: delta, reason });
+  return { reversal, reversedAmount: delta, remaining: remaining - delta, target, base };
 }
 
-async function regeneratePreviewForItem(item) {
-  if (!item?.slug) throw new Error('item slug is missing');
-
-  const originalBuffer = await loadOriginalBufferForItem(item);
-  const previewBuffer = await renderSalePreviewBufferFromOriginalBuffer(originalBuffer);
-  const previewName = `${item.slug}-preview.jpg`;
-  const fallbackPreviewPath = `/previews/${previewName}`;
-
-  if (s3 && item.s3Key) {
-    const s3KeyPreview = `previews/${previewName}`;
-    await s3.send(new PutObjectCommand({
-      Bucket: S3_BUCKET,
-      Key: s3KeyPreview,
-      Body: previewBuffer,
-      ContentType: 'image/jpeg',
-      CacheControl: 'public, max-age=31536000, immutable'
-    }));
-    if (!item.previewPath) {
-      const previewPath = S3_PUBLIC_IS_HTTPS
-        ? `${S3_PUBLIC_BASE}/${s3KeyPreview}`
-        : fallbackPreviewPath;
-      await Item.updateOne(
-        { _id: item._id },
-        { $set: { previewPath }, $currentDate: { updatedAt: true } }
+// 販売者の取り分を keepRatio（購入者が最終的に支払った割合）に合わせる。
+// 保留中なら減額・取消、送金済みなら transfer reversal、destination charge なら charge.transfer を取り戻す
+async function settleSellerPayoutForPurchase({ record, keepRatio, chargeTransferId = '', reason }) {
+  const now = new Date();
+  const pending = record.paymentIntentId
+    ? await PendingTransfer.findOne({ paymentIntentId: record.paymentIntentId }).lean()
+    : null;
+  let originalSellerAmount = 0;
+  let effectiveSellerAmount = 0;
+
+  if (pending) {
+    originalSellerAmount = calcRevenueSplit(pending.grossAmount).sellerAmount;
+    const target = Math.max(0, Math.floor(originalSellerAmount * keepRatio));
+
+    if (pending.status === 'queued' || pending.status === 'canceled') {
+      const nextStatus = target > 0 ? 'queued' : 'canceled';
+      await PendingTransfer.updateOne(
+        { _id: pending._id, status: pending.status },
+        {
+          $set: {
+            status: nextStatus,
+            amount: target,
+            reason,
+            canceledAt: nextStatus === 'canceled' ? (pending.canceledAt || now) : null,
+            updatedAt: now
+          }
+        }
       );
-    } else {
-      await Item.updateOne(
-        { _id: item._id },
-        { $currentDate: { updatedAt: true } }
+      effectiveSellerAmount = target;
+      console.info('[refund] pending transfer adjusted', { pi: record.paymentIntentId, from: pending.status, to: nextStatus, amount: target });
+    } else if ((pending.status === 'transferred' || pending.status === 'reversed') && pending.transferId) {
+      const result = await reverseTransferToTarget(pending.transferId, {
+        keepRatio,
+        originalAmount: Number(pending.amount || originalSellerAmount),
+        reason
+      });
+      if (result.remaining < result.target) {
+        // 取り戻し後にチャージバック勝訴した等。送金の再実行は手動で行う
+        console.warn('[refund] seller payout below target; manual transfer required', {
+          pi: record.paymentIntentId, remaining: result.remaining, target: result.target
+        });
+      }
+      await PendingTransfer.updateOne(
+        { _id: pending._id },
+        {
+          $set: {
+            status: result.remaining <= 0 ? 'reversed' : 'transferred',
+            reason,
+            updatedAt: now,
+            ...(result.reversal ? { reversedAt: now } : {})
+          },
+          ...(result.reversal
+            ? { $inc: { reversedAmount: result.reversedAmount }, $push: { reversalIds: result.reversal.id } }
+            : {})
+        }
       );
+      originalSellerAmount = result.base;
+      effectiveSellerAmount = result.remaining;
+    } else {
+      // expired 等：販売者へは送金されていないので何もしない
+      effectiveSellerAmount = 0;
+      originalSellerAmount = 0;
     }
-    return { mode: 's3', previewKey: s3KeyPreview };
+  } else if (chargeTransferId) {
+    const result = await reverseTransferToTarget(chargeTransferId, { keepRatio, reason });
+    originalSellerAmount = result.base;
+    effectiveSellerAmount = result.remaining;
   }
 
-  const previewFull = path.join(PREVIEW_DIR, previewName);
-  await writeFileAtomic(previewFull, previewBuffer);
-  if (!item.previewPath) {
-    await Item.updateOne(
-      { _id: item._id },
-      { $set: { previewPath: fallbackPreviewPath }, $currentDate: { updatedAt: true } }
-    );
-  } else {
-    await Item.updateOne(
-      { _id: item._id },
-      { $currentDate: { updatedAt: true } }
-    );
-  }
-  return { mode: 'local', previewPath: fallbackPreviewPath };
+  await PurchaseRecord.updateOne(
+    { _id: record._id },
+    { $set: { sellerReversedAmount: Math.max(0, originalSellerAmount - effectiveSellerAmount) } }
+  );
 }
 
-function getIntFlag(name, fallback) {
-  const arg = process.argv.find((v) => v.startsWith(`${name}=`));
-  if (!arg) return fallback;
-  const n = Number(arg.split('=').slice(1).join('=').trim());
-  return Number.isInteger(n) && n >= 0 ? n : fallback;
-}
+async function handleChargeRefunded(charge) {
+  const paymentIntentId = stripeIdOf(charge.payment_intent);
+  const record = await findPurchaseRecordByPaymentIntent(paymentIntentId);
+  if (!record) {
+    console.warn('[refund] purchase record not found', { charge: charge.id, pi: paymentIntentId });
+    return;
+  }
 
-async function runRegeneratePreviewBatchFromCli() {
-  const oneArg = process.argv.find((arg) => arg.startsWith('--regenerate-preview='));
-  const runAll = process.argv.includes('--regenerate-preview-all');
-  const dryRun = process.argv.includes('--dry-run');
-  if (!oneArg && !runAll) return false;
+  const now = new Date();
+  const paidAmount = Number(charge.amount || record.amount || 0);
+  const refundedAmount = Math.min(paidAmount, Number(charge.amount_refunded || 0));
+  const fullyRefunded = charge.refunded === true || refundedAmount >= paidAmount;
+  // チャージバック中・敗訴の状態は返金で上書きしない（取り分は 0 のまま）
+  const underDispute = [PurchaseRecord.STATUSES.DISPUTED, PurchaseRecord.STATUSES.DISPUTE_LOST].includes(record.status);
+  const nextStatus = underDispute
+    ? record.status
+    : fullyRefunded ? PurchaseRecord.STATUSES.REFUNDED : PurchaseRecord.STATUSES.PARTIALLY_REFUNDED;
+
+  await PurchaseRecord.updateOne(
+    { _id: record._id },
+    { $set: { status: nextStatus, refundedAmount, refundedAt: now } }
+  );
+  await syncRefundRecordsForCharge(record, charge);
+  if (fullyRefunded) {
+    const revoked = await revokeDownloadTokensForPurchase(record, now);
+    console.info('[refund] download tokens revoked', { purchase: String(record._id), revoked });
+  }
 
-  await mongoose.connection.asPromise();
+  await settleSellerPayoutForPurchase({
+    record,
+    keepRatio: (underDispute || paidAmount <= 0) ? 0 : (paidAmount - refundedAmount) / paidAmount,
+    chargeTransferId: stripeIdOf(charge.transfer),
+    reason: fullyRefunded ? 'refunded' : 'partially_refunded'
+  });
+}
 
-  let total = 0;
-  let success = 0;
-  let failed = 0;
+async function handleChargeDisputeCreated(dispute) {
+  const charge = await stripe.charges.retrieve(stripeIdOf(dispute.charge));
+  const paymentIntentId = stripeIdOf(dispute.payment_intent) || stripeIdOf(charge.payment_intent);
+  const record = await findPurchaseRecordByPaymentIntent(paymentIntentId);
+  if (!record) {
+    console.warn('[dispute] purchase record not found', { dispute: dispute.id, pi: paymentIntentId });
+    return;
+  }
 
-  if (oneArg) {
-    const slug = oneArg.split('=').slice(1).join('=').trim();
-    if (!slug) {
-      console.error('[regenerate-preview] slug is required');
-      await mongoose.disconnect();
-      process.exit(1);
+  const now = new Date();
+  await PurchaseRecord.updateOne(
+    { _id: record._id },
+    {
+      $set: {
+        status: PurchaseRecord.STATUSES.DISPUTED,
+        disputeId: dispute.id,
+        disputeStatus: dispute.status || '',
+        disputedAt: record.disputedAt || now,
+        disputeClosedAt: null
+      }
     }
-    const item = await Item.findOne({ slug, isDeleted: { $ne: true } })
-      .select('_id slug s3Key filePath previewPath')
+  );
+  const revoked = await revokeDownloadTokensForPurchase(record, now);
+  console.info('[dispute] created', { dispute: dispute.id, purchase: String(record._id), revoked });
+
+  await settleSellerPayoutForPurchase({
+    record,
+    keepRatio: 0,
+    chargeTransferId: stripeIdOf(charge.transfer),
+    reason: 'disputed'
+  });
+}
+
+async function handleChargeDisputeClosed(dispute) {
+  const charge = await stripe.charges.retrieve(stripeIdOf(dispute.charge));
+  const paymentIntentId = stripeIdOf(dispute.payment_intent) || stripeIdOf(charge.payment_intent);
+  const record = await findPurchaseRecordByPaymentIntent(paymentIntentId);
+  if (!record) {
+    console.warn('[dispute] purchase record not found', { dispute: dispute.id, pi: paymentIntentId });
+    return;
+  }
+
+  const won = dispute.status === 'won' || dispute.status === 'warning_closed';
+  const paidAmount = Number(charge.amount || record.amount || 0);
+  const refundedAmount = Math.min(paidAmount, Number(charge.amount_refunded || record.refundedAmount || 0));
+  const restoredStatus = refundedAmount >= paidAmount && paidAmount > 0
+    ? PurchaseRecord.STATUSES.REFUNDED
+    : refundedAmount > 0 ? PurchaseRecord.STATUSES.PARTIALLY_REFUNDED : PurchaseRecord.STATUSES.PAID;
+
+  await PurchaseRecord.updateOne(
+    { _id: record._id },
+    {
+      $set: {
+        status: won ? restoredStatus : PurchaseRecord.STATUSES.DISPUTE_LOST,
+        disputeId: dispute.id,
+        disputeStatus: dispute.status || '',
+        disputeClosedAt: new Date()
+      }
+    }
+  );
+  console.info('[dispute] closed', { dispute: dispute.id, status: dispute.status, purchase: String(record._id) });
+
+  // 勝訴なら取り分を戻す（失効したトークンは購入者ライブラリから再発行できる）
+  await settleSellerPayoutForPurchase({
+    record,
+    keepRatio: (won && paidAmount > 0) ? (paidAmount - refundedAmount) / paidAmount : 0,
+    chargeTransferId: stripeIdOf(charge.transfer),
+    reason: won ? 'dispute_won' : 'dispute_lost'
+  });
+}
+
+// Stripe 側の Refund を監査ログへ反映（アプリ外の返金は actorType=stripe として残す）
+async function syncRefundRecordsForCharge(record, charge) {
+  const refunds = await stripe.refunds.list({ charge: charge.id, limit: 100 });
+  for (const refund of refunds.data || []) {
+    await RefundRecord.updateOne(
+      { stripeRefundId: refund.id },
+      {
+        $setOnInsert: {
+          purchase: record._id,
+          seller: record.seller,
+          item: record.item,
+          paymentIntentId: record.paymentIntentId || '',
+          stripeRefundId: refund.id,
+          amount: Number(refund.amount || 0),
+          actorType: RefundRecord.ACTOR_TYPES.STRIPE,
+          reason: refund.reason || '',
+          refundedAt: Number(refund.created) ? new Date(Number(refund.created) * 1000) : new Date()
+        },
+        $set: { stripeStatus: refund.status || '' }
+      },
+      { upsert: true }
+    );
+  }
+}
+
+const SELLER_REFUND_REASONS = {
+  requested_by_customer: '購入者からの依頼',
+  duplicate: '重複購入',
+  fraudulent: '不正な購入の疑い'
+};
+
+function maskEmail(email) {
+  const [local, domain] = String(email || '').split('@');
+  if (!local || !domain) return '-';
+  return `${local.slice(0, 1)}***@${domain}`;
+}
+
+function isSellerRefundable(record) {
+  return record.status === PurchaseRecord.STATUSES.PAID &&
+    !Number(record.refundedAmount || 0) &&
+    !!record.paymentIntentId;
+}
+
+// 出品者による全額返金。destination charge は手数料返還 + transfer 取り戻しを Stripe に任せ、
+// プラットフォーム受領分は返金後に PendingTransfer を取消 / reversal する（charge.refunded と同じ処理）
+async function refundPurchaseAsSeller({ record, actorUser, reason, note }) {
+  const pi = await stripe.paymentIntents.retrieve(record.paymentIntentId);
+  const isDestinationCharge = !!pi.transfer_data;
+
+  const refund = await stripe.refunds.create({
+    payment_intent: pi.id,
+    reason,
+    ...(isDestinationCharge ? { refund_application_fee: true, reverse_transfer: true } : {}),
+    metadata: {
+      purchaseId: String(record._id),
+      actorType: RefundRecord.ACTOR_TYPES.SELLER,
+      actorUser: String(actorUser)
+    }
+  }, {
+    idempotencyKey: `seller_refund_${record._id}`
+  });
+
+  // Webhook が先に actorType=stripe で作っていても、出品者の操作として上書きする
+  await RefundRecord.updateOne(
+    { stripeRefundId: refund.id },
+    {
+      $set: {
+        purchase: record._id,
+        seller: record.seller,
+        item: record.item,
+        paymentIntentId: pi.id,
+        amount: Number(refund.amount || 0),
+        stripeStatus: refund.status || '',
+        actorType: RefundRecord.ACTOR_TYPES.SELLER,
+        actorUser,
+        reason,
+        note,
+        refundedAt: Number(refund.created) ? new Date(Number(refund.created) * 1000) : new Date()
+      }
+    },
+    { upsert: true }
+  );
+  console.info('[refund] seller refund created', {
+    purchase: String(record._id), refund: refund.id, destination: isDestinationCharge, actorUser: String(actorUser)
+  });
+
+  const charge = await stripe.charges.retrieve(stripeIdOf(refund.charge));
+  await handleChargeRefunded(charge);
+  return refund;
+}
+
+// ダッシュボード / 管理画面の「返金・チャージバック」一覧
+async function buildPurchaseIssueRows(sellerId, { limit = 50 } = {}) {
+  const records = await PurchaseRecord.find({
+    seller: sellerId,
+    $or: [{ status: { $ne: PurchaseRecord.STATUSES.PAID } }, { disputeId: { $nin: ['', null] } }]
+  })
+    .sort({ updatedAt: -1 })
+    .limit(limit)
+    .lean();
+  if (!records.length) return [];
+
+  const [items, pendings] = await Promise.all([
+    Item.find({ _id: { $in: records.map((record) => record.item) } }).select('title').lean(),
+    PendingTransfer.find({ paymentIntentId: { $in: records.map((record) => record.paymentIntentId).filter(Boolean) } })
+      .select('paymentIntentId status')
+      .lean()
+  ]);
+  const itemTitleById = new Map(items.map((item) => [String(item._id), item.title]));
+  const pendingByPi = new Map(pendings.map((pending) => [pending.paymentIntentId, pending]));
+
+  return records.map((record) => {
+    const pending = pendingByPi.get(record.paymentIntentId);
+    return {
+      id: String(record._id),
+      itemTitle: itemTitleById.get(String(record.item)) || '(削除された作品)',
+      purchasedAt: record.purchasedAt,
+      amount: Number(record.amount || 0),
+      refundedAmount: Number(record.refundedAmount || 0),
+      sellerReversedAmount: Number(record.sellerReversedAmount || 0),
+      status: record.status || PurchaseRecord.STATUSES.PAID,
+      statusLabel: PURCHASE_STATUS_LABELS[record.status] || PURCHASE_STATUS_LABELS.paid,
+      disputeStatus: record.disputeStatus || '',
+      payoutLabel: pending ? (PENDING_TRANSFER_STATUS_LABELS[pending.status] || pending.status) : '-',
+      paymentIntentId: record.paymentIntentId || ''
+    };
+  });
+}
+
+/* ====== FS準備 ====== */
+const ensureDir = async (dir) => {
+  try { await fsp.mkdir(dir, { recursive: true }); } catch {}
+};
+
+ensureDir(UPLOAD_DIR);
+ensureDir(PREVIEW_DIR);
+
+// ====== 販売ページ用プレビュー（出品ごとの見せ方: Item.previewStyle） ======
+// strength 1〜5 ごとのパラメータ。strength 3 のモザイクが導入前の見た目と同じ
+const PREVIEW_MOSAIC_LEVELS = [
+  { divisor: 180, minBlock: 6 },
+  { divisor: 130, minBlock: 8 },
+  { divisor: 90, minBlock: 12 },
+  { divisor: 60, minBlock: 16 },
+  { divisor: 40, minBlock: 20 }
+];
+const PREVIEW_BLUR_RATIOS = [0.004, 0.007, 0.01, 0.015, 0.022]; // 長辺に対するぼかし半径（sigma）
+const PREVIEW_LOWRES_SIDES = [640, 480, 320, 240, 160];       // サムネイルの長辺（px）
+const PREVIEW_CROP_RATIOS = [0.7, 0.6, 0.5, 0.4, 0.3];        // 縦横それぞれ何割を見せるか
+const PREVIEW_WATERMARK_TEXT_MAX = 24;
+const PREVIEW_LOGO_MAX_BYTES = 5 * 1024 * 1024;
+// アニメーションの動くプレビューは最大48コマ・長辺640pxまで（超える分はコマを間引き、間隔はまとめて保つ）
+const ANIMATED_PREVIEW_MAX_FRAMES = 48;
+const ANIMATED_PREVIEW_MAX_SIDE = 640;
+const PREVIEW_STYLE_MODE_LABELS = Object.freeze({
+  mosaic: '全面モザイク',
+  blur: 'ぼかし',
+  lowres: '低解像度サムネイル',
+  crop: '一部だけ切り出し'
+});
+const PREVIEW_CROP_REGION_LABELS = Object.freeze({
+  center: '中央',
+  top: '上',
+  bottom: '下',
+  left: '左',
+  right: '右'
+});
+
+function escapeSvgText(value) {
+  return String(value).replace(/[&<>"']/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[ch]));
+}
+
+// 全角文字は1em、半角は約0.6emとして透かし文字の幅を見積もる
+function estimateSvgTextWidth(text, fontSize) {
+  let width = 0;
+  for (const ch of String(text)) width += (ch.codePointAt(0) < 0x80 ? 0.62 : 1) * fontSize;
+  return width;
+}
+
+const WATERMARK_FONT_FAMILY = "Arial, 'Noto Sans CJK JP', 'Hiragino Sans', sans-serif";
+
+const createTiledWatermarkSvg = ({ width, height, alpha = 0.22, text = 'SAMPLE', scale = 1 }) => {
+  const fontSize = Math.max(12, Math.round(46 * scale));
+  const tileW = Math.max(Math.round(280 * scale), Math.round(estimateSvgTextWidth(text, fontSize) + 36 * scale));
+  const tileH = Math.round(180 * scale);
+  return Buffer.from(`
+  <svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+    <defs>
+      <pattern id="wm-tile" width="${tileW}" height="${tileH}" patternUnits="userSpaceOnUse" patternTransform="rotate(-18)">
+        <text x="${Math.round(18 * scale)}" y="${Math.round(112 * scale)}" fill="rgba(255,255,255,${alpha})" font-size="${fontSize}" font-weight="700" font-family="${WATERMARK_FONT_FAMILY}">${escapeSvgText(text)}</text>
+      </pattern>
+    </defs>
+    <rect width="100%" height="100%" fill="url(#wm-tile)" />
+  </svg>
+`);
+};
+
+const createCornerWatermarkSvg = ({ width, height, alpha = 0.18, text = 'SAMPLE' }) => {
+  const margin = Math.max(24, Math.round(Math.min(width, height) * 0.03));
+  const wmSize = Math.max(26, Math.round(Math.min(width, height) * 0.055));
+  const label = escapeSvgText(text);
+  return Buffer.from(`
+    <svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+      <style>.wm{ fill: rgba(255,255,255,${alpha}); font-size: ${wmSize}px; font-weight: 700; font-family: ${WATERMARK_FONT_FAMILY}; }</style>
+      <text class="wm" x="${margin}" y="${margin + wmSize}">${label}</text>
+      <text class="wm" x="${width - margin}" y="${margin + wmSize}" text-anchor="end">${label}</text>
+      <text class="wm" x="${margin}" y="${height - margin}" dominant-baseline="ideographic">${label}</text>
+      <text class="wm" x="${width - margin}" y="${height - margin}" text-anchor="end" dominant-baseline="ideographic">${label}</text>
+    </svg>
+  `);
+};
+
+// ロゴを半透明にして、画像の短辺に対する比率で縮小する
+async function renderWatermarkLogo(logoBuffer, { width, height, alpha, ratio }) {
+  const size = Math.max(24, Math.round(Math.min(width, height) * ratio));
+  return sharp(logoBuffer)
+    .ensureAlpha()
+    .resize(size, size, { fit: 'inside' })
+    .linear([1, 1, 1, alpha], [0, 0, 0, 0])
+    .png()
+    .toBuffer();
+}
+
+// 透かしの composite 入力。tiled=全面に敷き詰め / corner=四隅（等倍プレビュー用の弱い透かし）
+async function previewWatermarkLayers({ width, height, alpha, style, logoBuffer = null, layout = 'tiled' }) {
+  const text = style.watermarkText || 'SAMPLE';
+  if (!logoBuffer) {
+    return [{
+      input: layout === 'corner'
+        ? createCornerWatermarkSvg({ width, height, alpha, text })
+        : createTiledWatermarkSvg({ width, height, alpha, text, scale: Math.min(1, Math.max(0.35, Math.min(width, height) / 800)) })
+    }];
+  }
+
+  if (layout === 'corner') {
+    const logo = await renderWatermarkLogo(logoBuffer, { width, height, alpha, ratio: 0.12 });
+    const meta = await sharp(logo).metadata();
+    const margin = Math.max(16, Math.round(Math.min(width, height) * 0.03));
+    return [
+      { input: logo, left: margin, top: margin },
+      { input: logo, left: Math.max(0, width - meta.width - margin), top: Math.max(0, height - meta.height - margin) }
+    ];
+  }
+
+  const logo = await renderWatermarkLogo(logoBuffer, { width, height, alpha: Math.min(1, alpha * 1.5), ratio: 0.16 });
+  const meta = await sharp(logo).metadata();
+  const gap = Math.round(Math.max(meta.width, meta.height) * 0.6);
+  const tile = await sharp({
+    create: { width: meta.width + gap, height: meta.height + gap, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } }
+  })
+    .composite([{ input: logo, left: Math.round(gap / 2), top: Math.round(gap / 2) }])
+    .png()
+    .toBuffer();
+  return [{ input: tile, tile: true }];
+}
+
+// 見せ方に応じて元画像を加工する（透かし前）。戻り値は raw の画素
+async function renderPreviewTeaser(rotatedBuffer, style) {
+  const meta = await sharp(rotatedBuffer).metadata();
+  const w = Math.max(1, meta.width || 1);
+  const h = Math.max(1, meta.height || 1);
+  const level = style.strength - 1;
+  let pipeline = sharp(rotatedBuffer);
+
+  if (style.mode === Item.PREVIEW_STYLE_MODES.BLUR) {
+    pipeline = pipeline.blur(Math.max(2, Math.max(w, h) * PREVIEW_BLUR_RATIOS[level]));
+  } else if (style.mode === Item.PREVIEW_STYLE_MODES.LOW_RES) {
+    const side = PREVIEW_LOWRES_SIDES[level];
+    pipeline = pipeline.resize(side, side, { fit: 'inside', withoutEnlargement: true });
+  } else if (style.mode === Item.PREVIEW_STYLE_MODES.CROP) {
+    const ratio = PREVIEW_CROP_RATIOS[level];
+    const cw = Math.max(1, Math.round(w * ratio));
+    const ch = Math.max(1, Math.round(h * ratio));
+    const left = { left: 0, right: w - cw }[style.cropRegion] ?? Math.round((w - cw) / 2);
+    const top = { top: 0, bottom: h - ch }[style.cropRegion] ?? Math.round((h - ch) / 2);
+    pipeline = pipeline.extract({ left, top, width: cw, height: ch });
+  } else {
+    const { divisor, minBlock } = PREVIEW_MOSAIC_LEVELS[level];
+    const mosaicBlock = Math.max(minBlock, Math.round(Math.max(w, h) / divisor));
+    const downW = Math.max(1, Math.round(w / mosaicBlock));
+    const downH = Math.max(1, Math.round(h / mosaicBlock));
+    const small = await sharp(rotatedBuffer).resize(downW, downH, { fit: 'fill', kernel: sharp.kernel.nearest }).toBuffer();
+    pipeline = sharp(small).resize(w, h, { fit: 'fill', kernel: sharp.kernel.nearest });
+  }
+
+  return pipeline.removeAlpha().raw().toBuffer({ resolveWithObject: true });
+}
+
+function sharpFromRaw({ data, info }) {
+  return sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } });
+}
+
+// 販売ページ・まとめ売りギャラリー用 preview
+async function renderSalePreviewBufferFromOriginalBuffer(originalBuffer, style = Item.previewStyleOf({}), { logoBuffer = null } = {}) {
+  // 透過 PNG/WebP の原本は白背景に敷いてから加工する（そのまま JPEG にすると透過部分が黒くなる）
+  const rotated = await sharp(originalBuffer).rotate().flatten({ background: '#ffffff' }).toBuffer();
+  const teaser = await renderPreviewTeaser(rotated, style);
+  const { width, height } = teaser.info;
+  return sharpFromRaw(teaser)
+    .composite(await previewWatermarkLayers({ width, height, alpha: 0.24, style, logoBuffer }))
+    .jpeg({ quality: 85 })
+    .toBuffer();
+}
+
+// 販売ページ用の動くプレビュー（animated WebP）。各コマに静止画の preview と同じ加工と透かしを入れる
+async function renderAnimatedSalePreviewBuffer(originalBuffer, style = Item.previewStyleOf({}), { logoBuffer = null } = {}) {
+  const meta = await sharp(originalBuffer, { animated: true }).metadata();
+  const pageCount = Math.max(1, meta.pages || 1);
+  const step = Math.ceil(pageCount / ANIMATED_PREVIEW_MAX_FRAMES);
+  const pages = [];
+  const delay = [];
+  for (let page = 0; page < pageCount; page += step) {
+    pages.push(page);
+    let total = 0;
+    for (let skipped = page; skipped < Math.min(pageCount, page + step); skipped += 1) total += meta.delay?.[skipped] || 100;
+    delay.push(total);
+  }
+
+  let size = null;
+  const frames = [];
+  for (const page of pages) {
+    const frame = await sharp(originalBuffer, { page })
+      .resize(ANIMATED_PREVIEW_MAX_SIDE, ANIMATED_PREVIEW_MAX_SIDE, { fit: 'inside', withoutEnlargement: true })
+      .png()
+      .toBuffer();
+    const rendered = await renderSalePreviewBufferFromOriginalBuffer(frame, style, { logoBuffer });
+    if (!size) size = await sharp(rendered).metadata();
+    frames.push(await sharp(rendered).resize(size.width, size.height, { fit: 'fill' }).removeAlpha().raw().toBuffer());
+  }
+
+  // sharp は raw の画素から複数コマの画像を作れないため、原本を同じコマ数・大きさにした上へ縦に並べたコマを重ねる
+  return sharp(originalBuffer, { animated: true, pages: pages.length })
+    .resize(size.width, size.height, { fit: 'fill' })
+    .composite([{
+      input: Buffer.concat(frames),
+      raw: { width: size.width, height: size.height * pages.length, channels: 3 },
+      top: 0,
+      left: 0
+    }])
+    .webp({ quality: 80, loop: meta.loop ?? 0, delay })
+    .toBuffer();
+}
+
+// 動くプレビューの保存。S3 の公開URLが https なら S3 だけ、それ以外はローカルの /previews にも置く
+async function storeAnimatedPreview(slug, buffer, { useS3 = false } = {}) {
+  const name = animatedPreviewNameFor(slug);
+  if (useS3) {
+    await s3.send(new PutObjectCommand({
+      Bucket: S3_BUCKET,
+      Key: `previews/${name}`,
+      Body: buffer,
+      ContentType: 'image/webp',
+      CacheControl: 'public, max-age=31536000, immutable'
+    }));
+    if (S3_PUBLIC_IS_HTTPS) return `${S3_PUBLIC_BASE}/previews/${name}`;
+  }
+  await writeFileAtomic(path.join(PREVIEW_DIR, name), buffer);
+  return `/previews/${name}`;
+}
+
+// 等倍プレビュー（最大4096px）。モザイクは従来どおり元画像 + 四隅透かし、それ以外は見せ方を保ったまま四隅透かし
+async function renderFullPreviewBufferFromOriginalBuffer(originalBuffer, style = Item.previewStyleOf({}), { logoBuffer = null } = {}) {
+  const rotated = await sharp(originalBuffer).rotate().flatten({ background: '#ffffff' }).toBuffer();
+  const source = style.mode === Item.PREVIEW_STYLE_MODES.MOSAIC
+    ? sharp(rotated)
+    : sharpFromRaw(await renderPreviewTeaser(rotated, style));
+  const fitted = await source
+    .resize(4096, 4096, { fit: 'inside', withoutEnlargement: true })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const { width, height } = fitted.info;
+  return sharpFromRaw(fitted)
+    .composite(await previewWatermarkLayers({ width, height, alpha: 0.18, style, logoBuffer, layout: 'corner' }))
+    .jpeg({ quality: 90 })
+    .toBuffer();
+}
+
+// Stripe 用（1200x630 に contain）。モザイク以外は見せ方を保った画像から作る
+async function renderStripePreviewBufferFromOriginalBuffer(originalBuffer, style = Item.previewStyleOf({}), { logoBuffer = null } = {}) {
+  const rotated = await sharp(originalBuffer).rotate().flatten({ background: '#ffffff' }).toBuffer();
+  const source = style.mode === Item.PREVIEW_STYLE_MODES.MOSAIC
+    ? sharp(rotated)
+    : sharpFromRaw(await renderPreviewTeaser(rotated, style));
+  const contained = await source
+    .resize(1200, 630, { fit: 'contain', background: { r: 10, g: 16, b: 24, alpha: 1 } })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return sharpFromRaw(contained)
+    .composite(await previewWatermarkLayers({ width: 1200, height: 630, alpha: 0.21, style, logoBuffer }))
+    .jpeg({ quality: 85 })
+    .toBuffer();
+}
+
+// 透かしロゴは PNG（最大1024px）に正規化して原本と同じ保存先に置く
+async function storePreviewWatermarkLogo(slug, input) {
+  const logoBuffer = await sharp(input)
+    .rotate()
+    .resize(1024, 1024, { fit: 'inside', withoutEnlargement: true })
+    .png()
+    .toBuffer();
+  const logoName = `${slug}-watermark-logo-${nanoid(6)}.png`;
+  if (s3) {
+    const s3Key = `watermark-logos/${logoName}`;
+    await s3.send(new PutObjectCommand({ Bucket: S3_BUCKET, Key: s3Key, Body: logoBuffer, ContentType: 'image/png' }));
+    return { watermarkLogoPath: '', watermarkLogoS3Key: s3Key, logoBuffer };
+  }
+  const logoPath = path.join(UPLOAD_DIR, logoName);
+  await writeFileAtomic(logoPath, logoBuffer);
+  return { watermarkLogoPath: logoPath, watermarkLogoS3Key: '', logoBuffer };
+}
+
+async function loadPreviewWatermarkLogo(style) {
+  if (!style.watermarkLogoS3Key && !style.watermarkLogoPath) return null;
+  return loadOriginalBufferForItem({ s3Key: style.watermarkLogoS3Key, filePath: style.watermarkLogoPath });
+}
+
+async function discardPreviewWatermarkLogo(style) {
+  if (s3 && style.watermarkLogoS3Key) {
+    await s3.send(new DeleteObjectCommand({ Bucket: S3_BUCKET, Key: style.watermarkLogoS3Key })).catch(() => {});
+  } else if (style.watermarkLogoPath) {
+    await fsp.unlink(style.watermarkLogoPath).catch(() => {});
+  }
+}
+
+// 出品フォーム・編集フォームの previewMode / previewStrength / previewCropRegion / previewWatermarkText
+function parsePreviewStyleForm(body = {}) {
+  const values = {
+    mode: String(body.previewMode || Item.PREVIEW_STYLE_MODES.MOSAIC),
+    strength: String(body.previewStrength || '3'),
+    cropRegion: String(body.previewCropRegion || 'center'),
+    watermarkText: String(body.previewWatermarkText || '').trim()
+  };
+  if (!Object.values(Item.PREVIEW_STYLE_MODES).includes(values.mode)) {
+    return { values, error: 'プレビューの見せ方を選択してください。' };
+  }
+  const strength = Number(values.strength);
+  if (!Number.isInteger(strength) || strength < 1 || strength > 5) {
+    return { values, error: 'プレビューの強さは1〜5で選択してください。' };
+  }
+  if (!Item.PREVIEW_CROP_REGIONS.includes(values.cropRegion)) {
+    return { values, error: '切り出す位置を選択してください。' };
+  }
+  if ([...values.watermarkText].length > PREVIEW_WATERMARK_TEXT_MAX || /[\u0000-\u001f]/.test(values.watermarkText)) {
+    return { values, error: `透かしの文字は${PREVIEW_WATERMARK_TEXT_MAX}文字以内で入力してください。` };
+  }
+  return {
+    values,
+    style: { mode: values.mode, strength, cropRegion: values.cropRegion, watermarkText: values.watermarkText }
+  };
+}
+
+function previewStyleViewOf(item) {
+  const style = Item.previewStyleOf(item);
+  return {
+    ...style,
+    modeLabel: PREVIEW_STYLE_MODE_LABELS[style.mode],
+    cropRegionLabel: PREVIEW_CROP_REGION_LABELS[style.cropRegion],
+    hasLogo: !!(style.watermarkLogoPath || style.watermarkLogoS3Key)
+  };
+}
+
+async function s3BodyToBuffer(body) {
+  if (!body) throw new Error('S3 object body is empty');
+  if (Buffer.isBuffer(body)) return body;
+  if (typeof body.transformToByteArray === 'function') {
+    return Buffer.from(await body.transformToByteArray());
+  }
+  const chunks = [];
+  for await (const chunk of body) chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  return Buffer.concat(chunks);
+}
+
+async function writeFileAtomic(targetPath, data) {
+  const tmpPath = `${targetPath}.tmp-${Date.now()}-${process.pid}-${nanoid(6)}`;
+  await fsp.writeFile(tmpPath, data);
+  await fsp.rename(tmpPath, targetPath);
+}
+
+async function loadOriginalBufferForItem(item) {
+  if (s3 && item?.s3Key) {
+    const obj = await s3.send(new GetObjectCommand({ Bucket: S3_BUCKET, Key: item.s3Key }));
+    return s3BodyToBuffer(obj.Body);
+  }
+  const filePath = String(item?.filePath || '').trim();
+  if (!filePath) throw new Error('original not found');
+  return fsp.readFile(filePath);
+}
+
+async function regenerateBundlePreviewsForItem(item, style, { logoBuffer = null, sourceBuffers = null } = {}) {
+  const bundleFiles = Item.isBundle(item) ? item.bundleFiles : [];
+  for (const [offset, file] of bundleFiles.entries()) {
+    const previewName = bundlePreviewNameFor(item.slug, offset + 1);
+    const originalBuffer = sourceBuffers?.[offset + 1] || await loadOriginalBufferForItem(file);
+    const previewBuffer = await renderSalePreviewBufferFromOriginalBuffer(originalBuffer, style, { logoBuffer });
+    const useS3 = !!(s3 && file.s3Key);
+    if (useS3) {
+      await s3.send(new PutObjectCommand({
+        Bucket: S3_BUCKET,
+        Key: `previews/${previewName}`,
+        Body: previewBuffer,
+        ContentType: 'image/jpeg',
+        CacheControl: 'public, max-age=31536000, immutable'
+      }));
+    }
+    // S3 の公開URLが http の場合は /previews から配信する（出品時と同じ）
+    if (!useS3 || !S3_PUBLIC_IS_HTTPS) {
+      await writeFileAtomic(path.join(PREVIEW_DIR, previewName), previewBuffer);
+    }
+  }
+  return bundleFiles.length;
+}
+
+// version を渡すと previewPath に ?v= を付け直す（見せ方を変えたときに CDN・ブラウザのキャッシュを避ける）
+// sourceBuffers（表紙 → bundle の順）を渡すと原本を読み直さずにそれを元に作る（差し替え時の作業用画像）
+async function regeneratePreviewForItem(item, { version = null, sourceBuffers = null } = {}) {
+  if (!item?.slug) throw new Error('item slug is missing');
+
+  const style = Item.previewStyleOf(item);
+  const logoBuffer = await loadPreviewWatermarkLogo(style);
+  await regenerateBundlePreviewsForItem(item, style, { logoBuffer, sourceBuffers });
+
+  const originalBuffer = sourceBuffers?.[0] || await loadOriginalBufferForItem(item);
+  const variants = [
+    { name: `${item.slug}-preview.jpg`, buffer: await renderSalePreviewBufferFromOriginalBuffer(originalBuffer, style, { logoBuffer }) },
+    { name: `${item.slug}-full.jpg`, buffer: await renderFullPreviewBufferFromOriginalBuffer(originalBuffer, style, { logoBuffer }) },
+    { name: `${item.slug}-stripe.jpg`, buffer: await renderStripePreviewBufferFromOriginalBuffer(originalBuffer, style, { logoBuffer }) }
+  ];
+  const previewName = variants[0].name;
+  const fallbackPreviewPath = `/previews/${previewName}`;
+  const useS3 = !!(s3 && item.s3Key);
+
+  for (const variant of variants) {
+    if (useS3) {
+      await s3.send(new PutObjectCommand({
+        Bucket: S3_BUCKET,
+        Key: `previews/${variant.name}`,
+        Body: variant.buffer,
+        ContentType: 'image/jpeg',
+        CacheControl: 'public, max-age=31536000, immutable'
+      }));
+    }
+    if (!useS3 || !S3_PUBLIC_IS_HTTPS) {
+      await writeFileAtomic(path.join(PREVIEW_DIR, variant.name), variant.buffer);
+    }
+  }
+
+  const s3KeyPreview = `previews/${previewName}`;
+  const defaultPreviewPath = useS3 && S3_PUBLIC_IS_HTTPS ? `${S3_PUBLIC_BASE}/${s3KeyPreview}` : fallbackPreviewPath;
+  const $set = {};
+  if (!item.previewPath || version) {
+    $set.previewPath = appendVersionQuery(item.previewPath || defaultPreviewPath, version);
+  }
+  if (version && Item.isBundle(item)) {
+    item.bundleFiles.forEach((file, offset) => {
+      const bundlePreviewPath = file.previewPath || `/previews/${bundlePreviewNameFor(item.slug, offset + 1)}`;
+      $set[`bundleFiles.${offset}.previewPath`] = appendVersionQuery(bundlePreviewPath, version);
+    });
+  }
+  // アニメーションの表紙は動くプレビューも作る（sourceBuffers は1コマ目だけの作業用画像なので原本から作る）
+  if (item.animated) {
+    const animationSource = sourceBuffers ? await loadOriginalBufferForItem(item) : originalBuffer;
+    const animatedPreviewBuffer = await renderAnimatedSalePreviewBuffer(animationSource, style, { logoBuffer });
+    const animatedPreviewPath = await storeAnimatedPreview(item.slug, animatedPreviewBuffer, { useS3 });
+    $set.animatedPreviewPath = appendVersionQuery(animatedPreviewPath, version);
+  } else if (item.animatedPreviewPath) {
+    $set.animatedPreviewPath = '';
+  }
+  await Item.updateOne(
+    { _id: item._id },
+    { ...(Object.keys($set).length ? { $set } : {}), $currentDate: { updatedAt: true } }
+  );
+
+  return useS3
+    ? { mode: 's3', previewKey: s3KeyPreview }
+    : { mode: 'local', previewPath: $set.previewPath || item.previewPath || fallbackPreviewPath };
+}
+
+function getIntFlag(name, fallback) {
+  const arg = process.argv.find((v) => v.startsWith(`${name}=`));
+  if (!arg) return fallback;
+  const n = Number(arg.split('=').slice(1).join('=').trim());
+  return Number.isInteger(n) && n >= 0 ? n : fallback;
+}
+
+async function runRegeneratePreviewBatchFromCli() {
+  const oneArg = process.argv.find((arg) => arg.startsWith('--regenerate-preview='));
+  const runAll = process.argv.includes('--regenerate-preview-all');
+  const dryRun = process.argv.includes('--dry-run');
+  if (!oneArg && !runAll) return false;
+
+  await mongoose.connection.asPromise();
+
+  let total = 0;
+  let success = 0;
+  let failed = 0;
+
+  if (oneArg) {
+    const slug = oneArg.split('=').slice(1).join('=').trim();
+    if (!slug) {
+      console.error('[regenerate-preview] slug is required');
+      await mongoose.disconnect();
+      process.exit(1);
+    }
+    const item = await Item.findOne({ slug, isDeleted: { $ne: true } })
+      .select('_id slug s3Key filePath previewPath listingType bundleFiles previewStyle animated animatedPreviewPath')
       .lean();
 
     if (!item) {
@@ -1562,10 +2529,11 @@ async function runRegeneratePreviewBatchFromCli() {
   } else {
     const limit = getIntFlag('--limit', 0);
     const offset = getIntFlag('--offset', 0);
-    let query = Item.find({ isDeleted: { $ne: true } })
+    // 画像処理中の出品はジョブがプレビューを作るので触らない
+    let query = Item.find({ isDeleted: { $ne: true }, processingStatus: { $ne: Item.PROCESSING_STATUSES.PROCESSING } })
       .sort({ _id: 1 })
       .skip(offset)
-      .select('_id slug s3Key filePath previewPath')
+      .select('_id slug s3Key filePath previewPath listingType bundleFiles previewStyle animated animatedPreviewPath')
       .lean();
     if (limit > 0) query = query.limit(limit);
 
@@ -1596,6 +2564,54 @@ async function runRegeneratePreviewBatchFromCli() {
   process.exit(failed > 0 ? 1 : 0);
 }
 
+// 知覚ハッシュ導入前の出品にハッシュを付ける（node server.js --backfill-perceptual-hashes [--limit=N] [--dry-run]）。
+// 既存の出品どうしの重複は審査し直さず、以後の出品・差し替えの照合相手にするだけ
+async function runBackfillPerceptualHashesFromCli() {
+  if (!process.argv.includes('--backfill-perceptual-hashes')) return false;
+  const dryRun = process.argv.includes('--dry-run');
+  const limit = getIntFlag('--limit', 0);
+
+  await mongoose.connection.asPromise();
+
+  let query = Item.find({
+    isDeleted: { $ne: true },
+    processingStatus: { $ne: Item.PROCESSING_STATUSES.PROCESSING },
+    'perceptualHashes.0': { $exists: false }
+  })
+    .sort({ _id: 1 })
+    .select('_id slug s3Key filePath mimeType listingType bundleFiles')
+    .lean();
+  if (limit > 0) query = query.limit(limit);
+  const items = await query;
+
+  console.log(`[backfill-perceptual-hashes] start total=${items.length}${dryRun ? ' dry-run=true' : ''}`);
+  let success = 0;
+  let failed = 0;
+  for (const item of items) {
+    if (dryRun) continue;
+    try {
+      const perceptualHashes = [];
+      for (const file of Item.deliveryFilesOf(item)) {
+        const { perceptualHash } = await createWorkingImageBufferFromPath(await loadOriginalBufferForItem(file));
+        perceptualHashes.push(perceptualHash);
+      }
+      await Item.updateOne(
+        { _id: item._id },
+        { $set: { perceptualHashes, perceptualHashBands: hashBandsOf(perceptualHashes) } }
+      );
+      success++;
+      console.log(`[backfill-perceptual-hashes] ok: ${item.slug} ${perceptualHashes.join(',')}`);
+    } catch (e) {
+      failed++;
+      console.error(`[backfill-perceptual-hashes] failed: ${item.slug} reason=${e.message}`);
+    }
+  }
+
+  console.log(`[backfill-perceptual-hashes] done total=${items.length} success=${success} failed=${failed}`);
+  await mongoose.disconnect();
+  process.exit(failed > 0 ? 1 : 0);
+}
+
 async function runInspectPreviewCli() {
   const inspectArg = process.argv.find((arg) => arg.startsWith('--inspect-preview='));
   if (!inspectArg) return false;
@@ -1698,7 +2714,207 @@ const fileFilter = (req, file, cb) => {
   if ((file.mimetype || '').startsWith('image/')) cb(null, true);
   else cb(new Error('画像ファイルのみアップロード可能です'));
 };
-const upload = multer({ storage, fileFilter, limits: { fileSize: 20 * 1024 * 1024 } });
+const upload = multer({ storage, fileFilter, limits: { fileSize: 20 * 1024 * 1024, files: BUNDLE_MAX_FILES + 1 } }); // +1 はプレビュー透かしのロゴ
+// 編集画面でのプレビュー透かしロゴ差し替え（ディスクを経由せずそのまま PNG に正規化する）
+const previewLogoUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter,
+  limits: { fileSize: PREVIEW_LOGO_MAX_BYTES, files: 1 }
+});
+
+// ====== 分割アップロード（大きな画像・不安定な回線向け） ======
+// init → PUT でチャンクを1つずつ → finalize で UPLOAD_DIR に1ファイルへ結合し、POST /upload には uploadIds で渡す。
+// チャンクは UPLOAD_DIR/chunks/<UploadSession._id>/ に置くため、複数台構成では同じディスクを共有すること
+const UPLOAD_CHUNK_DIR = path.join(UPLOAD_DIR, 'chunks');
+const CHUNKED_UPLOAD_CHUNK_BYTES = Math.min(16 * 1024 * 1024, Math.max(256 * 1024, Number(process.env.CHUNKED_UPLOAD_CHUNK_BYTES || 2 * 1024 * 1024) || 2 * 1024 * 1024));
+const CHUNKED_UPLOAD_MAX_BYTES = Math.max(20 * 1024 * 1024, Number(process.env.CHUNKED_UPLOAD_MAX_BYTES || 100 * 1024 * 1024) || 100 * 1024 * 1024);
+// 最後にチャンクを受け取ってからこの時間を過ぎた（放置された）分割アップロードは掃除で消す
+const CHUNKED_UPLOAD_TTL_MS = Math.max(10, Number(process.env.CHUNKED_UPLOAD_TTL_MIN || 360) || 360) * 60 * 1000;
+const CHUNKED_UPLOAD_SWEEP_INTERVAL_MS = 15 * 60 * 1000;
+// 1人が同時に持てる未使用の分割アップロード（ディスクを埋められないように）
+const CHUNKED_UPLOAD_MAX_ACTIVE = (BUNDLE_MAX_FILES + 1) * 3;
+const chunkUploadBody = express.raw({ type: 'application/octet-stream', limit: CHUNKED_UPLOAD_CHUNK_BYTES });
+
+ensureDir(UPLOAD_CHUNK_DIR);
+
+function uploadChunkDirOf(session) {
+  return path.join(UPLOAD_CHUNK_DIR, String(session._id));
+}
+
+function expectedChunkBytesOf(session, index) {
+  if (index < session.chunkCount - 1) return session.chunkSize;
+  return session.size - session.chunkSize * (session.chunkCount - 1);
+}
+
+async function findOwnedUploadSession(req) {
+  const { uploadId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(String(uploadId))) return null;
+  return UploadSession.findOne({ _id: uploadId, owner: req.user._id }).lean();
+}
+
+function uploadSessionView(session) {
+  return {
+    ok: true,
+    uploadId: String(session._id),
+    status: session.status,
+    size: session.size,
+    chunkSize: session.chunkSize,
+    chunkCount: session.chunkCount,
+    receivedChunks: UploadSession.receivedIndexesOf(session)
+  };
+}
+
+// 分割アップロード・直接アップロードの開始時の検査（申告された形式・大きさと、未使用のアップロードの数）
+async function parseUploadSessionInit(req) {
+  const size = Number(req.body?.size);
+  const mimeType = String(req.body?.mimeType || '').toLowerCase();
+  const fileName = String(req.body?.fileName || '').slice(0, 200);
+  if (!mimeType.startsWith('image/')) {
+    return { status: 400, error: '画像ファイルのみアップロード可能です' };
+  }
+  if (!Number.isInteger(size) || size <= 0 || size > CHUNKED_UPLOAD_MAX_BYTES) {
+    return { status: 400, error: `画像は1枚 ${Math.floor(CHUNKED_UPLOAD_MAX_BYTES / 1024 / 1024)}MB までです。` };
+  }
+  const activeCount = await UploadSession.countDocuments({
+    owner: req.user._id,
+    status: { $in: [UploadSession.STATUSES.UPLOADING, UploadSession.STATUSES.ASSEMBLED] },
+    expiresAt: { $gt: new Date() }
+  });
+  if (activeCount >= CHUNKED_UPLOAD_MAX_ACTIVE) {
+    return { status: 429, error: '未完了のアップロードが多すぎます。しばらくしてから再度お試しください。' };
+  }
+  return { size, mimeType, fileName };
+}
+
+// 直接アップロード用の署名付き PUT URL。Content-Type も署名に含め、申告どおりの形式でしか置けないようにする
+async function presignDirectUpload(session) {
+  return getSignedUrl(
+    s3UploadSigner,
+    new PutObjectCommand({ Bucket: S3_BUCKET, Key: session.s3Key, ContentType: session.mimeType }),
+    { expiresIn: DIRECT_S3_UPLOAD_URL_TTL_SEC, signableHeaders: new Set(['content-type']) }
+  );
+}
+
+// バケット上のオブジェクトの先頭だけを読んで実体の形式を調べる（全体はダウンロードしない）
+async function detectS3ObjectFileType(key) {
+  const obj = await s3.send(new GetObjectCommand({ Bucket: S3_BUCKET, Key: key, Range: 'bytes=0-4099' }));
+  return FileType.fromBuffer(await s3BodyToBuffer(obj.Body));
+}
+
+// チャンクを順に1ファイルへ書き出す。受信時に照合したハッシュと食い違うチャンク（ディスク上で壊れた等）があれば失敗にする
+async function assembleUploadSession(session) {
+  const byIndex = new Map((session.receivedChunks || []).map((chunk) => [chunk.index, chunk]));
+  for (let index = 0; index < session.chunkCount; index += 1) {
+    if (!byIndex.has(index)) throw Object.assign(new Error(`chunk ${index} is missing`), { code: 'CHUNK_MISSING' });
+  }
+
+  const ext = mime.extension(session.mimeType) || 'bin';
+  const targetPath = path.join(UPLOAD_DIR, `${Date.now()}-${nanoid(8)}.${ext}`);
+  const tmpPath = `${targetPath}.assembling`;
+  const fileHash = crypto.createHash('sha256');
+  let written = 0;
+  const handle = await fsp.open(tmpPath, 'w');
+  try {
+    for (let index = 0; index < session.chunkCount; index += 1) {
+      const chunk = byIndex.get(index);
+      const data = await fsp.readFile(path.join(uploadChunkDirOf(session), `${index}.part`));
+      const chunkHash = crypto.createHash('sha256').update(data).digest('hex');
+      if (data.length !== chunk.size || (chunk.sha256 && chunk.sha256 !== chunkHash)) {
+        throw Object.assign(new Error(`chunk ${index} is corrupted`), { code: 'CHUNK_CORRUPTED', index });
+      }
+      await handle.write(data);
+      fileHash.update(data);
+      written += data.length;
+    }
+  } catch (e) {
+    await handle.close().catch(() => {});
+    await fsp.unlink(tmpPath).catch(() => {});
+    throw e;
+  }
+  await handle.close();
+  if (written !== session.size) {
+    await fsp.unlink(tmpPath).catch(() => {});
+    throw Object.assign(new Error(`size mismatch: ${written} != ${session.size}`), { code: 'SIZE_MISMATCH' });
+  }
+  await fsp.rename(tmpPath, targetPath);
+  return { filePath: targetPath, sha256: fileHash.digest('hex') };
+}
+
+// POST /upload の uploadIds を、multer の req.files と同じ形のファイルにする（使えるのは結合済みの自分のものを1回だけ）
+async function consumeAssembledUploads(userId, uploadIds) {
+  const files = [];
+  for (const uploadId of uploadIds) {
+    if (!mongoose.Types.ObjectId.isValid(String(uploadId))) return { files, error: true };
+    const session = await UploadSession.findOneAndUpdate(
+      { _id: uploadId, owner: userId, status: UploadSession.STATUSES.ASSEMBLED },
+      { $set: { status: UploadSession.STATUSES.CONSUMED, consumedAt: new Date() } },
+      { new: true }
+    ).lean();
+    if (!session) return { files, error: true };
+    files.push({
+      path: session.filePath,
+      s3Key: session.s3Key || '',
+      size: session.size,
+      mimetype: session.mimeType,
+      originalname: session.fileName
+    });
+  }
+  return { files, error: false };
+}
+
+// 期限切れの分割アップロード・直接アップロードを消す。出品に使われた（consumed）ものは原本を残して記録だけ消す
+async function sweepExpiredUploadSessions(now = new Date()) {
+  const expired = await UploadSession.find({ expiresAt: { $lte: now } })
+    .select('status filePath s3Key')
+    .limit(500)
+    .lean();
+  for (const session of expired) {
+    await fsp.rm(uploadChunkDirOf(session), { recursive: true, force: true }).catch(() => {});
+    if (session.status === UploadSession.STATUSES.ASSEMBLED && session.filePath) {
+      await fsp.unlink(session.filePath).catch(() => {});
+    }
+    if (session.status !== UploadSession.STATUSES.CONSUMED && session.s3Key && s3) {
+      await s3.send(new DeleteObjectCommand({ Bucket: S3_BUCKET, Key: session.s3Key })).catch(() => {});
+    }
+    await UploadSession.deleteOne({ _id: session._id });
+  }
+
+  // 記録の無いチャンク置き場（記録を消した後に届いたチャンク等）も、古ければ消す
+  let orphanDirs = 0;
+  const entries = await fsp.readdir(UPLOAD_CHUNK_DIR, { withFileTypes: true }).catch(() => []);
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+    const dirPath = path.join(UPLOAD_CHUNK_DIR, entry.name);
+    const stat = await fsp.stat(dirPath).catch(() => null);
+    if (!stat || now.getTime() - stat.mtimeMs < CHUNKED_UPLOAD_TTL_MS) continue;
+    const live = mongoose.Types.ObjectId.isValid(entry.name) && await UploadSession.exists({ _id: entry.name });
+    if (live) continue;
+    await fsp.rm(dirPath, { recursive: true, force: true }).catch(() => {});
+    orphanDirs += 1;
+  }
+
+  if (expired.length || orphanDirs) {
+    console.info('[upload:chunks] swept', { sessions: expired.length, orphanDirs });
+  }
+}
+
+let uploadSweeperRunning = false;
+function startUploadSessionSweeper() {
+  const tick = async () => {
+    if (uploadSweeperRunning || mongoose.connection.readyState !== 1) return;
+    uploadSweeperRunning = true;
+    try {
+      await sweepExpiredUploadSessions(new Date());
+    } catch (e) {
+      console.error('[upload:chunks] sweep failed', e);
+    } finally {
+      uploadSweeperRunning = false;
+    }
+  };
+  setInterval(tick, CHUNKED_UPLOAD_SWEEP_INTERVAL_MS).unref();
+  if (mongoose.connection.readyState === 1) tick();
+  else mongoose.connection.once('connected', tick);
+}
 
 /* ====== Mongo ====== */
 mongoose.connect(MONGODB_URI).then(() => {
@@ -2258,11 +3474,15 @@ app.get('/dashboard', ensureAuthed, async (req, res) => {
 
 app.get('/dashboard/listings', ensureAuthed, async (req, res) => {
   try {
-    const summary = await getOwnedItemSummary(req.user._id);
+    const [summary, purchaseIssues] = await Promise.all([
+      getOwnedItemSummary(req.user._id),
+      buildPurchaseIssueRows(req.user._id)
+    ]);
     return res.render('dashboard/index', dashboardBaseView(req, {
       title: '出品情報',
       summary,
       dashboardItems: summary.items,
+      purchaseIssues,
       og: {
         title: `Listings | ${req.t('brand')}`,
         desc: '自分の出品作品を一覧で確認できます。',
@@ -2328,11 +3548,127 @@ app.get('/dashboard/items/:id', ensureAuthed, async (req, res) => {
 
     const viewItem = dashboardItemView(item);
     const creatorDisplayName = me?.sellerProfile?.creatorDisplayName || item.creatorName || '';
+    // 自分の他の作品とほぼ同じ画像（二重出品の注意）。削除済みの作品は出さない
+    const sameOwnerMatches = Item.sameOwnerDuplicatesOf(item);
+    const sameOwnerItems = sameOwnerMatches.length
+      ? await Item.find({ _id: { $in: sameOwnerMatches.map((match) => match.item) }, ownerUser: req.user._id, isDeleted: { $ne: true } })
+        .select('title')
+        .lean()
+      : [];
+    const sameOwnerTitles = new Map(sameOwnerItems.map((other) => [String(other._id), other.title]));
+    const sameOwnerDuplicates = sameOwnerMatches
+      .filter((match) => sameOwnerTitles.has(String(match.item)))
+      .map((match) => ({ id: String(match.item), title: sameOwnerTitles.get(String(match.item)), distance: match.distance }));
+    // 公開停止中の作品への異議申し立て（最新の1件と、新しく申し立てられるか）
+    const latestAppeal = await Appeal.findOne({ item: item._id, seller: req.user._id }).sort({ createdAt: -1, _id: -1 }).lean();
+    const appealView = {
+      canSubmit: Item.resolveSaleStatus(item) === Item.SALE_STATUSES.BLOCKED && latestAppeal?.status !== Appeal.STATUSES.OPEN,
+      minLength: Appeal.MESSAGE_MIN_LENGTH,
+      maxLength: Appeal.MESSAGE_MAX_LENGTH,
+      latest: latestAppeal
+        ? {
+          status: latestAppeal.status,
+          message: latestAppeal.message,
+          response: latestAppeal.response || '',
+          createdAt: latestAppeal.createdAt,
+          respondedAt: latestAppeal.respondedAt
+        }
+        : null
+    };
+    const appealMessage = req.query.appeal === 'submitted'
+      ? '異議申し立てを受け付けました。運営の回答はメールとこの画面でお知らせします。'
+      : '';
+    const appealError = req.query.appeal === 'already_open'
+      ? 'この作品にはすでに回答待ちの申し立てがあります。'
+      : req.query.appeal === 'not_blocked'
+        ? '公開停止中の作品のみ異議を申し立てられます。'
+      : req.query.appeal === 'invalid_message'
+        ? `申し立ての理由は${Appeal.MESSAGE_MIN_LENGTH}〜${Appeal.MESSAGE_MAX_LENGTH}文字で入力してください。`
+        : '';
+    const purchases = await PurchaseRecord.find({ item: item._id, seller: req.user._id })
+      .sort({ purchasedAt: -1 })
+      .limit(100)
+      .lean();
+    const refunds = purchases.length
+      ? await RefundRecord.find({ purchase: { $in: purchases.map((record) => record._id) } }).sort({ refundedAt: -1 }).lean()
+      : [];
+    const refundsByPurchase = new Map();
+    refunds.forEach((refund) => {
+      const key = String(refund.purchase);
+      if (!refundsByPurchase.has(key)) refundsByPurchase.set(key, []);
+      refundsByPurchase.get(key).push({
+        amount: Number(refund.amount || 0),
+        actorLabel: refund.actorType === RefundRecord.ACTOR_TYPES.SELLER
+          ? '出品者'
+          : refund.actorType === RefundRecord.ACTOR_TYPES.ADMIN ? '運営' : 'Stripe',
+        reasonLabel: SELLER_REFUND_REASONS[refund.reason] || refund.reason || '-',
+        note: refund.note || '',
+        refundedAt: refund.refundedAt
+      });
+    });
+    const purchaseRows = purchases.map((record) => ({
+      id: String(record._id),
+      purchasedAt: record.purchasedAt,
+      amount: Number(record.amount || 0),
+      buyerEmail: maskEmail(record.buyerEmail),
+      licenseLabel: licenseViewOf(item, licenseKeyOfPurchase(record, item)).label,
+      statusLabel: PURCHASE_STATUS_LABELS[record.status] || PURCHASE_STATUS_LABELS.paid,
+      refundable: isSellerRefundable(record),
+      refunds: refundsByPurchase.get(String(record._id)) || [],
+      watermarkSkipLabel: record.watermarkSkippedAt
+        ? WATERMARK_SKIP_REASON_LABELS[record.watermarkSkipReason] || record.watermarkSkipReason
+        : ''
+    }));
+    // 透かしを入れられない配布ファイル（アニメーション画像など）。購入者には原本がそのまま渡る
+    // 鍵が未設定で透かし全体が無効なときは作品ごとの問題ではないため出さない（起動時にエラーを出している）
+    const unwatermarkedFileCount = forensicWatermark
+      ? Item.deliveryFilesOf(item).filter((file) => !isWatermarkableFile(file)).length
+      : 0;
+
+    const priceChanges = await PriceChange.find({ item: item._id })
+      .sort({ changedAt: -1 })
+      .limit(50)
+      .lean();
+    const priceHistoryRows = priceChanges.map((change) => ({
+      changedAt: change.changedAt,
+      fromPrice: Number(change.fromPrice || 0),
+      toPrice: Number(change.toPrice || 0),
+      reasonLabel: PRICE_CHANGE_REASON_LABELS[change.reason] || change.reason,
+      byScheduler: !change.actorUser
+    }));
+
+    const refundMessage = req.query.refund === 'done'
+      ? '返金しました。購入者のダウンロードリンクは無効になります。'
+      : req.query.refund === 'done_settle_failed'
+        ? '返金しましたが、販売利益の取り消し処理に失敗しました。運営が確認します。'
+        : '';
+    const refundError = req.query.refund_error === 'not_refundable'
+      ? 'この購入は返金できません（返金済み・チャージバック中など）。'
+      : req.query.refund_error === 'invalid_reason'
+        ? '返金理由を選択してください。'
+      : req.query.refund_error === 'not_confirmed'
+        ? '確認欄にチェックしてください。'
+      : req.query.refund_error === 'stripe'
+        ? '返金に失敗しました。時間をおいて再度お試しください。'
+        : '';
+
     return res.render('dashboard/show', dashboardBaseView(req, {
       title: `${item.title} | ダッシュボード`,
       item: viewItem,
       creatorDisplayName,
       licenseView: licenseViewOf(item),
+      licenseTierViews: Item.licenseTiersOf(item).map((tier) => ({ ...licenseViewOf(item, tier.key), price: tier.price })),
+      purchaseRows,
+      refundReasons: SELLER_REFUND_REASONS,
+      saleSchedule: saleScheduleViewOf(item),
+      priceHistoryRows,
+      refundMessage,
+      refundError,
+      sameOwnerDuplicates,
+      unwatermarkedFileCount,
+      appeal: appealView,
+      appealMessage,
+      appealError,
       og: {
         title: `${item.title} | Dashboard`,
         desc: '出品作品の販売ページURLと販売情報を確認できます。',
@@ -2353,23 +3689,55 @@ app.get('/dashboard/items/:id/edit', ensureAuthed, ensureSellerProfileCompleted,
       return res.status(404).render('error', { message: '作品が見つからないか、アクセス権がありません。' });
     }
 
-    return res.render('dashboard/edit', dashboardBaseView(req, {
-      title: `${item.title} | 編集`,
-      item: dashboardItemView(item),
-      formValues: {
-        title: item.title || '',
-        price: item.price || MIN_PRICE
-      },
-      errorMessage: '',
-      successMessage: '',
-      licenseView: licenseViewOf(item)
-    }));
+    return renderDashboardEdit(req, res, item, {
+      saleMessage: SALE_SCHEDULE_MESSAGES[req.query.sale] || ''
+    });
   } catch (e) {
     console.error('[dashboard:edit:get]', e);
     return res.status(500).render('error', { message: '編集画面の表示に失敗しました。' });
   }
 });
 
+app.post('/dashboard/items/:id/purchases/:purchaseId/refund', ensureAuthed, async (req, res) => {
+  const backUrl = `/dashboard/items/${encodeURIComponent(req.params.id)}`;
+  try {
+    if (!stripe) return res.status(500).render('error', { message: '決済設定が未完了です（STRIPE_SECRET_KEY）。' });
+    const item = await findOwnedItem(req.params.id, req.user._id);
+    if (!item || !mongoose.Types.ObjectId.isValid(req.params.purchaseId)) {
+      return res.status(404).render('error', { message: '作品が見つからないか、アクセス権がありません。' });
+    }
+    const record = await PurchaseRecord.findOne({
+      _id: req.params.purchaseId,
+      item: item._id,
+      seller: req.user._id
+    });
+    if (!record) return res.status(404).render('error', { message: '購入履歴が見つかりません。' });
+
+    const reason = String(req.body.reason || '');
+    const note = String(req.body.note || '').trim().slice(0, 500);
+    if (!isSellerRefundable(record)) return res.redirect(303, `${backUrl}?refund_error=not_refundable`);
+    if (!Object.prototype.hasOwnProperty.call(SELLER_REFUND_REASONS, reason)) {
+      return res.redirect(303, `${backUrl}?refund_error=invalid_reason`);
+    }
+    if (req.body.confirm !== 'yes') return res.redirect(303, `${backUrl}?refund_error=not_confirmed`);
+
+    try {
+      await refundPurchaseAsSeller({ record, actorUser: req.user._id, reason, note });
+    } catch (e) {
+      // 返金自体が作成済みなら、残りは charge.refunded Webhook の再送で追従する
+      const refunded = await stripe.refunds.list({ payment_intent: record.paymentIntentId, limit: 1 }).catch(() => null);
+      console.error('[dashboard:refund]', e?.raw?.message || e.message);
+      if (refunded?.data?.length) return res.redirect(303, `${backUrl}?refund=done_settle_failed`);
+      return res.redirect(303, `${backUrl}?refund_error=stripe`);
+    }
+
+    return res.redirect(303, `${backUrl}?refund=done`);
+  } catch (e) {
+    console.error('[dashboard:refund]', e);
+    return res.status(500).render('error', { message: '返金処理に失敗しました。' });
+  }
+});
+
 app.post('/dashboard/items/:id/delete', ensureAuthed, async (req, res) => {
   try {
     const item = await findOwnedItem(req.params.id, req.user._id);
@@ -2397,23 +3765,59 @@ app.post('/dashboard/items/:id/edit', ensureAuthed, ensureSellerProfileCompleted
     }
 
     const updates = pickEditableItemFields(req.body);
+    const licenseTiers = parseLicenseTierPrices(req.body, current);
+    if (typeof licenseTiers !== 'undefined') updates.licenseTiers = licenseTiers;
+    if (Object.prototype.hasOwnProperty.call(updates, 'editionLimit')) {
+      if (current.licensePreset === 'exclusive') {
+        delete updates.editionLimit; // exclusive は常に1点限り
+      } else {
+        const committed = Number(current.editionSold || 0) + Number(current.editionReserved || 0);
+        if (updates.editionLimit !== null && updates.editionLimit < committed) {
+          throw new Error(`限定数は販売済み・決済中の数（${committed}点）以上にしてください。`);
+        }
+        updates.soldOutAt = updates.editionLimit !== null && Number(current.editionSold || 0) >= updates.editionLimit
+          ? (current.soldOutAt || new Date())
+          : null;
+      }
+    }
+    const S = Item.PRICE_SCHEDULE_STATUSES;
+    if ((updates.pricingMode || current.pricingMode) === Item.PRICING_MODES.PAY_WHAT_YOU_WANT
+      && (updates.price ?? current.price) > PWYW_MAX_PRICE) {
+      throw new Error(`価格自由の最低価格は${PWYW_MAX_PRICE.toLocaleString('ja-JP')}円以下にしてください。`);
+    }
+    const priceChanged = typeof updates.price !== 'undefined' && updates.price !== current.price;
+    if (!priceChanged) delete updates.price;
+    if (priceChanged && current.priceSchedule?.status === S.ACTIVE) {
+      throw new Error('セール中は価格を変更できません。先にセールを取り消してください。');
+    }
+    if (priceChanged && current.priceSchedule?.status === S.SCHEDULED && updates.price <= current.priceSchedule.salePrice) {
+      throw new Error(`予約中のセール価格（${current.priceSchedule.salePrice}円）より高い価格を入力してください。`);
+    }
+
+    // 価格変更はスケジューラの切替と競合しないよう、読んだ時点の価格とセール状態を条件にする
     const updated = await Item.findOneAndUpdate(
-      { _id: req.params.id, ownerUser: req.user._id },
+      {
+        _id: req.params.id,
+        ownerUser: req.user._id,
+        ...(priceChanged ? { price: current.price, 'priceSchedule.status': { $ne: S.ACTIVE } } : {})
+      },
       { $set: updates },
       { new: true, runValidators: true }
     ).lean();
+    if (!updated) {
+      throw new Error('価格が自動で切り替わったため保存できませんでした。内容を確認して再度お試しください。');
+    }
+    if (priceChanged) {
+      await recordPriceChange({
+        item: updated,
+        fromPrice: current.price,
+        toPrice: updated.price,
+        reason: PriceChange.REASONS.MANUAL,
+        actorUser: req.user._id
+      });
+    }
 
-    return res.render('dashboard/edit', dashboardBaseView(req, {
-      title: `${updated.title} | 編集`,
-      item: dashboardItemView(updated),
-      formValues: {
-        title: updated.title || '',
-        price: updated.price || MIN_PRICE
-      },
-      errorMessage: '',
-      successMessage: '販売情報を更新しました。',
-      licenseView: licenseViewOf(updated)
-    }));
+    return renderDashboardEdit(req, res, updated, { successMessage: '販売情報を更新しました。' });
   } catch (e) {
     console.error('[dashboard:edit:post]', e);
     const item = await findOwnedItem(req.params.id, req.user._id);
@@ -2421,23 +3825,25 @@ app.post('/dashboard/items/:id/edit', ensureAuthed, ensureSellerProfileCompleted
       return res.status(404).render('error', { message: '作品が見つからないか、アクセス権がありません。' });
     }
 
-    return res.status(400).render('dashboard/edit', dashboardBaseView(req, {
-      title: `${item.title} | 編集`,
-      item: dashboardItemView(item),
+    return renderDashboardEdit(req, res, item, {
+      status: 400,
       formValues: {
         title: typeof req.body.title === 'string' ? req.body.title : item.title || '',
-        price: typeof req.body.price !== 'undefined' ? req.body.price : item.price || MIN_PRICE
+        price: typeof req.body.price !== 'undefined' ? req.body.price : item.price || MIN_PRICE,
+        pricingMode: typeof req.body.pricingMode === 'string' ? req.body.pricingMode : item.pricingMode || Item.PRICING_MODES.FIXED,
+        editionLimit: typeof req.body.editionLimit !== 'undefined' ? req.body.editionLimit : item.editionLimit || '',
+        licenseTierPrices: req.body.licenseTierPrices && typeof req.body.licenseTierPrices === 'object'
+          ? req.body.licenseTierPrices
+          : Object.fromEntries((item.licenseTiers || []).map((tier) => [tier.preset, tier.price]))
       },
-      errorMessage: e?.message || '販売情報の更新に失敗しました。',
-      successMessage: '',
-      licenseView: licenseViewOf(item)
-    }));
+      errorMessage: e?.message || '販売情報の更新に失敗しました。'
+    });
   }
 });
 
 app.get('/admin', ensureAuthed, requireAdmin, async (req, res) => {
   try {
-    const [latestSeller, latestReviewRows] = await Promise.all([
+    const [latestSeller, latestReviewRows, openAppealCount] = await Promise.all([
       User.findOne({ 'sellerProfile.isCompleted': true })
         .sort({ createdAt: -1, _id: -1 })
         .select('createdAt')
@@ -2451,7 +3857,8 @@ app.get('/admin', ensureAuthed, requireAdmin, async (req, res) => {
         },
         { $sort: { latestUpdatedAt: -1, _id: -1 } },
         { $limit: 1 }
-      ])
+      ]),
+      Appeal.countDocuments({ status: Appeal.STATUSES.OPEN })
     ]);
 
     const sellerLatestUpdatedAt = latestSeller?.createdAt || null;
@@ -2468,7 +3875,8 @@ app.get('/admin', ensureAuthed, requireAdmin, async (req, res) => {
         image: `${BASE_URL}/public/og/instantsale_ogp.jpg`
       },
       hasNewSellers: hasAdminNewBadge(sellerLatestUpdatedAt, sellersLastSeenAt),
-      hasNewReviews: hasAdminNewBadge(reviewLatestUpdatedAt, reviewsLastSeenAt)
+      hasNewReviews: hasAdminNewBadge(reviewLatestUpdatedAt, reviewsLastSeenAt),
+      openAppealCount
     }));
   } catch (e) {
     console.error('[admin:index]', e);
@@ -2488,11 +3896,22 @@ app.get('/admin/reviews', ensureAuthed, requireAdmin, async (req, res) => {
       isDeleted: { $ne: true }
     })
       .sort({ createdAt: -1, _id: -1 })
-      .select('slug title price previewPath ownerUser createdAt saleStatusReason')
+      .select('slug title price previewPath ownerUser createdAt saleStatusReason duplicateMatches')
       .lean();
 
+    // 転載の疑い（dup:）で審査中の作品は、似ている他の出品者の作品を並べて見比べられるようにする
+    const matchedItemIds = [...new Set(underReviewItems.flatMap((item) => (
+      Item.crossOwnerDuplicatesOf(item).map((match) => String(match.item))
+    )))];
+    const matchedItems = matchedItemIds.length
+      ? await Item.find({ _id: { $in: matchedItemIds } })
+        .select('slug title previewPath ownerUser isDeleted saleStatus createdAt')
+        .lean()
+      : [];
+    const matchedItemMap = new Map(matchedItems.map((item) => [String(item._id), item]));
+
     const ownerUserIds = [...new Set(
-      underReviewItems
+      [...underReviewItems, ...matchedItems]
         .map((item) => item.ownerUser)
         .filter(Boolean)
         .map((id) => String(id))
@@ -2504,6 +3923,7 @@ app.get('/admin/reviews', ensureAuthed, requireAdmin, async (req, res) => {
         .lean()
       : [];
     const ownerMap = new Map(owners.map((owner) => [String(owner._id), owner]));
+    const timelines = await loadModerationTimelines(underReviewItems.map((item) => item._id));
 
     const successMessage = req.query.status === 'approved'
       ? '作品を承認しました。'
@@ -2521,7 +3941,22 @@ app.get('/admin/reviews', ensureAuthed, requireAdmin, async (req, res) => {
         priceLabel: `${Number(item.price || 0).toLocaleString('ja-JP')}円`,
         createdAt: item.createdAt || null,
         saleStatusReason: item.saleStatusReason || '',
-        saleUrl: `/s/${item.slug}`
+        saleUrl: `/s/${item.slug}`,
+        timeline: timelines.get(String(item._id)) || [],
+        duplicates: Item.crossOwnerDuplicatesOf(item).map((match) => {
+          const matched = matchedItemMap.get(String(match.item));
+          const matchedOwner = matched?.ownerUser ? ownerMap.get(String(matched.ownerUser)) : null;
+          return {
+            distance: match.distance,
+            slug: matched?.slug || match.slug,
+            title: matched?.title || '(削除済み)',
+            thumbnailUrl: matched ? (matched.previewPath || `/previews/${matched.slug}-preview.jpg`) : '',
+            sellerName: matchedOwner?.sellerProfile?.creatorDisplayName || matchedOwner?.name || '不明',
+            createdAt: matched?.createdAt || null,
+            isDeleted: !matched || !!matched.isDeleted,
+            saleUrl: `/s/${matched?.slug || match.slug}`
+          };
+        })
       };
     });
 
@@ -2543,7 +3978,8 @@ app.post('/admin/reviews/:itemId/approve', ensureAuthed, requireAdmin, async (re
       return res.status(404).render('error', { message: '作品が見つかりません。' });
     }
 
-    await Item.updateOne(
+    // 更新前の作品が返る（すでに審査中でなければ null で、履歴も残さない）
+    const item = await Item.findOneAndUpdate(
       { _id: itemId, saleStatus: Item.SALE_STATUSES.UNDER_REVIEW, isDeleted: { $ne: true } },
       {
         $set: {
@@ -2552,8 +3988,22 @@ app.post('/admin/reviews/:itemId/approve', ensureAuthed, requireAdmin, async (re
           saleStatusUpdatedAt: new Date()
         },
         $currentDate: { updatedAt: true }
-      }
-    );
+      },
+      { projection: { ownerUser: 1, saleStatus: 1 } }
+    ).lean();
+    if (item) {
+      await recordModerationEvent({
+        item,
+        type: ModerationEvent.TYPES.APPROVE,
+        source: ModerationEvent.SOURCES.ADMIN,
+        saleStatusBefore: Item.SALE_STATUSES.UNDER_REVIEW,
+        saleStatusAfter: Item.SALE_STATUSES.PUBLISHED,
+        reason: 'manual:approved',
+        actorUser: req.user._id,
+        note: req.body.note
+      });
+      await resolveOpenAppealsByAdmin(item._id, req.user._id);
+    }
 
     return res.redirect('/admin/reviews?status=approved');
   } catch (e) {
@@ -2569,7 +4019,8 @@ app.post('/admin/reviews/:itemId/reject', ensureAuthed, requireAdmin, async (req
       return res.status(404).render('error', { message: '作品が見つかりません。' });
     }
 
-    await Item.updateOne(
+    // 更新前の作品が返る（すでに審査中でなければ null で、履歴も残さない）
+    const item = await Item.findOneAndUpdate(
       { _id: itemId, saleStatus: Item.SALE_STATUSES.UNDER_REVIEW, isDeleted: { $ne: true } },
       {
         $set: {
@@ -2578,8 +4029,21 @@ app.post('/admin/reviews/:itemId/reject', ensureAuthed, requireAdmin, async (req
           saleStatusUpdatedAt: new Date()
         },
         $currentDate: { updatedAt: true }
-      }
-    );
+      },
+      { projection: { ownerUser: 1, saleStatus: 1 } }
+    ).lean();
+    if (item) {
+      await recordModerationEvent({
+        item,
+        type: ModerationEvent.TYPES.REJECT,
+        source: ModerationEvent.SOURCES.ADMIN,
+        saleStatusBefore: Item.SALE_STATUSES.UNDER_REVIEW,
+        saleStatusAfter: Item.SALE_STATUSES.BLOCKED,
+        reason: 'manual:rejected',
+        actorUser: req.user._id,
+        note: req.body.note
+      });
+    }
 
     return res.redirect('/admin/reviews?status=rejected');
   } catch (e) {
@@ -2675,7 +4139,7 @@ app.get('/admin/sellers/:userId', ensureAuthed, requireAdmin, async (req, res) =
       .lean();
     if (!user) return res.status(404).render('error', { message: 'ユーザーが見つかりません。' });
 
-    const [itemStatsMap, items, purchaseRows] = await Promise.all([
+    const [itemStatsMap, items, purchaseRows, purchaseIssues] = await Promise.all([
       buildSellerItemStats([user._id]),
       Item.find({ ownerUser: user._id })
         .sort({ createdAt: -1, _id: -1 })
@@ -2684,10 +4148,12 @@ app.get('/admin/sellers/:userId', ensureAuthed, requireAdmin, async (req, res) =
       PurchaseRecord.aggregate([
         { $match: { seller: new mongoose.Types.ObjectId(String(user._id)) } },
         { $group: { _id: '$item', purchaseCount: { $sum: 1 } } }
-      ])
+      ]),
+      buildPurchaseIssueRows(user._id, { limit: 100 })
     ]);
 
     const purchaseMap = new Map(purchaseRows.map((row) => [String(row._id), row.purchaseCount || 0]));
+    const timelines = await loadModerationTimelines(items.map((item) => item._id));
     const stats = itemStatsMap.get(String(user._id)) || { totalItems: 0, activeItems: 0, deletedItems: 0 };
     const totalPurchaseCount = purchaseRows.reduce((sum, row) => sum + (row.purchaseCount || 0), 0);
 
@@ -2712,7 +4178,8 @@ app.get('/admin/sellers/:userId', ensureAuthed, requireAdmin, async (req, res) =
         createdAt: item.createdAt || null,
         accessCount: null,
         purchaseCount: purchaseMap.get(String(item._id)) || 0,
-        saleUrl: `/s/${item.slug}`
+        saleUrl: `/s/${item.slug}`,
+        timeline: timelines.get(String(item._id)) || []
       };
     });
 
@@ -2749,6 +4216,7 @@ app.get('/admin/sellers/:userId', ensureAuthed, requireAdmin, async (req, res) =
         totalPurchaseCount
       },
       items: itemRows,
+      purchaseIssues,
       successMessage,
       errorMessage
     }));
@@ -2799,6 +4267,16 @@ app.post('/admin/items/:itemId/block', ensureAuthed, requireAdmin, async (req, r
         $currentDate: { updatedAt: true }
       }
     );
+    await recordModerationEvent({
+      item,
+      type: ModerationEvent.TYPES.BLOCK,
+      source: ModerationEvent.SOURCES.ADMIN,
+      saleStatusBefore: Item.SALE_STATUSES.PUBLISHED,
+      saleStatusAfter: Item.SALE_STATUSES.BLOCKED,
+      reason: 'manual:policy_blocked',
+      actorUser: req.user._id,
+      note: req.body.note
+    });
 
     if (ownerUserId) return res.redirect(`/admin/sellers/${ownerUserId}?status=blocked`);
     return res.redirect('/admin/sellers?status=blocked');
@@ -2849,6 +4327,17 @@ app.post('/admin/items/:itemId/unblock', ensureAuthed, requireAdmin, async (req,
         $currentDate: { updatedAt: true }
       }
     );
+    await recordModerationEvent({
+      item,
+      type: ModerationEvent.TYPES.UNBLOCK,
+      source: ModerationEvent.SOURCES.ADMIN,
+      saleStatusBefore: Item.SALE_STATUSES.BLOCKED,
+      saleStatusAfter: Item.SALE_STATUSES.PUBLISHED,
+      reason: 'manual:unblocked_by_admin',
+      actorUser: req.user._id,
+      note: req.body.note
+    });
+    await resolveOpenAppealsByAdmin(item._id, req.user._id);
 
     if (ownerUserId) return res.redirect(`/admin/sellers/${ownerUserId}?status=unblocked`);
     return res.redirect('/admin/sellers?status=unblocked');
@@ -2858,84 +4347,2193 @@ app.post('/admin/items/:itemId/unblock', ensureAuthed, requireAdmin, async (req,
   }
 });
 
-app.get('/creator/seller-profile', ensureAuthed, async (req, res) => {
-  const me = await User.findById(req.user._id).select('name email sellerProfile').lean();
-  const sellerProfile = me?.sellerProfile || {};
-  const returnTo = sanitizeReturnPath(req.query.returnTo || '/creator');
+// ====== 出品審査の方針（管理者） ======
+const MODERATION_DRY_RUN_MAX_ROWS = 300;
 
-  return res.render('seller-profile', {
-    baseUrl: BASE_URL,
-    formValues: sellerProfileFormValues(sellerProfile),
-    errors: {},
-    sellerProfile,
-    pageTitle: '販売者情報の登録',
-    pageLead: '出品を行うには、販売者情報の登録が必要です。',
-    actionPath: '/creator/seller-profile',
-    submitLabel: '保存する',
-    cancelLabel: '戻る',
-    errorMessage: '',
-    successMessage: (req.query.saved === '1' || req.query.sellerProfileSaved === '1') ? '販売者情報を保存しました。' : '',
-    returnTo,
-    backPath: resolveSellerProfileBackPath(returnTo, getSellerProfileCompletion(me))
-  });
-});
+// フォームの行（keywords[n][...] / thresholds[n][...]）は qs の都合で配列か添字付きオブジェクトで届く
+function formRowsOf(value) {
+  if (!value || typeof value !== 'object') return [];
+  return Object.values(value).filter((row) => row && typeof row === 'object');
+}
 
-app.get('/dashboard/seller-profile', ensureAuthed, async (req, res) => {
+function linesOf(value) {
+  return String(value || '')
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+}
+
+// 管理画面のフォームを ModerationPolicy の形に直す。誤りは errors に積む（1件でもあれば保存しない。誤った行も入力し直せるよう残す）
+function parseModerationPolicyForm(body = {}) {
+  const errors = [];
+  const { KEYWORD_ACTIONS, KEYWORD_MATCH_MODES } = ModerationPolicy;
+
+  const keywords = [];
+  const seenKeywords = new Set();
+  for (const row of formRowsOf(body.keywords)) {
+    if (row.remove) continue;
+    const keyword = String(row.keyword || '').trim();
+    if (!keyword) continue;
+    const action = Object.values(KEYWORD_ACTIONS).includes(row.action) ? row.action : KEYWORD_ACTIONS.REVIEW;
+    const matchMode = Object.values(KEYWORD_MATCH_MODES).includes(row.matchMode) ? row.matchMode : KEYWORD_MATCH_MODES.SUBSTRING;
+    try {
+      compileKeywordRule({ keyword, action, matchMode });
+    } catch (e) {
+      errors.push(e.message);
+    }
+    const dedupeKey = `${matchMode}:${keyword}`;
+    if (seenKeywords.has(dedupeKey)) continue;
+    seenKeywords.add(dedupeKey);
+    keywords.push({ keyword, action, matchMode });
+  }
+
+  const categoryThresholds = [];
+  const seenCategories = new Set();
+  for (const row of formRowsOf(body.thresholds)) {
+    const category = normalizeCategoryKey(row.category);
+    const rawThreshold = String(row.threshold ?? '').trim();
+    if (!category && !rawThreshold) continue;
+    const threshold = Number(rawThreshold);
+    if (!category || !rawThreshold || !Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+      errors.push(`しきい値は分類名と 0〜1 の数値で入力してください: ${String(row.category || '').trim() || '(分類名なし)'}`);
+      categoryThresholds.push({ category: String(row.category || '').trim(), threshold: rawThreshold });
+      continue;
+    }
+    if (seenCategories.has(category)) {
+      errors.push(`分類「${category}」のしきい値が重複しています。`);
+      continue;
+    }
+    seenCategories.add(category);
+    categoryThresholds.push({ category, threshold });
+  }
+
+  const allowTerms = [...new Set(linesOf(body.allowTerms))].slice(0, 500);
+
+  const trustedSellers = [];
+  for (const line of linesOf(body.trustedSellers)) {
+    if (!mongoose.Types.ObjectId.isValid(line)) {
+      errors.push(`販売者IDの形式が正しくありません: ${line}`);
+      trustedSellers.push(line);
+      continue;
+    }
+    if (!trustedSellers.includes(line)) trustedSellers.push(line);
+  }
+
+  return { policy: { keywords, categoryThresholds, allowTerms, trustedSellers }, errors };
+}
+
+// 公開中の作品を新しい方針で判定し直し、審査中・公開停止に変わるものを集める。
+// 文字はキーワード・許可する語・信頼済みの販売者で判定し、画像は審査し直さずに最新の審査履歴のスコアをしきい値と比べる
+async function dryRunModerationPolicy(policyDoc) {
+  const policy = compileModerationPolicy(policyDoc);
+  const rows = [];
+  let scanned = 0;
+  let changed = 0;
+  let imageChecked = 0;
+  const cursor = Item.find({ saleStatus: Item.SALE_STATUSES.PUBLISHED, isDeleted: { $ne: true } })
+    .sort({ createdAt: -1, _id: -1 })
+    .select('slug title licenseNotes aiModelName ownerUser createdAt')
+    .lean()
+    .cursor();
+  for await (const item of cursor) {
+    scanned++;
+    const textDecision = resolveInitialSaleStatus({
+      title: item.title,
+      licenseNotes: item.licenseNotes,
+      aiModelName: item.aiModelName,
+      sellerId: item.ownerUser
+    }, policy);
+    const imageDecisions = [];
+    if (textDecision.status !== Item.SALE_STATUSES.BLOCKED) {
+      const event = await ModerationEvent.findOne({ item: item._id, 'imageVerdicts.0': { $exists: true } })
+        .sort({ createdAt: -1 })
+        .select('imageVerdicts')
+        .lean();
+      const verdictsByImage = new Map();
+      for (const verdict of event?.imageVerdicts || []) {
+        if (!verdictsByImage.has(verdict.image)) verdictsByImage.set(verdict.image, []);
+        verdictsByImage.get(verdict.image).push(verdict);
+      }
+      for (const verdicts of verdictsByImage.values()) {
+        imageDecisions.push(imageModerator.rescore({ verdicts, scoreThresholds: policy.scoreThresholds }));
+      }
+      if (event) imageChecked++;
+    }
+    const decision = saleModerationStatusOf(textDecision, imageDecisions);
+    if (decision.status === Item.SALE_STATUSES.PUBLISHED) continue;
+    changed++;
+    if (rows.length < MODERATION_DRY_RUN_MAX_ROWS) rows.push({ item, decision });
+  }
+
+  const ownerIds = [...new Set(rows.map(({ item }) => String(item.ownerUser || '')).filter(Boolean))];
+  const owners = ownerIds.length
+    ? await User.find({ _id: { $in: ownerIds } }).select('name sellerProfile.creatorDisplayName').lean()
+    : [];
+  const ownerMap = new Map(owners.map((owner) => [String(owner._id), owner]));
+
+  return {
+    scanned,
+    changed,
+    imageChecked,
+    truncated: changed > rows.length,
+    rows: rows.map(({ item, decision }) => {
+      const owner = ownerMap.get(String(item.ownerUser || ''));
+      return {
+        title: item.title,
+        saleUrl: `/s/${item.slug}`,
+        sellerId: String(item.ownerUser || ''),
+        sellerName: owner?.sellerProfile?.creatorDisplayName || owner?.name || '不明',
+        createdAt: item.createdAt || null,
+        nextStatus: decision.status,
+        reason: decision.reason
+      };
+    })
+  };
+}
+
+function moderationPolicyFormView(policyDoc) {
+  return {
+    keywords: (policyDoc.keywords || []).map(({ keyword, action, matchMode }) => ({ keyword, action, matchMode })),
+    categoryThresholds: (policyDoc.categoryThresholds || []).map(({ category, threshold }) => ({ category, threshold })),
+    allowTerms: (policyDoc.allowTerms || []).join('\n'),
+    trustedSellers: (policyDoc.trustedSellers || []).map(String).join('\n')
+  };
+}
+
+async function renderAdminModeration(req, res, { status = 200, policyDoc = null, errors = [], dryRun = null, successMessage = '' } = {}) {
+  const saved = await ModerationPolicy.findOne({ key: ModerationPolicy.POLICY_KEY }).lean();
+  const updatedBy = saved?.updatedBy ? await User.findById(saved.updatedBy).select('name').lean() : null;
+  return res.status(status).render('admin/moderation', adminBaseView(req, {
+    title: '出品審査の方針',
+    form: moderationPolicyFormView(policyDoc || saved || defaultModerationPolicyDoc()),
+    isDefaultPolicy: !saved,
+    updatedAt: saved?.updatedAt || null,
+    updatedByName: updatedBy?.name || '',
+    keywordActions: ModerationPolicy.KEYWORD_ACTIONS,
+    keywordMatchModes: ModerationPolicy.KEYWORD_MATCH_MODES,
+    defaultScoreThreshold: OPENAI_IMAGE_REVIEW_SCORE_THRESHOLD,
+    errors,
+    dryRun,
+    successMessage
+  }));
+}
+
+app.get('/admin/moderation', ensureAuthed, requireAdmin, async (req, res) => {
   try {
-    const me = await User.findById(req.user._id).select('sellerProfile').lean();
-    const sellerProfile = me?.sellerProfile || {};
-    return res.render('dashboard/seller-profile', dashboardBaseView(req, {
-      title: '販売者情報',
-      sellerProfile,
-      sellerProfileCompleted: getSellerProfileCompletion(me),
-      successMessage: req.query.sellerProfileSaved === '1' ? '販売者情報を保存しました。' : ''
-    }));
+    return await renderAdminModeration(req, res, {
+      successMessage: req.query.status === 'saved' ? '審査の方針を保存しました。1分ほどで新しい出品の審査に反映されます。' : ''
+    });
   } catch (e) {
-    console.error('[dashboard:seller-profile]', e);
-    return res.status(500).render('error', { message: '販売者情報の表示に失敗しました。' });
+    console.error('[admin:moderation]', e);
+    return res.status(500).render('error', { message: '審査の方針の表示に失敗しました。' });
   }
 });
 
-app.get('/dashboard/seller-profile/edit', ensureAuthed, async (req, res) => {
+app.post('/admin/moderation', ensureAuthed, requireAdmin, async (req, res) => {
   try {
-    const me = await User.findById(req.user._id).select('sellerProfile').lean();
-    const sellerProfile = me?.sellerProfile || {};
-    return res.render('seller-profile', {
-      ...dashboardBaseView(req),
-      formValues: sellerProfileFormValues(sellerProfile),
-      errors: {},
-      sellerProfile,
-      pageTitle: '販売者情報の編集',
-      pageLead: 'クリエイター名や販売者情報を更新できます。',
-      actionPath: '/dashboard/seller-profile/edit',
-      submitLabel: '保存して戻る',
-      cancelLabel: 'キャンセル',
-      errorMessage: '',
-      successMessage: '',
-      returnTo: '/dashboard/seller-profile',
-      backPath: '/dashboard/seller-profile'
+    const { policy, errors } = parseModerationPolicyForm(req.body);
+    if (errors.length) {
+      return renderAdminModeration(req, res, { status: 400, policyDoc: policy, errors });
+    }
+
+    await ModerationPolicy.updateOne(
+      { key: ModerationPolicy.POLICY_KEY },
+      { $set: { ...policy, updatedBy: req.user._id } },
+      { upsert: true, runValidators: true }
+    );
+    invalidateModerationPolicyCache();
+    console.info('[admin:moderation] saved', {
+      admin: String(req.user._id),
+      keywords: policy.keywords.length,
+      categoryThresholds: policy.categoryThresholds.length,
+      allowTerms: policy.allowTerms.length,
+      trustedSellers: policy.trustedSellers.length
     });
+    return res.redirect('/admin/moderation?status=saved');
   } catch (e) {
-    console.error('[dashboard:seller-profile:edit:get]', e);
-    return res.status(500).render('error', { message: '販売者情報の編集画面の表示に失敗しました。' });
+    console.error('[admin:moderation:save]', e);
+    return res.status(500).render('error', { message: '審査の方針の保存に失敗しました。' });
   }
 });
 
-app.get('/creator/legal', ensureAuthed, (req, res) => {
-  return res.redirect(302, buildSellerProfilePath(req.query.returnTo || '/creator', { legacy: '1' }));
+// 保存前のフォームの内容で、公開中の作品のうち状態が変わるものを表示する（作品は更新しない）
+app.post('/admin/moderation/dry-run', ensureAuthed, requireAdmin, async (req, res) => {
+  try {
+    const { policy, errors } = parseModerationPolicyForm(req.body);
+    if (errors.length) {
+      return renderAdminModeration(req, res, { status: 400, policyDoc: policy, errors });
+    }
+    const dryRun = await dryRunModerationPolicy(policy);
+    console.info('[admin:moderation] dry-run', { admin: String(req.user._id), scanned: dryRun.scanned, changed: dryRun.changed });
+    return renderAdminModeration(req, res, { policyDoc: policy, dryRun });
+  } catch (e) {
+    console.error('[admin:moderation:dry-run]', e);
+    return res.status(500).render('error', { message: '審査の方針の試算に失敗しました。' });
+  }
 });
 
-async function handleSellerProfileSave(req, res, options = {}) {
-  const formValues = sanitizeSellerProfileInput(req.body);
-  const errors = validateSellerProfileInput(formValues);
-  const returnTo = sanitizeReturnPath(req.body.returnTo || req.query.returnTo || options.defaultReturnTo || '/creator');
-  const isDashboardEdit = options.variant === 'dashboard-edit';
+// ====== 異議申し立て（管理者） ======
+const APPEAL_STATUS_LABELS = Object.freeze({
+  open: '回答待ち',
+  accepted: '認めた（公開停止を解除）',
+  rejected: '認めなかった（公開停止のまま）',
+  resolved: '回答前に運営が停止解除・承認'
+});
 
-  if (Object.keys(errors).length) {
-    return res.status(400).render('seller-profile', {
-      ...dashboardBaseView(req),
-      formValues,
-      errors,
+// 申し立ての結果を出品者にメールで知らせる。送れなくても回答そのものは取り消さない
+async function notifyAppealOutcome(appeal) {
+  try {
+    const [seller, item] = await Promise.all([
+      User.findById(appeal.seller).select('email').lean(),
+      Item.findById(appeal.item).select('title').lean()
+    ]);
+    if (!seller?.email) return;
+    const accepted = appeal.status === Appeal.STATUSES.ACCEPTED;
+    const resolved = appeal.status === Appeal.STATUSES.RESOLVED;
+    await mailer.sendMail({
+      to: seller.email,
+      subject: accepted || resolved
+        ? '【Instant Sale】異議申し立てが認められ、公開停止を解除しました'
+        : '【Instant Sale】異議申し立てへの回答',
+      text: [
+        `作品「${item?.title || '(無題)'}」への異議申し立てについて、運営から回答がありました。`,
+        '',
+        accepted
+          ? '申し立てを認め、公開停止を解除しました。販売ページは再び公開されています。'
+          : resolved
+            ? '運営の確認により公開停止を解除しました。販売ページは再び公開されています。'
+            : '確認の結果、公開停止を継続します。',
+        ...(appeal.response ? ['', '運営からのコメント:', appeal.response] : []),
+        '',
+        `作品の詳細: ${BASE_URL}/dashboard/items/${appeal.item}`
+      ].join('\n')
+    });
+    await Appeal.updateOne({ _id: appeal._id }, { $set: { notifiedAt: new Date() } });
+  } catch (e) {
+    console.error('[admin:appeals] notify failed', { appeal: String(appeal._id), message: e?.message || e });
+  }
+}
+
+// 申し立ての一覧から回答する前に運営が停止解除・承認した作品の申し立てを閉じ、出品者に知らせる
+async function resolveOpenAppealsByAdmin(itemId, adminUserId) {
+  const openAppeals = await Appeal.find({ item: itemId, status: Appeal.STATUSES.OPEN }).select('_id').lean();
+  for (const { _id } of openAppeals) {
+    const appeal = await Appeal.findOneAndUpdate(
+      { _id, status: Appeal.STATUSES.OPEN },
+      { $set: { status: Appeal.STATUSES.RESOLVED, respondedBy: adminUserId, respondedAt: new Date() } },
+      { new: true }
+    ).lean();
+    if (!appeal) continue;
+    await notifyAppealOutcome(appeal);
+    console.info('[admin:appeals] resolved by admin action', { appeal: String(appeal._id), item: String(appeal.item) });
+  }
+}
+
+app.get('/admin/appeals', ensureAuthed, requireAdmin, async (req, res) => {
+  try {
+    const [openAppeals, closedAppeals] = await Promise.all([
+      // 古い申し立てから順に回答する
+      Appeal.find({ status: Appeal.STATUSES.OPEN }).sort({ createdAt: 1, _id: 1 }).lean(),
+      Appeal.find({ status: { $ne: Appeal.STATUSES.OPEN } }).sort({ respondedAt: -1, _id: -1 }).limit(50).lean()
+    ]);
+    const appeals = [...openAppeals, ...closedAppeals];
+
+    const itemIds = [...new Set(appeals.map((appeal) => String(appeal.item)))];
+    const userIds = [...new Set(appeals.flatMap((appeal) => [appeal.seller, appeal.respondedBy]).filter(Boolean).map(String))];
+    const [items, users, timelines] = await Promise.all([
+      itemIds.length ? Item.find({ _id: { $in: itemIds } }).select('slug title previewPath saleStatus saleStatusReason isDeleted').lean() : [],
+      userIds.length ? User.find({ _id: { $in: userIds } }).select('name email sellerProfile.creatorDisplayName').lean() : [],
+      loadModerationTimelines(openAppeals.map((appeal) => appeal.item))
+    ]);
+    const itemMap = new Map(items.map((item) => [String(item._id), item]));
+    const userMap = new Map(users.map((user) => [String(user._id), user]));
+
+    const appealRow = (appeal) => {
+      const item = itemMap.get(String(appeal.item));
+      const seller = userMap.get(String(appeal.seller));
+      const responder = appeal.respondedBy ? userMap.get(String(appeal.respondedBy)) : null;
+      return {
+        id: String(appeal._id),
+        status: appeal.status,
+        statusLabel: APPEAL_STATUS_LABELS[appeal.status] || appeal.status,
+        itemTitle: item?.title || '(削除済み)',
+        thumbnailUrl: item ? (item.previewPath || `/previews/${item.slug}-preview.jpg`) : '',
+        saleUrl: item && !item.isDeleted ? `/s/${item.slug}` : '',
+        itemStatusLabel: item?.isDeleted ? '削除済み' : SALE_STATUS_LABELS[Item.resolveSaleStatus(item || {})] || '-',
+        sellerId: String(appeal.seller),
+        sellerName: seller?.sellerProfile?.creatorDisplayName || seller?.name || '不明',
+        saleStatusReason: appeal.saleStatusReason || '-',
+        message: appeal.message,
+        response: appeal.response || '',
+        responderName: responder?.name || responder?.email || '',
+        createdAt: appeal.createdAt || null,
+        respondedAt: appeal.respondedAt || null,
+        notified: !!appeal.notifiedAt,
+        timeline: timelines.get(String(appeal.item)) || []
+      };
+    };
+
+    const successMessage = req.query.status === 'accepted'
+      ? '申し立てを認め、公開停止を解除しました。出品者に通知しました。'
+      : req.query.status === 'rejected'
+        ? '申し立てを認めず、公開停止を継続しました。出品者に通知しました。'
+        : '';
+    const warningMessage = req.query.status === 'accepted_item_unchanged'
+      ? '申し立てを認めましたが、作品はすでに公開停止ではない（解除済み・削除済み）ため、状態は変えず出品者にも通知していません。'
+      : '';
+    const errorMessage = req.query.error === 'already_closed'
+      ? 'この申し立てはすでに回答済みです。'
+      : req.query.error === 'response_required'
+        ? '認めない場合は、出品者へのコメントを入力してください。'
+        : req.query.error === 'response_too_long'
+          ? `コメントは${Appeal.RESPONSE_MAX_LENGTH}文字以内にしてください。`
+          : '';
+
+    return res.render('admin/appeals', adminBaseView(req, {
+      title: '異議申し立て | 管理画面',
+      openAppeals: openAppeals.map(appealRow),
+      closedAppeals: closedAppeals.map(appealRow),
+      responseMaxLength: Appeal.RESPONSE_MAX_LENGTH,
+      successMessage,
+      warningMessage,
+      errorMessage
+    }));
+  } catch (e) {
+    console.error('[admin:appeals]', e);
+    return res.status(500).render('error', { message: '異議申し立て一覧の表示に失敗しました。' });
+  }
+});
+
+// accept: 公開停止を解除して published に戻す / reject: 公開停止のまま（コメント必須）
+app.post('/admin/appeals/:appealId/:decision(accept|reject)', ensureAuthed, requireAdmin, async (req, res) => {
+  try {
+    const { appealId, decision } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(appealId)) {
+      return res.status(404).render('error', { message: '異議申し立てが見つかりません。' });
+    }
+    const accepted = decision === 'accept';
+    const response = String(req.body.response || '').trim();
+    if (!accepted && !response) return res.redirect('/admin/appeals?error=response_required');
+    if (response.length > Appeal.RESPONSE_MAX_LENGTH) return res.redirect('/admin/appeals?error=response_too_long');
+
+    const appeal = await Appeal.findOneAndUpdate(
+      { _id: appealId, status: Appeal.STATUSES.OPEN },
+      {
+        $set: {
+          status: accepted ? Appeal.STATUSES.ACCEPTED : Appeal.STATUSES.REJECTED,
+          response,
+          respondedBy: req.user._id,
+          respondedAt: new Date()
+        }
+      },
+      { new: true }
+    ).lean();
+    if (!appeal) return res.redirect('/admin/appeals?error=already_closed');
+
+    let republished = false;
+    if (accepted) {
+      // 申し立て中に運営が解除・出品者が削除した作品はそのまま（履歴も残さず、出品者にも知らせない）
+      const item = await Item.findOneAndUpdate(
+        { _id: appeal.item, saleStatus: Item.SALE_STATUSES.BLOCKED, isDeleted: { $ne: true } },
+        {
+          $set: {
+            saleStatus: Item.SALE_STATUSES.PUBLISHED,
+            saleStatusReason: 'manual:appeal_accepted',
+            saleStatusUpdatedAt: new Date()
+          },
+          $currentDate: { updatedAt: true }
+        },
+        { projection: { ownerUser: 1, saleStatus: 1 } }
+      ).lean();
+      republished = !!item;
+      if (item) {
+        await recordModerationEvent({
+          item,
+          type: ModerationEvent.TYPES.UNBLOCK,
+          source: ModerationEvent.SOURCES.APPEAL,
+          saleStatusBefore: Item.SALE_STATUSES.BLOCKED,
+          saleStatusAfter: Item.SALE_STATUSES.PUBLISHED,
+          reason: 'manual:appeal_accepted',
+          actorUser: req.user._id,
+          note: response
+        });
+      }
+    } else {
+      await recordModerationEvent({
+        item: { _id: appeal.item, ownerUser: appeal.seller },
+        type: ModerationEvent.TYPES.APPEAL_REJECTED,
+        source: ModerationEvent.SOURCES.APPEAL,
+        saleStatusBefore: Item.SALE_STATUSES.BLOCKED,
+        saleStatusAfter: Item.SALE_STATUSES.BLOCKED,
+        reason: appeal.saleStatusReason,
+        actorUser: req.user._id,
+        note: response
+      });
+    }
+
+    if (accepted && !republished) {
+      console.warn('[admin:appeals] accepted but item was not blocked; seller not notified', { appeal: String(appeal._id), item: String(appeal.item) });
+      return res.redirect('/admin/appeals?status=accepted_item_unchanged');
+    }
+    await notifyAppealOutcome(appeal);
+    console.info('[admin:appeals] responded', { appeal: String(appeal._id), item: String(appeal.item), status: appeal.status });
+    return res.redirect(`/admin/appeals?status=${accepted ? 'accepted' : 'rejected'}`);
+  } catch (e) {
+    console.error('[admin:appeals:respond]', e);
+    return res.status(500).render('error', { message: '異議申し立てへの回答に失敗しました。' });
+  }
+});
+
+// 流出画像の透かし照合（管理者）
+app.get('/admin/watermark', ensureAuthed, requireAdmin, (req, res) => {
+  return renderAdminWatermark(req, res, { itemSlug: String(req.query.item || '').trim() });
+});
+
+// multipart は csurf より後で解析されるため、CSRF トークンはフォームの action のクエリで送る
+app.post('/admin/watermark/trace', ensureAuthed, requireAdmin, (req, res, next) => {
+  watermarkTraceUpload.single('image')(req, res, (err) => {
+    if (!err) return next();
+    const errorMessage = err.code === 'LIMIT_FILE_SIZE'
+      ? '画像は20MB以下にしてください。'
+      : (err.message || '画像を読み込めませんでした。');
+    return renderAdminWatermark(req, res, { status: 400, errorMessage });
+  });
+}, async (req, res) => {
+  const itemSlug = String(req.body.itemSlug || '').trim();
+  try {
+    if (!forensicWatermark) {
+      return renderAdminWatermark(req, res, { status: 503, itemSlug });
+    }
+    if (!req.file?.buffer?.length) {
+      return renderAdminWatermark(req, res, { status: 400, itemSlug, errorMessage: '照合する画像を選択してください。' });
+    }
+
+    const item = itemSlug ? await Item.findOne({ slug: itemSlug }).lean() : null;
+    if (itemSlug && !item) {
+      return renderAdminWatermark(req, res, { status: 404, itemSlug, errorMessage: '指定した作品IDの作品が見つかりません。' });
+    }
+
+    let extracted = await forensicWatermark.extract(req.file.buffer);
+    let method = 'blind';
+    // 原本が分かっていれば差分で読み直す（セットは全ファイルを試して最も強く出たものを採用）
+    if (!extracted.detected && item) {
+      for (const file of Item.allDeliveryFilesOf(item).filter(isWatermarkableFile)) {
+        const reference = await readDeliveryFileBuffer(file).catch(() => null);
+        if (!reference) continue;
+        const candidate = await forensicWatermark.extract(req.file.buffer, { reference });
+        if (candidate.detectionScore > extracted.detectionScore) {
+          extracted = candidate;
+          method = 'reference';
+        }
+      }
+    }
+
+    let match = null;
+    if (extracted.detected) {
+      const record = await PurchaseRecord.findOne({ watermarkId: extracted.id }).lean();
+      if (record) {
+        const matchedItem = item && String(item._id) === String(record.item)
+          ? item
+          : await Item.findById(record.item).lean();
+        match = watermarkTraceMatchViewOf(record, matchedItem, forensicWatermark.matchScore(extracted, record.watermarkId));
+      }
+    }
+
+    let candidates = [];
+    if (!match && item) {
+      const records = await PurchaseRecord.find({ item: item._id, watermarkId: { $type: 'number' } }).lean();
+      candidates = records
+        .map((record) => ({ record, score: forensicWatermark.matchScore(extracted, record.watermarkId) }))
+        .filter(({ score }) => score >= WATERMARK_CANDIDATE_MIN_SCORE)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, WATERMARK_CANDIDATE_LIMIT)
+        .map(({ record, score }) => watermarkTraceMatchViewOf(record, item, score));
+    }
+
+    // 透かしなしで原本を配布した購入（アニメーション画像など）は、この照合では見つからない
+    const unwatermarkedPurchaseCount = item
+      ? await PurchaseRecord.countDocuments({ item: item._id, watermarkSkippedAt: { $ne: null } })
+      : 0;
+
+    console.info('[admin:watermark] traced', {
+      admin: String(req.user._id),
+      item: itemSlug || null,
+      method,
+      detected: extracted.detected,
+      matched: match?.purchaseId || null,
+      candidates: candidates.length
+    });
+
+    return renderAdminWatermark(req, res, {
+      itemSlug,
+      result: {
+        fileName: req.file.originalname || '',
+        method,
+        detected: extracted.detected,
+        watermarkId: extracted.detected ? extracted.id : null,
+        detectionScore: extracted.detectionScore,
+        match,
+        candidates,
+        unwatermarkedPurchaseCount
+      }
+    });
+  } catch (e) {
+    console.error('[admin:watermark]', e);
+    return renderAdminWatermark(req, res, { status: 500, itemSlug, errorMessage: '画像の照合に失敗しました。画像ファイルを確認してください。' });
+  }
+});
+
+app.get('/creator/seller-profile', ensureAuthed, async (req, res) => {
+  const me = await User.findById(req.user._id).select('name email sellerProfile').lean();
+  const sellerProfile = me?.sellerProfile || {};
+  const returnTo = sanitizeReturnPath(req.query.returnTo || '/creator');
+
+  return res.render('seller-profile', {
+    baseUrl: BASE_URL,
+    formValues: sellerProfileFormValues(sellerProfile),
+    errors: {},
+    sellerProfile,
+    pageTitle: '販売者情報の登録',
+    pageLead: '出品を行うには、販売者情報の登録が必要です。',
+    actionPath: '/creator/seller-profile',
+    submitLabel: '保存する',
+    cancelLabel: '戻る',
+    errorMessage: '',
+    successMessage: (req.query.saved === '1' || req.query.sellerProfileSaved === '1') ? '販売者情報を保存しました。' : '',
+    returnTo,
+    backPath: resolveSellerProfileBackPath(returnTo, getSellerProfileCompletion(me))
+  });
+});
+
+// ====== 期間限定セール（価格スケジュール） ======
+const PRICE_SCHEDULER_INTERVAL_MS = Math.max(0, Number(process.env.PRICE_SCHEDULER_INTERVAL_MS ?? '60000') || 0);
+const PRICE_CHANGE_REASON_LABELS = {
+  manual: '手動変更',
+  sale_start: 'セール開始',
+  sale_end: 'セール終了',
+  sale_canceled: 'セール取消'
+};
+const PRICE_SCHEDULE_STATUS_LABELS = {
+  scheduled: '開始待ち',
+  active: 'セール中',
+  ended: '終了',
+  canceled: '取消'
+};
+const SALE_SCHEDULE_MESSAGES = {
+  scheduled: 'セールを予約しました。開始時刻になると自動で価格が切り替わります。',
+  started: 'セールを開始しました。',
+  canceled: 'セールを取り消しました。'
+};
+
+// datetime-local（日本時間）⇔ Date
+function parseJstDateTimeLocal(value) {
+  const v = String(value || '').trim();
+  if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(v)) return null;
+  const date = new Date(`${v}:00+09:00`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function toJstDateTimeLocal(date) {
+  if (!date) return '';
+  const jst = new Date(new Date(date).getTime() + 9 * 60 * 60 * 1000);
+  return jst.toISOString().slice(0, 16);
+}
+
+function formatJstDateTime(date, lng = 'ja') {
+  const text = new Date(date).toLocaleString(lng === 'en' ? 'en-US' : 'ja-JP', {
+    timeZone: 'Asia/Tokyo',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+  return lng === 'en' ? `${text} JST` : text;
+}
+
+// 価格履歴は切替本体の成否に影響させない（記録漏れはログで追う）
+async function recordPriceChange({ item, fromPrice, toPrice, reason, actorUser = null, changedAt = new Date() }) {
+  if (Number(fromPrice) === Number(toPrice)) return;
+  try {
+    await PriceChange.create({
+      item: item._id,
+      seller: item.ownerUser || null,
+      fromPrice,
+      toPrice,
+      reason,
+      actorUser,
+      changedAt
+    });
+  } catch (e) {
+    console.error('[price-change] record failed', { itemId: String(item._id), reason, message: e.message });
+  }
+}
+
+// 1作品分のスケジュールを now 時点の状態へ進める。price の一致を条件にして手動変更・多重実行と競合させない
+async function advancePriceSchedule(item, now = new Date()) {
+  const S = Item.PRICE_SCHEDULE_STATUSES;
+  const schedule = item?.priceSchedule;
+  if (!schedule) return null;
+  const startsAt = new Date(schedule.startsAt).getTime();
+  const endsAt = new Date(schedule.endsAt).getTime();
+
+  if (schedule.status === S.ACTIVE && endsAt <= now.getTime()) {
+    const regularPrice = Number(schedule.regularPrice || item.price);
+    const updated = await Item.findOneAndUpdate(
+      { _id: item._id, 'priceSchedule.status': S.ACTIVE, price: item.price },
+      { $set: { price: regularPrice, 'priceSchedule.status': S.ENDED } },
+      { new: true }
+    ).lean();
+    if (updated) {
+      await recordPriceChange({ item, fromPrice: item.price, toPrice: regularPrice, reason: PriceChange.REASONS.SALE_END, changedAt: now });
+    }
+    return updated;
+  }
+
+  if (schedule.status !== S.SCHEDULED) return null;
+
+  // 停止中などで開始時刻を丸ごと逃したセールは価格を触らずに終了扱い
+  if (endsAt <= now.getTime()) {
+    return Item.findOneAndUpdate(
+      { _id: item._id, 'priceSchedule.status': S.SCHEDULED },
+      { $set: { 'priceSchedule.status': S.ENDED } },
+      { new: true }
+    ).lean();
+  }
+  if (startsAt > now.getTime()) return null;
+
+  // 予約後に通常価格がセール価格以下へ下げられていたら、値上げにならないよう取り消す
+  if (!(schedule.salePrice < item.price)) {
+    console.warn('[price-scheduler] sale price is not below current price; canceled', { itemId: String(item._id) });
+    return Item.findOneAndUpdate(
+      { _id: item._id, 'priceSchedule.status': S.SCHEDULED },
+      { $set: { 'priceSchedule.status': S.CANCELED } },
+      { new: true }
+    ).lean();
+  }
+
+  const updated = await Item.findOneAndUpdate(
+    { _id: item._id, 'priceSchedule.status': S.SCHEDULED, price: item.price },
+    {
+      $set: {
+        price: schedule.salePrice,
+        'priceSchedule.status': S.ACTIVE,
+        'priceSchedule.regularPrice': item.price
+      }
+    },
+    { new: true }
+  ).lean();
+  if (updated) {
+    await recordPriceChange({ item, fromPrice: item.price, toPrice: schedule.salePrice, reason: PriceChange.REASONS.SALE_START, changedAt: now });
+  }
+  return updated;
+}
+
+async function runPriceScheduleTick(now = new Date()) {
+  const S = Item.PRICE_SCHEDULE_STATUSES;
+  const due = await Item.find({
+    $or: [
+      { 'priceSchedule.status': S.ACTIVE, 'priceSchedule.endsAt': { $lte: now } },
+      { 'priceSchedule.status': S.SCHEDULED, 'priceSchedule.startsAt': { $lte: now } }
+    ]
+  })
+    .select('price ownerUser priceSchedule')
+    .sort({ 'priceSchedule.startsAt': 1 })
+    .limit(200)
+    .lean();
+
+  let advanced = 0;
+  for (const item of due) {
+    try {
+      if (await advancePriceSchedule(item, now)) advanced += 1;
+    } catch (e) {
+      console.error('[price-scheduler] advance failed', { itemId: String(item._id), message: e.message });
+    }
+  }
+  if (advanced) console.info('[price-scheduler] advanced', { count: advanced });
+  return advanced;
+}
+
+let priceSchedulerRunning = false;
+function startPriceScheduler() {
+  if (!PRICE_SCHEDULER_INTERVAL_MS) {
+    console.warn('[price-scheduler] disabled (PRICE_SCHEDULER_INTERVAL_MS=0)');
+    return;
+  }
+  const tick = async () => {
+    if (priceSchedulerRunning || mongoose.connection.readyState !== 1) return;
+    priceSchedulerRunning = true;
+    try {
+      await runPriceScheduleTick(new Date());
+    } catch (e) {
+      console.error('[price-scheduler] tick failed', e);
+    } finally {
+      priceSchedulerRunning = false;
+    }
+  };
+  setInterval(tick, PRICE_SCHEDULER_INTERVAL_MS).unref();
+  if (mongoose.connection.readyState === 1) tick();
+  else mongoose.connection.once('connected', tick);
+}
+
+// ===== ジョブキュー（出品直後の画像処理など、リクエストの外で行う重い処理） =====
+// Web プロセスでも既定でワーカーを動かす。node server.js --worker を別に動かすなら JOB_WORKER_IN_PROCESS=0
+const JOB_WORKER_POLL_MS = Math.max(500, Number(process.env.JOB_WORKER_POLL_MS ?? '2000') || 2000);
+const JOB_LOCK_TIMEOUT_MS = Math.max(60 * 1000, Number(process.env.JOB_LOCK_TIMEOUT_MS ?? '600000') || 600000);
+const JOB_WORKER_IN_PROCESS = String(process.env.JOB_WORKER_IN_PROCESS ?? '1') !== '0';
+const JOB_WORKER_ID = `${process.pid}-${nanoid(6)}`;
+// 画像処理中（processing）の作品では、プレビュー・原本・審査状態に触る編集をジョブと競合させない
+const ITEM_PROCESSING_LOCKED_MESSAGE = '画像の処理中は変更できません。処理が終わってから再度お試しください。';
+
+async function enqueueJob(type, { item = null, payload = {}, runAt = new Date() } = {}) {
+  return Job.create({ type, item, payload, runAt });
+}
+
+// 実行待ちの先頭を1件取得する。running のまま JOB_LOCK_TIMEOUT_MS を過ぎたもの（ワーカーの異常終了）も取り直す
+async function claimNextJob(now = new Date()) {
+  return Job.findOneAndUpdate(
+    {
+      $or: [
+        { status: Job.STATUSES.QUEUED, runAt: { $lte: now } },
+        { status: Job.STATUSES.RUNNING, lockedAt: { $lte: new Date(now.getTime() - JOB_LOCK_TIMEOUT_MS) } }
+      ]
+    },
+    {
+      $set: { status: Job.STATUSES.RUNNING, lockedAt: now, lockedBy: JOB_WORKER_ID },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  ).lean();
+}
+
+// 出品直後の画像処理。リクエストでは原本の保存と Item の作成（processing）だけを行い、重い処理はここで行う。
+// 再試行でメタデータ除去をやり直して再圧縮を重ねないよう、除去済みの原本は1枚ごとに payload.sanitizedFiles（添字）へ記録し、
+// S3 へ保存し直した原本にはオブジェクトのメタデータにも印を付ける（保存後・記録前に落ちた再試行でも除去済みと分かる）
+const ORIGINAL_SANITIZED_METADATA_KEY = 'sanitized';
+
+async function processUploadJob(job) {
+  const item = await Item.findById(job.item).lean();
+  if (!item || item.isDeleted) {
+    console.info('[jobs:process-upload] item not found; skipped', { job: String(job._id) });
+    return;
+  }
+  const payload = job.payload || {};
+  const sanitizedIndexes = new Set(payload.sanitizedFiles || []);
+  const workingImagePaths = [];
+  const downloadedPaths = [];
+
+  try {
+    // S3 運用では原本をワーカーの手元へ落としてから処理する
+    const files = [];
+    for (const [index, file] of Item.deliveryFilesOf(item).entries()) {
+      if (s3 && file.s3Key) {
+        const localPath = path.join(UPLOAD_DIR, `job-${job._id}-${index}${extensionOfImageMimeType(file.mimeType)}`);
+        const obj = await s3.send(new GetObjectCommand({ Bucket: S3_BUCKET, Key: file.s3Key }));
+        await writeFileAtomic(localPath, await s3BodyToBuffer(obj.Body));
+        downloadedPaths.push(localPath);
+        if (obj.Metadata?.[ORIGINAL_SANITIZED_METADATA_KEY] === '1') sanitizedIndexes.add(index);
+        files.push({ ...file, path: localPath });
+      } else {
+        files.push({ ...file, path: file.filePath });
+      }
+    }
+
+    // ★ 原本の EXIF/メタデータを除去（形式は出品時のまま。保存先は出品時に実体の形式の拡張子にしてある）
+    const originalFormats = [];
+    for (const [index, file] of files.entries()) {
+      if (sanitizedIndexes.has(index)) {
+        originalFormats.push(await describeOriginalImage(file.path, file.mimeType));
+        continue;
+      }
+      const sanitized = await sanitizeOriginalImage(file.path, file.mimeType, { lossless: !!payload.losslessOriginal });
+      if (s3 && file.s3Key) {
+        await s3.send(new PutObjectCommand({
+          Bucket: S3_BUCKET,
+          Key: file.s3Key,
+          Body: fs.createReadStream(file.path),
+          ContentType: sanitized.mimeType,
+          Metadata: { [ORIGINAL_SANITIZED_METADATA_KEY]: '1' }
+        }));
+      }
+      await Job.updateOne({ _id: job._id }, { $addToSet: { 'payload.sanitizedFiles': index } });
+      originalFormats.push(sanitized);
+    }
+
+    const { workingBuffers, perceptualHashes } = await prepareWorkingImagesForOriginals(files, originalFormats, workingImagePaths);
+    const duplicateMatches = await findPerceptualDuplicates(item, perceptualHashes);
+    const moderation = applyDuplicateModerationDecision(await resolveInitialSaleModerationDecision({
+      title: item.title,
+      licenseNotes: item.licenseNotes,
+      aiModelName: item.aiModelName,
+      sellerId: item.ownerUser,
+      filePaths: workingImagePaths,
+      imageSource: 'working'
+    }), duplicateMatches);
+
+    const processed = {
+      ...item,
+      animated: originalFormats[0].animated,
+      bundleFiles: (item.bundleFiles || []).map((file, offset) => ({ ...file, animated: originalFormats[offset + 1].animated }))
+    };
+    await regeneratePreviewForItem(processed, { sourceBuffers: workingBuffers });
+
+    // 処理中に運営が公開停止にした作品は、審査結果で上書きしない
+    const saleStatusResult = await Item.updateOne(
+      { _id: item._id, saleStatus: { $ne: Item.SALE_STATUSES.BLOCKED } },
+      { $set: { saleStatus: moderation.status, saleStatusReason: moderation.reason, saleStatusUpdatedAt: new Date() } }
+    );
+    await recordModerationEvent({
+      item,
+      type: ModerationEvent.TYPES.AUTO,
+      source: ModerationEvent.SOURCES.UPLOAD,
+      saleStatusBefore: Item.resolveSaleStatus(item),
+      saleStatusAfter: saleStatusResult.matchedCount ? moderation.status : Item.SALE_STATUSES.BLOCKED,
+      moderation
+    });
+    const $set = {
+      animated: processed.animated,
+      perceptualHashes,
+      perceptualHashBands: hashBandsOf(perceptualHashes),
+      duplicateMatches,
+      processingStatus: Item.PROCESSING_STATUSES.READY,
+      processingError: ''
+    };
+    processed.bundleFiles.forEach((file, offset) => {
+      $set[`bundleFiles.${offset}.animated`] = file.animated;
+    });
+    await Item.updateOne({ _id: item._id }, { $set });
+
+    console.info('[jobs:process-upload] processed', {
+      item: String(item._id),
+      files: files.length,
+      saleStatus: moderation.status,
+      reason: moderation.reason,
+      duplicates: duplicateMatches.length
+    });
+  } finally {
+    await Promise.all([...workingImagePaths, ...downloadedPaths].map((filePath) => fsp.unlink(filePath).catch(() => {})));
+  }
+}
+
+async function markUploadProcessingFailed(job, message) {
+  await Item.updateOne(
+    { _id: job.item, processingStatus: Item.PROCESSING_STATUSES.PROCESSING },
+    { $set: { processingStatus: Item.PROCESSING_STATUSES.FAILED, processingError: message } }
+  );
+}
+
+// run: ジョブ本体 / onGiveUp: maxAttempts 回失敗して諦めたとき
+const JOB_HANDLERS = Object.freeze({
+  [Job.TYPES.PROCESS_UPLOAD]: { run: processUploadJob, onGiveUp: markUploadProcessingFailed }
+});
+
+async function runJob(job) {
+  const handler = JOB_HANDLERS[job.type];
+  const startedAt = Date.now();
+  try {
+    if (!handler) throw new Error(`unknown job type: ${job.type}`);
+    // ロックの期限切れで取り直したジョブは、実行前に試行回数を確かめる
+    if (job.attempts > job.maxAttempts) throw new Error('max attempts exceeded');
+    await handler.run(job);
+    await Job.updateOne(
+      { _id: job._id, lockedBy: JOB_WORKER_ID },
+      { $set: { status: Job.STATUSES.SUCCEEDED, lockedAt: null, lastError: '', finishedAt: new Date() } }
+    );
+    console.info('[jobs] succeeded', { job: String(job._id), type: job.type, attempts: job.attempts, ms: Date.now() - startedAt });
+  } catch (e) {
+    const message = String(e?.message || e).slice(0, 1000);
+    const giveUp = !handler || job.attempts >= job.maxAttempts;
+    const $set = giveUp
+      ? { status: Job.STATUSES.FAILED, lockedAt: null, lastError: message, finishedAt: new Date() }
+      : { status: Job.STATUSES.QUEUED, lockedAt: null, lastError: message, runAt: new Date(Date.now() + Job.retryDelayMsOf(job.attempts)) };
+    await Job.updateOne({ _id: job._id, lockedBy: JOB_WORKER_ID }, { $set });
+    console.error('[jobs] failed', { job: String(job._id), type: job.type, attempts: job.attempts, giveUp, message });
+    if (giveUp && handler?.onGiveUp) {
+      await handler.onGiveUp(job, message).catch((hookError) => {
+        console.error('[jobs] give-up hook failed', { job: String(job._id), message: hookError?.message || hookError });
+      });
+    }
+  }
+}
+
+let jobWorkerRunning = false;
+let jobWorkerStopping = false;
+// 実行待ちが無くなるまで1件ずつ続けて処理する（sharp.concurrency(1) のため同時には実行しない）
+async function runJobWorkerTick() {
+  let processed = 0;
+  while (!jobWorkerStopping) {
+    const job = await claimNextJob(new Date());
+    if (!job) break;
+    await runJob(job);
+    processed += 1;
+  }
+  return processed;
+}
+
+function startJobWorker({ keepAlive = false } = {}) {
+  const tick = async () => {
+    if (jobWorkerRunning || jobWorkerStopping || mongoose.connection.readyState !== 1) return;
+    jobWorkerRunning = true;
+    try {
+      await runJobWorkerTick();
+    } catch (e) {
+      console.error('[jobs] tick failed', e);
+    } finally {
+      jobWorkerRunning = false;
+    }
+  };
+  const timer = setInterval(tick, JOB_WORKER_POLL_MS);
+  if (!keepAlive) timer.unref();
+  if (mongoose.connection.readyState === 1) tick();
+  else mongoose.connection.once('connected', tick);
+  console.info('[jobs] worker started', { worker: JOB_WORKER_ID, pollMs: JOB_WORKER_POLL_MS });
+  return timer;
+}
+
+// node server.js --worker：HTTP を開かずにジョブだけを処理する。SIGTERM/SIGINT では実行中のジョブを終えてから止まる
+async function runJobWorkerFromCli() {
+  if (!process.argv.includes('--worker')) return false;
+  await mongoose.connection.asPromise();
+  const timer = startJobWorker({ keepAlive: true });
+  const stop = async () => {
+    jobWorkerStopping = true;
+    clearInterval(timer);
+    while (jobWorkerRunning) await new Promise((resolve) => setTimeout(resolve, 200));
+    try { await mongoose.disconnect(); } catch {}
+    process.exit(0);
+  };
+  process.once('SIGTERM', stop);
+  process.once('SIGINT', stop);
+  return true;
+}
+
+// 編集画面のセール欄の表示用
+function saleScheduleViewOf(item) {
+  const schedule = item.priceSchedule;
+  if (!schedule) return null;
+  return {
+    status: schedule.status,
+    statusLabel: PRICE_SCHEDULE_STATUS_LABELS[schedule.status] || schedule.status,
+    salePrice: schedule.salePrice,
+    regularPrice: schedule.regularPrice || item.price,
+    startsAt: schedule.startsAt,
+    endsAt: schedule.endsAt,
+    isOpen: [Item.PRICE_SCHEDULE_STATUSES.SCHEDULED, Item.PRICE_SCHEDULE_STATUSES.ACTIVE].includes(schedule.status)
+  };
+}
+
+function parseSaleScheduleForm(body = {}, item, now = new Date()) {
+  const values = {
+    salePrice: String(body.salePrice || '').trim(),
+    startsAt: String(body.startsAt || '').trim(),
+    endsAt: String(body.endsAt || '').trim()
+  };
+  const salePrice = Number(values.salePrice);
+  if (!Number.isInteger(salePrice) || salePrice < MIN_PRICE) {
+    return { values, error: `セール価格は${MIN_PRICE}円以上の整数で入力してください。` };
+  }
+  if (salePrice >= item.price) {
+    return { values, error: 'セール価格は現在の価格より安く設定してください。' };
+  }
+  const startsAt = values.startsAt ? parseJstDateTimeLocal(values.startsAt) : now;
+  const endsAt = parseJstDateTimeLocal(values.endsAt);
+  if (!startsAt || !endsAt) return { values, error: '開始・終了日時を正しく入力してください。' };
+  if (endsAt.getTime() <= startsAt.getTime()) return { values, error: '終了日時は開始日時より後にしてください。' };
+  if (endsAt.getTime() <= now.getTime()) return { values, error: '終了日時は現在より後にしてください。' };
+  return { values, fields: { salePrice, startsAt, endsAt } };
+}
+
+// ライセンス条件の編集フォーム（licensePreset / licenseNotes / aiGenerated / aiModelName）
+const LICENSE_REVISION_FIELD_LABELS = Object.freeze({
+  licensePreset: 'ライセンス',
+  licenseNotes: '補足',
+  aiGenerated: '生成AI作品',
+  aiModelName: 'AIモデル名'
+});
+const LICENSE_REVISION_HISTORY_LIMIT = 20;
+
+function parseLicenseTermsForm(body = {}) {
+  const values = {
+    licensePreset: String(body.licensePreset || ''),
+    licenseNotes: String(body.licenseNotes || '').trim(),
+    aiGenerated: body.aiGenerated === '1',
+    aiModelName: String(body.aiModelName || '').trim()
+  };
+  if (!Item.LICENSE_PRESETS.includes(values.licensePreset)) {
+    return { values, error: 'ライセンスを選択してください。' };
+  }
+  if (values.licenseNotes.length > 1000) {
+    return { values, error: '補足は1000文字以内で入力してください。' };
+  }
+  if (values.aiModelName.length > 200) {
+    return { values, error: 'AIモデル名は200文字以内で入力してください。' };
+  }
+  // 出品時と同じく、生成AI作品でなければモデル名は保存しない
+  return { values, terms: { ...values, aiModelName: values.aiGenerated ? values.aiModelName : '' } };
+}
+
+function licenseRevisionViewOf(revision) {
+  return {
+    revision: revision.revision,
+    changedAt: revision.changedAt,
+    changedLabels: revision.changedFields.map((field) => LICENSE_REVISION_FIELD_LABELS[field] || field),
+    beforeLabel: licenseViewOf(revision.before).label,
+    afterLabel: licenseViewOf(revision.after).label,
+    movedToReview: revision.saleStatusBefore !== revision.saleStatusAfter
+      && revision.saleStatusAfter === Item.SALE_STATUSES.UNDER_REVIEW
+  };
+}
+
+async function renderDashboardEdit(req, res, item, {
+  status = 200,
+  formValues = null,
+  saleFormValues = null,
+  errorMessage = '',
+  successMessage = '',
+  saleError = '',
+  saleMessage = '',
+  previewFormValues = null,
+  previewError = '',
+  previewMessage = '',
+  replaceError = '',
+  replaceMessage = '',
+  licenseFormValues = null,
+  licenseError = '',
+  licenseMessage = ''
+} = {}) {
+  const schedule = saleScheduleViewOf(item);
+  const previewStyle = previewStyleViewOf(item);
+  const licenseRevisions = await LicenseRevision.find({ item: item._id })
+    .sort({ revision: -1 })
+    .limit(LICENSE_REVISION_HISTORY_LIMIT)
+    .lean()
+    .catch((e) => {
+      console.error('[dashboard:edit] license revisions load failed', e?.message || e);
+      return [];
+    });
+  return res.status(status).render('dashboard/edit', dashboardBaseView(req, {
+    title: `${item.title} | 編集`,
+    item: dashboardItemView(item),
+    formValues: formValues || {
+      title: item.title || '',
+      price: item.price || MIN_PRICE,
+      pricingMode: item.pricingMode || Item.PRICING_MODES.FIXED,
+      editionLimit: item.editionLimit || '',
+      licenseTierPrices: Object.fromEntries((item.licenseTiers || []).map((tier) => [tier.preset, tier.price]))
+    },
+    licenseTierOptions: item.licensePreset === 'exclusive'
+      ? []
+      : Item.LICENSE_TIER_PRESETS.filter((preset) => preset !== item.licensePreset).map((preset) => licenseViewOf(item, preset)),
+    pwywMaxPrice: PWYW_MAX_PRICE,
+    errorMessage,
+    successMessage,
+    licenseView: licenseViewOf(item),
+    saleSchedule: schedule,
+    saleFormValues: saleFormValues || {
+      salePrice: schedule?.isOpen ? schedule.salePrice : '',
+      startsAt: schedule?.isOpen ? toJstDateTimeLocal(schedule.startsAt) : '',
+      endsAt: schedule?.isOpen ? toJstDateTimeLocal(schedule.endsAt) : ''
+    },
+    saleError,
+    saleMessage,
+    previewStyle,
+    previewFormValues: previewFormValues || {
+      mode: previewStyle.mode,
+      strength: String(previewStyle.strength),
+      cropRegion: previewStyle.cropRegion,
+      watermarkText: previewStyle.watermarkText
+    },
+    previewModeLabels: PREVIEW_STYLE_MODE_LABELS,
+    previewCropRegionLabels: PREVIEW_CROP_REGION_LABELS,
+    previewWatermarkTextMax: PREVIEW_WATERMARK_TEXT_MAX,
+    previewError,
+    previewMessage,
+    originalVersion: Item.currentOriginalVersionOf(item),
+    lastOriginalReplacedAt: (item.originalHistory || []).reduce((latest, entry) => (
+      !latest || entry.replacedAt > latest ? entry.replacedAt : latest
+    ), null),
+    bundleMaxFiles: BUNDLE_MAX_FILES,
+    replaceError,
+    replaceMessage,
+    licensePresetViews: Item.LICENSE_PRESETS.map((preset) => licenseViewOf(item, preset)),
+    licenseFormValues: licenseFormValues || LicenseRevision.termsOf(item),
+    licenseRevision: Item.currentLicenseRevisionOf(item),
+    licenseRevisions: licenseRevisions.map(licenseRevisionViewOf),
+    licenseError,
+    licenseMessage
+  }));
+}
+
+// プレビューの見せ方を変更して、販売ページ用の画像を作り直す
+// multipart は csurf より後で解析されるため、CSRF トークンはフォームの action のクエリで送る
+// 出品直後の画像処理の状態（ダッシュボードが完了までポーリングする）
+app.get('/dashboard/items/:id/processing', ensureAuthed, async (req, res) => {
+  try {
+    const item = await findOwnedItem(req.params.id, req.user._id);
+    if (!item) return res.status(404).json({ ok: false, message: 'not_found' });
+    res.set('Cache-Control', 'no-store');
+    return res.json({
+      ok: true,
+      processingStatus: Item.processingStatusOf(item),
+      saleStatus: Item.resolveSaleStatus(item)
+    });
+  } catch (e) {
+    console.error('[dashboard:processing]', e);
+    return res.status(500).json({ ok: false, message: 'server_error' });
+  }
+});
+
+// 画像処理に失敗した作品をもう一度ジョブに積む（前回のジョブの payload を引き継ぐ）
+app.post('/dashboard/items/:id/retry-processing', ensureAuthed, ensureSellerProfileCompleted, async (req, res) => {
+  try {
+    const item = await findOwnedItem(req.params.id, req.user._id);
+    if (!item) {
+      return res.status(404).render('error', { message: '作品が見つからないか、アクセス権がありません。' });
+    }
+    const updated = await Item.findOneAndUpdate(
+      { _id: item._id, ownerUser: req.user._id, processingStatus: Item.PROCESSING_STATUSES.FAILED },
+      { $set: { processingStatus: Item.PROCESSING_STATUSES.PROCESSING, processingError: '' } },
+      { new: true }
+    ).lean();
+    if (updated) {
+      const previousJob = await Job.findOne({ item: item._id, type: Job.TYPES.PROCESS_UPLOAD }).sort({ createdAt: -1 }).lean();
+      await enqueueJob(Job.TYPES.PROCESS_UPLOAD, { item: item._id, payload: { ...(previousJob?.payload || {}) } });
+      console.info('[dashboard:retry-processing] queued', { item: String(item._id) });
+    }
+    return res.redirect(303, `/dashboard/items/${item._id}`);
+  } catch (e) {
+    console.error('[dashboard:retry-processing]', e);
+    return res.status(500).render('error', { message: '画像処理の再実行に失敗しました。' });
+  }
+});
+
+// 公開停止中の作品への異議申し立て。回答待ちは1作品1件まで（Appeal の部分一意インデックス）
+app.post('/dashboard/items/:id/appeal', ensureAuthed, ensureSellerProfileCompleted, async (req, res) => {
+  try {
+    const item = await findOwnedItem(req.params.id, req.user._id);
+    if (!item) {
+      return res.status(404).render('error', { message: '作品が見つからないか、アクセス権がありません。' });
+    }
+    const back = (result) => res.redirect(303, `/dashboard/items/${item._id}?appeal=${result}#appeal`);
+    if (Item.resolveSaleStatus(item) !== Item.SALE_STATUSES.BLOCKED) return back('not_blocked');
+
+    const message = String(req.body.message || '').trim();
+    if (message.length < Appeal.MESSAGE_MIN_LENGTH || message.length > Appeal.MESSAGE_MAX_LENGTH) {
+      return back('invalid_message');
+    }
+
+    let appeal;
+    try {
+      appeal = await Appeal.create({
+        item: item._id,
+        seller: req.user._id,
+        message,
+        saleStatusReason: item.saleStatusReason || ''
+      });
+    } catch (e) {
+      if (e?.code !== 11000) throw e;
+      return back('already_open');
+    }
+    await recordModerationEvent({
+      item,
+      type: ModerationEvent.TYPES.SELLER_APPEAL,
+      source: ModerationEvent.SOURCES.APPEAL,
+      saleStatusBefore: Item.SALE_STATUSES.BLOCKED,
+      saleStatusAfter: Item.SALE_STATUSES.BLOCKED,
+      reason: item.saleStatusReason || '',
+      actorUser: req.user._id,
+      note: message
+    });
+    console.info('[dashboard:appeal] submitted', { item: String(item._id), appeal: String(appeal._id) });
+    return back('submitted');
+  } catch (e) {
+    console.error('[dashboard:appeal]', e);
+    return res.status(500).render('error', { message: '異議申し立ての送信に失敗しました。' });
+  }
+});
+
+app.post('/dashboard/items/:id/preview-style', ensureAuthed, ensureSellerProfileCompleted, (req, res, next) => {
+  previewLogoUpload.single('watermarkLogo')(req, res, async (err) => {
+    if (!err) return next();
+    const item = await findOwnedItem(req.params.id, req.user._id).catch(() => null);
+    if (!item) return res.status(404).render('error', { message: '作品が見つからないか、アクセス権がありません。' });
+    return renderDashboardEdit(req, res, item, {
+      status: 400,
+      previewError: err.code === 'LIMIT_FILE_SIZE' ? '透かしロゴは5MB以下にしてください。' : (err.message || 'ロゴ画像を読み込めませんでした。')
+    });
+  });
+}, async (req, res) => {
+  try {
+    const item = await findOwnedItem(req.params.id, req.user._id);
+    if (!item) {
+      return res.status(404).render('error', { message: '作品が見つからないか、アクセス権がありません。' });
+    }
+
+    const parsed = parsePreviewStyleForm(req.body);
+    if (!Item.isProcessed(item)) {
+      return renderDashboardEdit(req, res, item, { status: 409, previewFormValues: parsed.values, previewError: ITEM_PROCESSING_LOCKED_MESSAGE });
+    }
+    if (parsed.error) {
+      return renderDashboardEdit(req, res, item, { status: 400, previewFormValues: parsed.values, previewError: parsed.error });
+    }
+    if (req.file) {
+      const logoType = await FileType.fromBuffer(req.file.buffer).catch(() => null);
+      if (!/^image\/(png|jpeg|webp)$/i.test(logoType?.mime || '')) {
+        return renderDashboardEdit(req, res, item, {
+          status: 400,
+          previewFormValues: parsed.values,
+          previewError: '透かしロゴは PNG/JPEG/WEBP を選択してください。'
+        });
+      }
+    }
+
+    const previous = Item.previewStyleOf(item);
+    const removeLogo = req.body.removeWatermarkLogo === '1';
+    const logo = req.file ? await storePreviewWatermarkLogo(item.slug, req.file.buffer) : null;
+    const nextStyle = {
+      ...parsed.style,
+      watermarkLogoPath: logo ? logo.watermarkLogoPath : (removeLogo ? '' : previous.watermarkLogoPath),
+      watermarkLogoS3Key: logo ? logo.watermarkLogoS3Key : (removeLogo ? '' : previous.watermarkLogoS3Key)
+    };
+
+    const updated = await Item.findOneAndUpdate(
+      { _id: item._id, ownerUser: req.user._id },
+      { $set: { previewStyle: nextStyle } },
+      { new: true, runValidators: true }
+    ).lean();
+    try {
+      await regeneratePreviewForItem(updated, { version: Date.now() });
+    } catch (e) {
+      // 作り直せなかった場合は見せ方を元に戻し、新しいロゴも捨てる
+      console.error('[dashboard:preview-style] regenerate failed', { item: String(item._id), message: e?.message || e });
+      await Item.updateOne({ _id: item._id }, { $set: { previewStyle: item.previewStyle || null } });
+      if (logo) await discardPreviewWatermarkLogo(nextStyle);
+      return renderDashboardEdit(req, res, item, {
+        status: 500,
+        previewFormValues: parsed.values,
+        previewError: 'プレビュー画像の作成に失敗しました。時間をおいて再度お試しください。'
+      });
+    }
+
+    const replacedLogo = (logo || removeLogo) && (previous.watermarkLogoPath || previous.watermarkLogoS3Key);
+    if (replacedLogo) await discardPreviewWatermarkLogo(previous);
+
+    const latest = await findOwnedItem(req.params.id, req.user._id);
+    return renderDashboardEdit(req, res, latest, { previewMessage: 'プレビューの見せ方を更新し、販売ページの画像を作り直しました。' });
+  } catch (e) {
+    console.error('[dashboard:preview-style]', e);
+    return res.status(500).render('error', { message: 'プレビューの見せ方の更新に失敗しました。' });
+  }
+});
+
+// 元画像の差し替え。出品時と同じ流れ（実体MIME検査 → EXIF除去 → 作業用画像 → 審査 → プレビュー3種 → S3）をやり直す。
+// slug・販売履歴はそのまま。旧版の原本は originalHistory に残し、購入済みの人には購入時点の版を配布し続ける
+// multipart は csurf より後で解析されるため、CSRF トークンはフォームの action のクエリで送る
+app.post('/dashboard/items/:id/replace-original', ensureAuthed, ensureSellerProfileCompleted, (req, res, next) => {
+  upload.fields([{ name: 'image', maxCount: BUNDLE_MAX_FILES }])(req, res, async (err) => {
+    if (!err) return next();
+    const item = await findOwnedItem(req.params.id, req.user._id).catch(() => null);
+    if (!item) return res.status(404).render('error', { message: '作品が見つからないか、アクセス権がありません。' });
+    const replaceError = err.code === 'LIMIT_FILE_SIZE'
+      ? '画像は1枚20MB以下にしてください。'
+      : err.code === 'LIMIT_UNEXPECTED_FILE' || err.code === 'LIMIT_FILE_COUNT'
+        ? `画像は${BUNDLE_MAX_FILES}枚までです。`
+        : (err.message || '画像を読み込めませんでした。');
+    return renderDashboardEdit(req, res, item, { status: 400, replaceError });
+  });
+}, async (req, res) => {
+  const uploadedFiles = Array.isArray(req.files?.image) ? req.files.image : [];
+  const workingImagePaths = [];
+  const uploadedS3Keys = [];
+  let committed = false;
+  const cleanup = async () => {
+    await Promise.all(workingImagePaths.map((workingPath) => fsp.unlink(workingPath).catch(() => {})));
+    // ローカル運用では差し替え後のアップロードファイルがそのまま原本になる
+    if (!(committed && !s3)) {
+      await Promise.all(uploadedFiles.map((file) => fsp.unlink(file.path).catch(() => {})));
+    }
+  };
+  const discardUploadedS3Keys = () => Promise.all(uploadedS3Keys.map((key) => (
+    s3.send(new DeleteObjectCommand({ Bucket: S3_BUCKET, Key: key })).catch(() => {})
+  )));
+
+  try {
+    const item = await findOwnedItem(req.params.id, req.user._id);
+    if (!item) {
+      await cleanup();
+      return res.status(404).render('error', { message: '作品が見つからないか、アクセス権がありません。' });
+    }
+    const fail = async (replaceError, status = 400) => {
+      await cleanup();
+      return renderDashboardEdit(req, res, item, { status, replaceError });
+    };
+
+    if (Item.resolveSaleStatus(item) === Item.SALE_STATUSES.BLOCKED) {
+      return fail('公開停止中の作品は元画像を差し替えできません。', 409);
+    }
+    if (!Item.isProcessed(item)) return fail(ITEM_PROCESSING_LOCKED_MESSAGE, 409);
+    if (!uploadedFiles.length) return fail('差し替える画像を選択してください。');
+    if (!req.body.attestOwner) return fail('権利者であることのチェックが未入力です。');
+
+    // ★ 実体MIME検査（画像以外は拒否）。bundle は1枚でも不正なら全体を拒否
+    const realMimes = [];
+    for (const file of uploadedFiles) {
+      const ft = await FileType.fromFile(file.path).catch(() => null);
+      if (!/^image\/(png|jpe?g|webp|gif)$/i.test(ft?.mime || '')) {
+        return fail('未対応のファイル形式です。PNG/JPEG/WEBP/GIF のみ対応。');
+      }
+      realMimes.push(ft.mime);
+    }
+
+    // ★ 原本の EXIF/メタデータを除去（出品時と同じく形式はそのまま）
+    const originalFormats = [];
+    try {
+      for (const [index, file] of uploadedFiles.entries()) {
+        const sanitized = await sanitizeOriginalImage(file.path, realMimes[index], { lossless: req.body.losslessOriginal === '1' });
+        file.path = sanitized.filePath;
+        originalFormats.push(sanitized);
+      }
+    } catch (re) {
+      return fail('画像の処理に失敗しました。別の画像でお試しください。');
+    }
+
+    const { workingBuffers, perceptualHashes } = await prepareWorkingImagesForOriginals(uploadedFiles, originalFormats, workingImagePaths);
+    const duplicateMatches = await findPerceptualDuplicates(item, perceptualHashes);
+    const moderation = applyDuplicateModerationDecision(await resolveInitialSaleModerationDecision({
+      title: item.title,
+      licenseNotes: item.licenseNotes,
+      aiModelName: item.aiModelName,
+      sellerId: item.ownerUser,
+      filePaths: workingImagePaths,
+      imageSource: 'working'
+    }), duplicateMatches);
+
+    const previousVersion = Item.currentOriginalVersionOf(item);
+    const nextVersion = previousVersion + 1;
+    const listingType = uploadedFiles.length > 1 ? Item.LISTING_TYPES.BUNDLE : Item.LISTING_TYPES.SINGLE;
+    const bundlePreviewPathFor = (index) => (s3 && S3_PUBLIC_IS_HTTPS
+      ? `${S3_PUBLIC_BASE}/previews/${bundlePreviewNameFor(item.slug, index)}`
+      : `/previews/${bundlePreviewNameFor(item.slug, index)}`);
+
+    // 旧版のキーを上書きしないよう、S3 のキーには版番号を入れる（ローカルはアップロード時のファイル名がそのまま一意）
+    let originals;
+    if (s3) {
+      originals = [];
+      for (const [index, file] of uploadedFiles.entries()) {
+        const { ext, mimeType } = originalFormats[index];
+        const key = index === 0
+          ? `originals/${item.slug}-v${nextVersion}${ext}`
+          : `originals/${item.slug}-v${nextVersion}-${index}${ext}`;
+        await s3.send(new PutObjectCommand({
+          Bucket: S3_BUCKET,
+          Key: key,
+          Body: fs.createReadStream(file.path),
+          ContentType: mimeType
+        }));
+        uploadedS3Keys.push(key);
+        originals.push({ filePath: '', s3Key: key, mimeType, animated: originalFormats[index].animated });
+      }
+    } else {
+      originals = uploadedFiles.map((file, index) => ({
+        filePath: file.path,
+        s3Key: '',
+        mimeType: originalFormats[index].mimeType,
+        animated: originalFormats[index].animated
+      }));
+    }
+
+    // 審査中の作品は、差し替え後の判定が問題なしでも審査中のまま（運営の確認を経ずに公開しない）
+    const saleStatusBefore = Item.resolveSaleStatus(item);
+    const keepUnderReview = saleStatusBefore === Item.SALE_STATUSES.UNDER_REVIEW &&
+      moderation.status === Item.SALE_STATUSES.PUBLISHED;
+    const snapshot = {
+      version: previousVersion,
+      filePath: item.filePath || '',
+      s3Key: item.s3Key || '',
+      mimeType: item.mimeType,
+      animated: !!item.animated,
+      listingType: item.listingType || Item.LISTING_TYPES.SINGLE,
+      bundleFiles: item.bundleFiles || [],
+      replacedAt: new Date()
+    };
+    // 同時に別の差し替えが走った場合に履歴を壊さないよう、読み込んだ時点の版と一致するときだけ更新する。
+    // 処理中に運営が公開停止にした作品も、審査結果で上書きしない
+    const updated = await Item.findOneAndUpdate(
+      {
+        _id: item._id,
+        ownerUser: req.user._id,
+        originalVersion: previousVersion === 1 ? { $in: [1, null] } : previousVersion,
+        saleStatus: { $ne: Item.SALE_STATUSES.BLOCKED }
+      },
+      {
+        $set: {
+          filePath: originals[0].filePath,
+          s3Key: originals[0].s3Key,
+          mimeType: originals[0].mimeType,
+          animated: originals[0].animated,
+          listingType,
+          bundleFiles: originals.slice(1).map((original, offset) => ({
+            ...original,
+            previewPath: bundlePreviewPathFor(offset + 1)
+          })),
+          originalVersion: nextVersion,
+          perceptualHashes,
+          perceptualHashBands: hashBandsOf(perceptualHashes),
+          duplicateMatches,
+          ...(keepUnderReview ? {} : {
+            saleStatus: moderation.status,
+            saleStatusReason: moderation.reason,
+            saleStatusUpdatedAt: new Date()
+          })
+        },
+        $push: { originalHistory: snapshot }
+      },
+      { new: true, runValidators: true }
+    ).lean();
+    if (!updated) {
+      await discardUploadedS3Keys();
+      const current = await Item.findById(item._id).select('saleStatus').lean();
+      if (current && Item.resolveSaleStatus(current) === Item.SALE_STATUSES.BLOCKED) {
+        return fail('処理中に作品が公開停止になったため、元画像を差し替えませんでした。', 409);
+      }
+      return fail('別の操作で元画像が更新されました。画面を読み込み直してから再度お試しください。', 409);
+    }
+    committed = true;
+    await recordModerationEvent({
+      item,
+      type: ModerationEvent.TYPES.AUTO,
+      source: ModerationEvent.SOURCES.REPLACE_ORIGINAL,
+      saleStatusBefore,
+      saleStatusAfter: updated.saleStatus,
+      moderation
+    });
+
+    let replaceMessage = updated.saleStatus === Item.SALE_STATUSES.UNDER_REVIEW
+      ? '元画像を差し替えました。確認が終わるまで販売ページは審査中になります。'
+      : '元画像を差し替え、販売ページの画像を作り直しました。';
+    try {
+      await regeneratePreviewForItem(updated, { version: Date.now(), sourceBuffers: workingBuffers });
+    } catch (e) {
+      console.error('[dashboard:replace-original] preview regenerate failed', { item: String(item._id), message: e?.message || e });
+      replaceMessage = '元画像は差し替えましたが、販売ページの画像の作成に失敗しました。「プレビューの見せ方」を保存し直すと作り直せます。';
+    }
+    await cleanup();
+
+    console.info('[dashboard:replace-original] replaced', {
+      item: String(item._id),
+      version: nextVersion,
+      files: uploadedFiles.length,
+      saleStatus: updated.saleStatus,
+      reason: moderation.reason
+    });
+
+    const latest = await findOwnedItem(req.params.id, req.user._id);
+    return renderDashboardEdit(req, res, latest, { replaceMessage });
+  } catch (e) {
+    console.error('[dashboard:replace-original]', e);
+    if (s3 && !committed) await discardUploadedS3Keys();
+    await cleanup();
+    return res.status(500).render('error', { message: '元画像の差し替えに失敗しました。' });
+  }
+});
+
+// ライセンス条件（licensePreset / licenseNotes / aiGenerated / aiModelName）の編集。
+// 改訂ごとに LicenseRevision を残し、購入済みの人には購入時点の版の条件を示し続ける
+app.post('/dashboard/items/:id/license', ensureAuthed, ensureSellerProfileCompleted, async (req, res) => {
+  try {
+    const item = await findOwnedItem(req.params.id, req.user._id);
+    if (!item) {
+      return res.status(404).render('error', { message: '作品が見つからないか、アクセス権がありません。' });
+    }
+
+    const parsed = parseLicenseTermsForm(req.body);
+    const fail = (licenseError, status = 400) => renderDashboardEdit(req, res, item, {
+      status,
+      licenseFormValues: parsed.values,
+      licenseError
+    });
+    if (!Item.isProcessed(item)) return fail(ITEM_PROCESSING_LOCKED_MESSAGE, 409);
+    if (parsed.error) return fail(parsed.error);
+
+    const before = LicenseRevision.termsOf(item);
+    const after = parsed.terms;
+    const changedFields = LicenseRevision.FIELDS.filter((field) => before[field] !== after[field]);
+    if (!changedFields.length) {
+      return renderDashboardEdit(req, res, item, { licenseMessage: '変更はありませんでした。' });
+    }
+
+    // exclusive は1点限りの独占利用なので、購入・決済中の人がいる作品とは行き来させない
+    const presetChanged = changedFields.includes('licensePreset');
+    if (presetChanged && (before.licensePreset === 'exclusive' || after.licensePreset === 'exclusive')) {
+      const hasBuyers = Number(item.editionSold || 0) > 0 || Number(item.editionReserved || 0) > 0
+        || !!(await PurchaseRecord.exists({ item: item._id }));
+      if (hasBuyers) {
+        return fail(before.licensePreset === 'exclusive'
+          ? '完全商用可（1点限り）で購入・決済中の方がいるため、ライセンスを変更できません。'
+          : 'すでに購入・決済中の方がいるため、完全商用可（1点限り）には変更できません。', 409);
+      }
+    }
+
+    // 変更された文字項目だけ審査し直す。公開中の作品は審査中（block のキーワードなら公開停止）へ移し、
+    // 審査中の作品も block のキーワードなら公開停止にする（出品・原本差し替えと同じ扱い）
+    const textDecision = resolveInitialSaleStatus({
+      licenseNotes: changedFields.includes('licenseNotes') ? after.licenseNotes : '',
+      aiModelName: changedFields.includes('aiModelName') ? after.aiModelName : '',
+      sellerId: item.ownerUser
+    }, await getModerationPolicy());
+    const saleStatusBefore = Item.resolveSaleStatus(item);
+    const moveToReview = textDecision.status === Item.SALE_STATUSES.BLOCKED
+      ? saleStatusBefore !== Item.SALE_STATUSES.BLOCKED
+      : textDecision.status !== Item.SALE_STATUSES.PUBLISHED && saleStatusBefore === Item.SALE_STATUSES.PUBLISHED;
+    const saleStatusAfter = moveToReview ? textDecision.status : saleStatusBefore;
+
+    // 枠導入前の購入は licenseTier が空で、出品時の licensePreset を購入した扱い。変更前に確定させておく
+    if (presetChanged) {
+      await PurchaseRecord.updateMany(
+        { item: item._id, licenseTier: { $in: ['', null] } },
+        { $set: { licenseTier: before.licensePreset } }
+      );
+    }
+
+    // 改訂履歴を先に作る（item + revision の一意制約で、同時編集のどちらか一方だけが通る）
+    const currentRevision = Item.currentLicenseRevisionOf(item);
+    const nextRevision = currentRevision + 1;
+    let revision;
+    try {
+      revision = await LicenseRevision.create({
+        item: item._id,
+        seller: item.ownerUser,
+        revision: nextRevision,
+        before,
+        after,
+        changedFields,
+        saleStatusBefore,
+        saleStatusAfter,
+        moderationReason: moveToReview ? textDecision.reason : '',
+        actorUser: req.user._id
+      });
+    } catch (e) {
+      if (e?.code !== 11000) throw e;
+      return fail('別の操作でライセンス条件が更新されました。画面を読み込み直してから再度お試しください。', 409);
+    }
+
+    const $set = { ...after, licenseRevision: nextRevision };
+    if (presetChanged) {
+      // 基本枠と同じ追加枠は不要。exclusive は追加枠を持たない
+      $set.licenseTiers = after.licensePreset === 'exclusive'
+        ? []
+        : (item.licenseTiers || []).filter((tier) => tier.preset !== after.licensePreset);
+    }
+    if (moveToReview) {
+      $set.saleStatus = saleStatusAfter;
+      $set.saleStatusReason = textDecision.reason;
+      $set.saleStatusUpdatedAt = new Date();
+    }
+    const updated = await Item.findOneAndUpdate(
+      {
+        _id: item._id,
+        ownerUser: req.user._id,
+        licenseRevision: currentRevision === 1 ? { $in: [1, null] } : currentRevision
+      },
+      { $set },
+      { new: true, runValidators: true }
+    ).lean();
+    if (!updated) {
+      await LicenseRevision.deleteOne({ _id: revision._id });
+      return fail('別の操作でライセンス条件が更新されました。画面を読み込み直してから再度お試しください。', 409);
+    }
+
+    if (changedFields.includes('licenseNotes') || changedFields.includes('aiModelName')) {
+      await recordModerationEvent({
+        item,
+        type: ModerationEvent.TYPES.AUTO,
+        source: ModerationEvent.SOURCES.LICENSE_EDIT,
+        saleStatusBefore,
+        saleStatusAfter,
+        reason: moveToReview ? textDecision.reason : '',
+        moderation: { textReason: textDecision.reason }
+      });
+    }
+
+    console.info('[dashboard:license] revised', {
+      item: String(item._id),
+      revision: nextRevision,
+      changedFields,
+      saleStatus: saleStatusAfter,
+      reason: moveToReview ? textDecision.reason : null
+    });
+
+    return renderDashboardEdit(req, res, updated, {
+      licenseMessage: !moveToReview
+        ? 'ライセンス条件を更新しました。購入済みの方には購入時点の条件が引き続き適用されます。'
+        : saleStatusAfter === Item.SALE_STATUSES.BLOCKED
+          ? 'ライセンス条件を更新しました。利用規約で禁止されている内容が含まれるため、販売ページを公開停止にしました。'
+          : 'ライセンス条件を更新しました。内容の確認が終わるまで販売ページは審査中になります。'
+    });
+  } catch (e) {
+    console.error('[dashboard:license]', e);
+    return res.status(500).render('error', { message: 'ライセンス条件の更新に失敗しました。' });
+  }
+});
+
+app.post('/dashboard/items/:id/sale-schedule', ensureAuthed, ensureSellerProfileCompleted, async (req, res) => {
+  try {
+    const item = await findOwnedItem(req.params.id, req.user._id);
+    if (!item) {
+      return res.status(404).render('error', { message: '作品が見つからないか、アクセス権がありません。' });
+    }
+    if (item.priceSchedule?.status === Item.PRICE_SCHEDULE_STATUSES.ACTIVE) {
+      return renderDashboardEdit(req, res, item, {
+        status: 400,
+        saleError: 'セール中は内容を変更できません。先にセールを取り消してください。'
+      });
+    }
+
+    const now = new Date();
+    const { values, fields, error } = parseSaleScheduleForm(req.body, item, now);
+    if (error) return renderDashboardEdit(req, res, item, { status: 400, saleFormValues: values, saleError: error });
+
+    const S = Item.PRICE_SCHEDULE_STATUSES;
+    const scheduled = await Item.findOneAndUpdate(
+      { _id: item._id, ownerUser: req.user._id, price: item.price, 'priceSchedule.status': { $ne: S.ACTIVE } },
+      { $set: { priceSchedule: { ...fields, regularPrice: null, status: S.SCHEDULED } } },
+      { new: true, runValidators: true }
+    ).lean();
+    if (!scheduled) {
+      return renderDashboardEdit(req, res, item, {
+        status: 409,
+        saleFormValues: values,
+        saleError: '価格が更新されたため予約できませんでした。再度お試しください。'
+      });
+    }
+
+    // 開始時刻が過去（即時開始）ならスケジューラを待たずに切り替える
+    const started = await advancePriceSchedule(scheduled, now);
+    const result = started?.priceSchedule?.status === S.ACTIVE ? 'started' : 'scheduled';
+    return res.redirect(303, `/dashboard/items/${item._id}/edit?sale=${result}#saleSchedule`);
+  } catch (e) {
+    console.error('[dashboard:sale-schedule]', e);
+    return res.status(500).render('error', { message: 'セールの設定に失敗しました。' });
+  }
+});
+
+app.post('/dashboard/items/:id/sale-schedule/cancel', ensureAuthed, ensureSellerProfileCompleted, async (req, res) => {
+  try {
+    const item = await findOwnedItem(req.params.id, req.user._id);
+    if (!item) {
+      return res.status(404).render('error', { message: '作品が見つからないか、アクセス権がありません。' });
+    }
+
+    const S = Item.PRICE_SCHEDULE_STATUSES;
+    const schedule = item.priceSchedule;
+    if (schedule?.status === S.SCHEDULED) {
+      await Item.updateOne(
+        { _id: item._id, 'priceSchedule.status': S.SCHEDULED },
+        { $set: { 'priceSchedule.status': S.CANCELED } }
+      );
+    } else if (schedule?.status === S.ACTIVE) {
+      const regularPrice = Number(schedule.regularPrice || item.price);
+      const reverted = await Item.findOneAndUpdate(
+        { _id: item._id, 'priceSchedule.status': S.ACTIVE, price: item.price },
+        { $set: { price: regularPrice, 'priceSchedule.status': S.CANCELED } },
+        { new: true }
+      ).lean();
+      if (reverted) {
+        await recordPriceChange({
+          item,
+          fromPrice: item.price,
+          toPrice: regularPrice,
+          reason: PriceChange.REASONS.SALE_CANCELED,
+          actorUser: req.user._id
+        });
+      }
+    } else {
+      return renderDashboardEdit(req, res, item, { status: 400, saleError: '取り消せるセールがありません。' });
+    }
+
+    return res.redirect(303, `/dashboard/items/${item._id}/edit?sale=canceled#saleSchedule`);
+  } catch (e) {
+    console.error('[dashboard:sale-schedule:cancel]', e);
+    return res.status(500).render('error', { message: 'セールの取り消しに失敗しました。' });
+  }
+});
+
+// ====== 限定販売数（エディション） ======
+const EDITION_CHECKOUT_TTL_SEC = 31 * 60; // Checkout Session の最短有効期間（Stripe の下限は30分）
+const EDITION_STALE_GRACE_MS = 5 * 60 * 1000;
+
+// 決済開始時に1点確保する。無制限の作品は { limited: false }
+async function reserveEditionForCheckout(item) {
+  const limit = Item.editionLimitOf(item);
+  if (limit === null) return { limited: false };
+
+  // 在庫管理の導入前に売れていた exclusive は購入履歴で販売済みと判定する
+  if (item.licensePreset === 'exclusive' && !item.editionSold && !item.editionReserved && !item.soldOutAt
+    && await PurchaseRecord.exists({ item: item._id })) {
+    await Item.updateOne(
+      { _id: item._id, editionSold: 0, editionReserved: 0, soldOutAt: null },
+      { $set: { editionSold: 1, soldOutAt: new Date() } }
+    );
+    return { limited: true, ok: false, soldOut: true };
+  }
+
+  const tryReserve = () => Item.findOneAndUpdate(
+    {
+      _id: item._id,
+      soldOutAt: null,
+      $expr: { $lt: [{ $add: [{ $ifNull: ['$editionSold', 0] }, { $ifNull: ['$editionReserved', 0] }] }, limit] }
+    },
+    { $inc: { editionReserved: 1 } },
+    { new: true }
+  ).lean();
+
+  let reservedItem = await tryReserve();
+  if (!reservedItem && await releaseStaleEditionReservations(item._id)) {
+    reservedItem = await tryReserve();
+  }
+  if (!reservedItem) {
+    const latest = await Item.findById(item._id).select('licensePreset editionLimit editionSold editionReserved soldOutAt').lean();
+    return { limited: true, ok: false, soldOut: Item.isSoldOut(latest || item) };
+  }
+
+  try {
+    const reservation = await EditionReservation.create({
+      item: item._id,
+      expiresAt: new Date(Date.now() + EDITION_CHECKOUT_TTL_SEC * 1000)
+    });
+    return { limited: true, ok: true, reservation };
+  } catch (e) {
+    await Item.updateOne({ _id: item._id, editionReserved: { $gt: 0 } }, { $inc: { editionReserved: -1 } });
+    throw e;
+  }
+}
+
+async function releaseEditionReservation(reservationId, reason) {
+  if (!reservationId || !mongoose.Types.ObjectId.isValid(String(reservationId))) return false;
+  const S = EditionReservation.STATUSES;
+  const released = await EditionReservation.findOneAndUpdate(
+    { _id: reservationId, status: S.RESERVED },
+    { $set: { status: S.RELEASED, releasedAt: new Date(), releaseReason: reason } },
+    { new: true }
+  ).lean();
+  if (!released) return false;
+  await Item.updateOne({ _id: released.item, editionReserved: { $gt: 0 } }, { $inc: { editionReserved: -1 } });
+  console.info('[edition] released', { reservationId: String(released._id), itemId: String(released.item), reason });
+  return true;
+}
+
+// 決済完了で確保分を販売済みに振り替える。上限に達したら受付を締める
+async function convertEditionReservation(reservationId) {
+  if (!reservationId || !mongoose.Types.ObjectId.isValid(String(reservationId))) return null;
+  const S = EditionReservation.STATUSES;
+  const now = new Date();
+  let reservation = await EditionReservation.findOneAndUpdate(
+    { _id: reservationId, status: S.RESERVED },
+    { $set: { status: S.CONVERTED, convertedAt: now } },
+    { new: true }
+  ).lean();
+  let inc = { editionReserved: -1, editionSold: 1 };
+  if (!reservation) {
+    // 確保を戻した後に決済が完了した場合も販売数には数える（上限超過はログで把握）
+    reservation = await EditionReservation.findOneAndUpdate(
+      { _id: reservationId, status: S.RELEASED },
+      { $set: { status: S.CONVERTED, convertedAt: now } },
+      { new: true }
+    ).lean();
+    if (!reservation) return null;
+    inc = { editionSold: 1 };
+    console.warn('[edition] converted after release', { reservationId: String(reservationId) });
+  }
+
+  const item = await Item.findOneAndUpdate({ _id: reservation.item }, { $inc: inc }, { new: true }).lean();
+  if (!item) return null;
+  const limit = Item.editionLimitOf(item);
+  if (limit !== null && item.editionSold >= limit && !item.soldOutAt) {
+    await Item.updateOne({ _id: item._id, soldOutAt: null }, { $set: { soldOutAt: now } });
+    console.info('[edition] sold out', { itemId: String(item._id), sold: item.editionSold, limit });
+  }
+  if (limit !== null && item.editionSold > limit) {
+    console.warn('[edition] oversold', { itemId: String(item._id), sold: item.editionSold, limit });
+  }
+  return item;
+}
+
+// Webhook を取りこぼした確保の回収。Session が本当に期限切れのものだけ戻す
+async function releaseStaleEditionReservations(itemId) {
+  const stale = await EditionReservation.find({
+    item: itemId,
+    status: EditionReservation.STATUSES.RESERVED,
+    expiresAt: { $lte: new Date(Date.now() - EDITION_STALE_GRACE_MS) }
+  }).limit(20).lean();
+
+  let released = 0;
+  for (const reservation of stale) {
+    try {
+      if (reservation.sessionId && stripe) {
+        const session = await stripe.checkout.sessions.retrieve(reservation.sessionId);
+        if (session.status !== 'expired') continue;
+      }
+      if (await releaseEditionReservation(reservation._id, 'stale')) released += 1;
+    } catch (e) {
+      console.warn('[edition] stale check failed', { reservationId: String(reservation._id), message: e?.raw?.message || e.message });
+    }
+  }
+  return released;
+}
+
+// 販売ページ・ダッシュボード用の在庫表示
+function editionViewOf(item) {
+  const limit = Item.editionLimitOf(item);
+  if (limit === null) return null;
+  const soldOut = Item.isSoldOut(item);
+  const remaining = Item.editionsRemainingOf(item);
+  return {
+    limit,
+    sold: Number(item.editionSold || 0),
+    reserved: Number(item.editionReserved || 0),
+    remaining,
+    soldOut,
+    // 残りがすべて決済中の確保で埋まっている（期限切れで戻る可能性あり）
+    allReserved: !soldOut && remaining === 0,
+    isExclusive: item.licensePreset === 'exclusive'
+  };
+}
+
+// ====== 価格自由（pay what you want） ======
+function parsePayWhatYouWantAmount(raw, minimum) {
+  const text = String(raw ?? '').replace(/[,\s¥￥]/g, '');
+  const amount = Number(text);
+  if (!text || !Number.isInteger(amount)) return { error: 'invalid' };
+  if (amount < minimum) return { error: 'too_low' };
+  if (amount > PWYW_MAX_PRICE) return { error: 'too_high' };
+  return { amount };
+}
+
+function payWhatYouWantErrorMessage(errorKey, minimum, lng = 'ja') {
+  const en = lng === 'en';
+  const min = Number(minimum).toLocaleString(en ? 'en-US' : 'ja-JP');
+  const max = PWYW_MAX_PRICE.toLocaleString(en ? 'en-US' : 'ja-JP');
+  if (errorKey === 'invalid') return en ? 'Please enter a whole number of yen.' : '金額は1円単位の整数で入力してください。';
+  if (errorKey === 'too_low') return en ? `The minimum price is ¥${min}.` : `最低価格は ¥${min} です。`;
+  if (errorKey === 'too_high') return en ? `The maximum amount is ¥${max}.` : `入力できる金額は ¥${max} までです。`;
+  return '';
+}
+
+// ====== 割引コード ======
+const DISCOUNT_ERROR_MESSAGES = {
+  invalid: { ja: '割引コードが正しくありません。', en: 'This discount code is not valid.' },
+  expired: { ja: 'この割引コードは有効期限が切れています。', en: 'This discount code has expired.' },
+  exhausted: { ja: 'この割引コードは利用上限に達しました。', en: 'This discount code has reached its usage limit.' },
+  not_applicable: { ja: 'この割引コードはこの作品には使えません。', en: 'This discount code cannot be used for this item.' }
+};
+
+function normalizeDiscountCode(raw) {
+  return String(raw || '').trim().toUpperCase().slice(0, 32);
+}
+
+function discountErrorMessage(errorKey, lng = 'ja') {
+  const messages = DISCOUNT_ERROR_MESSAGES[errorKey];
+  if (!messages) return '';
+  return lng === 'en' ? messages.en : messages.ja;
+}
+
+function discountLabelOf(discount) {
+  return discount.type === DiscountCode.TYPES.PERCENT
+    ? `${discount.value}%オフ`
+    : `${Number(discount.value).toLocaleString('ja-JP')}円引き`;
+}
+
+// 購入時の割引コード検証。コード未入力なら null、不可なら { error }
+async function resolveDiscountForItem(item, rawCode, basePrice = item.price) {
+  const code = normalizeDiscountCode(rawCode);
+  if (!code) return null;
+  if (!item.ownerUser) return { error: 'invalid' };
+  if (Item.isPayWhatYouWant(item)) return { error: 'not_applicable' }; // 金額は購入者が決めるため割引しない
+
+  const discount = await DiscountCode.findOne({ seller: item.ownerUser, code, isActive: true }).lean();
+  if (!discount) return { error: 'invalid' };
+  if (discount.expiresAt && new Date(discount.expiresAt).getTime() <= Date.now()) return { error: 'expired' };
+  if (discount.maxRedemptions && discount.redemptionCount >= discount.maxRedemptions) return { error: 'exhausted' };
+  if (discount.items?.length && !discount.items.some((itemId) => String(itemId) === String(item._id))) {
+    return { error: 'not_applicable' };
+  }
+
+  const { finalPrice, discountAmount } = DiscountCode.applyTo(discount, basePrice, MIN_PRICE);
+  if (discountAmount <= 0) return { error: 'not_applicable' };
+  return { discount, finalPrice, discountAmount };
+}
+
+// 決済完了時に利用実績を記録（sessionId で冪等）。初回記録時のみ利用回数を加算する
+async function recordDiscountRedemption({ session, item, paymentIntentId, amount }) {
+  const discountCodeId = session.metadata?.discountCodeId;
+  if (!discountCodeId || !mongoose.Types.ObjectId.isValid(discountCodeId)) return;
+
+  const originalAmount = Number(session.metadata?.originalPrice || item.price || 0);
+  const result = await DiscountRedemption.updateOne(
+    { sessionId: session.id },
+    {
+      $setOnInsert: {
+        discountCode: discountCodeId,
+        seller: item.ownerUser,
+        item: item._id,
+        sessionId: session.id,
+        paymentIntentId: String(paymentIntentId || ''),
+        originalAmount,
+        discountAmount: Math.max(0, originalAmount - amount),
+        amount,
+        redeemedAt: new Date()
+      }
+    },
+    { upsert: true }
+  );
+  if (!result.upsertedCount) return;
+
+  const discount = await DiscountCode.findByIdAndUpdate(
+    discountCodeId,
+    { $inc: { redemptionCount: 1 } },
+    { new: true }
+  ).lean();
+  if (discount?.maxRedemptions && discount.redemptionCount > discount.maxRedemptions) {
+    // 同時に開かれた Checkout が上限を跨いで完了した場合。決済済みなので記録だけ残す
+    console.warn('[discount] redemptions exceeded max', { code: discount.code, count: discount.redemptionCount });
+  }
+}
+
+function parseDiscountForm(body = {}, ownedItemIds = []) {
+  const values = {
+    code: normalizeDiscountCode(body.code),
+    type: String(body.type || ''),
+    value: String(body.value || '').trim(),
+    expiresOn: String(body.expiresOn || '').trim(),
+    maxRedemptions: String(body.maxRedemptions || '').trim(),
+    items: [].concat(body.items || []).map(String).filter((id) => ownedItemIds.includes(id))
+  };
+
+  if (!/^[A-Z0-9_-]{3,32}$/.test(values.code)) {
+    return { values, error: 'コードは英数字・ハイフン・アンダースコアの3〜32文字で入力してください。' };
+  }
+  if (!Object.values(DiscountCode.TYPES).includes(values.type)) {
+    return { values, error: '割引の種類を選択してください。' };
+  }
+  const value = Number(values.value);
+  if (!Number.isInteger(value) || value < 1 || (values.type === DiscountCode.TYPES.PERCENT && value > 99)) {
+    return {
+      values,
+      error: values.type === DiscountCode.TYPES.PERCENT ? '割引率は1〜99%の整数で入力してください。' : '割引額は1円以上の整数で入力してください。'
+    };
+  }
+
+  let expiresAt = null;
+  if (values.expiresOn) {
+    // 日付指定は日本時間のその日の終わりまで有効
+    expiresAt = /^\d{4}-\d{2}-\d{2}$/.test(values.expiresOn) ? new Date(`${values.expiresOn}T23:59:59.999+09:00`) : null;
+    if (!expiresAt || Number.isNaN(expiresAt.getTime())) return { values, error: '有効期限の日付が正しくありません。' };
+    if (expiresAt.getTime() <= Date.now()) return { values, error: '有効期限は今日以降の日付を指定してください。' };
+  }
+
+  let maxRedemptions = null;
+  if (values.maxRedemptions) {
+    maxRedemptions = Number(values.maxRedemptions);
+    if (!Number.isInteger(maxRedemptions) || maxRedemptions < 1) {
+      return { values, error: '利用上限は1以上の整数で入力してください（空欄で無制限）。' };
+    }
+  }
+
+  return {
+    values,
+    fields: { code: values.code, type: values.type, value, expiresAt, maxRedemptions, items: values.items }
+  };
+}
+
+async function renderDiscountDashboard(req, res, { status = 200, formValues = null, errorMessage = '', successMessage = '' } = {}) {
+  const [discounts, ownedItems] = await Promise.all([
+    DiscountCode.find({ seller: req.user._id }).sort({ createdAt: -1 }).lean(),
+    Item.find({ ownerUser: req.user._id, isDeleted: { $ne: true } }).sort({ createdAt: -1 }).select('title').lean()
+  ]);
+  const itemTitleById = new Map(ownedItems.map((item) => [String(item._id), item.title]));
+  const now = Date.now();
+
+  return res.status(status).render('dashboard/discounts', dashboardBaseView(req, {
+    title: '割引コード | ダッシュボード',
+    discounts: discounts.map((discount) => ({
+      id: String(discount._id),
+      code: discount.code,
+      label: discountLabelOf(discount),
+      expiresAt: discount.expiresAt,
+      isExpired: !!discount.expiresAt && new Date(discount.expiresAt).getTime() <= now,
+      redemptionLabel: discount.maxRedemptions
+        ? `${discount.redemptionCount} / ${discount.maxRedemptions}`
+        : `${discount.redemptionCount} / 無制限`,
+      scopeLabel: discount.items?.length
+        ? discount.items.map((itemId) => itemTitleById.get(String(itemId)) || '(削除された作品)').join('、')
+        : 'すべての作品',
+      isActive: discount.isActive
+    })),
+    ownedItems: ownedItems.map((item) => ({ id: String(item._id), title: item.title })),
+    discountTypes: DiscountCode.TYPES,
+    formValues: formValues || { code: '', type: DiscountCode.TYPES.PERCENT, value: '', expiresOn: '', maxRedemptions: '', items: [] },
+    errorMessage,
+    successMessage
+  }));
+}
+
+app.get('/dashboard/discounts', ensureAuthed, async (req, res) => {
+  try {
+    const successMessage = req.query.status === 'created'
+      ? '割引コードを作成しました。'
+      : req.query.status === 'toggled'
+        ? '割引コードの状態を変更しました。'
+        : '';
+    return await renderDiscountDashboard(req, res, { successMessage });
+  } catch (e) {
+    console.error('[dashboard:discounts]', e);
+    return res.status(500).render('error', { message: '割引コードの表示に失敗しました。' });
+  }
+});
+
+app.post('/dashboard/discounts', ensureAuthed, ensureSellerProfileCompleted, async (req, res) => {
+  try {
+    const ownedItemIds = (await Item.find({ ownerUser: req.user._id, isDeleted: { $ne: true } }).select('_id').lean())
+      .map((item) => String(item._id));
+    const { values, fields, error } = parseDiscountForm(req.body, ownedItemIds);
+    if (error) {
+      return await renderDiscountDashboard(req, res, { status: 400, formValues: values, errorMessage: error });
+    }
+
+    try {
+      await DiscountCode.create({ seller: req.user._id, ...fields });
+    } catch (e) {
+      if (e?.code === 11000) {
+        return await renderDiscountDashboard(req, res, { status: 400, formValues: values, errorMessage: 'このコードはすでに作成済みです。' });
+      }
+      if (e?.name === 'ValidationError') {
+        const message = Object.values(e.errors || {})[0]?.message || '入力内容を確認してください。';
+        return await renderDiscountDashboard(req, res, { status: 400, formValues: values, errorMessage: message });
+      }
+      throw e;
+    }
+
+    return res.redirect(303, '/dashboard/discounts?status=created');
+  } catch (e) {
+    console.error('[dashboard:discounts:create]', e);
+    return res.status(500).render('error', { message: '割引コードの作成に失敗しました。' });
+  }
+});
+
+app.post('/dashboard/discounts/:id/toggle', ensureAuthed, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).render('error', { message: '割引コードが見つかりません。' });
+    }
+    const discount = await DiscountCode.findOne({ _id: req.params.id, seller: req.user._id });
+    if (!discount) return res.status(404).render('error', { message: '割引コードが見つかりません。' });
+
+    discount.isActive = !discount.isActive;
+    await discount.save();
+    return res.redirect(303, '/dashboard/discounts?status=toggled');
+  } catch (e) {
+    console.error('[dashboard:discounts:toggle]', e);
+    return res.status(500).render('error', { message: '割引コードの更新に失敗しました。' });
+  }
+});
+
+app.get('/dashboard/discounts/:id', ensureAuthed, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).render('error', { message: '割引コードが見つかりません。' });
+    }
+    const discount = await DiscountCode.findOne({ _id: req.params.id, seller: req.user._id }).lean();
+    if (!discount) return res.status(404).render('error', { message: '割引コードが見つかりません。' });
+
+    const redemptions = await DiscountRedemption.find({ discountCode: discount._id })
+      .sort({ redeemedAt: -1 })
+      .limit(500)
+      .lean();
+    const items = await Item.find({ _id: { $in: redemptions.map((row) => row.item) } }).select('title').lean();
+    const itemTitleById = new Map(items.map((item) => [String(item._id), item.title]));
+
+    return res.render('dashboard/discount-show', dashboardBaseView(req, {
+      title: `${discount.code} | 割引コード`,
+      discount: {
+        id: String(discount._id),
+        code: discount.code,
+        label: discountLabelOf(discount),
+        isActive: discount.isActive,
+        expiresAt: discount.expiresAt,
+        redemptionCount: discount.redemptionCount,
+        maxRedemptions: discount.maxRedemptions
+      },
+      redemptions: redemptions.map((row) => ({
+        redeemedAt: row.redeemedAt,
+        itemTitle: itemTitleById.get(String(row.item)) || '(削除された作品)',
+        originalAmount: row.originalAmount,
+        discountAmount: row.discountAmount,
+        amount: row.amount
+      })),
+      totalDiscountAmount: redemptions.reduce((sum, row) => sum + Number(row.discountAmount || 0), 0)
+    }));
+  } catch (e) {
+    console.error('[dashboard:discounts:show]', e);
+    return res.status(500).render('error', { message: '割引コードの表示に失敗しました。' });
+  }
+});
+
+app.get('/dashboard/seller-profile', ensureAuthed, async (req, res) => {
+  try {
+    const me = await User.findById(req.user._id).select('sellerProfile').lean();
+    const sellerProfile = me?.sellerProfile || {};
+    return res.render('dashboard/seller-profile', dashboardBaseView(req, {
+      title: '販売者情報',
+      sellerProfile,
+      sellerProfileCompleted: getSellerProfileCompletion(me),
+      successMessage: req.query.sellerProfileSaved === '1' ? '販売者情報を保存しました。' : ''
+    }));
+  } catch (e) {
+    console.error('[dashboard:seller-profile]', e);
+    return res.status(500).render('error', { message: '販売者情報の表示に失敗しました。' });
+  }
+});
+
+app.get('/dashboard/seller-profile/edit', ensureAuthed, async (req, res) => {
+  try {
+    const me = await User.findById(req.user._id).select('sellerProfile').lean();
+    const sellerProfile = me?.sellerProfile || {};
+    return res.render('seller-profile', {
+      ...dashboardBaseView(req),
+      formValues: sellerProfileFormValues(sellerProfile),
+      errors: {},
+      sellerProfile,
+      pageTitle: '販売者情報の編集',
+      pageLead: 'クリエイター名や販売者情報を更新できます。',
+      actionPath: '/dashboard/seller-profile/edit',
+      submitLabel: '保存して戻る',
+      cancelLabel: 'キャンセル',
+      errorMessage: '',
+      successMessage: '',
+      returnTo: '/dashboard/seller-profile',
+      backPath: '/dashboard/seller-profile'
+    });
+  } catch (e) {
+    console.error('[dashboard:seller-profile:edit:get]', e);
+    return res.status(500).render('error', { message: '販売者情報の編集画面の表示に失敗しました。' });
+  }
+});
+
+app.get('/creator/legal', ensureAuthed, (req, res) => {
+  return res.redirect(302, buildSellerProfilePath(req.query.returnTo || '/creator', { legacy: '1' }));
+});
+
+async function handleSellerProfileSave(req, res, options = {}) {
+  const formValues = sanitizeSellerProfileInput(req.body);
+  const errors = validateSellerProfileInput(formValues);
+  const returnTo = sanitizeReturnPath(req.body.returnTo || req.query.returnTo || options.defaultReturnTo || '/creator');
+  const isDashboardEdit = options.variant === 'dashboard-edit';
+
+  if (Object.keys(errors).length) {
+    return res.status(400).render('seller-profile', {
+      ...dashboardBaseView(req),
+      formValues,
+      errors,
       sellerProfile: { isCompleted: false },
       pageTitle: isDashboardEdit ? '販売者情報の編集' : '販売者情報の登録',
       pageLead: isDashboardEdit ? 'クリエイター名や販売者情報を更新できます。' : '出品を行うには、販売者情報の登録が必要です。',
@@ -2968,17 +6566,290 @@ res.render('upload', {
   connect,
   sellerProfileCompleted,
   minPrice: MIN_PRICE,                    // ← 追加
+  bundleMaxFiles: BUNDLE_MAX_FILES,
+  uploadMaxBytes: CHUNKED_UPLOAD_MAX_BYTES,
+  directUpload: DIRECT_S3_UPLOAD_ENABLED,
   platformFeeDisplay: PLATFORM_FEE_DISPLAY,
   platformFeeDisplayEn: PLATFORM_FEE_DISPLAY_EN
 });
 
 });
 
-// upload
-app.post('/upload', ensureAuthed, ensureSellerProfileCompleted, upload.single('image'), async (req, res) => {
-  let workingImagePath = '';
+// 分割アップロードの開始。チャンクの大きさはサーバが決める
+app.post('/upload/chunks', ensureAuthed, ensureSellerProfileCompleted, async (req, res) => {
+  try {
+    const init = await parseUploadSessionInit(req);
+    if (init.error) return res.status(init.status).json({ ok: false, message: init.error });
+
+    const session = await UploadSession.create({
+      owner: req.user._id,
+      fileName: init.fileName,
+      mimeType: init.mimeType,
+      size: init.size,
+      chunkSize: CHUNKED_UPLOAD_CHUNK_BYTES,
+      chunkCount: Math.ceil(init.size / CHUNKED_UPLOAD_CHUNK_BYTES),
+      expiresAt: new Date(Date.now() + CHUNKED_UPLOAD_TTL_MS)
+    });
+    return res.status(201).json(uploadSessionView(session));
+  } catch (e) {
+    console.error('[upload:chunks] init failed', e);
+    return res.status(500).json({ ok: false, message: 'アップロードを開始できませんでした。' });
+  }
+});
+
+// 受信済みのチャンク（中断後の再開で、足りないものだけ送り直すため）
+app.get('/upload/chunks/:uploadId', ensureAuthed, async (req, res) => {
+  try {
+    const session = await findOwnedUploadSession(req);
+    if (!session) return res.status(404).json({ ok: false, message: 'upload_not_found' });
+    return res.json(uploadSessionView(session));
+  } catch (e) {
+    console.error('[upload:chunks] status failed', e);
+    return res.status(500).json({ ok: false, message: 'サーバーエラーが発生しました。' });
+  }
+});
+
+// チャンク1つ（本文はそのままのバイト列）。X-Chunk-Sha256 があれば照合し、食い違えば 422 で送り直してもらう
+app.put('/upload/chunks/:uploadId/:index', ensureAuthed, chunkUploadBody, async (req, res) => {
+  try {
+    const session = await findOwnedUploadSession(req);
+    if (!session || session.expiresAt <= new Date()) return res.status(404).json({ ok: false, message: 'upload_not_found' });
+    if (session.status !== UploadSession.STATUSES.UPLOADING) {
+      return res.status(409).json({ ok: false, message: 'upload_already_finalized' });
+    }
+
+    const index = Number(req.params.index);
+    if (!Number.isInteger(index) || index < 0 || index >= session.chunkCount) {
+      return res.status(400).json({ ok: false, message: 'invalid_chunk_index' });
+    }
+    const data = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    if (data.length !== expectedChunkBytesOf(session, index)) {
+      return res.status(400).json({ ok: false, message: 'invalid_chunk_size' });
+    }
+    const sha256 = crypto.createHash('sha256').update(data).digest('hex');
+    const declared = String(req.get('x-chunk-sha256') || '').trim().toLowerCase();
+    if (declared && declared !== sha256) {
+      return res.status(422).json({ ok: false, message: 'chunk_checksum_mismatch' });
+    }
+
+    await ensureDir(uploadChunkDirOf(session));
+    await writeFileAtomic(path.join(uploadChunkDirOf(session), `${index}.part`), data);
+
+    // 同じチャンクの送り直しは記録を上書きする。受け取るたびに期限を延ばす
+    const chunk = { index, size: data.length, sha256 };
+    const expiresAt = new Date(Date.now() + CHUNKED_UPLOAD_TTL_MS);
+    const pushed = await UploadSession.updateOne(
+      { _id: session._id, status: UploadSession.STATUSES.UPLOADING, 'receivedChunks.index': { $ne: index } },
+      { $push: { receivedChunks: chunk }, $set: { expiresAt } }
+    );
+    if (!pushed.modifiedCount) {
+      await UploadSession.updateOne(
+        { _id: session._id, status: UploadSession.STATUSES.UPLOADING, 'receivedChunks.index': index },
+        { $set: { 'receivedChunks.$': chunk, expiresAt } }
+      );
+    }
+    return res.json({ ok: true, index, sha256 });
+  } catch (e) {
+    console.error('[upload:chunks] chunk failed', { uploadId: req.params.uploadId, index: req.params.index, message: e?.message || e });
+    return res.status(500).json({ ok: false, message: 'チャンクを保存できませんでした。' });
+  }
+});
+
+// 全チャンクを結合する。結合済みなら同じ結果を返す（応答を受け取れずに送り直した場合）
+app.post('/upload/chunks/:uploadId/finalize', ensureAuthed, async (req, res) => {
+  try {
+    const session = await findOwnedUploadSession(req);
+    if (!session || session.expiresAt <= new Date()) return res.status(404).json({ ok: false, message: 'upload_not_found' });
+    if (session.status === UploadSession.STATUSES.ASSEMBLED) {
+      return res.json({ ...uploadSessionView(session), sha256: session.sha256 });
+    }
+    if (session.status !== UploadSession.STATUSES.UPLOADING) {
+      return res.status(409).json({ ok: false, message: 'upload_already_used' });
+    }
+
+    let assembled;
+    try {
+      assembled = await assembleUploadSession(session);
+    } catch (e) {
+      if (e.code === 'CHUNK_CORRUPTED') {
+        // 壊れたチャンクは受信記録から外し、クライアントに送り直してもらう
+        await UploadSession.updateOne({ _id: session._id }, { $pull: { receivedChunks: { index: e.index } } });
+      }
+      if (['CHUNK_MISSING', 'CHUNK_CORRUPTED', 'SIZE_MISMATCH'].includes(e.code)) {
+        const latest = await UploadSession.findById(session._id).lean();
+        return res.status(409).json({ ...uploadSessionView(latest), ok: false, message: 'upload_incomplete' });
+      }
+      throw e;
+    }
+    const updated = await UploadSession.findOneAndUpdate(
+      { _id: session._id, status: UploadSession.STATUSES.UPLOADING },
+      {
+        $set: {
+          status: UploadSession.STATUSES.ASSEMBLED,
+          filePath: assembled.filePath,
+          sha256: assembled.sha256,
+          assembledAt: new Date(),
+          expiresAt: new Date(Date.now() + CHUNKED_UPLOAD_TTL_MS)
+        }
+      },
+      { new: true }
+    ).lean();
+    if (!updated) {
+      // 同時に届いた finalize の片方。先に結合した方を正とする
+      await fsp.unlink(assembled.filePath).catch(() => {});
+      const latest = await UploadSession.findById(session._id).lean();
+      return res.json({ ...uploadSessionView(latest), sha256: latest.sha256 });
+    }
+    await fsp.rm(uploadChunkDirOf(session), { recursive: true, force: true }).catch(() => {});
+    console.info('[upload:chunks] assembled', { uploadId: String(session._id), size: session.size, chunks: session.chunkCount });
+    return res.json({ ...uploadSessionView(updated), sha256: updated.sha256 });
+  } catch (e) {
+    console.error('[upload:chunks] finalize failed', e);
+    return res.status(500).json({ ok: false, message: 'アップロードを完了できませんでした。' });
+  }
+});
+
+// S3/R2 への直接アップロードの開始（DIRECT_S3_UPLOAD=1 のときだけ）。署名付き PUT URL を返す
+app.post('/upload/direct', ensureAuthed, ensureSellerProfileCompleted, async (req, res) => {
+  if (!DIRECT_S3_UPLOAD_ENABLED) return res.status(404).json({ ok: false, message: 'direct_upload_disabled' });
+  try {
+    const init = await parseUploadSessionInit(req);
+    if (init.error) return res.status(init.status).json({ ok: false, message: init.error });
+
+    const _id = new mongoose.Types.ObjectId();
+    const session = await UploadSession.create({
+      _id,
+      owner: req.user._id,
+      storage: UploadSession.STORAGES.S3,
+      fileName: init.fileName,
+      mimeType: init.mimeType,
+      size: init.size,
+      chunkSize: init.size,
+      chunkCount: 1,
+      s3Key: `incoming/${req.user._id}/${_id}.${mime.extension(init.mimeType) || 'bin'}`,
+      expiresAt: new Date(Date.now() + CHUNKED_UPLOAD_TTL_MS)
+    });
+    return res.status(201).json({
+      ...uploadSessionView(session),
+      uploadUrl: await presignDirectUpload(session),
+      uploadHeaders: { 'Content-Type': session.mimeType }
+    });
+  } catch (e) {
+    console.error('[upload:direct] init failed', e);
+    return res.status(500).json({ ok: false, message: 'アップロードを開始できませんでした。' });
+  }
+});
+
+// 署名付きURLの取り直し（期限切れ・送り直し）
+app.post('/upload/direct/:uploadId/url', ensureAuthed, async (req, res) => {
+  if (!DIRECT_S3_UPLOAD_ENABLED) return res.status(404).json({ ok: false, message: 'direct_upload_disabled' });
+  try {
+    const session = await findOwnedUploadSession(req);
+    if (!session || session.storage !== UploadSession.STORAGES.S3 || session.expiresAt <= new Date()) {
+      return res.status(404).json({ ok: false, message: 'upload_not_found' });
+    }
+    if (session.status !== UploadSession.STATUSES.UPLOADING) {
+      return res.status(409).json({ ok: false, message: 'upload_already_finalized' });
+    }
+    return res.json({
+      ...uploadSessionView(session),
+      uploadUrl: await presignDirectUpload(session),
+      uploadHeaders: { 'Content-Type': session.mimeType }
+    });
+  } catch (e) {
+    console.error('[upload:direct] presign failed', e);
+    return res.status(500).json({ ok: false, message: 'サーバーエラーが発生しました。' });
+  }
+});
+
+// ブラウザからの PUT が済んだら、バケット上の大きさと実体の形式を確かめて POST /upload で使えるようにする
+app.post('/upload/direct/:uploadId/complete', ensureAuthed, async (req, res) => {
+  if (!DIRECT_S3_UPLOAD_ENABLED) return res.status(404).json({ ok: false, message: 'direct_upload_disabled' });
+  try {
+    const session = await findOwnedUploadSession(req);
+    if (!session || session.storage !== UploadSession.STORAGES.S3 || session.expiresAt <= new Date()) {
+      return res.status(404).json({ ok: false, message: 'upload_not_found' });
+    }
+    if (session.status === UploadSession.STATUSES.ASSEMBLED) return res.json(uploadSessionView(session));
+    if (session.status !== UploadSession.STATUSES.UPLOADING) {
+      return res.status(409).json({ ok: false, message: 'upload_already_used' });
+    }
+
+    const head = await s3.send(new HeadObjectCommand({ Bucket: S3_BUCKET, Key: session.s3Key })).catch((e) => {
+      if (e?.$metadata?.httpStatusCode === 404 || e?.name === 'NotFound') return null;
+      throw e;
+    });
+    if (!head) return res.status(409).json({ ...uploadSessionView(session), ok: false, message: 'upload_incomplete' });
+    if (Number(head.ContentLength) !== session.size) {
+      // 途中で切れた・別のファイルが置かれた。消して送り直してもらう
+      await s3.send(new DeleteObjectCommand({ Bucket: S3_BUCKET, Key: session.s3Key })).catch(() => {});
+      return res.status(409).json({ ...uploadSessionView(session), ok: false, message: 'upload_incomplete' });
+    }
+    const fileType = await detectS3ObjectFileType(session.s3Key).catch(() => null);
+    if (!/^image\/(png|jpe?g|webp|gif)$/i.test(fileType?.mime || '')) {
+      await s3.send(new DeleteObjectCommand({ Bucket: S3_BUCKET, Key: session.s3Key })).catch(() => {});
+      await UploadSession.deleteOne({ _id: session._id });
+      return res.status(400).json({ ok: false, message: '未対応のファイル形式です。PNG/JPEG/WEBP/GIF のみ対応。' });
+    }
+
+    const updated = await UploadSession.findOneAndUpdate(
+      { _id: session._id, status: UploadSession.STATUSES.UPLOADING },
+      {
+        $set: {
+          status: UploadSession.STATUSES.ASSEMBLED,
+          assembledAt: new Date(),
+          expiresAt: new Date(Date.now() + CHUNKED_UPLOAD_TTL_MS)
+        }
+      },
+      { new: true }
+    ).lean();
+    const latest = updated || await UploadSession.findById(session._id).lean();
+    console.info('[upload:direct] received', { uploadId: String(session._id), size: session.size, mime: fileType.mime });
+    return res.json(uploadSessionView(latest));
+  } catch (e) {
+    console.error('[upload:direct] complete failed', e);
+    return res.status(500).json({ ok: false, message: 'アップロードを完了できませんでした。' });
+  }
+});
+
+// upload（画像1枚なら単品、2枚以上ならまとめ売り bundle として1リンクで出品）
+// 原本を保存して Item を processing で作るところまで。メタデータ除去・審査・プレビュー作成は process_upload ジョブで行う
+app.post('/upload', ensureAuthed, ensureSellerProfileCompleted, upload.fields([
+  { name: 'image', maxCount: BUNDLE_MAX_FILES },
+  { name: 'watermarkLogo', maxCount: 1 }
+]), async (req, res) => {
+  // multipart で直接届いた画像の後ろに、分割アップロード・S3 直接アップロード（uploadIds）の画像を並べる
+  // 直接アップロードの画像は path が空で、s3Key（incoming/ 配下）にある
+  const uploadedFiles = Array.isArray(req.files?.image) ? [...req.files.image] : [];
+  const uploadIds = [].concat(req.body?.uploadIds || []).map(String).filter(Boolean);
+  const watermarkLogoFile = req.files?.watermarkLogo?.[0] || null;
+  const uploadedS3Keys = [];
+  let createdItem = null;
+  let processingQueued = false;
+  const discardUploadedFiles = () => Promise.all([
+    ...[...uploadedFiles, ...(watermarkLogoFile ? [watermarkLogoFile] : [])]
+      .filter((file) => file.path)
+      .map((file) => fsp.unlink(file.path).catch(() => {})),
+    ...uploadedFiles
+      .filter((file) => file.s3Key)
+      .map((file) => s3.send(new DeleteObjectCommand({ Bucket: S3_BUCKET, Key: file.s3Key })).catch(() => {}))
+  ]);
+
   try {
 
+    if (uploadIds.length) {
+      const chunked = await consumeAssembledUploads(req.user._id, uploadIds.slice(0, BUNDLE_MAX_FILES));
+      uploadedFiles.push(...chunked.files);
+      if (chunked.error) {
+        await discardUploadedFiles();
+        return res.status(400).render('error', { message: 'アップロードした画像が見つかりません。もう一度選択してください。' });
+      }
+    }
+    if (uploadedFiles.length > BUNDLE_MAX_FILES) {
+      await discardUploadedFiles();
+      return res.status(400).render('error', { message: `画像は最大${BUNDLE_MAX_FILES}枚まで選択できます。` });
+    }
+
 const {
   title, creatorSecret, ownerEmail, attestOwner,
   licensePreset, licenseNotes, aiGenerated, aiModelName
@@ -2994,263 +6865,127 @@ const currency = CURRENCY; // ← フォーム値は無視して固定
 
     // 旧シークレット（無ログイン運用に戻す場合のバックドア）
     if (!req.user && creatorSecret !== CREATOR_SECRET) {
-      if (req.file) await fsp.unlink(req.file.path).catch(() => {});
+      await discardUploadedFiles();
       return res.status(401).render('error', { message: '認証に失敗しました（ログインまたはシークレットが必要）。' });
     }
 
-    if (!req.file) return res.status(400).render('error', { message: '画像が選択されていません。' });
+    if (!uploadedFiles.length) return res.status(400).render('error', { message: '画像が選択されていません。' });
 
     if (!attestOwner) {
-      await fsp.unlink(req.file.path).catch(() => {});
+      await discardUploadedFiles();
       return res.status(400).render('error', { message: '権利者であることのチェックが未入力です。' });
     }
 
-// ★ 実体MIME検査（画像以外は拒否）
-const ft = await FileType.fromFile(req.file.path).catch(() => null);
-const realMime = ft?.mime || '';
-if (!/^image\/(png|jpe?g|webp|gif)$/i.test(realMime)) {
-  await fsp.unlink(req.file.path).catch(() => {});
-  return res.status(400).render('error', { message: '未対応のファイル形式です。PNG/JPEG/WEBP/GIF のみ対応。' });
-}
-
-    // ★ 原本も再エンコードして EXIF/メタデータを除去（配布時の位置情報漏洩を防ぐ）
-    //    ここでは JPEG に統一（色変化を抑えたい場合は PNG 保存でも可）
-    try {
-      const cleanedPath = `${req.file.path}.cleaned.jpg`;
-      await sharp(req.file.path)
-        .rotate()
-        .jpeg({ quality: 95 }) // withMetadata() を付けない = EXIF除去
-        .toFile(cleanedPath);
-      await fsp.rename(cleanedPath, req.file.path);
-    } catch (re) {
-      await fsp.unlink(req.file.path).catch(() => {});
-      return res.status(400).render('error', { message: '画像の処理に失敗しました。別の画像でお試しください。' });
-    }
-
-    const priceNum = Number(price);
-    
-if (!title || !Number.isInteger(priceNum) || priceNum < MIN_PRICE) {
-  await fsp.unlink(req.file.path).catch(() => {});
-  return res.status(400).render('error', { message: `タイトルと価格（${MIN_PRICE}円以上の整数）は必須です。` });
+// ★ 実体MIME検査（画像以外は拒否）。bundle は1枚でも不正なら全体を拒否
+const realMimes = [];
+for (const file of uploadedFiles) {
+  const ft = file.s3Key
+    ? await detectS3ObjectFileType(file.s3Key).catch(() => null)
+    : await FileType.fromFile(file.path).catch(() => null);
+  const realMime = ft?.mime || '';
+  if (!/^image\/(png|jpe?g|webp|gif)$/i.test(realMime)) {
+    await discardUploadedFiles();
+    return res.status(400).render('error', { message: '未対応のファイル形式です。PNG/JPEG/WEBP/GIF のみ対応。' });
+  }
+  realMimes.push(realMime);
 }
 
-const licensePresetSafe = (['standard','editorial','commercial-lite','exclusive'].includes(licensePreset))
-  ? licensePreset : 'standard';
-const requireCreditBool = false; // ← プラットフォーム方針：常に不要
-const aiGeneratedBool   = !!aiGenerated;
-const licenseNotesSafe  = (licenseNotes || '').trim().slice(0, 1000);
-const aiModelNameSafe   = (aiModelName || '').trim().slice(0, 200);
-const { workingBuffer } = await createWorkingImageBufferFromPath(req.file.path);
-workingImagePath = `${req.file.path}.working.jpg`;
-await writeFileAtomic(workingImagePath, workingBuffer);
-console.info('[upload:image] prepared sources', {
-  originalPath: req.file.path,
-  workingPath: workingImagePath,
-});
-const initialSaleStatus = await resolveInitialSaleModerationDecision({
-  title,
-  licenseNotes: licenseNotesSafe,
-  aiModelName: aiModelNameSafe,
-  filePath: workingImagePath,
-  imageSource: 'working'
-});
-
-    const slug = nanoid(10);
-    // ★ 配布原本は JPEG 化したので MIME も固定
-    const mimeType = 'image/jpeg';
-
-// 販売ページ向け preview（固定リサイズなし / 元画像サイズ維持 + 全面モザイク）
-const previewName = `${slug}-preview.jpg`;
-const previewFull = path.join(PREVIEW_DIR, previewName);
-const previewBuffer = await renderSalePreviewBufferFromOriginalBuffer(workingBuffer);
-console.info('[upload:image] preview generated', { source: 'working' });
-
-// ====== 透かしSVG生成（四隅） ======
-const createCornerWatermarkSvg = ({ width, height, alpha = 0.18 }) => {
-  const margin = Math.max(24, Math.round(Math.min(width, height) * 0.03));
-  const wmSize = Math.max(26, Math.round(Math.min(width, height) * 0.055));
-  return Buffer.from(`
-    <svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
-      <style>.wm{ fill: rgba(255,255,255,${alpha}); font-size: ${wmSize}px; font-weight: 700; font-family: Arial, sans-serif; }</style>
-      <text class="wm" x="${margin}" y="${margin + wmSize}">SAMPLE</text>
-      <text class="wm" x="${width - margin}" y="${margin + wmSize}" text-anchor="end">SAMPLE</text>
-      <text class="wm" x="${margin}" y="${height - margin}" dominant-baseline="ideographic">SAMPLE</text>
-      <text class="wm" x="${width - margin}" y="${height - margin}" text-anchor="end" dominant-baseline="ideographic">SAMPLE</text>
-    </svg>
-  `);
-};
-await writeFileAtomic(previewFull, previewBuffer);
-
-// ★ Stripe用（縦長が切れない “contain” 版）
-const stripeName = `${slug}-stripe.jpg`;
-const stripeFull  = path.join(PREVIEW_DIR, stripeName);
-
-await sharp(workingImagePath)
-  .rotate()
-  .resize(1200, 630, {
-    fit: 'contain',
-    background: { r: 10, g: 16, b: 24, alpha: 1 }
-  })
-  .composite([{ input: createTiledWatermarkSvg({ width: 1200, height: 630, alpha: 0.21 }) }])
-  .jpeg({ quality: 85 })
-  .toFile(stripeFull);
-
-// ★ 等倍プレビュー（透かし入り・最大4096pxに内接）
-const fullName = `${slug}-full.jpg`;
-const fullPath    = path.join(PREVIEW_DIR, fullName);
-
-// full実寸を計算（EXIF回転後の向き + 4096内接）
-const fullInputMeta = await sharp(workingImagePath).metadata();
-const orientation = Number(fullInputMeta.orientation || 1);
-const swapsAxes = [5, 6, 7, 8].includes(orientation);
-const sourceW = Math.max(1, swapsAxes ? (fullInputMeta.height || 1) : (fullInputMeta.width || 1));
-const sourceH = Math.max(1, swapsAxes ? (fullInputMeta.width || 1) : (fullInputMeta.height || 1));
-const fullScale = Math.min(1, 4096 / sourceW, 4096 / sourceH);
-const fw = Math.max(1, Math.round(sourceW * fullScale));
-const fh = Math.max(1, Math.round(sourceH * fullScale));
-
-// full は購入前閲覧用：視認性を保ちつつ最も弱い四隅透かし
-const svgFull = createCornerWatermarkSvg({ width: fw, height: fh, alpha: 0.18 });
-
-await sharp(workingImagePath)
-  .rotate()
-  .resize(4096, 4096, { fit: 'inside' })
-  .composite([{ input: svgFull }])  // ← fullBase と同寸の SVG なので安全
-  .jpeg({ quality: 90 })
-  .toFile(fullPath);
-console.info('[upload:image] full generated', { source: 'working' });
-console.info('[upload:image] download original kept', { source: 'original', path: req.file.path });
-if (workingImagePath) {
-  await fsp.unlink(workingImagePath).catch(() => {});
-  workingImagePath = '';
-}
-
-// ====== ここから S3 へアップロード ======
-if (!s3) {
-
-  const item = await Item.create({
-  slug,
-  title,
-  price: priceNum,
-  currency: (CURRENCY).toLowerCase(),
-  filePath: req.file.path,
-  previewPath: `/previews/${previewName}`,
-  mimeType,
-  // Item.creatorName は後方互換用の補助保存。正規ソースは sellerProfile.creatorDisplayName。
-  // Item.creatorName は後方互換用の補助保存。正規ソースは sellerProfile.creatorDisplayName。
-  creatorName: creatorDisplayName || '',
-  ownerUser: req.user?._id || null,
-  createdBySecret: creatorSecret || '',
-  ownerEmail: (req.user?.email || ownerEmail || ''),
-  attestOwner: !!attestOwner,
-  uploaderIp: req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.socket.remoteAddress || '',
-
-  // 追加：ライセンス情報
-  licensePreset: licensePresetSafe,
-  requireCredit: false, 
-  licenseNotes:  licenseNotesSafe,
-  aiGenerated:   aiGeneratedBool,
-  aiModelName:   aiModelNameSafe,
-  saleStatus: initialSaleStatus.status,
-  saleStatusReason: initialSaleStatus.reason,
-  saleStatusUpdatedAt: new Date(),
-});
-
-const saleUrl = `${BASE_URL}/s/${item.slug}`;
-if (req.xhr || req.headers['x-requested-with'] === 'XMLHttpRequest') {
-  return res.json({ ok: true, createdUrl: saleUrl });
+if (watermarkLogoFile) {
+  const logoType = await FileType.fromFile(watermarkLogoFile.path).catch(() => null);
+  if (!/^image\/(png|jpeg|webp)$/i.test(logoType?.mime || '') || watermarkLogoFile.size > PREVIEW_LOGO_MAX_BYTES) {
+    await discardUploadedFiles();
+    return res.status(400).render('error', { message: '透かしロゴは5MB以下の PNG/JPEG/WEBP を選択してください。' });
+  }
 }
 
-// ← ここから追加：成功後に再描画する upload 画面にも必要情報を渡す
-const connectNow = await getConnectStatus(req.user);
-const meAfter = await User.findById(req.user._id).select('sellerProfile').lean();
-const sellerProfileCompletedAfter = getSellerProfileCompletion(meAfter);
-
-return res.render('upload', {
-  baseUrl: BASE_URL,
-  connect: connectNow,
-  sellerProfileCompleted: sellerProfileCompletedAfter,
-  createdUrl: saleUrl,
-  minPrice: MIN_PRICE,                   // ← 追加
-  platformFeeDisplay: PLATFORM_FEE_DISPLAY,
-  platformFeeDisplayEn: PLATFORM_FEE_DISPLAY_EN
-});
-
+const parsedPreviewStyle = parsePreviewStyleForm(req.body);
+if (parsedPreviewStyle.error) {
+  await discardUploadedFiles();
+  return res.status(400).render('error', { message: parsedPreviewStyle.error });
 }
 
-// 拡張子（例: .jpg）を推定
-const extFromMime = mime.extension(mimeType) ? ('.' + mime.extension(mimeType)) : path.extname(req.file.originalname) || '';
-
-// S3キーの決定（原本と各プレビュー）
-const s3KeyOriginal = `originals/${slug}${extFromMime}`;
-const s3KeyPreview  = `previews/${slug}-preview.jpg`;
-const s3KeyStripe   = `previews/${slug}-stripe.jpg`;
-const s3KeyFull     = `previews/${slug}-full.jpg`;
+    const priceNum = Number(price);
+    
+if (!title || !Number.isInteger(priceNum) || priceNum < MIN_PRICE) {
+  await discardUploadedFiles();
+  return res.status(400).render('error', { message: `タイトルと価格（${MIN_PRICE}円以上の整数）は必須です。` });
+}
 
-// 原本をS3へアップロード
-await s3.send(new PutObjectCommand({
-  Bucket: S3_BUCKET,
-  Key: s3KeyOriginal,
-  Body: fs.createReadStream(req.file.path),
-  ContentType: mimeType || 'application/octet-stream'
-}));
+const licensePresetSafe = (['standard','editorial','commercial-lite','exclusive'].includes(licensePreset))
+  ? licensePreset : 'standard';
+const requireCreditBool = false; // ← プラットフォーム方針：常に不要
+const aiGeneratedBool   = !!aiGenerated;
+const licenseNotesSafe  = (licenseNotes || '').trim().slice(0, 1000);
+const aiModelNameSafe   = (aiModelName || '').trim().slice(0, 200);
+const listingType = uploadedFiles.length > 1 ? Item.LISTING_TYPES.BUNDLE : Item.LISTING_TYPES.SINGLE;
 
-// 生成済みプレビュー3種をS3へアップロード
-await s3.send(new PutObjectCommand({
-  Bucket: S3_BUCKET,
-  Key: s3KeyPreview,
-  Body: fs.createReadStream(previewFull),
-  ContentType: 'image/jpeg'
-}));
-await s3.send(new PutObjectCommand({
-  Bucket: S3_BUCKET,
-  Key: s3KeyStripe,
-  Body: fs.createReadStream(stripeFull),
-  ContentType: 'image/jpeg'
-}));
-await s3.send(new PutObjectCommand({
-  Bucket: S3_BUCKET,
-  Key: s3KeyFull,
-  Body: fs.createReadStream(fullPath),
-  ContentType: 'image/jpeg'
-}));
+    const slug = nanoid(10);
+    // ★ 配布原本の MIME は実体の形式（bundle は1枚ごと。Item 直下は表紙の形式）
+    const originalMimes = realMimes.map(normalizeImageMimeType);
+
+    // 原本は実体の形式の拡張子で保存する（EXIF 除去・審査・プレビュー作成はジョブで同じ場所の原本に対して行う）
+    for (const [index, file] of uploadedFiles.entries()) {
+      if (file.s3Key) continue;
+      const parsed = path.parse(file.path);
+      const nextPath = path.join(parsed.dir, `${parsed.name}${extensionOfImageMimeType(originalMimes[index])}`);
+      if (nextPath !== file.path) {
+        await fsp.rename(file.path, nextPath);
+        file.path = nextPath;
+      }
+    }
 
-// ローカルの一時ファイルを削除
-await fsp.unlink(req.file.path).catch(()=>{});
+// 出品者が選んだプレビューの見せ方（ロゴがあれば原本と同じ保存先へ）
+const previewLogo = watermarkLogoFile ? await storePreviewWatermarkLogo(slug, watermarkLogoFile.path) : null;
+if (watermarkLogoFile) await fsp.unlink(watermarkLogoFile.path).catch(() => {});
+const previewStyle = {
+  ...parsedPreviewStyle.style,
+  watermarkLogoPath: previewLogo?.watermarkLogoPath || '',
+  watermarkLogoS3Key: previewLogo?.watermarkLogoS3Key || ''
+};
 
-// https の公開URLで配信できる場合のみローカルを削除。
-// http 公開URLは混在コンテンツで弾かれるためローカルを残す。
-if (S3_PUBLIC_IS_HTTPS) {
-  await fsp.unlink(previewFull).catch(()=>{});
-  await fsp.unlink(stripeFull).catch(()=>{});
-  await fsp.unlink(fullPath).catch(()=>{});
+// プレビューの保存先はジョブが書き出す場所と同じ（S3 の公開URLが https なら S3、それ以外は /previews）
+const previewPathFor = (name) => (s3 && S3_PUBLIC_IS_HTTPS ? `${S3_PUBLIC_BASE}/previews/${name}` : `/previews/${name}`);
+
+// ====== S3 運用では原本をここで S3 へ置く（ワーカーが別のマシンでも読めるように） ======
+let originals;
+if (s3) {
+  originals = [];
+  for (const [index, file] of uploadedFiles.entries()) {
+    const ext = extensionOfImageMimeType(originalMimes[index]);
+    const key = index === 0 ? `originals/${slug}${ext}` : `originals/${slug}-${index}${ext}`;
+    if (file.s3Key) {
+      // 直接アップロード済みの画像はバケット内で複製する（incoming/ の方は Item を作った後に消す）
+      await s3.send(new CopyObjectCommand({
+        Bucket: S3_BUCKET,
+        Key: key,
+        CopySource: `${S3_BUCKET}/${file.s3Key}`,
+        ContentType: originalMimes[index],
+        MetadataDirective: 'REPLACE'
+      }));
+    } else {
+      await s3.send(new PutObjectCommand({
+        Bucket: S3_BUCKET,
+        Key: key,
+        Body: fs.createReadStream(file.path),
+        ContentType: originalMimes[index]
+      }));
+    }
+    uploadedS3Keys.push(key);
+    // S3運用ではローカル原本は捨てるため空にしておく（将来の誤参照防止）
+    originals.push({ filePath: '', s3Key: key, mimeType: originalMimes[index] });
+  }
+} else {
+  originals = uploadedFiles.map((file, index) => ({ filePath: file.path, s3Key: '', mimeType: originalMimes[index] }));
 }
 
-const previewUrl = S3_PUBLIC_IS_HTTPS
-  ? `${S3_PUBLIC_BASE}/${s3KeyPreview}`
-  : `/previews/${previewName}`; // http公開URLや未設定時はローカルを使う
-
-const fullUrl = S3_PUBLIC_IS_HTTPS
-  ? `${S3_PUBLIC_BASE}/${s3KeyFull}`
-  : previewUrl;
-
-// DB には S3 の「原本キー」と「公開URL（プレビュー）」を保存
 const item = await Item.create({
   slug,
   title,
   price: priceNum,
   currency: (CURRENCY).toLowerCase(),
-
-  // 原本キーはダウンロード時の署名URL発行に必要
-  s3Key: s3KeyOriginal,
-
-  // 画像表示・OGP用には S3 の公開URLを保存（ローカル /previews は保存しない）
-  previewPath: previewUrl,
-
-// S3運用ではローカル原本は捨てるため空にしておく（将来の誤参照防止）
-filePath: '',
-
-  mimeType,
+  mimeType: originals[0].mimeType,
+  listingType,
+  // Item.creatorName は後方互換用の補助保存。正規ソースは sellerProfile.creatorDisplayName。
   creatorName: creatorDisplayName || '',
   ownerUser: req.user?._id || null,
   createdBySecret: creatorSecret || '',
@@ -3258,20 +6993,44 @@ filePath: '',
   attestOwner: !!attestOwner,
   uploaderIp: req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.socket.remoteAddress || '',
 
+  // 原本キーはダウンロード時の署名URL発行に必要
+  filePath: originals[0].filePath,
+  s3Key: originals[0].s3Key,
+  previewPath: previewPathFor(`${slug}-preview.jpg`),
+  bundleFiles: originals.slice(1).map((original, offset) => ({
+    ...original,
+    previewPath: previewPathFor(bundlePreviewNameFor(slug, offset + 1))
+  })),
+
   // ライセンス情報
   licensePreset: licensePresetSafe,
-  requireCredit: false,
+  requireCredit: requireCreditBool,
   licenseNotes:  licenseNotesSafe,
   aiGenerated:   aiGeneratedBool,
   aiModelName:   aiModelNameSafe,
-  saleStatus: initialSaleStatus.status,
-  saleStatusReason: initialSaleStatus.reason,
-  saleStatusUpdatedAt: new Date(),
+  // 審査結果はジョブが決める。それまでは processing として販売ページ・購入を止める
+  processingStatus: Item.PROCESSING_STATUSES.PROCESSING,
+  previewStyle,
+});
+createdItem = item;
+if (s3) await discardUploadedFiles();
+
+await enqueueJob(Job.TYPES.PROCESS_UPLOAD, {
+  item: item._id,
+  payload: { losslessOriginal: req.body.losslessOriginal === '1' }
 });
+processingQueued = true;
+console.info('[upload] queued processing', { item: String(item._id), listingType, files: uploadedFiles.length });
 
 const saleUrl = `${BASE_URL}/s/${item.slug}`;
 if (req.xhr || req.headers['x-requested-with'] === 'XMLHttpRequest') {
-  return res.json({ ok: true, createdUrl: saleUrl });
+  return res.json({
+    ok: true,
+    createdUrl: saleUrl,
+    processing: true,
+    statusUrl: `/dashboard/items/${item._id}/processing`,
+    dashboardUrl: `/dashboard/items/${item._id}`
+  });
 }
 
 // ← ここから追加：成功後に再描画する upload 画面にも必要情報を渡す
@@ -3285,14 +7044,24 @@ return res.render('upload', {
   sellerProfileCompleted: sellerProfileCompletedAfter,
   createdUrl: saleUrl,
   minPrice: MIN_PRICE,                   // ← 追加
+  bundleMaxFiles: BUNDLE_MAX_FILES,
+  uploadMaxBytes: CHUNKED_UPLOAD_MAX_BYTES,
+  directUpload: DIRECT_S3_UPLOAD_ENABLED,
   platformFeeDisplay: PLATFORM_FEE_DISPLAY,
   platformFeeDisplayEn: PLATFORM_FEE_DISPLAY_EN
 });
 
 } catch (e) {
   console.error(e);
-  if (workingImagePath) {
-    await fsp.unlink(workingImagePath).catch(() => {});
+  // Item を作る前に失敗したら、置いた原本を残さない。作った後にジョブを積めなかったら失敗扱いにして再実行できるようにする
+  if (!createdItem) {
+    await discardUploadedFiles();
+    await Promise.all(uploadedS3Keys.map((key) => s3.send(new DeleteObjectCommand({ Bucket: S3_BUCKET, Key: key })).catch(() => {})));
+  } else if (!processingQueued) {
+    await Item.updateOne(
+      { _id: createdItem._id },
+      { $set: { processingStatus: Item.PROCESSING_STATUSES.FAILED, processingError: 'enqueue failed' } }
+    ).catch(() => {});
   }
   if (req.xhr || req.headers['x-requested-with'] === 'XMLHttpRequest') {
     return res.status(500).json({ ok: false, message: e?.message || 'アップロードに失敗しました。' });
@@ -3309,12 +7078,16 @@ app.get('/s/:slug', async (req, res) => {
 
     // 商品を軽量に取得
     const item = await Item.findOne({ slug, isDeleted: { $ne: true } })
-      .select('slug title price currency creatorName previewPath licensePreset licenseNotes aiGenerated aiModelName ownerUser s3Key filePath updatedAt')
+      .select('slug title price currency creatorName previewPath animated animatedPreviewPath processingStatus licensePreset licenseNotes aiGenerated aiModelName ownerUser s3Key filePath listingType bundleFiles licenseTiers pricingMode priceSchedule editionLimit editionSold editionReserved soldOutAt updatedAt')
       .lean();
 
     if (!item) {
       return res.status(404).render('error', { message: '販売ページが見つかりません。' });
     }
+    // 出品直後の画像処理が終わるまで（失敗した場合も）販売ページは出さない
+    if (!Item.isProcessed(item)) {
+      return res.status(404).render('error', { message: 'この作品は現在準備中です。しばらくしてから再度アクセスしてください。' });
+    }
 
     // 販売者情報（公開ページでは個人情報を出さず、オーナー判定と受取状態確認だけに利用）
     let seller = null;
@@ -3346,12 +7119,64 @@ app.get('/s/:slug', async (req, res) => {
     // 販売ページの表示名は sellerProfile.creatorDisplayName を正とし、item.creatorName は既存データ用フォールバックのみ。
     const creatorDisplayName = seller?.sellerProfile?.creatorDisplayName || item.creatorName || '';
 
+    // bundle のギャラリー（表紙以外の preview）
+    const bundleLabel = bundleLabelOf(item, lng);
+    const bundleGallery = Item.isBundle(item)
+      ? item.bundleFiles.map((file, offset) => ({
+        index: offset + 1,
+        previewPath: file.previewPath || `/previews/${bundlePreviewNameFor(item.slug, offset + 1)}`
+      }))
+      : [];
+
+    // 期間限定セール（スケジューラの切替を待たず、表示時点の価格を出す）
+    const sale = Item.activeSaleOf(item);
+    const displayPrice = Item.effectivePriceOf(item);
+    const activeSale = sale ? {
+      salePrice: sale.salePrice,
+      regularPrice: sale.regularPrice,
+      endsAtIso: new Date(sale.endsAt).toISOString(),
+      endsAtLabel: formatJstDateTime(sale.endsAt, lng)
+    } : null;
+
+    // ライセンス枠（複数ある時だけ購入フォームに選択肢を出す）。セールは基本枠のみ
+    const tiers = Item.licenseTiersOf(item);
+    const requestedTier = Item.findLicenseTier(item, String(req.query.tier || ''));
+    const licenseTierViews = tiers.length > 1 ? tiers.map((tier) => ({
+      ...licenseViewOf(item, tier.key),
+      price: tier.isBase ? displayPrice : tier.price,
+      regularPrice: tier.isBase && activeSale ? activeSale.regularPrice : null,
+      selected: requestedTier ? requestedTier.key === tier.key : tier.isBase
+    })) : [];
+    const selectedTierPrice = licenseTierViews.find((tier) => tier.selected)?.price ?? displayPrice;
+    const fromPrice = licenseTierViews.length ? Math.min(...licenseTierViews.map((tier) => tier.price)) : displayPrice;
+
+    const ogPrice = lng === 'en'
+      ? Number(fromPrice).toLocaleString('en-US', { style: 'currency', currency: (item.currency || 'jpy').toUpperCase() })
+      : `¥${Number(fromPrice).toLocaleString(numLocale)}`;
+    const ogTiers = licenseTierViews.length
+      ? (lng === 'en' ? ` - ${licenseTierViews.length} license options` : `${Item.isPayWhatYouWant(item) ? '' : '〜'}・ライセンス${licenseTierViews.length}種`)
+      : '';
+    const ogSale = activeSale
+      ? (lng === 'en'
+        ? ` Sale: ${ogPrice} (reg. ${Number(activeSale.regularPrice).toLocaleString('en-US', { style: 'currency', currency: (item.currency || 'jpy').toUpperCase() })}) until ${activeSale.endsAtLabel}.`
+        : `【セール中 ${activeSale.endsAtLabel}まで・通常¥${Number(activeSale.regularPrice).toLocaleString(numLocale)}】`)
+      : '';
+
+    const edition = editionViewOf(item);
+    const soldOut = Boolean(edition?.soldOut);
+    const payWhatYouWant = Item.isPayWhatYouWant(item) ? {
+      minimum: selectedTierPrice,
+      maximum: PWYW_MAX_PRICE,
+      amount: String(req.query.amount || '').replace(/[^\d]/g, '').slice(0, 9) || String(selectedTierPrice),
+      error: payWhatYouWantErrorMessage(String(req.query.amount_error || ''), selectedTierPrice, lng)
+    } : null;
+
     // OGP
     const og = {
       title: `${item.title} | ${req.t('brand')}`,
       desc : lng === 'en'
-        ? `Buy high-resolution now (${Number(item.price).toLocaleString('en-US',{style:'currency',currency:(item.currency||'jpy').toUpperCase()})}).`
-        : `高解像度を今すぐ購入（¥${Number(item.price).toLocaleString(numLocale)}）`,
+        ? (soldOut ? `Sold out (${ogPrice})${bundleLabel ? ` - ${bundleLabel}` : ''}.` : `Buy high-resolution now (${payWhatYouWant ? `pay what you want from ${ogPrice}` : `${licenseTierViews.length ? 'from ' : ''}${ogPrice}`}${ogTiers})${bundleLabel ? ` - ${bundleLabel}` : ''}.${ogSale}`)
+        : (soldOut ? `完売しました（${ogPrice}${bundleLabel ? `・${bundleLabel}` : ''}）` : `${ogSale}高解像度を今すぐ購入（${payWhatYouWant ? `${ogPrice}〜お好きな金額で` : ogPrice}${ogTiers}${bundleLabel ? `・${bundleLabel}` : ''}）`),
       image: absPreview,
       url  : `${BASE_URL}/s/${item.slug}`
     };
@@ -3394,6 +7219,18 @@ res.set('Cache-Control', 'private, max-age=60');
       tokushohoUrl,
       og,
       licenseView,
+      bundleLabel,
+      bundleGallery,
+      // アニメーションの原本を含む出品。表紙の動くプレビューは item.animatedPreviewPath（OGP は静止画のまま）
+      animated: Item.hasAnimation(item),
+      displayPrice,
+      activeSale,
+      edition,
+      payWhatYouWant,
+      licenseTierViews,
+      tierError: req.query.tier_error ? (lng === 'en' ? 'Please choose a license.' : 'ライセンスを選択してください。') : '',
+      discountCode: normalizeDiscountCode(req.query.code),
+      discountError: discountErrorMessage(String(req.query.discount_error || ''), lng),
       lng
       // t, cspNonce は res.locals からそのまま使える
     });
@@ -3457,9 +7294,47 @@ app.post('/checkout/:slug', async (req, res) => {
         message: 'この作品は現在公開停止中です。'
       });
     }
+    if (!Item.isProcessed(item)) {
+      return res.status(409).render('error', { message: 'この作品は現在準備中のため購入できません。' });
+    }
+    if (Item.isSoldOut(item)) {
+      return res.status(409).render('error', { message: 'この作品は完売しました。' });
+    }
+
+// ライセンス枠。複数枠の出品は購入者の選択が必須（単一枠は基本枠）
+const licenseTiers = Item.licenseTiersOf(item);
+const licenseTier = licenseTiers.length > 1
+  ? Item.findLicenseTier(item, String(req.body.licenseTier || ''))
+  : licenseTiers[0];
+if (!licenseTier) {
+  return res.redirect(303, `/s/${item.slug}?tier_error=required#checkoutForm`);
+}
+const tierQuery = licenseTiers.length > 1 ? `&tier=${encodeURIComponent(licenseTier.key)}` : '';
+
+// 割引コード（任意）。不可ならエラー内容を付けて販売ページへ戻す
+// 期間限定セールは基本枠だけに適用し、セール価格を基準にする（スケジューラの切替タイミングに依存しない）
+const activeSale = licenseTier.isBase ? Item.activeSaleOf(item) : null;
+const basePrice = licenseTier.isBase ? Item.effectivePriceOf(item) : licenseTier.price;
+const discountResult = await resolveDiscountForItem(item, req.body.discountCode, basePrice);
+if (discountResult?.error) {
+  const code = encodeURIComponent(normalizeDiscountCode(req.body.discountCode));
+  return res.redirect(303, `/s/${item.slug}?discount_error=${discountResult.error}&code=${code}${tierQuery}#checkoutForm`);
+}
+
+// 価格自由は購入者の入力額で決済する（最低額はセール中ならセール価格）
+let buyerAmount = null;
+if (Item.isPayWhatYouWant(item)) {
+  const parsed = parsePayWhatYouWantAmount(req.body.amount, basePrice);
+  if (parsed.error) {
+    const amount = encodeURIComponent(String(req.body.amount || '').slice(0, 12));
+    return res.redirect(303, `/s/${item.slug}?amount_error=${parsed.error}&amount=${amount}${tierQuery}#checkoutForm`);
+  }
+  buyerAmount = parsed.amount;
+}
+const chargedPrice = discountResult ? discountResult.finalPrice : (buyerAmount ?? basePrice);
 
-// 仕様固定の収益分配（プラットフォーム手数料 4% + 30円）
-const { platformFeeAmount: platformFee } = calcRevenueSplit(item.price);
+// 仕様固定の収益分配（プラットフォーム手数料 4% + 30円）。割引時は割引後の金額で計算する
+const { platformFeeAmount: platformFee } = calcRevenueSplit(chargedPrice);
 
 // 販売者（オーナー）
 let seller = null;
@@ -3496,7 +7371,19 @@ const transferGroup = `item_${item._id}`;
 const commonMetadata = {
   itemId: String(item._id),
   slug: item.slug,
-  sellerId: seller?._id ? String(seller._id) : ''
+  sellerId: seller?._id ? String(seller._id) : '',
+  // Webhook の transfer 計算は決済時の金額を使う（割引・価格変更後でもずれないように）
+  chargedPrice: String(chargedPrice),
+  licenseTier: licenseTier.key,
+  // 決済中にライセンス条件が改訂されても、購入者が同意した版を購入記録に残す
+  licenseRevision: String(Item.currentLicenseRevisionOf(item)),
+  ...(activeSale ? { saleRegularPrice: String(activeSale.regularPrice) } : {}),
+  ...(buyerAmount !== null ? { pricingMode: item.pricingMode, minimumPrice: String(basePrice) } : {}),
+  ...(discountResult ? {
+    originalPrice: String(basePrice),
+    discountCodeId: String(discountResult.discount._id),
+    discountCode: discountResult.discount.code
+  } : {})
 };
 
 const automaticTax = { enabled: true, liability: { type: 'self' } };
@@ -3521,12 +7408,24 @@ const params = {
   line_items: [{
     price_data: {
       currency: item.currency,
-      unit_amount: item.price,
+      unit_amount: chargedPrice,
       tax_behavior: 'inclusive',
 
 product_data: {
-  name: item.title,
+  // bundle は1決済で全画像を配布するため、商品名に枚数を明記する
+  name: [
+    item.title,
+    Item.isBundle(item) ? `（${bundleLabelOf(item)}）` : '',
+    licenseTiers.length > 1 ? `［${licenseViewOf(item, licenseTier.key).label}ライセンス］` : ''
+  ].join(''),
   images: [`${BASE_URL}/public/logo.png`],   // ★ ロゴを表示させる
+  ...(discountResult ? {
+    description: `割引コード ${discountResult.discount.code} 適用（割引前 ¥${basePrice.toLocaleString('ja-JP')}）`
+  } : buyerAmount !== null ? {
+    description: `お好きな金額でのご購入（最低価格 ¥${basePrice.toLocaleString('ja-JP')}）`
+  } : activeSale ? {
+    description: `期間限定セール価格（通常価格 ¥${activeSale.regularPrice.toLocaleString('ja-JP')}）`
+  } : {})
 },
 
     },
@@ -3538,10 +7437,36 @@ product_data: {
   billing_address_collection: 'required',
   automatic_tax: automaticTax,
   customer_creation: 'always',
-  payment_intent_data: paymentIntentData
+  payment_intent_data: paymentIntentData,
+  // 割引コードの利用上限を跨ぐ同時決済を減らすため、割引時はセッションを短く切る（Stripe の下限は30分）
+  // 限定販売も未完了の決済が在庫を長く押さえないよう同じく短くする
+  ...((discountResult || Item.editionLimitOf(item) !== null) ? { expires_at: Math.floor(Date.now() / 1000) + EDITION_CHECKOUT_TTL_SEC } : {})
 };
 
-const session = await stripe.checkout.sessions.create(params);
+// 限定販売は Session 作成前に1点確保（期限切れ・失敗は Webhook で戻す）
+const edition = await reserveEditionForCheckout(item);
+if (edition.limited && !edition.ok) {
+  return res.status(409).render('error', {
+    message: edition.soldOut
+      ? 'この作品は完売しました。'
+      : '現在ほかの方が購入手続き中です。しばらくしてから再度お試しください。'
+  });
+}
+if (edition.reservation) commonMetadata.editionReservationId = String(edition.reservation._id);
+
+let session;
+try {
+  session = await stripe.checkout.sessions.create(params);
+} catch (e) {
+  if (edition.reservation) await releaseEditionReservation(edition.reservation._id, 'checkout_failed');
+  throw e;
+}
+if (edition.reservation) {
+  await EditionReservation.updateOne(
+    { _id: edition.reservation._id },
+    { $set: { sessionId: session.id, expiresAt: new Date(Number(session.expires_at) * 1000) } }
+  );
+}
 
     console.log('[checkout] session created:', session.id, '→', session.url);
 
@@ -3648,7 +7573,9 @@ app.post('/webhooks/stripe', async (req, res) => {
       const paidAmount = Number.isFinite(session.amount_total)
         ? Number(session.amount_total)
         : null;
+      const buyerEmail = normalizeBuyerEmail(session.customer_details?.email || session.customer_email);
       const item = (paid && itemId) ? await Item.findById(itemId) : null;
+      const chargedPrice = chargedPriceOfSession(session, item);
       
       // --------------------
       // 1) ダウンロードトークンの発行（既存ロジック）
@@ -3668,9 +7595,19 @@ app.post('/webhooks/stripe', async (req, res) => {
           sessionId,
           paymentIntentId,
           item,
-          amount: paidAmount ?? Number(item.price || 0),
+          amount: paidAmount ?? chargedPrice,
           purchasedAt,
+          buyerEmail,
+          licenseTier: session.metadata?.licenseTier || item.licensePreset || '',
+          licenseRevision: Number(session.metadata?.licenseRevision) || null,
         });
+        await recordDiscountRedemption({
+          session,
+          item,
+          paymentIntentId,
+          amount: paidAmount ?? chargedPrice,
+        });
+        await convertEditionReservation(session.metadata?.editionReservationId);
       }
 
       // --------------------
@@ -3690,7 +7627,7 @@ app.post('/webhooks/stripe', async (req, res) => {
               const seller = await User.findById(item.ownerUser);
 
               // 仕様固定の手数料計算（4% + 30円）
-              const { sellerAmount, platformFeeAmount, grossAmount } = calcRevenueSplit(item.price);
+              const { sellerAmount, platformFeeAmount, grossAmount } = calcRevenueSplit(chargedPrice);
               const transferGroup = pi.transfer_group || `item_${item._id}`;
               const now = new Date();
 
@@ -3817,7 +7754,7 @@ app.post('/webhooks/stripe', async (req, res) => {
           if (piId && itemId) {
               const item = await Item.findById(itemId);
               if (item) {
-              const { sellerAmount, platformFeeAmount, grossAmount } = calcRevenueSplit(item.price);
+              const { sellerAmount, platformFeeAmount, grossAmount } = calcRevenueSplit(chargedPriceOfSession(session, item));
               const existing = await PendingTransfer.findOne({ paymentIntentId: piId }).lean();
               if (existing?.status === 'transferred' || existing?.status === 'expired') {
                 console.log('[transfer] exception queue skipped (already finalized)', { pi: piId, status: existing.status });
@@ -3851,128 +7788,1030 @@ app.post('/webhooks/stripe', async (req, res) => {
     } else if (event.type === 'checkout.session.async_payment_failed') {
       const session = event.data.object; // Stripe.Checkout.Session
       console.warn('[webhook] async payment failed:', session.id);
+      await releaseEditionReservation(session.metadata?.editionReservationId, 'payment_failed');
+    } else if (event.type === 'checkout.session.expired') {
+      // 期限切れの Session が押さえていた限定販売の在庫を戻す
+      const session = event.data.object; // Stripe.Checkout.Session
+      try {
+        await releaseEditionReservation(session.metadata?.editionReservationId, 'session_expired');
+      } catch (eErr) {
+        await ProcessedEvent.deleteOne({ eventId: event.id }).catch(() => {});
+        throw eErr;
+      }
+    } else if (
+      event.type === 'charge.refunded' ||
+      event.type === 'charge.dispute.created' ||
+      event.type === 'charge.dispute.closed'
+    ) {
+      // 処理は冪等なので、失敗時は ProcessedEvent を消して Stripe の再送で再処理させる
+      try {
+        if (event.type === 'charge.refunded') {
+          await handleChargeRefunded(event.data.object); // Stripe.Charge
+        } else if (event.type === 'charge.dispute.created') {
+          await handleChargeDisputeCreated(event.data.object); // Stripe.Dispute
+        } else {
+          await handleChargeDisputeClosed(event.data.object); // Stripe.Dispute
+        }
+      } catch (rErr) {
+        await ProcessedEvent.deleteOne({ eventId: event.id }).catch(() => {});
+        throw rErr;
+      }
+    }
+
+    res.json({ received: true });
+  } catch (e) {
+    console.error('[webhook] handler error', e);
+    res.status(500).send('handler error');
+  }
+});
+
+// success（Webhook で発行済みトークンを優先。無ければフォールバック発行）
+app.get('/success', async (req, res) => {
+  try {
+    const { session_id, slug } = req.query;
+    if (!stripe) return res.status(500).render('error', { message: '決済設定が未完了です（STRIPE_SECRET_KEY）。' });
+
+    const item = await Item.findOne({ slug, isDeleted: { $ne: true } });
+    if (!item) return res.status(404).render('error', { message: '商品が見つかりません。' });
+
+    const session = await stripe.checkout.sessions.retrieve(String(session_id));
+    const paid = session && session.payment_status === 'paid' && session.metadata?.itemId === String(item._id);
+    if (!paid) return res.status(403).render('error', { message: 'お支払いの確認ができませんでした。' });
+
+    // 既存トークンがあれば再利用。無い場合は「購入後10分以内」だけフォールバック発行する
+    let doc = await DownloadToken.findOne({ sessionId: session.id });
+    if (!doc) {
+      const sessionCreatedAtMs = Number(session.created || 0) * 1000;
+      const isWithinFallbackWindow =
+        sessionCreatedAtMs > 0 &&
+        (Date.now() - sessionCreatedAtMs) <= DOWNLOAD_TOKEN_TTL_MS;
+
+      if (!isWithinFallbackWindow) {
+        return res.status(410).render('error', { message: DOWNLOAD_TOKEN_EXPIRED_MESSAGE });
+      }
+
+      doc = await findOrCreateDownloadToken({
+        sessionId: session.id,
+        itemId: item._id,
+      });
+    }
+    if (!doc) return res.status(500).render('error', { message: 'ダウンロードトークンの発行に失敗しました。' });
+    if (doc.revokedAt) return res.status(410).render('error', { message: DOWNLOAD_TOKEN_REVOKED_MESSAGE });
+    if (doc.expiresAt.getTime() <= Date.now()) {
+      return res.status(410).render('error', { message: DOWNLOAD_TOKEN_EXPIRED_MESSAGE });
+    }
+
+    const saveUrl = `${BASE_URL}/download/file/${doc.token}`;
+
+return res.render('success', {
+  item, saveUrl, expiresAt: doc.expiresAt, ttlMin: DOWNLOAD_TOKEN_TTL_MIN,
+  lng: getLng(req)
+});
+
+  } catch (e) {
+    console.error(e);
+    return res.status(500).render('error', { message: '決済結果の処理に失敗しました。' });
+  }
+});
+
+async function resolveDownloadToken(token) {
+  const doc = await DownloadToken.findOne({ token });
+  if (!doc) return { error: { status: 404, message: 'ダウンロードリンクが無効です。' } };
+  if (doc.revokedAt) return { error: { status: 410, message: DOWNLOAD_TOKEN_REVOKED_MESSAGE } };
+  if (doc.expiresAt.getTime() <= Date.now()) return { error: { status: 410, message: DOWNLOAD_TOKEN_EXPIRED_MESSAGE } };
+
+  const item = await Item.findById(doc.item);
+  if (!item) return { error: { status: 404, message: 'ファイルが見つかりません。' } };
+
+  // 原本の差し替え・ライセンス条件の改訂があっても、購入時点の版を配布・表示する
+  if (item.originalHistory?.length || Item.currentLicenseRevisionOf(item) > 1) {
+    const purchaseRecord = await purchaseRecordOfDownloadToken(doc);
+    const purchased = Item.atOriginalVersion(item, purchaseRecord?.originalVersion);
+    return { doc, item: await itemAtLicenseRevisionOf(purchased, purchaseRecord?.licenseRevision) };
+  }
+  return { doc, item };
+}
+
+// 指定した版のライセンス条件に戻した作品。版 N の条件は「版 N+1 への改訂の before」に残っている
+async function itemAtLicenseRevisionOf(item, revision = null) {
+  const target = Number(revision) || 1;
+  if (target >= Item.currentLicenseRevisionOf(item)) return item;
+  const next = await LicenseRevision.findOne({ item: item._id, revision: target + 1 }).select('before').lean();
+  if (!next?.before) return item;
+  const base = typeof item.toObject === 'function' ? item.toObject() : item;
+  return { ...base, ...LicenseRevision.termsOf(next.before) };
+}
+
+async function findOrCreateDownloadToken({ sessionId, itemId }) {
+  const expiresAt = new Date(Date.now() + DOWNLOAD_TOKEN_TTL_MS);
+  const insertDoc = {
+    token: nanoid(32),
+    item: itemId,
+    expiresAt,
+    sessionId,
+  };
+
+  try {
+    const doc = await DownloadToken.findOneAndUpdate(
+      { sessionId },
+      { $setOnInsert: insertDoc },
+      { new: true, upsert: true }
+    );
+    if (doc) return doc;
+  } catch (e) {
+    if (e?.code !== 11000) throw e;
+  }
+
+  return await DownloadToken.findOne({ sessionId });
+}
+
+// 実際に支払われた金額（amount_total）を正とする。無ければ決済時の metadata.chargedPrice → item.price の順
+function chargedPriceOfSession(session, item) {
+  const paid = Number(session?.amount_total);
+  if (Number.isInteger(paid) && paid >= 0) return paid;
+  const charged = Number(session?.metadata?.chargedPrice);
+  if (Number.isInteger(charged) && charged >= 0) return charged;
+  return Number(item?.price || 0);
+}
+
+async function upsertPurchaseRecord({ sessionId, paymentIntentId, item, amount, purchasedAt, buyerEmail = '', licenseTier = '', licenseRevision = null }) {
+  if (!sessionId || !item?._id || !item?.ownerUser) return null;
+  const insertDoc = {
+    seller: item.ownerUser,
+    item: item._id,
+    sessionId,
+    paymentIntentId: String(paymentIntentId || ''),
+    amount: Number.isFinite(amount) ? amount : Number(item.price || 0),
+    purchasedAt: purchasedAt instanceof Date ? purchasedAt : new Date(),
+    buyerEmail,
+    licenseTier,
+    licenseRevision: licenseRevision || Item.currentLicenseRevisionOf(item),
+    originalVersion: Item.currentOriginalVersionOf(item),
+    certificateCode: generateCertificateCode(),
+  };
+
+  try {
+    const doc = await PurchaseRecord.findOneAndUpdate(
+      { sessionId },
+      { $setOnInsert: insertDoc },
+      { new: true, upsert: true }
+    );
+    if (doc) {
+      // backfill 等でメール無しで作られていた履歴には後から補完する
+      if (buyerEmail && !doc.buyerEmail) {
+        await PurchaseRecord.updateOne({ _id: doc._id, buyerEmail: '' }, { $set: { buyerEmail } });
+        doc.buyerEmail = buyerEmail;
+      }
+      return doc;
+    }
+  } catch (e) {
+    if (e?.code !== 11000) throw e;
+  }
+
+  return await PurchaseRecord.findOne({ sessionId });
+}
+
+function normalizeBuyerEmail(raw) {
+  const email = String(raw || '').trim().toLowerCase();
+  if (!email || email.length > 254) return '';
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? email : '';
+}
+
+function hashLibraryToken(token) {
+  return crypto.createHash('sha256').update(String(token || '')).digest('hex');
+}
+
+function getBuyerLibrarySession(req) {
+  const library = req.session?.buyerLibrary;
+  if (!library?.email || !library?.expiresAt) return null;
+  if (new Date(library.expiresAt).getTime() <= Date.now()) {
+    delete req.session.buyerLibrary;
+    return null;
+  }
+  return library;
+}
+
+// 同じメールへの送信は 1時間あたり LIBRARY_LINK_MAX_PER_HOUR 通まで。購入履歴が無いメールには送らない
+async function sendBuyerLibraryLink(email, lng = 'ja') {
+  const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+  const recentCount = await BuyerLibraryLink.countDocuments({ email, createdAt: { $gte: hourAgo } });
+  if (recentCount >= LIBRARY_LINK_MAX_PER_HOUR) {
+    console.warn('[library] link request throttled', { recentCount });
+    return false;
+  }
+  const hasPurchases = await PurchaseRecord.exists({ buyerEmail: email });
+  if (!hasPurchases) return false;
+
+  const token = nanoid(40);
+  await BuyerLibraryLink.create({
+    tokenHash: hashLibraryToken(token),
+    email,
+    expiresAt: new Date(Date.now() + LIBRARY_LINK_TTL_MIN * 60 * 1000),
+  });
+
+  const url = `${BASE_URL}/library/auth/${token}`;
+  const isEn = lng === 'en';
+  await mailer.sendMail({
+    to: email,
+    subject: isEn ? '[Instant Sale] Your purchase library link' : '【Instant Sale】購入履歴ページへのログインリンク',
+    text: (isEn
+      ? [
+        'Open the link below to see your purchases and download them again.',
+        url,
+        '',
+        `This link can be used once and expires in ${LIBRARY_LINK_TTL_MIN} minutes.`,
+        'If you did not request this email, you can safely ignore it.'
+      ]
+      : [
+        '以下のリンクから購入履歴を開き、購入した画像を再ダウンロードできます。',
+        url,
+        '',
+        `このリンクは1回限り・${LIBRARY_LINK_TTL_MIN}分間有効です。`,
+        'お心当たりのない場合は、このメールを破棄してください。'
+      ]).join('\n')
+  });
+  return true;
+}
+
+// 有効なトークンが残っていれば再利用し、無ければ購入ごとのレート制限内で新規発行する
+async function issueLibraryDownloadToken(record) {
+  if (PurchaseRecord.isAccessRevoked(record)) return { revoked: true };
+  const now = Date.now();
+  // 開いてすぐ切れないよう、残り1分未満のトークンは再利用しない
+  const reusableAfter = new Date(now + 60 * 1000);
+  const reusable = await DownloadToken.findOne({
+    $or: [{ purchase: record._id }, { sessionId: record.sessionId }],
+    revokedAt: null,
+    expiresAt: { $gt: reusableAfter }
+  }).sort({ expiresAt: -1 });
+  if (reusable) return { doc: reusable };
+
+  await PurchaseRecord.updateOne(
+    {
+      _id: record._id,
+      $or: [
+        { libraryTokenWindowStartedAt: null },
+        { libraryTokenWindowStartedAt: { $lte: new Date(now - LIBRARY_TOKEN_WINDOW_MS) } }
+      ]
+    },
+    { $set: { libraryTokenWindowStartedAt: new Date(now), libraryTokenCount: 0 } }
+  );
+  const claimed = await PurchaseRecord.findOneAndUpdate(
+    { _id: record._id, libraryTokenCount: { $lt: LIBRARY_TOKENS_PER_PURCHASE_PER_DAY } },
+    { $inc: { libraryTokenCount: 1 } },
+    { new: true }
+  );
+  if (!claimed) {
+    const current = await PurchaseRecord.findById(record._id).select('libraryTokenWindowStartedAt').lean();
+    const windowStartedAt = current?.libraryTokenWindowStartedAt ? new Date(current.libraryTokenWindowStartedAt).getTime() : now;
+    return { rateLimited: true, retryAt: new Date(windowStartedAt + LIBRARY_TOKEN_WINDOW_MS) };
+  }
+
+  const doc = await DownloadToken.create({
+    token: nanoid(32),
+    item: record.item,
+    purchase: record._id,
+    expiresAt: new Date(now + DOWNLOAD_TOKEN_TTL_MS),
+  });
+  console.info('[library] download token issued', { purchase: String(record._id), count: claimed.libraryTokenCount });
+  return { doc };
+}
+
+// bundle は「タイトル_01.jpg」のように連番を付ける。file は Item.deliveryFilesOf() の要素
+// 拡張子は保存形式（mimeType）を優先する。PNG/WebP の原本は形式を保って配布するため
+function getDownloadFilename(item, fallbackPath = '', { file = item, index = 0 } = {}) {
+  const formatExt = extensionOfImageMimeType(file?.mimeType);
+  const keyExt = path.extname(String(file?.s3Key || ''));
+  const fallbackExt = path.extname(String(fallbackPath || ''));
+  const mimeExt = file?.mimeType && mime.extension(file.mimeType) ? `.${mime.extension(file.mimeType)}` : '';
+  const suffix = Item.isBundle(item) ? `_${String(index + 1).padStart(2, '0')}` : '';
+  return `${item.title}${suffix}${formatExt || keyExt || fallbackExt || mimeExt}`;
+}
+
+// /download/*/:token/:index? の index を配布対象の原本に解決する（省略時は1枚目）
+function resolveDeliveryFile(item, rawIndex) {
+  const files = Item.deliveryFilesOf(item);
+  const index = (typeof rawIndex === 'undefined' || rawIndex === '') ? 0 : Number(rawIndex);
+  if (!Number.isInteger(index) || index < 0 || index >= files.length) return null;
+  return { file: files[index], index, total: files.length };
+}
+
+function downloadFileLinksOf(item, token) {
+  const files = Item.deliveryFilesOf(item);
+  if (files.length <= 1) return [];
+  return files.map((file, index) => ({
+    index,
+    label: getDownloadFilename(item, file.filePath, { file, index }),
+    openUrl: `/download/open/${token}/${index}`,
+    saveUrl: `/download/file/${token}/${index}`
+  }));
+}
+
+// ====== ZIP 一括ダウンロード ======
+// 1リクエストで束ねられるダウンロードトークン数の上限
+const ZIP_MAX_TOKENS = 20;
+
+// ZIP エントリ名として安全な文字列に整形（パス区切り・制御文字・先頭ドットを除去）
+function sanitizeArchiveEntryName(name, fallback = 'file') {
+  const normalized = String(name || '').normalize('NFC');
+  const ext = path.extname(normalized).replace(/[^.a-z0-9]/gi, '').slice(0, 10);
+  const base = (ext ? normalized.slice(0, -path.extname(normalized).length) : normalized)
+    .replace(/[\\/:*?"<>|\u0000-\u001f\u007f]/g, '_')
+    .replace(/^[.\s]+/, '')
+    .trim()
+    .slice(0, 100);
+  return `${base || fallback}${ext}`;
+}
+
+// ZIP に同梱するライセンス条件（購入時点の版の licensePreset / licenseNotes をそのまま文章化）
+function buildLicenseTermsText(item, licenseKey) {
+  const licenseView = licenseViewOf(item, licenseKey);
+  const lines = [
+    'ライセンス条件 / License Terms',
+    '==============================',
+    `作品名: ${item.title}`,
+    `販売ページ: ${saleUrlFor(item)}`,
+    `ライセンス: ${licenseView.label} (${licenseView.key})`,
+    `利用範囲: ${licenseView.desc}`,
+  ];
+  if (item.licenseNotes) {
+    lines.push('', '販売者による補足:', item.licenseNotes);
+  }
+  if (item.aiGenerated) {
+    lines.push('', `生成AI作品（モデル名：${item.aiModelName || '—'}）`);
+  }
+  lines.push(
+    '',
+    'クレジット表記: 不要',
+    `共通ルール（画像ライセンスポリシー）: ${BASE_URL}/image-license`,
+    ''
+  );
+  return lines.join('\n');
+}
+
+function buildPurchaseSummaryText({ item, doc, purchaseRecord, sellerName, fileNames }) {
+  const purchasedAt = purchaseRecord?.purchasedAt || doc.createdAt || null;
+  const lines = [
+    '購入内容 / Purchase Summary',
+    '===========================',
+    `作品名: ${item.title}`,
+    `販売者: ${sellerName || '—'}`,
+    `販売ページ: ${saleUrlFor(item)}`,
+    `購入日時: ${purchasedAt ? new Date(purchasedAt).toLocaleString('ja-JP', { timeZone: 'Asia/Tokyo' }) : '—'}（日本時間）`,
+    `お支払い金額: ${purchaseRecord ? `¥${Number(purchaseRecord.amount || 0).toLocaleString('ja-JP')}` : '—'}`,
+    `ライセンス: ${licenseViewOf(item, licenseKeyOfPurchase(purchaseRecord, item)).label}`,
+    `決済ID: ${purchaseRecord?.sessionId || doc.sessionId || '—'}`,
+    '',
+    '同梱ファイル:',
+    ...fileNames.map((name) => `- ${name}`),
+    '- LICENSE.txt',
+    '',
+    'お問い合わせの際は決済IDをお知らせください。',
+    ''
+  ];
+  return lines.join('\n');
+}
+
+async function openDeliveryFileStream(file) {
+  if (s3 && file.s3Key) {
+    const s3Object = await s3.send(new GetObjectCommand({ Bucket: S3_BUCKET, Key: file.s3Key }));
+    if (!s3Object.Body) throw new Error(`S3 object body is empty: ${file.s3Key}`);
+    return s3Object.Body;
+  }
+  return fs.createReadStream(String(file.filePath || '').trim());
+}
+
+// archiver は append 順に処理するため、1件ずつ entry 完了を待って S3 接続を同時に開きすぎないようにする
+function appendArchiveEntry(archive, source, data) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      archive.off('entry', onEntry);
+      archive.off('error', onError);
+    };
+    const onEntry = () => { cleanup(); resolve(); };
+    const onError = (err) => { cleanup(); reject(err); };
+    archive.once('entry', onEntry);
+    archive.once('error', onError);
+    archive.append(source, data);
+  });
+}
+
+async function streamPurchaseZip(req, res, tokens) {
+  const uniqueTokens = [...new Set(tokens.map((token) => String(token || '').trim()).filter(Boolean))];
+  if (!uniqueTokens.length) {
+    return res.status(400).render('error', { message: 'ダウンロードリンクが指定されていません。' });
+  }
+  if (uniqueTokens.length > ZIP_MAX_TOKENS) {
+    return res.status(400).render('error', { message: `一度にまとめられるのは${ZIP_MAX_TOKENS}件までです。` });
+  }
+
+  // すべてのトークンを先に検証（ZIP 送信開始後はエラー画面を出せないため）
+  const purchases = [];
+  for (const token of uniqueTokens) {
+    const resolved = await resolveDownloadToken(token);
+    if (resolved.error) return res.status(resolved.error.status).render('error', { message: resolved.error.message });
+    if (purchases.some((purchase) => String(purchase.item._id) === String(resolved.item._id))) continue;
+
+    const files = Item.deliveryFilesOf(resolved.item);
+    const missingLocal = files.some((file) => {
+      if (s3 && file.s3Key) return false;
+      const absRaw = String(file.filePath || '').trim();
+      return !absRaw || !fs.existsSync(absRaw) || (() => { try { return !fs.statSync(absRaw).isFile(); } catch { return true; } })();
+    });
+    if (missingLocal) return res.status(404).render('error', { message: 'ファイルが存在しません。' });
+
+    purchases.push({ ...resolved, files });
+  }
+
+  const sessionIds = purchases.map(({ doc }) => doc.sessionId).filter(Boolean);
+  const purchaseIds = purchases.map(({ doc }) => doc.purchase).filter(Boolean);
+  const ownerIds = [...new Set(purchases.map(({ item }) => item.ownerUser).filter(Boolean).map(String))];
+  const [purchaseRecords, owners] = await Promise.all([
+    (sessionIds.length || purchaseIds.length)
+      ? PurchaseRecord.find({ $or: [{ sessionId: { $in: sessionIds } }, { _id: { $in: purchaseIds } }] }).lean()
+      : [],
+    ownerIds.length ? User.find({ _id: { $in: ownerIds } }).select('sellerProfile.creatorDisplayName').lean() : []
+  ]);
+  const purchaseRecordOf = (doc) => purchaseRecords.find((record) => (
+    (doc.sessionId && record.sessionId === doc.sessionId) ||
+    (doc.purchase && String(record._id) === String(doc.purchase))
+  )) || null;
+  const ownerById = new Map(owners.map((owner) => [String(owner._id), owner]));
+
+  const archiveName = purchases.length === 1
+    ? sanitizeArchiveEntryName(`${purchases[0].item.title}.zip`, 'instant-sale.zip')
+    : `instant-sale-${purchases.length}items.zip`;
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(archiveName)}`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  // 画像は圧縮済みなので無圧縮（store）で CPU を使わずに流す
+  const archive = archiver('zip', { store: true });
+  archive.on('warning', (err) => console.warn('[download:zip] warning', err?.message || err));
+  archive.on('error', (err) => {
+    console.error('[download:zip] archive error', err);
+    res.destroy(err);
+  });
+  res.on('close', () => {
+    if (!res.writableFinished) archive.abort();
+  });
+  archive.pipe(res);
+
+  try {
+    for (const { doc, item, files } of purchases) {
+      const folder = purchases.length > 1 ? `${sanitizeArchiveEntryName(item.title, 'item')}_${item.slug}/` : '';
+      const purchaseRecord = purchaseRecordOf(doc);
+      const fileNames = [];
+      for (const [index, file] of files.entries()) {
+        const entryName = sanitizeArchiveEntryName(getDownloadFilename(item, file.filePath, { file, index }), `image_${index + 1}`);
+        const source = (await watermarkedDeliveryBufferOf(file, purchaseRecord)) || await openDeliveryFileStream(file);
+        await appendArchiveEntry(archive, source, { name: `${folder}${entryName}` });
+        fileNames.push(entryName);
+      }
+
+      const owner = item.ownerUser ? ownerById.get(String(item.ownerUser)) : null;
+      archive.append(buildLicenseTermsText(item, licenseKeyOfPurchase(purchaseRecord, item)), { name: `${folder}LICENSE.txt` });
+      archive.append(buildPurchaseSummaryText({
+        item,
+        doc,
+        purchaseRecord,
+        sellerName: owner?.sellerProfile?.creatorDisplayName || item.creatorName || '',
+        fileNames
+      }), { name: `${folder}PURCHASE.txt` });
     }
 
-    res.json({ received: true });
+    await archive.finalize();
+    console.info('[download:zip] sent', { items: purchases.length, bytes: archive.pointer() });
   } catch (e) {
-    console.error('[webhook] handler error', e);
-    res.status(500).send('handler error');
+    console.error('[download:zip] failed', e);
+    archive.abort();
+    res.destroy(e);
   }
+}
+
+// ====== 購入ごとの不可視透かし（フォレンジック・ウォーターマーク） ======
+// 配布する原本に購入記録ごとの watermarkId を画素として埋め込み、流出画像から購入を特定できるようにする
+// 鍵を変えると配布済み画像の透かしが読めなくなるため、FORENSIC_WATERMARK_SECRET は必須（他の鍵では代用しない）。
+// 未設定なら透かしを無効にする。配布は透かしなし（watermarkSkipReason: disabled）になり、照合画面は使えない
+const forensicWatermark = process.env.FORENSIC_WATERMARK_SECRET
+  ? createForensicWatermark({ secret: process.env.FORENSIC_WATERMARK_SECRET })
+  : null;
+if (!forensicWatermark) {
+  console.error('[ERROR] FORENSIC_WATERMARK_SECRET 未設定のため、購入ごとの透かしを無効にしました。原本は透かしなしで配布されます。');
+}
+// 透かしの CRC が崩れた画像を、対象作品の購入記録と総当たりで照合するときの下限（1.0 = 全ビット一致）
+const WATERMARK_CANDIDATE_MIN_SCORE = 0.6;
+const WATERMARK_CANDIDATE_LIMIT = 5;
+const watermarkTraceUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter,
+  limits: { fileSize: 20 * 1024 * 1024, files: 1 }
 });
 
-// success（Webhook で発行済みトークンを優先。無ければフォールバック発行）
-app.get('/success', async (req, res) => {
-  try {
-    const { session_id, slug } = req.query;
-    if (!stripe) return res.status(500).render('error', { message: '決済設定が未完了です（STRIPE_SECRET_KEY）。' });
+async function purchaseRecordOfDownloadToken(doc) {
+  if (doc.purchase) return PurchaseRecord.findById(doc.purchase).lean();
+  if (doc.sessionId) return PurchaseRecord.findOne({ sessionId: doc.sessionId }).lean();
+  return null;
+}
 
-    const item = await Item.findOne({ slug, isDeleted: { $ne: true } });
-    if (!item) return res.status(404).render('error', { message: '商品が見つかりません。' });
+function ensureWatermarkId(record) {
+  return assignPurchaseRecordCode(record, 'watermarkId', generateWatermarkId);
+}
 
-    const session = await stripe.checkout.sessions.retrieve(String(session_id));
-    const paid = session && session.payment_status === 'paid' && session.metadata?.itemId === String(item._id);
-    if (!paid) return res.status(403).render('error', { message: 'お支払いの確認ができませんでした。' });
+// 透かしは原本と同じ形式で書き出す。GIF は減色で透かしが消えるため原本のまま配布する。
+// アニメーションの WebP も、1コマ目だけの静止画にしないよう原本のまま配布する
+const WATERMARK_OUTPUT_FORMATS = Object.freeze({ 'image/jpeg': 'jpeg', 'image/png': 'png', 'image/webp': 'webp' });
+const WATERMARK_SKIP_REASON_LABELS = Object.freeze({
+  animated: 'アニメーション画像',
+  unsupported_format: '透かし非対応の形式',
+  too_large: '原本が大きすぎる',
+  disabled: '透かしが無効（鍵が未設定）',
+  embed_failed: '埋め込みに失敗'
+});
 
-    // 既存トークンがあれば再利用。無い場合は「購入後10分以内」だけフォールバック発行する
-    let doc = await DownloadToken.findOne({ sessionId: session.id });
-    if (!doc) {
-      const sessionCreatedAtMs = Number(session.created || 0) * 1000;
-      const isWithinFallbackWindow =
-        sessionCreatedAtMs > 0 &&
-        (Date.now() - sessionCreatedAtMs) <= DOWNLOAD_TOKEN_TTL_MS;
+// 透かしなしで配布した購入は PurchaseRecord.watermarkSkippedAt / watermarkSkipReason に残し、照合画面と出品者の作品詳細に表示する
+function watermarkFormatOf(file) {
+  if (!forensicWatermark || file.animated) return null;
+  const mimeType = normalizeImageMimeType(file.mimeType);
+  if (mimeType) return WATERMARK_OUTPUT_FORMATS[mimeType] || null;
+  return /\.jpe?g$/i.test(String(file.s3Key || file.filePath || '')) ? 'jpeg' : null;
+}
 
-      if (!isWithinFallbackWindow) {
-        return res.status(410).render('error', { message: DOWNLOAD_TOKEN_EXPIRED_MESSAGE });
-      }
+function isWatermarkableFile(file) {
+  return !!watermarkFormatOf(file);
+}
 
-      doc = await findOrCreateDownloadToken({
-        sessionId: session.id,
-        itemId: item._id,
-      });
+async function readDeliveryFileBuffer(file) {
+  if (s3 && file.s3Key) {
+    const s3Object = await s3.send(new GetObjectCommand({ Bucket: S3_BUCKET, Key: file.s3Key }));
+    if (!s3Object.Body) throw new Error(`S3 object body is empty: ${file.s3Key}`);
+    return Buffer.from(await s3Object.Body.transformToByteArray());
+  }
+  return fs.promises.readFile(String(file.filePath || '').trim());
+}
+
+function watermarkSkipReasonOf(file) {
+  if (!forensicWatermark) return 'disabled';
+  return file.animated ? 'animated' : 'unsupported_format';
+}
+
+async function deliveryFileSizeOf(file) {
+  if (s3 && file.s3Key) {
+    const head = await s3.send(new HeadObjectCommand({ Bucket: S3_BUCKET, Key: file.s3Key }));
+    return Number(head.ContentLength || 0);
+  }
+  return (await fsp.stat(String(file.filePath || '').trim())).size;
+}
+
+// 透かしの埋め込みを同時に FORENSIC_WATERMARK_CONCURRENCY 件までにする（超えた分は順番待ち）
+let activeWatermarkEmbeds = 0;
+const watermarkEmbedWaiters = [];
+async function withWatermarkEmbedSlot(task) {
+  while (activeWatermarkEmbeds >= FORENSIC_WATERMARK_CONCURRENCY) {
+    await new Promise((resolve) => watermarkEmbedWaiters.push(resolve));
+  }
+  activeWatermarkEmbeds += 1;
+  try {
+    return await task();
+  } finally {
+    activeWatermarkEmbeds -= 1;
+    watermarkEmbedWaiters.shift()?.();
+  }
+}
+
+// 透かしなしで原本を配布したことを購入記録に残す（記録に失敗しても配布は止めない）
+async function recordUnwatermarkedDelivery(purchaseRecord, reason) {
+  if (!purchaseRecord?._id) return;
+  console.warn('[watermark:skip] delivering original without watermark', { purchase: String(purchaseRecord._id), reason });
+  await PurchaseRecord.updateOne(
+    { _id: purchaseRecord._id },
+    { $set: { watermarkSkippedAt: new Date(), watermarkSkipReason: reason } }
+  ).catch((e) => console.error('[watermark:skip] record failed', { purchase: String(purchaseRecord._id), message: e?.message || e }));
+}
+
+// 透かし入りの画像（原本と同じ形式）を返す。埋め込めない場合は null（呼び出し側で原本をそのまま配布する）
+async function watermarkedDeliveryBufferOf(file, purchaseRecord) {
+  if (!purchaseRecord) return null;
+  if (!isWatermarkableFile(file)) {
+    await recordUnwatermarkedDelivery(purchaseRecord, watermarkSkipReasonOf(file));
+    return null;
+  }
+  try {
+    if ((await deliveryFileSizeOf(file)) > FORENSIC_WATERMARK_MAX_BYTES) {
+      await recordUnwatermarkedDelivery(purchaseRecord, 'too_large');
+      return null;
     }
-    if (!doc) return res.status(500).render('error', { message: 'ダウンロードトークンの発行に失敗しました。' });
-    if (doc.expiresAt.getTime() <= Date.now()) {
-      return res.status(410).render('error', { message: DOWNLOAD_TOKEN_EXPIRED_MESSAGE });
+    const watermarkId = await ensureWatermarkId(purchaseRecord);
+    const watermarked = await withWatermarkEmbedSlot(async () => {
+      const original = await readDeliveryFileBuffer(file);
+      const { width = 0, height = 0 } = await sharp(original).metadata();
+      if (width * height > FORENSIC_WATERMARK_MAX_PIXELS) return null;
+      return forensicWatermark.embed(original, watermarkId, { format: watermarkFormatOf(file) });
+    });
+    if (!watermarked) await recordUnwatermarkedDelivery(purchaseRecord, 'too_large');
+    return watermarked;
+  } catch (e) {
+    console.error('[watermark:embed] failed', { purchase: String(purchaseRecord._id), message: e?.message || e });
+    await recordUnwatermarkedDelivery(purchaseRecord, 'embed_failed');
+    return null;
+  }
+}
+
+function watermarkTraceMatchViewOf(record, item, score) {
+  return {
+    purchaseId: String(record._id),
+    sessionId: record.sessionId,
+    purchasedAt: record.purchasedAt,
+    buyerEmail: record.buyerEmail || '',
+    amount: record.amount,
+    status: record.status,
+    licenseLabel: item ? licenseViewOf(item, licenseKeyOfPurchase(record, item)).label : '',
+    itemTitle: item?.title || '(削除済みの作品)',
+    itemSlug: item?.slug || '',
+    watermarkId: record.watermarkId,
+    watermarkSkipLabel: record.watermarkSkippedAt
+      ? WATERMARK_SKIP_REASON_LABELS[record.watermarkSkipReason] || record.watermarkSkipReason
+      : '',
+    score
+  };
+}
+
+const WATERMARK_DISABLED_MESSAGE = 'FORENSIC_WATERMARK_SECRET が未設定のため、透かしは無効です（照合できません）。';
+
+function renderAdminWatermark(req, res, { status = 200, itemSlug = '', result = null, errorMessage = '' } = {}) {
+  return res.status(status).render('admin/watermark', adminBaseView(req, {
+    title: '透かし照合',
+    itemSlug,
+    result,
+    errorMessage: errorMessage || (forensicWatermark ? '' : WATERMARK_DISABLED_MESSAGE)
+  }));
+}
+
+// ====== ライセンス証明書（PDF）と照合ページ ======
+const CERTIFICATE_CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ'; // Crockford Base32（I/L/O/U を含まない）
+
+function generateCertificateCode() {
+  const bytes = crypto.randomBytes(16);
+  let body = '';
+  for (const byte of bytes) body += CERTIFICATE_CODE_ALPHABET[byte % 32];
+  return `IS-${body.match(/.{4}/g).join('-')}`;
+}
+
+// 手入力の揺れ（小文字・ハイフン・空白の有無）を吸収して正規形に戻す。形式外は ''
+function normalizeCertificateCode(raw) {
+  const body = String(raw || '').toUpperCase().replace(/[^0-9A-Z]/g, '').replace(/^IS/, '');
+  if (!/^[0-9A-HJKMNP-TV-Z]{16}$/.test(body)) return '';
+  return `IS-${body.match(/.{4}/g).join('-')}`;
+}
+
+// 購入記録に一意の識別子（証明書番号・透かしID）を後付けする。同時リクエストでは先に付いた値を使う
+async function assignPurchaseRecordCode(record, field, generate) {
+  if (record[field] != null) return record[field];
+  for (let attempt = 0; attempt < 3; attempt += 1) {
+    try {
+      const updated = await PurchaseRecord.findOneAndUpdate(
+        { _id: record._id, [field]: { $exists: false } },
+        { $set: { [field]: generate() } },
+        { new: true }
+      ).lean();
+      if (updated) return updated[field];
+      const latest = await PurchaseRecord.findById(record._id).select(field).lean();
+      if (latest?.[field] != null) return latest[field];
+    } catch (e) {
+      if (e?.code !== 11000) throw e;
     }
+  }
+  throw new Error(`${field} could not be assigned`);
+}
 
-    const saveUrl = `${BASE_URL}/download/file/${doc.token}`;
+function ensureCertificateCode(record) {
+  return assignPurchaseRecordCode(record, 'certificateCode', generateCertificateCode);
+}
 
-return res.render('success', {
-  item, saveUrl, expiresAt: doc.expiresAt, ttlMin: DOWNLOAD_TOKEN_TTL_MIN,
-  lng: getLng(req)
+function certificateVerifyUrlOf(code) {
+  return `${BASE_URL}/license/verify/${encodeURIComponent(code)}`;
+}
+
+async function sellerDisplayNameOf(item) {
+  if (!item.ownerUser) return item.creatorName || '';
+  const owner = await User.findById(item.ownerUser).select('sellerProfile.creatorDisplayName').lean();
+  return owner?.sellerProfile?.creatorDisplayName || item.creatorName || '';
+}
+
+async function licenseCertificateOf({ record, item, code }) {
+  const licenseView = licenseViewOf(item, licenseKeyOfPurchase(record, item));
+  const sellerName = await sellerDisplayNameOf(item);
+  const jst = (date) => `${new Date(date).toLocaleString('ja-JP', { timeZone: 'Asia/Tokyo' })}（JST）`;
+  const rows = [
+    { label: '証明書番号 / Certificate No.', value: code },
+    { label: '作品名 / Title', value: item.title },
+    { label: '作品ID / Item ID', value: item.slug },
+    ...(Item.isBundle(item) ? [{ label: '内容 / Contents', value: bundleLabelOf(item) }] : []),
+    { label: 'ライセンス / License', value: `${licenseView.label}（${licenseView.key}）` },
+    { label: '利用範囲 / Scope', value: licenseView.desc },
+    { label: '販売者 / Seller', value: sellerName || '—' },
+    { label: '購入日時 / Purchased at', value: jst(record.purchasedAt) },
+    { label: '決済ID / Session ID', value: record.sessionId }
+  ];
+  const notes = [
+    `この証明書の内容は次のURLで確認できます / Verify this certificate at: ${certificateVerifyUrlOf(code)}`,
+    ...(item.licenseNotes ? [`販売者による補足 / Seller notes: ${item.licenseNotes}`] : []),
+    `共通ルール（画像ライセンスポリシー） / License policy: ${BASE_URL}/image-license`,
+    '返金・チャージバックが成立した購入の証明書は無効になります。 / Certificates for refunded or disputed purchases are void.'
+  ];
+  return {
+    title: `ライセンス証明書 ${code}`,
+    rows,
+    notes,
+    footer: `Instant Sale ・ 発行日時 / Issued at: ${jst(new Date())}`
+  };
+}
+
+const licenseVerifyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 60,
 });
 
+// ====== 購入者ライブラリ（マジックリンク → 購入履歴 → ダウンロードリンク再発行） ======
+const libraryRequestLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+});
+
+function libraryLinkInvalidView(lng) {
+  return {
+    message: lng === 'en'
+      ? 'This login link is invalid or has expired.'
+      : 'ログインリンクが無効か、有効期限が切れています。',
+    primaryAction: { href: '/library', label: lng === 'en' ? 'Request a new link' : 'リンクを再送する' }
+  };
+}
+
+app.get('/library', (req, res) => {
+  if (getBuyerLibrarySession(req)) return res.redirect('/library/purchases');
+  return res.render('library-request', {
+    lng: getLng(req),
+    state: 'request',
+    email: '',
+    errorMessage: '',
+    linkTtlMin: LIBRARY_LINK_TTL_MIN
+  });
+});
+
+app.post('/library/request', libraryRequestLimiter, async (req, res) => {
+  const lng = getLng(req);
+  const email = normalizeBuyerEmail(req.body.email);
+  if (!email) {
+    return res.status(400).render('library-request', {
+      lng,
+      state: 'request',
+      email: String(req.body.email || '').slice(0, 254),
+      errorMessage: lng === 'en' ? 'Please enter a valid email address.' : 'メールアドレスの形式が正しくありません。',
+      linkTtlMin: LIBRARY_LINK_TTL_MIN
+    });
+  }
+
+  try {
+    await sendBuyerLibraryLink(email, lng);
   } catch (e) {
-    console.error(e);
-    return res.status(500).render('error', { message: '決済結果の処理に失敗しました。' });
+    console.error('[library] send link failed', e);
+    return res.status(500).render('error', { message: 'メールの送信に失敗しました。時間をおいて再度お試しください。' });
   }
+
+  // 購入履歴の有無が分からないよう、送信したかどうかに関わらず同じ画面を返す
+  return res.render('library-request', {
+    lng,
+    state: 'sent',
+    email,
+    errorMessage: '',
+    linkTtlMin: LIBRARY_LINK_TTL_MIN
+  });
 });
 
-async function resolveDownloadToken(token) {
-  const doc = await DownloadToken.findOne({ token });
-  if (!doc) return { error: { status: 404, message: 'ダウンロードリンクが無効です。' } };
-  if (doc.expiresAt.getTime() <= Date.now()) return { error: { status: 410, message: DOWNLOAD_TOKEN_EXPIRED_MESSAGE } };
+// メールのリンクプレビュー（自動クロール）で消費されないよう、GET では確認画面だけを出す
+app.get('/library/auth/:token', async (req, res) => {
+  const lng = getLng(req);
+  try {
+    const link = await BuyerLibraryLink.findOne({
+      tokenHash: hashLibraryToken(req.params.token),
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).select('_id').lean();
+    if (!link) return res.status(410).render('error', libraryLinkInvalidView(lng));
+
+    return res.render('library-request', {
+      lng,
+      state: 'confirm',
+      token: req.params.token,
+      email: '',
+      errorMessage: '',
+      linkTtlMin: LIBRARY_LINK_TTL_MIN
+    });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).render('error', { message: 'ログインリンクの確認に失敗しました。' });
+  }
+});
 
-  const item = await Item.findById(doc.item);
-  if (!item) return { error: { status: 404, message: 'ファイルが見つかりません。' } };
+app.post('/library/auth/:token', async (req, res) => {
+  const lng = getLng(req);
+  try {
+    const now = new Date();
+    const link = await BuyerLibraryLink.findOneAndUpdate(
+      { tokenHash: hashLibraryToken(req.params.token), usedAt: null, expiresAt: { $gt: now } },
+      { $set: { usedAt: now } },
+      { new: true }
+    );
+    if (!link) return res.status(410).render('error', libraryLinkInvalidView(lng));
 
-  return { doc, item };
-}
+    req.session.buyerLibrary = {
+      email: link.email,
+      expiresAt: new Date(now.getTime() + LIBRARY_SESSION_TTL_MIN * 60 * 1000).toISOString()
+    };
+    return req.session.save((err) => {
+      if (err) {
+        console.error('[library] session save failed', err);
+        return res.status(500).render('error', { message: 'ログインに失敗しました。' });
+      }
+      return res.redirect('/library/purchases');
+    });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).render('error', { message: 'ログインに失敗しました。' });
+  }
+});
 
-async function findOrCreateDownloadToken({ sessionId, itemId }) {
-  const expiresAt = new Date(Date.now() + DOWNLOAD_TOKEN_TTL_MS);
-  const insertDoc = {
-    token: nanoid(32),
-    item: itemId,
-    expiresAt,
-    sessionId,
-  };
+app.get('/library/purchases', async (req, res) => {
+  const library = getBuyerLibrarySession(req);
+  if (!library) return res.redirect('/library');
 
+  const lng = getLng(req);
   try {
-    const doc = await DownloadToken.findOneAndUpdate(
-      { sessionId },
-      { $setOnInsert: insertDoc },
-      { new: true, upsert: true }
-    );
-    if (doc) return doc;
+    const records = await PurchaseRecord.find({ buyerEmail: library.email })
+      .sort({ purchasedAt: -1 })
+      .limit(200);
+    const items = await Item.find({ _id: { $in: records.map((record) => record.item) } })
+      .select('title slug previewPath listingType bundleFiles')
+      .lean();
+    const itemById = new Map(items.map((item) => [String(item._id), item]));
+
+    // 1件ずつ発行（購入ごとのレート制限カウンタを順に更新するため）
+    const purchases = [];
+    for (const record of records) {
+      const item = itemById.get(String(record.item));
+      const view = {
+        id: String(record._id),
+        title: item?.title || (lng === 'en' ? '(Unavailable item)' : '（販売終了した作品）'),
+        previewPath: item ? dashboardPreviewPath(item) : '',
+        bundleLabel: item ? bundleLabelOf(item, lng) : '',
+        purchasedAt: record.purchasedAt,
+        amount: record.amount,
+        downloadUrl: '',
+        zipUrl: '',
+        certificateUrl: '',
+        expiresAt: null,
+        retryAt: null,
+        revoked: false
+      };
+      if (item) {
+        const issued = await issueLibraryDownloadToken(record);
+        if (issued.doc) {
+          view.downloadUrl = `/download/${issued.doc.token}`;
+          view.zipUrl = `/download/zip/${issued.doc.token}`;
+          view.certificateUrl = `/download/certificate/${issued.doc.token}`;
+          view.expiresAt = issued.doc.expiresAt;
+        } else if (issued.revoked) {
+          view.revoked = true;
+        } else {
+          view.retryAt = issued.retryAt;
+        }
+      }
+      purchases.push(view);
+    }
+
+    return res.render('library', {
+      lng,
+      email: library.email,
+      purchases,
+      ttlMin: DOWNLOAD_TOKEN_TTL_MIN,
+      tokensPerDay: LIBRARY_TOKENS_PER_PURCHASE_PER_DAY
+    });
   } catch (e) {
-    if (e?.code !== 11000) throw e;
+    console.error(e);
+    return res.status(500).render('error', { message: '購入履歴の取得に失敗しました。' });
   }
+});
 
-  return await DownloadToken.findOne({ sessionId });
-}
+app.post('/library/logout', (req, res) => {
+  if (req.session) delete req.session.buyerLibrary;
+  return res.redirect('/library');
+});
 
-async function upsertPurchaseRecord({ sessionId, paymentIntentId, item, amount, purchasedAt }) {
-  if (!sessionId || !item?._id || !item?.ownerUser) return null;
-  const insertDoc = {
-    seller: item.ownerUser,
-    item: item._id,
-    sessionId,
-    paymentIntentId: String(paymentIntentId || ''),
-    amount: Number.isFinite(amount) ? amount : Number(item.price || 0),
-    purchasedAt: purchasedAt instanceof Date ? purchasedAt : new Date(),
-  };
+// ZIP（原本 + LICENSE.txt + PURCHASE.txt）。?t=<token>&t=<token> で複数購入分をまとめられる
+// ※ /download/:token より前に置く（/download/zip が token 扱いされないように）
+app.get('/download/zip', async (req, res) => {
+  try {
+    const tokens = [].concat(req.query.t || []);
+    return await streamPurchaseZip(req, res, tokens);
+  } catch (e) {
+    console.error(e);
+    if (res.headersSent) return res.destroy(e);
+    return res.status(500).render('error', { message: 'ZIPの作成に失敗しました。' });
+  }
+});
 
+app.get('/download/zip/:token', async (req, res) => {
   try {
-    const doc = await PurchaseRecord.findOneAndUpdate(
-      { sessionId },
-      { $setOnInsert: insertDoc },
-      { new: true, upsert: true }
-    );
-    if (doc) return doc;
+    return await streamPurchaseZip(req, res, [req.params.token]);
   } catch (e) {
-    if (e?.code !== 11000) throw e;
+    console.error(e);
+    if (res.headersSent) return res.destroy(e);
+    return res.status(500).render('error', { message: 'ZIPの作成に失敗しました。' });
   }
+});
 
-  return await PurchaseRecord.findOne({ sessionId });
-}
+// ライセンス証明書（PDF）。ダウンロードリンクと同じトークンで発行する
+app.get('/download/certificate/:token', async (req, res) => {
+  try {
+    const resolved = await resolveDownloadToken(req.params.token);
+    if (resolved.error) return res.status(resolved.error.status).render('error', { message: resolved.error.message });
 
-function getDownloadFilename(item, fallbackPath = '') {
-  const keyExt = path.extname(String(item?.s3Key || ''));
-  const fallbackExt = path.extname(String(fallbackPath || ''));
-  const mimeExt = item?.mimeType && mime.extension(item.mimeType) ? `.${mime.extension(item.mimeType)}` : '';
-  return `${item.title}${keyExt || fallbackExt || mimeExt}`;
-}
+    const { doc, item } = resolved;
+    const record = await purchaseRecordOfDownloadToken(doc);
+    if (!record) {
+      return res.status(404).render('error', { message: '購入記録が見つからないため、証明書を発行できません。' });
+    }
+    if (PurchaseRecord.isAccessRevoked(record)) {
+      return res.status(410).render('error', { message: DOWNLOAD_TOKEN_REVOKED_MESSAGE });
+    }
+
+    const code = await ensureCertificateCode(record);
+    const pdf = renderLicenseCertificatePdf(await licenseCertificateOf({ record, item, code }));
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="license-certificate-${code}.pdf"`);
+    res.setHeader('Cache-Control', 'no-store');
+    return res.send(pdf);
+  } catch (e) {
+    console.error('[download:certificate]', e);
+    return res.status(500).render('error', { message: '証明書の発行に失敗しました。' });
+  }
+});
+
+// 証明書の照合（公開）。購入者の個人情報（メール・金額）は出さない
+app.get('/license/verify', licenseVerifyLimiter, (req, res) => {
+  if (req.query.code) {
+    const code = normalizeCertificateCode(req.query.code) || String(req.query.code).slice(0, 40);
+    return res.redirect(`/license/verify/${encodeURIComponent(code)}`);
+  }
+  res.set('Cache-Control', 'no-store');
+  return res.render('license-verify', { lng: getLng(req), state: 'form', code: '', certificate: null });
+});
+
+app.get('/license/verify/:code', licenseVerifyLimiter, async (req, res) => {
+  const lng = getLng(req);
+  res.set('Cache-Control', 'no-store');
+  try {
+    const code = normalizeCertificateCode(req.params.code);
+    const record = code
+      ? await PurchaseRecord.findOne({ certificateCode: code })
+        .select('item purchasedAt licenseTier status sessionId certificateCode')
+        .lean()
+      : null;
+    const item = record
+      ? await Item.findById(record.item).select('title slug licensePreset listingType bundleFiles creatorName ownerUser isDeleted').lean()
+      : null;
+    if (!record || !item) {
+      return res.status(404).render('license-verify', {
+        lng,
+        state: 'not_found',
+        code: code || String(req.params.code || '').slice(0, 40),
+        certificate: null
+      });
+    }
+
+    const licenseView = licenseViewOf(item, licenseKeyOfPurchase(record, item));
+    return res.render('license-verify', {
+      lng,
+      state: PurchaseRecord.isAccessRevoked(record) ? 'revoked' : 'valid',
+      code,
+      certificate: {
+        title: item.title,
+        slug: item.slug,
+        saleUrl: item.isDeleted ? '' : `/s/${item.slug}`,
+        bundleLabel: bundleLabelOf(item, lng),
+        licenseLabel: licenseView.label,
+        licenseDesc: licenseView.desc,
+        sellerName: await sellerDisplayNameOf(item),
+        purchasedAt: record.purchasedAt,
+        // 証明書の決済IDと突き合わせられるよう末尾だけ出す
+        sessionIdTail: String(record.sessionId || '').slice(-8)
+      }
+    });
+  } catch (e) {
+    console.error('[license:verify]', e);
+    return res.status(500).render('error', { message: '証明書の確認に失敗しました。' });
+  }
+});
 
 // download
 app.get('/download/:token', async (req, res) => {
@@ -3982,15 +8821,22 @@ app.get('/download/:token', async (req, res) => {
     if (resolved.error) return res.status(resolved.error.status).render('error', { message: resolved.error.message });
 
     const { doc, item } = resolved;
-
-    if (!s3 || !item.s3Key) {
+    const fileLinks = downloadFileLinksOf(item, token);
+    const purchaseRecord = doc.purchase
+      ? await PurchaseRecord.findById(doc.purchase).select('licenseTier').lean()
+      : await PurchaseRecord.findOne({ sessionId: doc.sessionId }).select('licenseTier').lean();
+    const licenseView = licenseViewOf(item, licenseKeyOfPurchase(purchaseRecord, item));
+
+    // 透かしを入れる画像は署名URLで原本を見せず、/download/preview 経由で透かし入りを表示する
+    const storedOnS3 = !!(s3 && item.s3Key);
+    if (!storedOnS3 || isWatermarkableFile(item)) {
       // フォールバック：まだS3化していないレガシーアイテム向け
       const absRaw = (item.filePath || '').trim();
       const hasLocalFile = !!absRaw &&
         fs.existsSync(absRaw) &&
         (() => { try { return fs.statSync(absRaw).isFile(); } catch { return false; } })();
 
-      if (!hasLocalFile) {
+      if (!storedOnS3 && !hasLocalFile) {
         return res.status(404).render('error', { message: 'ファイルが存在しません。' });
       }
 
@@ -3998,7 +8844,11 @@ app.get('/download/:token', async (req, res) => {
         openUrl: `/download/open/${token}`,
         imageUrl: `/download/preview/${token}`,
         saveUrl: `/download/file/${token}`,
+        zipUrl: `/download/zip/${token}`,
+        certificateUrl: `/download/certificate/${token}`,
+        fileLinks,
         item,
+        licenseView,
         expiresAt: doc.expiresAt,
         ttlMin: DOWNLOAD_TOKEN_TTL_MIN,
         lng: getLng(req)
@@ -4014,12 +8864,17 @@ app.get('/download/:token', async (req, res) => {
       Key: item.s3Key
     });
     const signedUrl = await getSignedUrl(s3, cmd, { expiresIn: signedTtlSec });
+    await recordUnwatermarkedDelivery(purchaseRecord, watermarkSkipReasonOf(item));
 
     return res.render('download-view', {
       openUrl: `/download/open/${token}`,
       imageUrl: signedUrl,
       saveUrl: `/download/file/${token}`,
+      zipUrl: `/download/zip/${token}`,
+      certificateUrl: `/download/certificate/${token}`,
+      fileLinks,
       item,
+      licenseView,
       expiresAt: doc.expiresAt,
       ttlMin: DOWNLOAD_TOKEN_TTL_MIN,
       lng: getLng(req)
@@ -4030,18 +8885,37 @@ app.get('/download/:token', async (req, res) => {
   }
 });
 
-app.get('/download/preview/:token', async (req, res) => {
+app.get('/download/preview/:token/:index?', async (req, res) => {
   try {
     const { token } = req.params;
     const resolved = await resolveDownloadToken(token);
     if (resolved.error) return res.status(resolved.error.status).render('error', { message: resolved.error.message });
 
-    const { item } = resolved;
-    if (s3 && item.s3Key) {
-      return res.status(404).render('error', { message: 'プレビュー画像が見つかりません。' });
+    const delivery = resolveDeliveryFile(resolved.item, req.params.index);
+    if (!delivery) return res.status(404).render('error', { message: 'ファイルが見つかりません。' });
+
+    const { file } = delivery;
+    // 購入者向けの表示でも、保存時と同じ透かし入りの画像を返す（原本そのものは渡さない）
+    const localPath = String(file.filePath || '').trim();
+    const hasSource = (s3 && file.s3Key) || (!!localPath && fs.existsSync(localPath));
+    const watermarked = hasSource
+      ? await watermarkedDeliveryBufferOf(file, await purchaseRecordOfDownloadToken(resolved.doc))
+      : null;
+    if (watermarked) {
+      res.setHeader('Content-Type', normalizeImageMimeType(file.mimeType) || 'image/jpeg');
+      res.setHeader('Cache-Control', 'no-store');
+      return res.send(watermarked);
+    }
+
+    // 透かしを入れられなかった原本（大きすぎる・埋め込み失敗）は、読み込まずにそのまま流す
+    if (s3 && file.s3Key) {
+      const body = await openDeliveryFileStream(file);
+      res.setHeader('Content-Type', normalizeImageMimeType(file.mimeType) || 'application/octet-stream');
+      res.setHeader('Cache-Control', 'no-store');
+      return body.pipe(res);
     }
 
-    const absRaw = (item.filePath || '').trim();
+    const absRaw = (file.filePath || '').trim();
     const hasLocalFile = !!absRaw &&
       fs.existsSync(absRaw) &&
       (() => { try { return fs.statSync(absRaw).isFile(); } catch { return false; } })();
@@ -4050,8 +8924,8 @@ app.get('/download/preview/:token', async (req, res) => {
       return res.status(404).render('error', { message: 'ファイルが存在しません。' });
     }
 
-    if (item.mimeType) {
-      res.setHeader('Content-Type', item.mimeType);
+    if (file.mimeType) {
+      res.setHeader('Content-Type', file.mimeType);
     }
     return fs.createReadStream(absRaw).pipe(res);
   } catch (e) {
@@ -4060,21 +8934,25 @@ app.get('/download/preview/:token', async (req, res) => {
   }
 });
 
-app.get('/download/open/:token', async (req, res) => {
+app.get('/download/open/:token/:index?', async (req, res) => {
   try {
     const { token } = req.params;
     const resolved = await resolveDownloadToken(token);
     if (resolved.error) return res.status(resolved.error.status).render('error', { message: resolved.error.message });
 
-    const { item } = resolved;
-    if (!s3 || !item.s3Key) {
-      return res.redirect(`/download/preview/${token}`);
+    const delivery = resolveDeliveryFile(resolved.item, req.params.index);
+    if (!delivery) return res.status(404).render('error', { message: 'ファイルが見つかりません。' });
+
+    const { file, index } = delivery;
+    if (!s3 || !file.s3Key || isWatermarkableFile(file)) {
+      return res.redirect(`/download/preview/${token}/${index}`);
     }
+    await recordUnwatermarkedDelivery(await purchaseRecordOfDownloadToken(resolved.doc), watermarkSkipReasonOf(file));
 
     const signedTtlSec = Number(process.env.S3_SIGNED_TTL_SEC || '60');
     const cmd = new GetObjectCommand({
       Bucket: S3_BUCKET,
-      Key: item.s3Key
+      Key: file.s3Key
     });
     const signedUrl = await getSignedUrl(s3, cmd, { expiresIn: signedTtlSec });
     return res.redirect(signedUrl);
@@ -4084,16 +8962,32 @@ app.get('/download/open/:token', async (req, res) => {
   }
 });
 
-app.get('/download/file/:token', async (req, res) => {
+app.get('/download/file/:token/:index?', async (req, res) => {
   try {
     const { token } = req.params;
     const resolved = await resolveDownloadToken(token);
     if (resolved.error) return res.status(resolved.error.status).render('error', { message: resolved.error.message });
 
-    const { item } = resolved;
+    const { doc, item } = resolved;
+    const delivery = resolveDeliveryFile(item, req.params.index);
+    if (!delivery) return res.status(404).render('error', { message: 'ファイルが見つかりません。' });
+
+    const { file, index } = delivery;
 
-    if (!s3 || !item.s3Key) {
-      const absRaw = (item.filePath || '').trim();
+    const localPath = String(file.filePath || '').trim();
+    const hasSource = (s3 && file.s3Key) || (!!localPath && fs.existsSync(localPath));
+    const watermarked = hasSource
+      ? await watermarkedDeliveryBufferOf(file, await purchaseRecordOfDownloadToken(doc))
+      : null;
+    if (watermarked) {
+      res.setHeader('Content-Type', normalizeImageMimeType(file.mimeType) || 'image/jpeg');
+      res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(getDownloadFilename(item, localPath, { file, index }))}`);
+      res.setHeader('Cache-Control', 'no-store');
+      return res.send(watermarked);
+    }
+
+    if (!s3 || !file.s3Key) {
+      const absRaw = (file.filePath || '').trim();
       const hasLocalFile = !!absRaw &&
         fs.existsSync(absRaw) &&
         (() => { try { return fs.statSync(absRaw).isFile(); } catch { return false; } })();
@@ -4102,19 +8996,19 @@ app.get('/download/file/:token', async (req, res) => {
         return res.status(404).render('error', { message: 'ファイルが存在しません。' });
       }
 
-      res.setHeader('Content-Type', item.mimeType || 'application/octet-stream');
-      res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(getDownloadFilename(item, absRaw))}`);
+      res.setHeader('Content-Type', file.mimeType || 'application/octet-stream');
+      res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(getDownloadFilename(item, absRaw, { file, index }))}`);
       return fs.createReadStream(absRaw).pipe(res);
     }
 
     const cmd = new GetObjectCommand({
       Bucket: S3_BUCKET,
-      Key: item.s3Key
+      Key: file.s3Key
     });
     const s3Object = await s3.send(cmd);
 
-    res.setHeader('Content-Type', s3Object.ContentType || item.mimeType || 'application/octet-stream');
-    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(getDownloadFilename(item))}`);
+    res.setHeader('Content-Type', s3Object.ContentType || file.mimeType || 'application/octet-stream');
+    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(getDownloadFilename(item, '', { file, index }))}`);
 
     if (!s3Object.Body) {
       return res.status(404).render('error', { message: 'ファイルが存在しません。' });
@@ -4196,6 +9090,12 @@ app.use((err, req, res, next) => {
     return res.status(400).render('error', { message: err.message || 'ファイルアップロードに失敗しました。' });
   }
 
+  // 分割アップロードのチャンクが上限より大きい（express.raw の limit）
+  if (err && err.type === 'entity.too.large') {
+    if (isAjax) return res.status(413).json({ ok: false, message: 'payload_too_large' });
+    return res.status(413).render('error', { message: '送信データが大きすぎます。' });
+  }
+
   // それ以外
   console.error('[ERROR]', err);
   if (isAjax) {
@@ -4210,11 +9110,22 @@ runInspectPreviewCli()
     if (handled) return true;
     return runRegeneratePreviewBatchFromCli();
   })
+  .then((handled) => {
+    if (handled) return true;
+    return runBackfillPerceptualHashesFromCli();
+  })
+  .then((handled) => {
+    if (handled) return true;
+    return runJobWorkerFromCli();
+  })
   .then((handled) => {
     if (handled) return;
     app.listen(PORT, () => {
       console.log(`Server running: ${BASE_URL}`);
     });
+    startPriceScheduler();
+    startUploadSessionSweeper();
+    if (JOB_WORKER_IN_PROCESS) startJobWorker();
   })
   .catch(async (err) => {
     console.error('[regenerate-preview] fatal', err);
@@ -0,0 +1,318 @@
+const { test, describe, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+
+const {
+  MODERATION_DECISIONS,
+  combineModerationVerdicts,
+  createImageModerator,
+} = require('../utils/imageModeration');
+const { compileModerationPolicy } = require('../utils/moderationPolicy');
+
+const { PASS, REVIEW, ERROR } = MODERATION_DECISIONS;
+
+function solidImage({ r, g, b }, side = 64) {
+  return sharp({ create: { width: side, height: side, channels: 3, background: { r, g, b } } }).png().toBuffer();
+}
+
+// OpenAI Moderation API の応答を返す偽の fetch。呼び出し内容は calls に残す
+function fakeFetch({ status = 200, body = {}, error = null } = {}) {
+  const calls = [];
+  const fetch = async (url, init) => {
+    calls.push({ url, init });
+    if (error) throw error;
+    return new Response(JSON.stringify(body), {
+      status,
+      headers: { 'Content-Type': 'application/json', 'x-request-id': 'req_test' },
+    });
+  };
+  return { fetch, calls };
+}
+
+function openaiResult({ flagged = false, categories = {}, scores = {} } = {}) {
+  return { results: [{ flagged, categories, category_scores: scores }] };
+}
+
+// プロバイダのログで結果が読みにくくならないよう、テスト中は console を黙らせる
+beforeEach(() => {
+  mock.method(console, 'info', () => {});
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'error', () => {});
+});
+afterEach(() => mock.restoreAll());
+
+describe('combineModerationVerdicts', () => {
+  const pass = (reason = 'image:a_no_review') => ({ decision: PASS, reason });
+  const flag = (reason) => ({ decision: REVIEW, reason });
+  const fail = () => ({ decision: ERROR, reason: 'image:image_check_failed' });
+
+  test('プロバイダが無ければ審査しない', () => {
+    assert.deepEqual(combineModerationVerdicts([], 'any'), { shouldReview: false, reason: 'image:no_provider' });
+  });
+
+  test('any: 1つでも要審査なら要審査で、理由は重複なしでつなぐ', () => {
+    const result = combineModerationVerdicts([pass(), flag('image:x'), flag('image:y'), flag('image:x')], 'any');
+    assert.deepEqual(result, { shouldReview: true, reason: 'image:x|image:y' });
+  });
+
+  test('any: 失敗したプロバイダがあれば要審査', () => {
+    const result = combineModerationVerdicts([pass(), fail()], 'any');
+    assert.deepEqual(result, { shouldReview: true, reason: 'image:image_check_failed' });
+  });
+
+  test('any: 全部が問題なしなら先頭の理由で通す', () => {
+    const result = combineModerationVerdicts([pass('image:first'), pass('image:second')], 'any');
+    assert.deepEqual(result, { shouldReview: false, reason: 'image:first' });
+  });
+
+  test('all: 答えたもの全部が要審査のときだけ要審査', () => {
+    assert.deepEqual(
+      combineModerationVerdicts([flag('image:x'), pass('image:ok')], 'all'),
+      { shouldReview: false, reason: 'image:x' }
+    );
+    assert.deepEqual(
+      combineModerationVerdicts([flag('image:x'), fail(), flag('image:y')], 'all'),
+      { shouldReview: true, reason: 'image:x|image:y' }
+    );
+  });
+
+  test('fallback: 失敗しなかった最初の判定を使う', () => {
+    assert.deepEqual(
+      combineModerationVerdicts([fail(), pass('image:second'), flag('image:third')], 'fallback'),
+      { shouldReview: false, reason: 'image:second' }
+    );
+    assert.deepEqual(
+      combineModerationVerdicts([fail(), flag('image:second')], 'fallback'),
+      { shouldReview: true, reason: 'image:second' }
+    );
+  });
+
+  test('どのモードでも全部が失敗なら要審査', () => {
+    for (const mode of ['any', 'all', 'fallback']) {
+      assert.deepEqual(
+        combineModerationVerdicts([fail(), fail()], mode),
+        { shouldReview: true, reason: 'image:image_check_failed' },
+        mode
+      );
+    }
+  });
+});
+
+describe('local プロバイダ', () => {
+  test('肌色の面積比がしきい値以上なら要審査', async () => {
+    const moderator = createImageModerator({ providers: ['local'] });
+    const result = await moderator.review({ image: await solidImage({ r: 224, g: 172, b: 140 }) });
+    assert.equal(result.shouldReview, true);
+    assert.equal(result.reason, 'image:nudity_score_high:local_skin_ratio');
+    assert.equal(result.verdicts[0].scores.nudity, 1);
+    assert.equal(result.verdicts[0].categories.nudity, true);
+  });
+
+  test('肌色が無ければ通す', async () => {
+    const moderator = createImageModerator({ providers: ['local'] });
+    const result = await moderator.review({ image: await solidImage({ r: 40, g: 90, b: 200 }) });
+    assert.equal(result.shouldReview, false);
+    assert.equal(result.reason, 'image:local_no_review');
+    assert.equal(result.verdicts[0].scores.nudity, 0);
+  });
+
+  test('skinRatioThreshold で判定の境目を変えられる', async () => {
+    const moderator = createImageModerator({ providers: ['local'], options: { local: { skinRatioThreshold: 1.01 } } });
+    const result = await moderator.review({ image: await solidImage({ r: 224, g: 172, b: 140 }) });
+    assert.equal(result.shouldReview, false);
+  });
+
+  test('審査方針の nudity のしきい値を skinRatioThreshold より優先する', async () => {
+    const image = await solidImage({ r: 224, g: 172, b: 140 });
+    const moderator = createImageModerator({ providers: ['local'], options: { local: { skinRatioThreshold: 1.01 } } });
+    const policy = compileModerationPolicy({ categoryThresholds: [{ category: 'nudity', threshold: 0.5 }] });
+
+    assert.equal((await moderator.review({ image })).shouldReview, false);
+    const result = await moderator.review({ image, scoreThresholds: policy.scoreThresholds });
+    assert.equal(result.shouldReview, true);
+    assert.equal(result.reason, 'image:nudity_score_high:local_skin_ratio');
+  });
+});
+
+describe('プロバイダの失敗とフォールバック', () => {
+  const throwing = { name: 'broken', review: async () => { throw new Error('boom'); } };
+  const invalid = { name: 'invalid', review: async () => ({ decision: 'maybe' }) };
+  const flagging = { name: 'strict', review: async () => ({ decision: REVIEW, reason: 'image:strict' }) };
+
+  test('例外を投げたプロバイダは error として扱い、要審査にする', async () => {
+    const moderator = createImageModerator({ providers: [throwing, 'stub'] });
+    const result = await moderator.review({ image: Buffer.from('x') });
+    assert.equal(result.shouldReview, true);
+    assert.equal(result.reason, 'image:image_check_failed');
+    assert.deepEqual(result.verdicts.map((verdict) => [verdict.provider, verdict.decision]), [['broken', ERROR], ['stub', PASS]]);
+  });
+
+  test('不明な decision を返したプロバイダも error として扱う', async () => {
+    const moderator = createImageModerator({ providers: [invalid] });
+    const result = await moderator.review({ image: Buffer.from('x') });
+    assert.equal(result.verdicts[0].decision, ERROR);
+    assert.equal(result.shouldReview, true);
+  });
+
+  test('fallback: 失敗したら次を試し、答えが出たらそこで止める', async () => {
+    let called = false;
+    const unused = { name: 'unused', review: async () => { called = true; return { decision: PASS }; } };
+    const moderator = createImageModerator({ providers: [throwing, flagging, unused], combine: 'fallback' });
+    const result = await moderator.review({ image: Buffer.from('x') });
+    assert.equal(result.shouldReview, true);
+    assert.equal(result.reason, 'image:strict');
+    assert.deepEqual(result.verdicts.map((verdict) => verdict.provider), ['broken', 'strict']);
+    assert.equal(called, false);
+  });
+
+  test('画像が無ければプロバイダを呼ばずに要審査', async () => {
+    const moderator = createImageModerator({ providers: [flagging] });
+    assert.deepEqual(await moderator.review({}), { shouldReview: true, reason: 'image:path_missing', verdicts: [] });
+  });
+
+  test('未登録のプロバイダ名・まとめ方は作成時にエラー', () => {
+    assert.throws(() => createImageModerator({ providers: ['nope'] }), /unknown moderation provider: nope/);
+    assert.throws(() => createImageModerator({ combine: 'majority' }), /unknown moderation combine mode: majority/);
+  });
+});
+
+describe('openai プロバイダ', () => {
+  let image;
+  beforeEach(async () => {
+    image = await solidImage({ r: 120, g: 120, b: 120 });
+  });
+
+  const openaiModerator = (fetch, options = {}) => createImageModerator({
+    providers: ['openai'],
+    options: { openai: { apiKey: 'sk-test', fetch, ...options } },
+  });
+
+  test('JPEG にした画像を data URL で送る', async () => {
+    const { fetch, calls } = fakeFetch({ body: openaiResult() });
+    await openaiModerator(fetch, { model: 'test-model' }).review({ image });
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].url, 'https://api.openai.com/v1/moderations');
+    assert.equal(calls[0].init.headers.Authorization, 'Bearer sk-test');
+    const body = JSON.parse(calls[0].init.body);
+    assert.equal(body.model, 'test-model');
+    assert.match(body.input[0].image_url.url, /^data:image\/jpeg;base64,/);
+  });
+
+  test('問題なしなら通し、分類名とスコアをそろえて返す', async () => {
+    const { fetch } = fakeFetch({ body: openaiResult({ categories: { 'sexual/minors': false }, scores: { 'sexual/minors': 0.01234567 } }) });
+    const result = await openaiModerator(fetch).review({ image });
+    assert.equal(result.shouldReview, false);
+    assert.equal(result.reason, 'image:openai_no_review');
+    assert.deepEqual(result.verdicts[0].categories, { sexual_minors: false });
+    assert.deepEqual(result.verdicts[0].scores, { sexual_minors: 0.0123 });
+  });
+
+  test('sexual 系の分類が flagged なら要審査', async () => {
+    const { fetch } = fakeFetch({ body: openaiResult({ flagged: true, categories: { sexual: true }, scores: { sexual: 0.9 } }) });
+    const result = await openaiModerator(fetch).review({ image });
+    assert.equal(result.shouldReview, true);
+    assert.equal(result.reason, 'image:sexual_flagged:sexual');
+  });
+
+  test('sexual 系のスコアが scoreThreshold 以上なら要審査', async () => {
+    const { fetch } = fakeFetch({ body: openaiResult({ categories: { sexual: false }, scores: { sexual: 0.25 } }) });
+    const result = await openaiModerator(fetch, { scoreThreshold: 0.2 }).review({ image });
+    assert.equal(result.shouldReview, true);
+    assert.equal(result.reason, 'image:sexual_score_high:sexual');
+  });
+
+  test('審査方針に保存した分類別のしきい値で判定が変わる', async () => {
+    const policy = compileModerationPolicy({
+      categoryThresholds: [{ category: 'violence', threshold: 0.3 }, { category: 'sexual', threshold: 0.5 }],
+    });
+    const { fetch } = fakeFetch({ body: openaiResult({ scores: { violence: 0.4, sexual: 0.1 } }) });
+    const moderator = openaiModerator(fetch, { scoreThreshold: 0.2 });
+
+    const withoutPolicy = await moderator.review({ image });
+    assert.equal(withoutPolicy.shouldReview, false);
+    const withPolicy = await moderator.review({ image, scoreThresholds: policy.scoreThresholds });
+    assert.equal(withPolicy.shouldReview, true);
+    assert.equal(withPolicy.reason, 'image:score_high:violence');
+  });
+
+  test('しきい値を上げた分類は既定の scoreThreshold では要審査にならない', async () => {
+    const policy = compileModerationPolicy({ categoryThresholds: [{ category: 'sexual', threshold: 0.5 }] });
+    const { fetch } = fakeFetch({ body: openaiResult({ scores: { sexual: 0.25 } }) });
+    const moderator = openaiModerator(fetch, { scoreThreshold: 0.2 });
+
+    assert.equal((await moderator.review({ image })).shouldReview, true);
+    assert.equal((await moderator.review({ image, scoreThresholds: policy.scoreThresholds })).shouldReview, false);
+  });
+
+  test('API がエラーを返したら error（要審査）', async () => {
+    const { fetch } = fakeFetch({ status: 500, body: { error: 'down' } });
+    const result = await openaiModerator(fetch).review({ image });
+    assert.equal(result.verdicts[0].decision, ERROR);
+    assert.equal(result.shouldReview, true);
+    assert.equal(result.reason, 'image:image_check_failed');
+  });
+
+  test('タイムアウトしたら error（要審査）', async () => {
+    const timeout = new Error('timed out');
+    timeout.name = 'TimeoutError';
+    const { fetch } = fakeFetch({ error: timeout });
+    const result = await openaiModerator(fetch).review({ image });
+    assert.equal(result.verdicts[0].decision, ERROR);
+    assert.equal(result.reason, 'image:image_check_failed');
+  });
+
+  test('API キーが無ければ送らずに error', async () => {
+    const { fetch, calls } = fakeFetch({ body: openaiResult() });
+    const result = await openaiModerator(fetch, { apiKey: '' }).review({ image });
+    assert.equal(calls.length, 0);
+    assert.equal(result.verdicts[0].decision, ERROR);
+  });
+
+  test('fallback: openai が失敗したら local の判定を使う', async () => {
+    const { fetch } = fakeFetch({ status: 503 });
+    const moderator = createImageModerator({
+      providers: ['openai', 'local'],
+      combine: 'fallback',
+      options: { openai: { apiKey: 'sk-test', fetch } },
+    });
+    const result = await moderator.review({ image });
+    assert.equal(result.shouldReview, false);
+    assert.equal(result.reason, 'image:local_no_review');
+    assert.deepEqual(result.verdicts.map((verdict) => [verdict.provider, verdict.decision]), [['openai', ERROR], ['local', PASS]]);
+  });
+});
+
+describe('審査履歴のスコアの判定し直し（rescore）', () => {
+  const stored = (provider, decision, scores, categories = {}) => ({ image: 0, provider, decision, reason: '', categories, scores });
+
+  test('openai のスコアを審査方針の分類別のしきい値で判定し直す', () => {
+    const moderator = createImageModerator({ providers: ['openai'], options: { openai: { scoreThreshold: 0.2 } } });
+    const verdicts = [stored('openai', PASS, { violence: 0.4, sexual: 0.1 }, { violence: false, sexual: false })];
+    const policy = compileModerationPolicy({ categoryThresholds: [{ category: 'violence', threshold: 0.3 }] });
+
+    assert.equal(moderator.rescore({ verdicts }).shouldReview, false);
+    const result = moderator.rescore({ verdicts, scoreThresholds: policy.scoreThresholds });
+    assert.equal(result.shouldReview, true);
+    assert.equal(result.reason, 'image:score_high:violence');
+  });
+
+  test('local の nudity のスコアは方針のしきい値、無ければ skinRatioThreshold と比べる', () => {
+    const moderator = createImageModerator({ providers: ['local'], options: { local: { skinRatioThreshold: 0.4 } } });
+    const verdicts = [stored('local', REVIEW, { nudity: 0.45 }, { nudity: true })];
+    const policy = compileModerationPolicy({ categoryThresholds: [{ category: 'nudity', threshold: 0.6 }] });
+
+    assert.equal(moderator.rescore({ verdicts }).reason, 'image:nudity_score_high:local_skin_ratio');
+    assert.equal(moderator.rescore({ verdicts, scoreThresholds: policy.scoreThresholds }).shouldReview, false);
+  });
+
+  test('失敗した判定は除き、判定し直せないプロバイダの判定はそのまま使う', () => {
+    const moderator = createImageModerator({ providers: ['stub'] });
+    const failed = moderator.rescore({ verdicts: [stored('openai', ERROR, {})] });
+    assert.equal(failed.shouldReview, false);
+    assert.deepEqual(failed.verdicts, []);
+
+    const custom = moderator.rescore({ verdicts: [{ ...stored('strict', REVIEW, {}), reason: 'image:strict' }] });
+    assert.equal(custom.shouldReview, true);
+    assert.equal(custom.reason, 'image:strict');
+  });
+});
@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// 購入ごとの不可視透かし（フォレンジック・ウォーターマーク）
+// 画像を GRID×GRID の「チップ」に分け、秘密鍵から作る ±1 の擬似乱数パターンで輝度をわずかに上下させる（スペクトル拡散）。
+// 各ビットは鍵で決まる約400チップに分散して埋め込むため、JPEG 再圧縮・軽い色調補正では消えにくい。
+// チップ位置は画像サイズに対する比率で決めるので、縦横比を変えない拡大縮小にも追従する（トリミング・回転には弱い）。
+// ただし縮小には限りがある。幅400px程度まで縮めて品質70前後で保存し直すと、絵柄によっては（輪郭の多い画像など）
+// detectionScore が MIN_DETECTION_SCORE を下回って detected にならない。その場合は作品を指定したうえで
+// matchScore による購入候補との照合が頼りで、確実に特定できるとは限らない。
+const GRID = 128;
+const CHIP_COUNT = GRID * GRID;
+const ID_BITS = 32;
+const CRC_BITS = 8;
+const PAYLOAD_BITS = ID_BITS + CRC_BITS;
+const DETECT_CHIP_PX = 4; // 検出時は GRID * 4 px 四方へ正規化してからチップ平均を取る
+const MIN_STRENGTH = 2;
+const MAX_STRENGTH = 6;
+// 輪郭などで残差が極端に大きいチップに相関を引っ張られないよう、残差をこの幅で頭打ちにする
+const RESIDUAL_CLIP = 8;
+// ビットごとの相関の平均 z 値（透かしが無ければ約0.8）がこれ未満なら「透かしなし」とみなす
+const MIN_DETECTION_SCORE = 2;
+
+function crc8(value) {
+  let crc = 0;
+  for (let shift = 24; shift >= 0; shift -= 8) {
+    crc ^= (value >>> shift) & 0xff;
+    for (let i = 0; i < 8; i += 1) {
+      crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xff : (crc << 1) & 0xff;
+    }
+  }
+  return crc;
+}
+
+function payloadBitsOf(id) {
+  const value = Number(id) >>> 0;
+  const crc = crc8(value);
+  const bits = [];
+  for (let i = ID_BITS - 1; i >= 0; i -= 1) bits.push((value >>> i) & 1);
+  for (let i = CRC_BITS - 1; i >= 0; i -= 1) bits.push((crc >>> i) & 1);
+  return bits;
+}
+
+// 鍵から決定的に「チップ → ビット番号」と「チップ → ±1」を作る（HMAC-SHA256 のカウンタモード）
+function buildPattern(secret) {
+  const stream = [];
+  let counter = 0;
+  const nextUint32 = () => {
+    if (!stream.length) {
+      const block = crypto.createHmac('sha256', secret).update(`forensic-watermark:${counter}`).digest();
+      counter += 1;
+      for (let i = 0; i < block.length; i += 4) stream.push(block.readUInt32BE(i));
+    }
+    return stream.shift();
+  };
+
+  const order = new Uint16Array(CHIP_COUNT);
+  for (let i = 0; i < CHIP_COUNT; i += 1) order[i] = i;
+  for (let i = CHIP_COUNT - 1; i > 0; i -= 1) {
+    const j = nextUint32() % (i + 1);
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+
+  const bitOfChip = new Uint8Array(CHIP_COUNT);
+  const signOfChip = new Int8Array(CHIP_COUNT);
+  for (let rank = 0; rank < CHIP_COUNT; rank += 1) {
+    bitOfChip[order[rank]] = rank % PAYLOAD_BITS;
+  }
+  for (let chip = 0; chip < CHIP_COUNT; chip += 1) {
+    signOfChip[chip] = nextUint32() & 1 ? 1 : -1;
+  }
+  return { bitOfChip, signOfChip };
+}
+
+function chipIndexMap(size) {
+  const map = new Uint16Array(size);
+  for (let i = 0; i < size; i += 1) map[i] = Math.min(GRID - 1, Math.floor((i * GRID) / size));
+  return map;
+}
+
+// チップ中心どうしを線形補間するための（左/上チップ, 右/下チップ, 重み）。チップ境界の段差を見せないため
+function chipBlendMap(size) {
+  const low = new Uint16Array(size);
+  const high = new Uint16Array(size);
+  const weight = new Float32Array(size);
+  for (let i = 0; i < size; i += 1) {
+    const position = Math.min(GRID - 1, Math.max(0, ((i + 0.5) * GRID) / size - 0.5));
+    low[i] = Math.floor(position);
+    high[i] = Math.min(GRID - 1, low[i] + 1);
+    weight[i] = position - low[i];
+  }
+  return { low, high, weight };
+}
+
+// 周囲 3×3 チップの平均を引いて、絵柄の大きな明暗（低周波）を取り除く
+function highPass(means) {
+  const out = new Float64Array(CHIP_COUNT);
+  for (let y = 0; y < GRID; y += 1) {
+    for (let x = 0; x < GRID; x += 1) {
+      let sum = 0;
+      let count = 0;
+      for (let dy = -1; dy <= 1; dy += 1) {
+        for (let dx = -1; dx <= 1; dx += 1) {
+          const ny = y + dy;
+          const nx = x + dx;
+          if (ny < 0 || nx < 0 || ny >= GRID || nx >= GRID) continue;
+          sum += means[ny * GRID + nx];
+          count += 1;
+        }
+      }
+      const value = means[y * GRID + x] - sum / count;
+      out[y * GRID + x] = Math.max(-RESIDUAL_CLIP, Math.min(RESIDUAL_CLIP, value));
+    }
+  }
+  return out;
+}
+
+function createForensicWatermark({ secret } = {}) {
+  if (!secret) throw new Error('forensic watermark requires a secret');
+  const { bitOfChip, signOfChip } = buildPattern(String(secret));
+
+  // 画像バッファに id（32bit 符号なし整数）を埋め込む。format は原本と同じ形式（jpeg/png/webp）を指定する。
+  // 透過チャンネルはそのまま残し、色の成分だけを変える（PNG/WebP は可逆で書き出すので透かし以外は劣化しない）
+  async function embed(input, id, { quality = 95, format = 'jpeg' } = {}) {
+    const { data, info } = await sharp(input)
+      .toColourspace('srgb')
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    const { width, height, channels } = info;
+    if (width < GRID || height < GRID) {
+      throw new Error(`image too small for forensic watermark: ${width}x${height}`);
+    }
+
+    const xChip = chipIndexMap(width);
+    const yChip = chipIndexMap(height);
+    const bits = payloadBitsOf(id);
+
+    // チップ内の輝度のばらつき（質感）が大きいほど強く埋める。平坦な空や背景では弱くして目立たせない
+    const sum = new Float64Array(CHIP_COUNT);
+    const sumSq = new Float64Array(CHIP_COUNT);
+    const count = new Uint32Array(CHIP_COUNT);
+    for (let y = 0; y < height; y += 1) {
+      const rowChip = yChip[y] * GRID;
+      for (let x = 0; x < width; x += 1) {
+        const offset = (y * width + x) * channels;
+        const luma = 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+        const chip = rowChip + xChip[x];
+        sum[chip] += luma;
+        sumSq[chip] += luma * luma;
+        count[chip] += 1;
+      }
+    }
+    const delta = new Float64Array(CHIP_COUNT);
+    for (let chip = 0; chip < CHIP_COUNT; chip += 1) {
+      const mean = sum[chip] / count[chip];
+      const std = Math.sqrt(Math.max(0, sumSq[chip] / count[chip] - mean * mean));
+      const strength = Math.min(MAX_STRENGTH, MIN_STRENGTH + std * 0.12);
+      const symbol = bits[bitOfChip[chip]] ? 1 : -1;
+      delta[chip] = strength * symbol * signOfChip[chip];
+    }
+
+    const xBlend = chipBlendMap(width);
+    const yBlend = chipBlendMap(height);
+    for (let y = 0; y < height; y += 1) {
+      const top = yBlend.low[y] * GRID;
+      const bottom = yBlend.high[y] * GRID;
+      const wy = yBlend.weight[y];
+      for (let x = 0; x < width; x += 1) {
+        const offset = (y * width + x) * channels;
+        const left = xBlend.low[x];
+        const right = xBlend.high[x];
+        const wx = xBlend.weight[x];
+        const d = (1 - wy) * ((1 - wx) * delta[top + left] + wx * delta[top + right]) +
+          wy * ((1 - wx) * delta[bottom + left] + wx * delta[bottom + right]);
+        for (let c = 0; c < 3; c += 1) {
+          const value = data[offset + c] + d;
+          data[offset + c] = value < 0 ? 0 : value > 255 ? 255 : Math.round(value);
+        }
+      }
+    }
+
+    const output = sharp(data, { raw: { width, height, channels } });
+    if (format === 'png') return output.png({ compressionLevel: 9 }).toBuffer();
+    if (format === 'webp') return output.webp({ lossless: true }).toBuffer();
+    return output.removeAlpha().jpeg({ quality, chromaSubsampling: '4:4:4' }).toBuffer();
+  }
+
+  async function chipMeansOf(input) {
+    const size = GRID * DETECT_CHIP_PX;
+    const { data } = await sharp(input)
+      .removeAlpha()
+      .greyscale()
+      .resize(size, size, { fit: 'fill', kernel: sharp.kernel.cubic })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const means = new Float64Array(CHIP_COUNT);
+    for (let y = 0; y < size; y += 1) {
+      const rowChip = Math.floor(y / DETECT_CHIP_PX) * GRID;
+      for (let x = 0; x < size; x += 1) {
+        means[rowChip + Math.floor(x / DETECT_CHIP_PX)] += data[y * size + x];
+      }
+    }
+    const area = DETECT_CHIP_PX * DETECT_CHIP_PX;
+    for (let chip = 0; chip < CHIP_COUNT; chip += 1) means[chip] /= area;
+    return means;
+  }
+
+  // 画像から透かしを読み取る。ビットごとの相関（z 値）も返すので、CRC が合わない場合は候補との照合に使う
+  // reference（透かし前の原本）を渡すと差分から読むため、絵柄の影響が消えて強い加工にも耐える
+  async function extract(input, { reference = null } = {}) {
+    const means = await chipMeansOf(input);
+    if (reference) {
+      const referenceMeans = await chipMeansOf(reference);
+      for (let chip = 0; chip < CHIP_COUNT; chip += 1) means[chip] -= referenceMeans[chip];
+    }
+    const residual = highPass(means);
+
+    const score = new Float64Array(PAYLOAD_BITS);
+    const energy = new Float64Array(PAYLOAD_BITS);
+    for (let chip = 0; chip < CHIP_COUNT; chip += 1) {
+      const bit = bitOfChip[chip];
+      score[bit] += residual[chip] * signOfChip[chip];
+      energy[bit] += residual[chip] * residual[chip];
+    }
+    // z = 相関 / (透かしが無い場合の標準偏差)。符号がビット値、大きさが確からしさ
+    const z = Array.from(score, (value, bit) => (energy[bit] > 0 ? value / Math.sqrt(energy[bit]) : 0));
+    const bits = z.map((value) => (value > 0 ? 1 : 0));
+
+    let id = 0;
+    for (let i = 0; i < ID_BITS; i += 1) id = ((id << 1) | bits[i]) >>> 0;
+    let crc = 0;
+    for (let i = ID_BITS; i < PAYLOAD_BITS; i += 1) crc = (crc << 1) | bits[i];
+
+    const detectionScore = z.reduce((acc, value) => acc + Math.abs(value), 0) / PAYLOAD_BITS;
+    return {
+      id,
+      crcOk: crc === crc8(id),
+      detected: crc === crc8(id) && detectionScore >= MIN_DETECTION_SCORE,
+      detectionScore,
+      z
+    };
+  }
+
+  // 読み取り結果と候補 id の一致度（-1〜1）。CRC が崩れた画像でも、対象作品の購入だけに絞れば照合できる
+  function matchScore(extracted, id) {
+    const bits = payloadBitsOf(id);
+    const total = extracted.z.reduce((acc, value) => acc + Math.abs(value), 0);
+    if (!total) return 0;
+    const agreement = extracted.z.reduce((acc, value, bit) => acc + (bits[bit] ? value : -value), 0);
+    return agreement / total;
+  }
+
+  return { embed, extract, matchScore };
+}
+
+function generateWatermarkId() {
+  // 0 は「未割り当て」と区別しづらいので避ける
+  return (crypto.randomBytes(4).readUInt32BE(0) >>> 0) || 1;
+}
+
+module.exports = {
+  createForensicWatermark,
+  generateWatermarkId,
+  MIN_DETECTION_SCORE,
+};
@@ -0,0 +1,365 @@
+const sharp = require('sharp');
+
+// 画像審査のプロバイダは name → (options) => async review(input) => verdict の形で差し替え可能にしておく
+// input:   { image: 作業用画像のバッファ, text: { title, licenseNotes, aiModelName }, source, scoreThresholds: { <分類>: 0〜1 } }
+// verdict: { provider, decision: pass / review / error, categories: { <分類>: true/false }, scores: { <分類>: 0〜1 }, reason }
+// 分類名は小文字・英数字と _ にそろえる（OpenAI の "sexual/minors" → "sexual_minors"）
+// stub: 審査しない / openai: OpenAI Moderation API / local: 肌色の面積比による簡易判定（ネットワーク不要）
+// rescore（任意）: (options) => (保存済みの verdict, { scoreThresholds }) => { decision, reason }。画像を審査し直さずに、
+// 審査履歴に残したスコアを別のしきい値で判定し直す（管理画面の方針の試算で使う）
+const MODERATION_DECISIONS = Object.freeze({
+  PASS: 'pass',
+  REVIEW: 'review',
+  ERROR: 'error'
+});
+
+// 複数のプロバイダの判定のまとめ方
+// any: どれか1つでも要審査（失敗を含む）なら要審査 / all: 答えたもの全部が要審査のときだけ要審査 /
+// fallback: 先頭から順に試し、失敗しなかった最初の1つの判定を使う
+const MODERATION_COMBINE_MODES = Object.freeze(['any', 'all', 'fallback']);
+
+const CHECK_FAILED_REASON = 'image:image_check_failed';
+
+const providers = new Map();
+const rescorers = new Map();
+
+function registerModerationProvider(name, factory, { rescore = null } = {}) {
+  if (!name || typeof factory !== 'function') {
+    throw new Error('moderation provider requires a name and a factory function');
+  }
+  providers.set(String(name), factory);
+  if (typeof rescore === 'function') rescorers.set(String(name), rescore);
+  else rescorers.delete(String(name));
+}
+
+function normalizeCategoryKey(key) {
+  return String(key || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+function isSexualOrNudityKey(key) {
+  const normalizedKey = String(key).toLowerCase();
+  return normalizedKey.includes('sexual') || normalizedKey.includes('nudity');
+}
+
+function clampInt(value, min, max, fallback) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return fallback;
+  return Math.max(min, Math.min(max, Math.floor(number)));
+}
+
+registerModerationProvider('stub', () => async () => ({
+  decision: MODERATION_DECISIONS.PASS,
+  categories: {},
+  scores: {},
+  reason: 'image:stub_no_review'
+}));
+
+// OpenAI の分類（categories: 真偽）とスコアから要審査の理由を決める。要審査でなければ ''。
+// 理由には渡された分類名をそのまま残す（API の結果なら "sexual/minors"、審査履歴から判定し直すときは "sexual_minors"）
+function openaiReviewReasonOf({ categories = {}, scores = {}, flagged = false, scoreThresholds = {}, scoreThreshold = 0.2 } = {}) {
+  const flaggedKeys = Object.keys(categories).filter((key) => isSexualOrNudityKey(key) && !!categories[key]);
+  const sexualFlaggedKey = flaggedKeys.find((key) => String(key).toLowerCase().includes('sexual'));
+  const nudityFlaggedKey = flaggedKeys.find((key) => String(key).toLowerCase().includes('nudity'));
+  // 分類ごとのしきい値（管理画面の審査方針）。指定の無い sexual/nudity 系は scoreThreshold、それ以外はスコアでは判定しない
+  const thresholdOf = (key) => {
+    const normalizedKey = normalizeCategoryKey(key);
+    if (Object.prototype.hasOwnProperty.call(scoreThresholds, normalizedKey)) return scoreThresholds[normalizedKey];
+    return isSexualOrNudityKey(key) ? scoreThreshold : null;
+  };
+  const highScoreKeys = Object.keys(scores).filter((key) => {
+    const score = Number(scores[key]);
+    const threshold = thresholdOf(key);
+    return threshold !== null && Number.isFinite(score) && score >= threshold;
+  });
+  const highScoreKey = highScoreKeys.find(isSexualOrNudityKey) || highScoreKeys[0];
+
+  let reason = '';
+  if (sexualFlaggedKey) {
+    reason = `image:sexual_flagged:${sexualFlaggedKey}`;
+  } else if (nudityFlaggedKey) {
+    reason = `image:nudity_flagged:${nudityFlaggedKey}`;
+  } else if (highScoreKey) {
+    const normalizedKey = String(highScoreKey).toLowerCase();
+    reason = normalizedKey.includes('nudity')
+      ? `image:nudity_score_high:${highScoreKey}`
+      : normalizedKey.includes('sexual')
+        ? `image:sexual_score_high:${highScoreKey}`
+        : `image:score_high:${highScoreKey}`;
+  } else if (flagged) {
+    reason = 'image:openai_flagged';
+  }
+
+  return reason;
+}
+
+// OpenAI Moderation API。fetch は差し替え可能（テストではネットワークに出ない偽物を渡す）
+registerModerationProvider('openai', ({
+  apiKey = '',
+  model = 'omni-moderation-latest',
+  timeoutMs = 7000,
+  scoreThreshold = 0.2,
+  maxSide = 1536,
+  jpegQuality = 75,
+  fetch: fetchImpl = globalThis.fetch
+} = {}) => async ({ image, source, scoreThresholds = {} }) => {
+  if (!apiKey) {
+    console.warn('[image-review] OPENAI_API_KEY is not set.');
+    return { decision: MODERATION_DECISIONS.ERROR, reason: CHECK_FAILED_REASON };
+  }
+
+  const reviewMaxSide = clampInt(maxSide, 512, 4096, 1536);
+  const reviewJpegQuality = clampInt(jpegQuality, 40, 90, 75);
+  const { data: reviewImageBuffer, info: reviewImageInfo } = await sharp(image)
+    .rotate()
+    .flatten({ background: '#ffffff' })
+    .resize({
+      width: reviewMaxSide,
+      height: reviewMaxSide,
+      fit: 'inside',
+      withoutEnlargement: true,
+    })
+    .jpeg({
+      quality: reviewJpegQuality,
+      mozjpeg: true,
+    })
+    .toBuffer({ resolveWithObject: true });
+  console.info('[image-review] prepared moderation image', {
+    source,
+    review: `${reviewImageInfo.width || '?'}x${reviewImageInfo.height || '?'}`,
+    maxSide: reviewMaxSide,
+    jpegQuality: reviewJpegQuality,
+  });
+
+  const response = await fetchImpl('https://api.openai.com/v1/moderations', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${apiKey}`,
+    },
+    body: JSON.stringify({
+      model,
+      input: [
+        {
+          type: 'image_url',
+          image_url: {
+            url: `data:image/jpeg;base64,${reviewImageBuffer.toString('base64')}`,
+          },
+        }
+      ],
+    }),
+    signal: AbortSignal.timeout(Number.isFinite(Number(timeoutMs)) && Number(timeoutMs) > 0 ? Number(timeoutMs) : 7000),
+  });
+
+  const requestId = response.headers.get('x-request-id') || '';
+  if (!response.ok) {
+    const bodyText = await response.text().catch(() => '');
+    console.error(
+      `[image-review] OpenAI moderation API failed: ${response.status} ${response.statusText} request_id=${requestId}`,
+      bodyText
+    );
+    return { decision: MODERATION_DECISIONS.ERROR, reason: CHECK_FAILED_REASON };
+  }
+
+  const moderation = await response.json();
+  console.info(`[image-review] OpenAI moderation API success: request_id=${requestId}`);
+  const result = moderation?.results?.[0];
+  if (!result || typeof result !== 'object') {
+    console.error('[image-review] invalid moderation response', moderation);
+    return { decision: MODERATION_DECISIONS.ERROR, reason: CHECK_FAILED_REASON };
+  }
+
+  const rawCategories = result.categories && typeof result.categories === 'object' ? result.categories : {};
+  const rawScores = result.category_scores && typeof result.category_scores === 'object' ? result.category_scores : {};
+  const categories = {};
+  const scores = {};
+  Object.keys(rawCategories).forEach((key) => {
+    categories[normalizeCategoryKey(key)] = !!rawCategories[key];
+  });
+  Object.keys(rawScores).forEach((key) => {
+    const score = Number(rawScores[key]);
+    if (Number.isFinite(score)) scores[normalizeCategoryKey(key)] = Number(score.toFixed(4));
+  });
+
+  const flaggedKeys = Object.keys(rawCategories).filter((key) => isSexualOrNudityKey(key) && !!rawCategories[key]);
+  const reason = openaiReviewReasonOf({
+    categories: rawCategories,
+    scores: rawScores,
+    flagged: !!result.flagged,
+    scoreThresholds,
+    scoreThreshold
+  });
+
+  if (reason) {
+    console.info('[image-review] review decision', { request_id: requestId, flagged: !!result.flagged, categories: flaggedKeys, reason });
+    return { decision: MODERATION_DECISIONS.REVIEW, categories, scores, reason };
+  }
+  return { decision: MODERATION_DECISIONS.PASS, categories, scores, reason: 'image:openai_no_review' };
+}, {
+  // API の flagged は残していないので、どれかの分類が true なら flagged とみなす
+  rescore: ({ scoreThreshold = 0.2 } = {}) => ({ categories = {}, scores = {} }, { scoreThresholds = {} } = {}) => {
+    const reason = openaiReviewReasonOf({
+      categories,
+      scores,
+      flagged: Object.values(categories).some(Boolean),
+      scoreThresholds,
+      scoreThreshold
+    });
+    return reason
+      ? { decision: MODERATION_DECISIONS.REVIEW, reason }
+      : { decision: MODERATION_DECISIONS.PASS, reason: 'image:openai_no_review' };
+  }
+});
+
+// オフラインの簡易判定。画像を小さく縮め、肌色（YCbCr の Cb/Cr が肌の範囲にある画素）の面積比を nudity のスコアにする。
+// 水着・顔のアップでも高くなるため、自動で却下はせず審査に回すだけに使う（機械学習モデルに置き換えるまでのつなぎ）
+const LOCAL_SAMPLE_SIDE = 96;
+
+function isSkinPixel(r, g, b) {
+  const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+  const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+  return cb >= 77 && cb <= 127 && cr >= 133 && cr <= 173 && r > 60 && r > b;
+}
+
+async function skinRatioOf(image) {
+  const { data, info } = await sharp(image)
+    .rotate()
+    .flatten({ background: '#ffffff' })
+    .resize(LOCAL_SAMPLE_SIDE, LOCAL_SAMPLE_SIDE, { fit: 'inside' })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const pixelCount = info.width * info.height;
+  let skin = 0;
+  for (let offset = 0; offset < data.length; offset += info.channels) {
+    if (isSkinPixel(data[offset], data[offset + 1], data[offset + 2])) skin += 1;
+  }
+  return pixelCount > 0 ? skin / pixelCount : 0;
+}
+
+// 審査方針の nudity のしきい値があれば、環境変数の skinRatioThreshold より優先する
+function localVerdictOf(ratio, { scoreThresholds = {}, skinRatioThreshold = 0.4 } = {}) {
+  const flagged = ratio >= (scoreThresholds.nudity ?? skinRatioThreshold);
+  return {
+    decision: flagged ? MODERATION_DECISIONS.REVIEW : MODERATION_DECISIONS.PASS,
+    categories: { nudity: flagged },
+    scores: { nudity: ratio },
+    reason: flagged ? 'image:nudity_score_high:local_skin_ratio' : 'image:local_no_review'
+  };
+}
+
+registerModerationProvider('local', ({ skinRatioThreshold = 0.4 } = {}) => async ({ image, scoreThresholds = {} }) => {
+  const ratio = Number((await skinRatioOf(image)).toFixed(4));
+  return localVerdictOf(ratio, { scoreThresholds, skinRatioThreshold });
+}, {
+  rescore: ({ skinRatioThreshold = 0.4 } = {}) => ({ scores = {} }, { scoreThresholds = {} } = {}) => {
+    const { decision, reason } = localVerdictOf(Number(scores.nudity) || 0, { scoreThresholds, skinRatioThreshold });
+    return { decision, reason };
+  }
+});
+
+// 複数の判定を1つにまとめる。戻り値の reason は要審査の理由を | でつないだもの
+function combineModerationVerdicts(verdicts, combine = 'any') {
+  const answered = verdicts.filter((verdict) => verdict.decision !== MODERATION_DECISIONS.ERROR);
+  const reviewReasons = (list) => [...new Set(
+    list.filter((verdict) => verdict.decision !== MODERATION_DECISIONS.PASS).map((verdict) => verdict.reason || CHECK_FAILED_REASON)
+  )];
+  const passReason = answered[0]?.reason || 'image:no_review';
+
+  if (!verdicts.length) return { shouldReview: false, reason: 'image:no_provider' };
+  if (!answered.length) return { shouldReview: true, reason: CHECK_FAILED_REASON };
+
+  if (combine === 'fallback') {
+    const first = answered[0];
+    return first.decision === MODERATION_DECISIONS.REVIEW
+      ? { shouldReview: true, reason: first.reason }
+      : { shouldReview: false, reason: first.reason };
+  }
+  if (combine === 'all') {
+    return answered.every((verdict) => verdict.decision === MODERATION_DECISIONS.REVIEW)
+      ? { shouldReview: true, reason: reviewReasons(answered).join('|') }
+      : { shouldReview: false, reason: passReason };
+  }
+  const reasons = reviewReasons(verdicts);
+  return reasons.length
+    ? { shouldReview: true, reason: reasons.join('|') }
+    : { shouldReview: false, reason: passReason };
+}
+
+// providers は名前（登録済みのもの）か { name, review } の配列。options[<名前>] がそのプロバイダの設定になる
+function createImageModerator({ providers: providerSpecs = ['stub'], combine = 'any', options = {} } = {}) {
+  const combineMode = String(combine || 'any');
+  if (!MODERATION_COMBINE_MODES.includes(combineMode)) {
+    throw new Error(`unknown moderation combine mode: ${combineMode}`);
+  }
+  const chain = providerSpecs.map((spec) => {
+    if (spec && typeof spec === 'object' && typeof spec.review === 'function') {
+      return { name: String(spec.name || 'custom'), review: spec.review };
+    }
+    const name = String(spec || '');
+    if (!providers.has(name)) {
+      throw new Error(`unknown moderation provider: ${name}`);
+    }
+    return { name, review: providers.get(name)(options[name] || {}) };
+  });
+
+  async function runProvider(provider, input) {
+    try {
+      const verdict = await provider.review(input);
+      return {
+        provider: provider.name,
+        decision: Object.values(MODERATION_DECISIONS).includes(verdict?.decision) ? verdict.decision : MODERATION_DECISIONS.ERROR,
+        categories: verdict?.categories || {},
+        scores: verdict?.scores || {},
+        reason: verdict?.reason || ''
+      };
+    } catch (error) {
+      const errorMessage = error?.name === 'TimeoutError' || error?.name === 'AbortError' ? 'timeout' : error;
+      console.error(`[image-review] ${provider.name} moderation failed`, errorMessage);
+      return { provider: provider.name, decision: MODERATION_DECISIONS.ERROR, categories: {}, scores: {}, reason: CHECK_FAILED_REASON };
+    }
+  }
+
+  // { image, text, source, scoreThresholds } を審査して { shouldReview, reason, verdicts } を返す
+  async function review({ image, text = {}, source = 'working', scoreThresholds = {} } = {}) {
+    if (!image) {
+      return { shouldReview: true, reason: 'image:path_missing', verdicts: [] };
+    }
+    const verdicts = [];
+    for (const provider of chain) {
+      const verdict = await runProvider(provider, { image, text, source, scoreThresholds });
+      verdicts.push(verdict);
+      if (combineMode === 'fallback' && verdict.decision !== MODERATION_DECISIONS.ERROR) break;
+    }
+    return { ...combineModerationVerdicts(verdicts, combineMode), verdicts };
+  }
+
+  // 審査履歴に残した1枚分の判定（verdicts）を、画像を審査し直さずに scoreThresholds で判定し直す。戻り値は review と同じ形。
+  // rescore の無いプロバイダの判定はそのまま使う。失敗した判定（error）はしきい値と関係ないので除く
+  const rescorerCache = new Map();
+  const rescorerOf = (name) => {
+    if (!rescorerCache.has(name)) {
+      rescorerCache.set(name, rescorers.has(name) ? rescorers.get(name)(options[name] || {}) : null);
+    }
+    return rescorerCache.get(name);
+  };
+  function rescore({ verdicts = [], scoreThresholds = {} } = {}) {
+    const rescored = verdicts
+      .filter((verdict) => verdict.decision !== MODERATION_DECISIONS.ERROR)
+      .map((verdict) => {
+        const rescorer = rescorerOf(String(verdict.provider || ''));
+        return rescorer ? { ...verdict, ...rescorer(verdict, { scoreThresholds }) } : verdict;
+      });
+    return { ...combineModerationVerdicts(rescored, combineMode), verdicts: rescored };
+  }
+
+  return { providers: chain.map((provider) => provider.name), combine: combineMode, review, rescore };
+}
+
+module.exports = {
+  MODERATION_COMBINE_MODES,
+  MODERATION_DECISIONS,
+  combineModerationVerdicts,
+  createImageModerator,
+  normalizeCategoryKey,
+  registerModerationProvider,
+};
@@ -0,0 +1,134 @@
+// ライセンス証明書（PDF）
+// 日本語のタイトルを扱うため、Adobe-Japan1 の標準フォント（HeiseiKakuGo-W5）を埋め込まずに参照する。
+// フォントファイルを同梱せずに済み、Acrobat / ブラウザ内蔵ビューアは OS のゴシック体で表示する。
+const PAGE_WIDTH = 595; // A4（pt）
+const PAGE_HEIGHT = 842;
+const MARGIN_X = 64;
+const FONT_NAME = 'HeiseiKakuGo-W5';
+
+// UniJIS-UCS2-H は BMP のみ。サロゲートペア（絵文字など）は ? に置き換える
+function toUcs2Hex(text) {
+  let hex = '';
+  for (const ch of String(text)) {
+    const code = ch.codePointAt(0);
+    const safe = code > 0xffff || code < 0x20 ? 0x3f : code;
+    hex += safe.toString(16).padStart(4, '0');
+  }
+  return `<${hex.toUpperCase()}>`;
+}
+
+// 文書情報（/Title）は BOM 付き UTF-16BE の16進文字列
+function toUcs2HexString(text) {
+  return `<FEFF${toUcs2Hex(text).slice(1, -1)}>`;
+}
+
+// 半角（ASCII）は 0.5em、それ以外は 1em として折り返し位置を概算する
+function textWidth(text, size) {
+  let width = 0;
+  for (const ch of String(text)) width += (ch.codePointAt(0) < 0x80 ? 0.5 : 1) * size;
+  return width;
+}
+
+function wrapText(text, size, maxWidth) {
+  const lines = [];
+  for (const paragraph of String(text || '').split(/\r?\n/)) {
+    let line = '';
+    for (const ch of paragraph) {
+      if (line && textWidth(line + ch, size) > maxWidth) {
+        lines.push(line);
+        line = '';
+      }
+      line += ch;
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+function textOp(text, size, x, y) {
+  return `BT /F1 ${size} Tf 1 0 0 1 ${x.toFixed(2)} ${y.toFixed(2)} Tm ${toUcs2Hex(text)} Tj ET`;
+}
+
+function buildContentStream(certificate) {
+  const ops = [];
+  const contentWidth = PAGE_WIDTH - MARGIN_X * 2;
+  let y = PAGE_HEIGHT - 110;
+
+  // 外枠
+  ops.push('q 0.35 0.35 0.35 RG 1.2 w 36 36 523 770 re S 0.4 w 42 42 511 758 re S Q');
+
+  ops.push(textOp('ライセンス証明書', 24, MARGIN_X, y));
+  y -= 24;
+  ops.push(textOp('License Certificate', 12, MARGIN_X, y));
+  y -= 22;
+  ops.push(`q 0.6 w ${MARGIN_X} ${y} m ${PAGE_WIDTH - MARGIN_X} ${y} l S Q`);
+  y -= 30;
+
+  const intro = wrapText(
+    '本証明書は、下記の作品について記載のライセンスで購入されたことを証明します。\nThis certifies that the work below was purchased under the license stated.',
+    10,
+    contentWidth
+  );
+  intro.forEach((line) => {
+    ops.push(textOp(line, 10, MARGIN_X, y));
+    y -= 16;
+  });
+  y -= 14;
+
+  const labelWidth = 150;
+  certificate.rows.forEach(({ label, value }) => {
+    const valueLines = wrapText(value || '—', 11, contentWidth - labelWidth);
+    ops.push(textOp(label, 9, MARGIN_X, y + 1));
+    valueLines.forEach((line, index) => {
+      ops.push(textOp(line, 11, MARGIN_X + labelWidth, y - index * 16));
+    });
+    y -= valueLines.length * 16 + 12;
+  });
+
+  y -= 10;
+  ops.push(`q 0.85 0.85 0.85 RG 0.6 w ${MARGIN_X} ${y} m ${PAGE_WIDTH - MARGIN_X} ${y} l S Q`);
+  y -= 24;
+  (certificate.notes || []).forEach((note) => {
+    wrapText(note, 9, contentWidth).forEach((line) => {
+      ops.push(textOp(line, 9, MARGIN_X, y));
+      y -= 14;
+    });
+    y -= 4;
+  });
+
+  ops.push(textOp(certificate.footer || '', 8, MARGIN_X, 56));
+  return ops.join('\n');
+}
+
+// certificate: { rows: [{ label, value }], notes: [string], footer: string, title: string }
+function renderLicenseCertificatePdf(certificate) {
+  const content = buildContentStream(certificate);
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 5 0 R >> >> /Contents 4 0 R >>`,
+    `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`,
+    `<< /Type /Font /Subtype /Type0 /BaseFont /${FONT_NAME} /Encoding /UniJIS-UCS2-H /DescendantFonts [6 0 R] >>`,
+    `<< /Type /Font /Subtype /CIDFontType0 /BaseFont /${FONT_NAME} /CIDSystemInfo << /Registry (Adobe) /Ordering (Japan1) /Supplement 2 >> /FontDescriptor 7 0 R /DW 1000 /W [1 95 500] >>`,
+    `<< /Type /FontDescriptor /FontName /${FONT_NAME} /Flags 4 /FontBBox [-92 -250 1010 922] /ItalicAngle 0 /Ascent 752 /Descent -221 /CapHeight 737 /StemV 114 >>`,
+    `<< /Title ${toUcs2HexString(certificate.title || 'License Certificate')} /Producer (Instant Sale) >>`
+  ];
+
+  let pdf = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+  const offsets = [];
+  objects.forEach((body, index) => {
+    offsets.push(Buffer.byteLength(pdf, 'latin1'));
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+  });
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  offsets.forEach((offset) => {
+    pdf += `${String(offset).padStart(10, '0')} 00000 n \n`;
+  });
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+module.exports = {
+  renderLicenseCertificatePdf,
+};
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+
+// トランスポートは name → async (message, options) => void の形で差し替え可能にしておく
+// console: 開発用（本文を標準出力へ） / file: 開発用（outbox ディレクトリへ .eml を書き出し）
+// http: 本番用（メール送信 API / 中継サービスへ JSON を POST）
+const transports = new Map();
+
+function registerMailTransport(name, send) {
+  if (!name || typeof send !== 'function') {
+    throw new Error('mail transport requires a name and a send function');
+  }
+  transports.set(String(name), send);
+}
+
+function formatMessage({ from, to, subject, text }) {
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    `Date: ${new Date().toUTCString()}`,
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    text,
+    ''
+  ].join('\n');
+}
+
+registerMailTransport('console', async (message) => {
+  console.info(`[mail:console]\n${formatMessage(message)}`);
+});
+
+registerMailTransport('file', async (message, { outboxDir }) => {
+  await fs.promises.mkdir(outboxDir, { recursive: true });
+  const safeTo = String(message.to).replace(/[^a-z0-9@._-]/gi, '_');
+  const filePath = path.join(outboxDir, `${Date.now()}-${safeTo}.eml`);
+  await fs.promises.writeFile(filePath, formatMessage(message), 'utf8');
+  console.info('[mail:file] written', { to: message.to, filePath });
+});
+
+registerMailTransport('http', async (message, { httpEndpoint, httpToken }) => {
+  if (!httpEndpoint) throw new Error('MAIL_HTTP_ENDPOINT is required for http transport');
+  const response = await fetch(httpEndpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(httpToken ? { Authorization: `Bearer ${httpToken}` } : {})
+    },
+    body: JSON.stringify(message),
+    signal: AbortSignal.timeout(10000)
+  });
+  if (!response.ok) {
+    throw new Error(`mail http transport failed: ${response.status}`);
+  }
+});
+
+function createMailer({ transport = 'console', from = '', outboxDir = '', httpEndpoint = '', httpToken = '' } = {}) {
+  const name = String(transport || 'console');
+  if (!transports.has(name)) {
+    throw new Error(`unknown mail transport: ${name}`);
+  }
+
+  async function sendMail({ to, subject, text }) {
+    if (!to || !subject) throw new Error('mail requires "to" and "subject"');
+    const send = transports.get(name);
+    await send({ from, to, subject, text: String(text || '') }, { outboxDir, httpEndpoint, httpToken });
+  }
+
+  return { transport: name, sendMail };
+}
+
+module.exports = {
+  registerMailTransport,
+  createMailer,
+};
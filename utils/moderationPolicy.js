@@ -0,0 +1,83 @@
+// 出品審査の方針（models/ModerationPolicy）を判定に使える形へ組み立てる。DB には触れない
+const MAX_REGEX_LENGTH = 200;
+
+function normalizeForModeration(value) {
+  return String(value || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .trim();
+}
+
+function escapeRegExp(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// キーワード1件を { keyword, action, matchMode, matches(value) } にする。正規表現の誤りは Error（message は管理画面にそのまま出す）
+function compileKeywordRule({ keyword, action = 'review', matchMode = 'substring' } = {}) {
+  const raw = String(keyword || '').trim();
+  if (!raw) throw new Error('キーワードが空です。');
+
+  if (matchMode === 'regex') {
+    if (raw.length > MAX_REGEX_LENGTH) throw new Error(`正規表現は${MAX_REGEX_LENGTH}文字以内にしてください: ${raw.slice(0, 40)}…`);
+    let pattern;
+    try {
+      pattern = new RegExp(raw, 'iu');
+    } catch (e) {
+      throw new Error(`正規表現として読めません: ${raw}`);
+    }
+    // 空文字に一致する式（"a*" など）は全作品に当たってしまう
+    if (pattern.test('')) throw new Error(`空の文字に一致する正規表現は使えません: ${raw}`);
+    return { keyword: raw, action, matchMode, matches: (value) => pattern.test(value) };
+  }
+
+  const normalizedKeyword = normalizeForModeration(raw);
+  if (matchMode === 'word') {
+    const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(normalizedKeyword)}($|[^\\p{L}\\p{N}])`, 'u');
+    return { keyword: normalizedKeyword, action, matchMode, matches: (value) => pattern.test(value) };
+  }
+  return { keyword: normalizedKeyword, action, matchMode: 'substring', matches: (value) => value.includes(normalizedKeyword) };
+}
+
+function compileModerationPolicy({ keywords = [], categoryThresholds = [], allowTerms = [], trustedSellers = [] } = {}) {
+  const scoreThresholds = {};
+  for (const { category, threshold } of categoryThresholds) {
+    const value = Number(threshold);
+    if (category && Number.isFinite(value)) scoreThresholds[String(category)] = Math.max(0, Math.min(1, value));
+  }
+  return {
+    keywords: keywords.map((rule) => compileKeywordRule(rule)),
+    scoreThresholds,
+    // 長い語から取り除く（"jkt48" と "jkt" の両方があっても短い方が先に削って長い方を壊さない）
+    allowTerms: [...new Set(allowTerms.map(normalizeForModeration).filter(Boolean))].sort((a, b) => b.length - a.length),
+    trustedSellerIds: new Set(trustedSellers.map((id) => String(id)))
+  };
+}
+
+// 文字の項目をキーワードで判定する。block は review より優先（どの項目でも block が1つあれば block）。
+// 戻り値は { action: 'block' | 'review' | null, field, keyword }
+function evaluateTextModeration(policy, { fields = [], sellerId = '' } = {}) {
+  const trusted = !!sellerId && policy.trustedSellerIds.has(String(sellerId));
+  let firstReview = null;
+  for (const { field, value } of fields) {
+    let normalizedValue = normalizeForModeration(value);
+    for (const term of policy.allowTerms) {
+      normalizedValue = normalizedValue.split(term).join(' ');
+    }
+    if (!normalizedValue.trim()) continue;
+
+    for (const rule of policy.keywords) {
+      if (trusted && rule.action !== 'block') continue;
+      if (!rule.matches(normalizedValue)) continue;
+      if (rule.action === 'block') return { action: 'block', field, keyword: rule.keyword };
+      if (!firstReview) firstReview = { action: 'review', field, keyword: rule.keyword };
+    }
+  }
+  return firstReview || { action: null, field: '', keyword: '' };
+}
+
+module.exports = {
+  compileKeywordRule,
+  compileModerationPolicy,
+  evaluateTextModeration,
+  normalizeForModeration,
+};
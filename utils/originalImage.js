@@ -0,0 +1,148 @@
+const fsp = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+
+// 配布原本の形式。メタデータ（EXIF/XMP/位置情報）は除去するが、形式は出品時のまま保つ
+// （PNG の透過や可逆性を目当てに買う人がいるため、JPEG へは寄せない）
+const ORIGINAL_IMAGE_FORMATS = Object.freeze({
+  'image/jpeg': { format: 'jpeg', ext: '.jpg' },
+  'image/png': { format: 'png', ext: '.png' },
+  'image/webp': { format: 'webp', ext: '.webp' },
+  'image/gif': { format: 'gif', ext: '.gif' },
+});
+
+function normalizeImageMimeType(mimeType) {
+  const value = String(mimeType || '').toLowerCase();
+  return value === 'image/jpg' ? 'image/jpeg' : value;
+}
+
+function extensionOfImageMimeType(mimeType) {
+  return ORIGINAL_IMAGE_FORMATS[normalizeImageMimeType(mimeType)]?.ext || '';
+}
+
+// JPEG のマーカーを読み、画素データに触れずにメタデータのセグメントだけを落とす（再圧縮なし）。
+// 残すのは APP0（JFIF）・APP2 の ICC プロファイル・APP14（Adobe の色変換指定）。
+// 主画像の EOI 以降（MPF の埋め込みサムネイル等）も捨てる。解釈できない構造なら null
+const ICC_PROFILE_SIGNATURE = Buffer.from('ICC_PROFILE\0', 'latin1');
+
+function stripJpegMetadataSegments(input) {
+  if (input.length < 4 || input[0] !== 0xff || input[1] !== 0xd8) return null;
+  const parts = [input.subarray(0, 2)];
+  let offset = 2;
+  while (offset + 4 <= input.length) {
+    if (input[offset] !== 0xff) return null;
+    const marker = input[offset + 1];
+    if (marker === 0xff) { offset += 1; continue; } // 詰め物の 0xFF
+    const length = input.readUInt16BE(offset + 2);
+    if (length < 2 || offset + 2 + length > input.length) return null;
+    const segment = input.subarray(offset, offset + 2 + length);
+
+    if (marker === 0xda) {
+      // SOS 以降は圧縮データ。最初の EOI までを主画像として残す
+      const eoi = input.indexOf(Buffer.from([0xff, 0xd9]), offset + 2 + length);
+      if (eoi < 0) return null;
+      parts.push(input.subarray(offset, eoi + 2));
+      return Buffer.concat(parts);
+    }
+
+    const isApp = marker >= 0xe0 && marker <= 0xef;
+    const isIccProfile = marker === 0xe2 &&
+      segment.subarray(4, 4 + ICC_PROFILE_SIGNATURE.length).equals(ICC_PROFILE_SIGNATURE);
+    const keep = (!isApp && marker !== 0xfe) || marker === 0xe0 || marker === 0xee || isIccProfile;
+    if (keep) parts.push(segment);
+    offset += 2 + length;
+  }
+  return null;
+}
+
+// GIF/WebP のアニメーションは全コマを残す（コマ送りの間隔・ループ回数は sharp が入力から引き継ぐ）
+function isAnimatedMetadata(format, metadata) {
+  return (format === 'gif' || format === 'webp') && (metadata.pages || 1) > 1;
+}
+
+function encoderFor(format, metadata, { lossless }) {
+  const animated = isAnimatedMetadata(format, metadata);
+  const pipeline = (input) => {
+    // withMetadata() を付けない = EXIF除去。アニメーションは向きの補正をしない（コマごとの回転は扱えない）
+    if (animated) return sharp(input, { animated: true });
+    let image = sharp(input).rotate();
+    // 16bit の PNG は 8bit に落とさない
+    if (format === 'png' && metadata.depth === 'ushort') {
+      image = image.toColourspace(metadata.channels <= 2 ? 'grey16' : 'rgb16');
+    }
+    return image;
+  };
+  switch (format) {
+    case 'png':
+      return (input) => pipeline(input).png({ compressionLevel: 9, adaptiveFiltering: true }).toBuffer();
+    case 'webp':
+      return (input) => pipeline(input).webp(lossless ? { lossless: true } : { quality: 95, alphaQuality: 100 }).toBuffer();
+    case 'gif':
+      return (input) => pipeline(input).gif().toBuffer();
+    default:
+      return (input) => pipeline(input).jpeg({ quality: 95 }).toBuffer();
+  }
+}
+
+// 原本のメタデータを除去して、形式に合った拡張子のファイルへ書き直す。
+// lossless: JPEG はセグメント除去のみ（向きの補正が要る画像は再圧縮）、WebP は可逆で保存。PNG は常に可逆
+// 戻り値の filePath は拡張子を付け替えた新しいパス（元のパスは削除する）。animated / frameCount はアニメーションのコマ数
+async function sanitizeOriginalImage(filePath, mimeType, { lossless = false } = {}) {
+  const normalizedMime = normalizeImageMimeType(mimeType);
+  const target = ORIGINAL_IMAGE_FORMATS[normalizedMime];
+  if (!target) throw new Error(`unsupported original image type: ${mimeType}`);
+
+  const input = await fsp.readFile(filePath);
+  const metadata = await sharp(input, { animated: true }).metadata();
+  let output = null;
+  let losslessApplied = target.format === 'png';
+  if (target.format === 'jpeg' && lossless && (!metadata.orientation || metadata.orientation === 1)) {
+    output = stripJpegMetadataSegments(input);
+    losslessApplied = !!output;
+  }
+  if (!output) {
+    output = await encoderFor(target.format, metadata, { lossless })(input);
+    if (target.format === 'webp') losslessApplied = !!lossless;
+  }
+
+  const parsed = path.parse(filePath);
+  const nextPath = path.join(parsed.dir, `${parsed.name}${target.ext}`);
+  await fsp.writeFile(`${nextPath}.cleaned`, output);
+  await fsp.rename(`${nextPath}.cleaned`, nextPath);
+  if (nextPath !== filePath) await fsp.unlink(filePath).catch(() => {});
+
+  const animated = isAnimatedMetadata(target.format, metadata);
+  return {
+    filePath: nextPath,
+    mimeType: normalizedMime,
+    ext: target.ext,
+    lossless: losslessApplied,
+    animated,
+    frameCount: animated ? metadata.pages : 1
+  };
+}
+
+// メタデータ除去済みの原本の形式だけを読む（ジョブの再試行で sanitizeOriginalImage をやり直さないとき）
+async function describeOriginalImage(filePath, mimeType) {
+  const normalizedMime = normalizeImageMimeType(mimeType);
+  const target = ORIGINAL_IMAGE_FORMATS[normalizedMime];
+  if (!target) throw new Error(`unsupported original image type: ${mimeType}`);
+  const metadata = await sharp(filePath, { animated: true }).metadata();
+  const animated = isAnimatedMetadata(target.format, metadata);
+  return {
+    filePath,
+    mimeType: normalizedMime,
+    ext: target.ext,
+    animated,
+    frameCount: animated ? metadata.pages : 1
+  };
+}
+
+module.exports = {
+  ORIGINAL_IMAGE_FORMATS,
+  describeOriginalImage,
+  extensionOfImageMimeType,
+  normalizeImageMimeType,
+  sanitizeOriginalImage,
+  stripJpegMetadataSegments,
+};
@@ -0,0 +1,80 @@
+const sharp = require('sharp');
+
+// 知覚ハッシュ（dHash, 64bit）。9×8 のグレースケールに縮めて、横に隣り合う画素の明暗の大小を1ビットずつ並べる。
+// 再圧縮・縮小・軽い色調補正では数ビットしか変わらないため、ハミング距離で「ほぼ同じ画像」を見つけられる
+const HASH_BITS = 64;
+// 64bit を 8bit ずつ 8 本の帯に分けて索引にする。距離が 7 以下の2つのハッシュは、少なくとも1本の帯が完全に一致する
+const BAND_COUNT = 8;
+const MAX_INDEXED_DISTANCE = BAND_COUNT - 1;
+// 1 がほとんど無い（または全部1の）ハッシュは、無地や単純なグラデーションで画像を見分けられない
+const MIN_INFORMATIVE_BITS = 4;
+
+async function perceptualHashOf(input) {
+  const { data } = await sharp(input)
+    .greyscale()
+    .resize(9, 8, { fit: 'fill', kernel: sharp.kernel.lanczos3 })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  let hash = 0n;
+  for (let y = 0; y < 8; y += 1) {
+    for (let x = 0; x < 8; x += 1) {
+      hash = (hash << 1n) | (data[y * 9 + x] > data[y * 9 + x + 1] ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(HASH_BITS / 4, '0');
+}
+
+function popcount(value) {
+  let count = 0;
+  let rest = value;
+  while (rest) {
+    rest &= rest - 1n;
+    count += 1;
+  }
+  return count;
+}
+
+function hammingDistance(a, b) {
+  return popcount(BigInt(`0x${a}`) ^ BigInt(`0x${b}`));
+}
+
+function isInformativeHash(hash) {
+  if (!/^[0-9a-f]{16}$/.test(String(hash || ''))) return false;
+  const bits = popcount(BigInt(`0x${hash}`));
+  return bits >= MIN_INFORMATIVE_BITS && bits <= HASH_BITS - MIN_INFORMATIVE_BITS;
+}
+
+// 索引用の帯（"<帯の番号>:<2桁の16進>"）。見分けのつかないハッシュは索引に入れない
+function hashBandsOf(hashes) {
+  const bands = new Set();
+  for (const hash of hashes || []) {
+    if (!isInformativeHash(hash)) continue;
+    for (let band = 0; band < BAND_COUNT; band += 1) {
+      bands.add(`${band}:${hash.slice(band * 2, band * 2 + 2)}`);
+    }
+  }
+  return [...bands];
+}
+
+// 2つの作品のハッシュの組み合わせのうち、最も近い距離（比べられるものが無ければ null）
+function closestDistance(hashes, otherHashes) {
+  let best = null;
+  for (const hash of hashes || []) {
+    if (!isInformativeHash(hash)) continue;
+    for (const other of otherHashes || []) {
+      if (!isInformativeHash(other)) continue;
+      const distance = hammingDistance(hash, other);
+      if (best === null || distance < best) best = distance;
+    }
+  }
+  return best;
+}
+
+module.exports = {
+  MAX_INDEXED_DISTANCE,
+  closestDistance,
+  hammingDistance,
+  hashBandsOf,
+  isInformativeHash,
+  perceptualHashOf,
+};